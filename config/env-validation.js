@@ -2,6 +2,8 @@
 const fs = require('fs');
 const path = require('path');
 
+const isUserIdHashingEnabled = () => (process.env.OBJECT_ID_HASH_USER_IDS || '').toLowerCase() === 'true';
+
 function validateEnvironment() {
   const isVercel = process.env.VERCEL === '1';
 
@@ -28,12 +30,14 @@ function validateEnvironment() {
   });
 
   // Validate Google credentials (support both JSON env var and file path)
+  // The local Wallet emulator (WALLET_BACKEND=emulator) needs no credentials
+  const isEmulated = (process.env.WALLET_BACKEND || 'google').toLowerCase() === 'emulator';
   const hasJsonCredentials = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
   const hasFileCredentials = process.env.GOOGLE_APPLICATION_CREDENTIALS;
 
-  if (!hasJsonCredentials && !hasFileCredentials) {
+  if (!isEmulated && !hasJsonCredentials && !hasFileCredentials) {
     missing.push('GOOGLE_SERVICE_ACCOUNT_JSON or GOOGLE_APPLICATION_CREDENTIALS');
-  } else {
+  } else if (!isEmulated) {
     // Validate GOOGLE_SERVICE_ACCOUNT_JSON if present
     if (hasJsonCredentials) {
       try {
@@ -68,6 +72,24 @@ function validateEnvironment() {
     invalid.push('ISSUER_ID: Please replace with your actual Issuer ID from Google Wallet Console');
   }
 
+  // Per-class object suffixes: JSON map of classId -> suffix
+  if (process.env.OBJECT_SUFFIXES) {
+    try {
+      const suffixes = JSON.parse(process.env.OBJECT_SUFFIXES);
+      const validSuffix = suffix => typeof suffix === 'string' && /^[A-Za-z0-9._-]+$/.test(suffix);
+      if (!suffixes || typeof suffixes !== 'object' || Array.isArray(suffixes) || !Object.values(suffixes).every(validSuffix)) {
+        invalid.push('OBJECT_SUFFIXES: Must be a JSON object mapping class IDs to suffixes (letters, numbers, ".", "_", "-")');
+      }
+    } catch (error) {
+      invalid.push(`OBJECT_SUFFIXES: Invalid JSON - ${error.message}`);
+    }
+  }
+
+  // Hashed object IDs are only unguessable with a secret key
+  if (isUserIdHashingEnabled() && !process.env.OBJECT_ID_HASH_SECRET) {
+    missing.push('OBJECT_ID_HASH_SECRET (required when OBJECT_ID_HASH_USER_IDS=true)');
+  }
+
   if (process.env.PORT && isNaN(parseInt(process.env.PORT))) {
     invalid.push('PORT: Must be a valid number');
   }
@@ -103,4 +125,13 @@ function logValidationResults(results) {
   return false;
 }
 
-module.exports = { validateEnvironment, logValidationResults };
\ No newline at end of file
+// Settings the server must not run without, unlike the ones validateEnvironment
+// only reports. Throws on the first one found.
+function assertStartupRequirements() {
+  // Short member IDs hashed with an empty key can be recovered by brute force
+  if (isUserIdHashingEnabled() && !process.env.OBJECT_ID_HASH_SECRET) {
+    throw new Error('OBJECT_ID_HASH_SECRET must be set when OBJECT_ID_HASH_USER_IDS=true');
+  }
+}
+
+module.exports = { validateEnvironment, logValidationResults, assertStartupRequirements };
\ No newline at end of file
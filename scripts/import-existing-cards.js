@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Import existing members as Google Wallet cards (see CardImportService).
+//
+//   npm run import:cards -- members.csv [--dry-run] [--class-id <classId>]
+//     [--tenant <tenantId>] [--format csv|ndjson|json] [--report <file>]
+//
+// Uses the server's configuration (.env). Rows are imported with the same
+// concurrency and Wallet rate limits as batch jobs, and there is no row limit.
+// The per-row report (with save URLs) is written to --report, by default
+// <file>.report.json next to the input. Exits with 1 when a row was invalid
+// or failed, 2 on usage errors.
+require('dotenv').config({ quiet: true });
+
+const fs = require('fs');
+const cardImportService = require('../src/services/card-import-service');
+const tenantService = require('../src/services/tenant-service');
+const dbService = require('../src/database/db-service');
+
+const USAGE = 'Usage: npm run import:cards -- <file> [--dry-run] [--class-id <classId>] [--tenant <tenantId>] [--format csv|ndjson|json] [--report <file>]';
+
+const OPTIONS_WITH_VALUES = {
+  '--class-id': 'classId',
+  '--tenant': 'tenantId',
+  '--format': 'format',
+  '--report': 'report'
+};
+
+function parseArgs(args) {
+  const options = { dryRun: false };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (OPTIONS_WITH_VALUES[arg]) {
+      if (args[index + 1] === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[OPTIONS_WITH_VALUES[arg]] = args[++index];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('No input file');
+  }
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+
+  const format = options.format || cardImportService.detectFormat(options.file);
+  if (!format) {
+    console.error(`Cannot tell the format of ${options.file}; pass --format\n${USAGE}`);
+    return 2;
+  }
+
+  const content = await fs.promises.readFile(options.file, 'utf8');
+  const runImport = () => cardImportService.importCards(content, {
+    format,
+    classId: options.classId || null,
+    dryRun: options.dryRun,
+    maxRows: Infinity
+  });
+
+  const result = options.tenantId
+    ? await tenantService.runAs(options.tenantId, runImport)
+    : await runImport();
+
+  if (!result.success) {
+    console.error(`Import failed: ${result.error}`);
+    return 1;
+  }
+
+  const reportFile = options.report || `${options.file}.report.json`;
+  await fs.promises.writeFile(reportFile, `${JSON.stringify(result, null, 2)}\n`);
+
+  console.log(`\n${options.dryRun ? 'Dry run' : 'Import'} of ${options.file}:`);
+  Object.entries(result.summary).forEach(([status, count]) => {
+    console.log(`   ${status}: ${count}`);
+  });
+  console.log(`   Report: ${reportFile}`);
+
+  return result.summary.invalid || result.summary.failed ? 1 : 0;
+}
+
+main()
+  .then(async (code) => {
+    await dbService.close();
+    process.exit(code);
+  })
+  .catch(async (error) => {
+    console.error(`Import failed: ${error.message}`);
+    await dbService.close().catch(() => {});
+    process.exit(1);
+  });
@@ -3,12 +3,18 @@ const { GoogleAuth } = require('google-auth-library');
 const { validateEnvironment } = require('../../config/env-validation');
 const logger = require('../utils/logger');
 const retryUtility = require('../utils/retry');
+const walletEmulator = require('../emulator/wallet-emulator');
+const tenantService = require('../services/tenant-service');
+
+const WALLET_SCOPES = ['https://www.googleapis.com/auth/wallet_object.issuer'];
 
 class GoogleWalletAuth {
   constructor() {
     this.auth = null;
     this.walletClient = null;
     this.isInitialized = false;
+    // tenantId -> { updatedAt, auth, walletClient } for tenants with their own service account
+    this.tenantClients = new Map();
   }
 
   async initialize() {
@@ -28,11 +34,23 @@ class GoogleWalletAuth {
         throw error;
       }
 
+      // Offline mode: serve API calls from the in-process emulator
+      if (this.isEmulated()) {
+        this.walletClient = walletEmulator.getClient();
+        this.isInitialized = true;
+
+        logger.info('Google Wallet Emulator Enabled', {
+          duration: `${Date.now() - startTime}ms`
+        });
+
+        return true;
+      }
+
       // Initialize Google Auth with service account with retry logic
       const initializeAuth = async () => {
         // Support both file-based credentials (local) and JSON string (Vercel)
         const authConfig = {
-          scopes: ['https://www.googleapis.com/auth/wallet_object.issuer']
+          scopes: WALLET_SCOPES
         };
 
         if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
@@ -84,18 +102,59 @@ class GoogleWalletAuth {
     }
   }
 
-  async getClient() {
+  // Wallet client of the current tenant. Tenants without their own service
+  // account (and every tenant in emulator mode) share the deployment's client.
+  async getClient(tenant = tenantService.current()) {
     if (!this.isInitialized) {
       await this.initialize();
     }
-    return this.walletClient;
+    if (this.isEmulated() || tenant.isDefault || !tenant.credentials) {
+      return this.walletClient;
+    }
+    return (await this.getTenantClient(tenant)).walletClient;
   }
 
-  async getAuthClient() {
+  async getAuthClient(tenant = tenantService.current()) {
     if (!this.isInitialized) {
       await this.initialize();
     }
-    return await this.auth.getClient();
+    if (this.isEmulated()) {
+      throw new Error('No Google auth client in emulator mode (WALLET_BACKEND=emulator)');
+    }
+    if (tenant.isDefault || !tenant.credentials) {
+      return await this.auth.getClient();
+    }
+    return await (await this.getTenantClient(tenant)).auth.getClient();
+  }
+
+  // Clients are cached per tenant and rebuilt when the tenant changes
+  // (credential rotation updates updated_at)
+  async getTenantClient(tenant) {
+    const cached = this.tenantClients.get(tenant.id);
+    if (cached && cached.updatedAt === tenant.updatedAt) {
+      return cached;
+    }
+
+    const auth = new GoogleAuth({
+      credentials: tenantService.getCredentials(tenant),
+      scopes: WALLET_SCOPES
+    });
+    const entry = {
+      updatedAt: tenant.updatedAt,
+      auth,
+      walletClient: google.walletobjects({
+        version: 'v1',
+        auth: await auth.getClient()
+      })
+    };
+    this.tenantClients.set(tenant.id, entry);
+
+    logger.info('Google Wallet Client Created for Tenant', { tenantId: tenant.id });
+    return entry;
+  }
+
+  forgetTenant(tenantId) {
+    this.tenantClients.delete(tenantId);
   }
 
   async testConnection() {
@@ -104,7 +163,7 @@ class GoogleWalletAuth {
 
       // Test API connection by listing loyalty classes
       const response = await client.loyaltyclass.list({
-        issuerId: process.env.ISSUER_ID
+        issuerId: this.getIssuerId()
       });
 
       console.log('✅ Google Wallet API connection test successful');
@@ -123,33 +182,9 @@ class GoogleWalletAuth {
     }
   }
 
-  // Generate JWT for Save to Wallet
-  async generateJWT(payload) {
-    try {
-      const authClient = await this.getAuthClient();
-
-      const jwt = require('jsonwebtoken');
-      const credentials = require(process.env.GOOGLE_APPLICATION_CREDENTIALS);
-
-      const now = Math.floor(Date.now() / 1000);
-      const jwtPayload = {
-        iss: credentials.client_email,
-        aud: 'google',
-        typ: 'savetowallet',
-        iat: now,
-        origins: process.env.ORIGINS.split(','),
-        payload: payload
-      };
-
-      const token = jwt.sign(jwtPayload, credentials.private_key, {
-        algorithm: 'RS256'
-      });
-
-      return token;
-    } catch (error) {
-      console.error('❌ Failed to generate JWT:', error.message);
-      throw error;
-    }
+  // WALLET_BACKEND=emulator routes every API call to the local emulator
+  isEmulated() {
+    return (process.env.WALLET_BACKEND || 'google').toLowerCase() === 'emulator';
   }
 
   // Helper method to check if service is ready
@@ -157,19 +192,19 @@ class GoogleWalletAuth {
     return this.isInitialized;
   }
 
-  // Get issuer ID
+  // Get issuer ID (current tenant)
   getIssuerId() {
-    return process.env.ISSUER_ID;
+    return tenantService.current().issuerId;
   }
 
-  // Get class suffix
+  // Get class suffix (current tenant)
   getClassSuffix() {
-    return process.env.CLASS_SUFFIX;
+    return tenantService.current().classSuffix;
   }
 
-  // Get object suffix
+  // Get object suffix (current tenant)
   getObjectSuffix() {
-    return process.env.OBJECT_SUFFIX;
+    return tenantService.current().objectSuffix;
   }
 }
 
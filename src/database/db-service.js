@@ -0,0 +1,1291 @@
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../utils/logger');
+const MemoryDriver = require('./drivers/memory-driver');
+const migrations = require('./migrations');
+
+// Driver calls that read or write rows
+const DATA_METHODS = ['insert', 'find', 'findOne', 'count', 'update', 'remove'];
+
+// Repository for loyalty data (cards, points ledger, notification log).
+// Storage is delegated to a driver selected with DB_DRIVER:
+//   sqlite - file-based SQLite database at DB_PATH (default)
+//   memory - in-process store, default under NODE_ENV=test
+class DbService {
+  constructor() {
+    this.driver = null;
+    this.queuedDriver = null;
+    this.initializing = null;
+    this.activeTransaction = null;
+    this.transactionContext = new AsyncLocalStorage();
+  }
+
+  // Resolve the configured driver name
+  getDriverName() {
+    const defaultDriver = process.env.NODE_ENV === 'test' ? 'memory' : 'sqlite';
+    return (process.env.DB_DRIVER || defaultDriver).toLowerCase();
+  }
+
+  // Resolve the SQLite database file (use /tmp on Vercel serverless)
+  getDatabasePath() {
+    if (process.env.DB_PATH) {
+      return process.env.DB_PATH;
+    }
+    return process.env.VERCEL === '1'
+      ? '/tmp/loyalty.db'
+      : path.join(__dirname, '../../data/loyalty.db');
+  }
+
+  createDriver(driverName = this.getDriverName()) {
+    switch (driverName) {
+      case 'memory':
+        return new MemoryDriver();
+      case 'sqlite': {
+        const SqliteDriver = require('./drivers/sqlite-driver');
+        return new SqliteDriver({ filename: this.getDatabasePath() });
+      }
+      default:
+        throw new Error(`Unknown DB_DRIVER "${driverName}". Use "sqlite" or "memory".`);
+    }
+  }
+
+  // Connect the driver and bring the schema up to date
+  async initialize(driver = this.createDriver()) {
+    const startTime = Date.now();
+
+    try {
+      await driver.connect();
+      const applied = await driver.migrate(migrations);
+      this.driver = driver;
+      this.queuedDriver = this.queueDriver(driver);
+
+      logger.info('Database Initialized', {
+        driver: driver.name,
+        migrationsApplied: applied,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Database Initialization Failed', {
+        driver: driver.name,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Wraps the driver so that each data call made outside an open transaction
+  // waits until it settles. A repository method that started before the
+  // transaction can then neither write into it (SQLite shares one connection)
+  // nor be undone by its rollback (the memory driver restores a snapshot).
+  queueDriver(driver) {
+    const queued = { name: driver.name };
+    DATA_METHODS.forEach(method => {
+      queued[method] = async (...args) => {
+        await this.waitForTransaction();
+        return await driver[method](...args);
+      };
+    });
+    return queued;
+  }
+
+  // Wait for the open transaction, unless called from inside it
+  async waitForTransaction() {
+    if (this.transactionContext.getStore()) {
+      return;
+    }
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+  }
+
+  async getDriver() {
+    await this.getRawDriver();
+    return this.queuedDriver;
+  }
+
+  async getRawDriver() {
+    if (!this.driver) {
+      if (!this.initializing) {
+        this.initializing = this.initialize().finally(() => {
+          this.initializing = null;
+        });
+      }
+      await this.initializing;
+    }
+    return this.driver;
+  }
+
+  async close() {
+    if (this.driver) {
+      await this.driver.close();
+      this.driver = null;
+      this.queuedDriver = null;
+    }
+  }
+
+  // Run several repository calls atomically. Nested calls join the outer transaction.
+  async transaction(fn) {
+    if (this.transactionContext.getStore()) {
+      return await fn(this);
+    }
+
+    const driver = await this.getRawDriver();
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+
+    const run = this.transactionContext.run(true, () => driver.transaction(() => fn(this)));
+    const settled = run.then(() => {}, () => {});
+    this.activeTransaction = settled;
+
+    try {
+      return await run;
+    } finally {
+      if (this.activeTransaction === settled) {
+        this.activeTransaction = null;
+      }
+    }
+  }
+
+  now() {
+    return new Date().toISOString();
+  }
+
+  // =====================================
+  // Cards
+  // =====================================
+
+  // Members (cards, their ledger and notification log) and branding profiles
+  // belong to the tenant of the current request or job. Required here rather
+  // than at the top because the tenant service stores tenants through this module.
+  getTenantId() {
+    return require('../services/tenant-service').getTenantId();
+  }
+
+  // Where clause for one member of the current tenant
+  memberFilter(userId) {
+    return { tenant_id: this.getTenantId(), user_id: userId };
+  }
+
+  async getCard(userId) {
+    const driver = await this.getDriver();
+    return await driver.findOne('cards', this.memberFilter(userId));
+  }
+
+  async getCardByObjectId(objectId) {
+    const driver = await this.getDriver();
+    return await driver.findOne('cards', { tenant_id: this.getTenantId(), object_id: objectId });
+  }
+
+  // Insert a card record, or refresh it if the user already has one
+  async saveCard({ userId, objectId, classId = null, memberName = null, points = 0, tier = 'Bronze' }) {
+    const driver = await this.getDriver();
+    const member = this.memberFilter(userId);
+    const existing = await driver.findOne('cards', member);
+    const timestamp = this.now();
+
+    if (existing) {
+      await driver.update('cards', member, {
+        object_id: objectId,
+        class_id: classId,
+        member_name: memberName,
+        points,
+        tier,
+        updated_at: timestamp
+      });
+      return await driver.findOne('cards', member);
+    }
+
+    return await driver.insert('cards', {
+      ...member,
+      object_id: objectId,
+      class_id: classId,
+      member_name: memberName,
+      points,
+      tier,
+      tier_grace_until: null,
+      tier_evaluated_at: null,
+      wallet_sync_pending: 0,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+  }
+
+  // Page through the tenant's cards in creation order, optionally only those in some tiers
+  async listCards({ limit = 100, offset = 0, tiers = null } = {}) {
+    const driver = await this.getDriver();
+    const where = { tenant_id: this.getTenantId() };
+    if (tiers) {
+      where.tier = { in: tiers };
+    }
+    return await driver.find('cards', where, { orderBy: 'id', limit, offset });
+  }
+
+  async updateCardPoints(userId, points, tier) {
+    const driver = await this.getDriver();
+    const changes = { points, updated_at: this.now() };
+    if (tier) {
+      changes.tier = tier;
+    }
+
+    await driver.update('cards', this.memberFilter(userId), changes);
+    return await driver.findOne('cards', this.memberFilter(userId));
+  }
+
+  // Record the outcome of a tier evaluation (graceUntil null clears the grace period)
+  async updateTierStatus(userId, { tier, graceUntil = null }) {
+    const driver = await this.getDriver();
+    const timestamp = this.now();
+
+    await driver.update('cards', this.memberFilter(userId), {
+      tier,
+      tier_grace_until: graceUntil,
+      tier_evaluated_at: timestamp,
+      updated_at: timestamp
+    });
+    return await driver.findOne('cards', this.memberFilter(userId));
+  }
+
+  // Flag a card whose Wallet object may not match the stored balance
+  async setWalletSyncPending(userId, pending) {
+    const driver = await this.getDriver();
+    await driver.update('cards', this.memberFilter(userId), { wallet_sync_pending: pending ? 1 : 0 });
+  }
+
+  async listCardsPendingWalletSync(limit = 100) {
+    const driver = await this.getDriver();
+    return await driver.find('cards', { tenant_id: this.getTenantId(), wallet_sync_pending: 1 }, { orderBy: 'updated_at', limit });
+  }
+
+  // =====================================
+  // Points Ledger
+  // =====================================
+
+  async createTransaction(userId, transactionType, points, reason, balanceBefore, balanceAfter, relatedUserId = null, transferId = null) {
+    const driver = await this.getDriver();
+    return await driver.insert('transactions', {
+      ...this.memberFilter(userId),
+      transaction_type: transactionType,
+      points,
+      reason: reason || null,
+      balance_before: balanceBefore,
+      balance_after: balanceAfter,
+      related_user_id: relatedUserId,
+      transfer_id: transferId,
+      created_at: this.now()
+    });
+  }
+
+  // Both legs (transfer_out, transfer_in) of a points transfer
+  async getTransfer(transferId) {
+    const driver = await this.getDriver();
+    return await driver.find('transactions', { tenant_id: this.getTenantId(), transfer_id: transferId }, { orderBy: 'id' });
+  }
+
+  // Sum of points from the given transaction types, optionally since a timestamp
+  async getEarnedPoints(userId, { since = null, types = ['add', 'initial'] } = {}) {
+    const driver = await this.getDriver();
+    const where = { ...this.memberFilter(userId), transaction_type: { in: types } };
+    if (since) {
+      where.created_at = { gte: since };
+    }
+
+    const rows = await driver.find('transactions', where);
+    return rows.reduce((total, row) => total + row.points, 0);
+  }
+
+  // Most recent transactions first
+  async getTransactionHistory(userId, limit = 50) {
+    const driver = await this.getDriver();
+    return await driver.find('transactions', this.memberFilter(userId), {
+      orderBy: 'created_at',
+      direction: 'desc',
+      limit
+    });
+  }
+
+  // =====================================
+  // Notification Log
+  // =====================================
+
+  async createNotification({
+    userId = null,
+    objectId = null,
+    type,
+    header = null,
+    message = null,
+    data = {},
+    silent = false,
+    status = 'sent',
+    walletResponse = null,
+    actor = null
+  }) {
+    const driver = await this.getDriver();
+    const row = await driver.insert('notifications', {
+      ...this.memberFilter(userId),
+      object_id: objectId,
+      notification_type: type,
+      header,
+      message,
+      data: JSON.stringify(data || {}),
+      silent: silent ? 1 : 0,
+      status,
+      wallet_response: walletResponse ? JSON.stringify(walletResponse) : null,
+      actor,
+      created_at: this.now()
+    });
+    return this.parseNotification(row);
+  }
+
+  // Newest first (id order, so pages stay stable). Pass userId = null for every
+  // member of the tenant.
+  async getNotifications(userId, { limit = 50, offset = 0, since = null } = {}) {
+    const driver = await this.getDriver();
+    const rows = await driver.find('notifications', this.notificationFilter(userId, since), {
+      orderBy: 'id',
+      direction: 'desc',
+      limit,
+      offset
+    });
+    return rows.map(row => this.parseNotification(row));
+  }
+
+  async countNotifications(userId, { since = null } = {}) {
+    const driver = await this.getDriver();
+    return await driver.count('notifications', this.notificationFilter(userId, since));
+  }
+
+  notificationFilter(userId, since) {
+    const where = { tenant_id: this.getTenantId() };
+    if (userId) {
+      where.user_id = userId;
+    }
+    if (since) {
+      where.created_at = { gte: since };
+    }
+    return where;
+  }
+
+  parseNotification(row) {
+    return {
+      ...row,
+      data: row.data ? JSON.parse(row.data) : {},
+      silent: Boolean(row.silent),
+      wallet_response: row.wallet_response ? JSON.parse(row.wallet_response) : null
+    };
+  }
+
+  // =====================================
+  // Notification Quota
+  // =====================================
+
+  // Push notifications sent to an object since windowStart, oldest first
+  async getNotificationQuotaUsage(objectId, windowStart) {
+    const driver = await this.getDriver();
+    return await driver.find('notification_quota', {
+      object_id: objectId,
+      created_at: { gt: windowStart }
+    }, { orderBy: 'created_at' });
+  }
+
+  // Take one push from the object's quota if it has any left. Entries older
+  // than the window are purged in the same transaction.
+  async reserveNotificationQuota({ objectId, userId = null, windowStart, limit }) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+
+      await driver.remove('notification_quota', {
+        object_id: objectId,
+        created_at: { lte: windowStart }
+      });
+
+      const used = await driver.find('notification_quota', { object_id: objectId }, { orderBy: 'created_at' });
+      if (used.length >= limit) {
+        return { reserved: false, used };
+      }
+
+      const entry = await driver.insert('notification_quota', {
+        object_id: objectId,
+        user_id: userId,
+        created_at: this.now()
+      });
+      return { reserved: true, entry, used: [...used, entry] };
+    });
+  }
+
+  // Give a reserved push back, e.g. when Wallet rejected the message
+  async releaseNotificationQuota(entryId) {
+    const driver = await this.getDriver();
+    await driver.remove('notification_quota', { id: entryId });
+  }
+
+  // =====================================
+  // Class Versions
+  // =====================================
+
+  // Store a class definition as the next version of the class
+  async createClassVersion({ classId, changeType, definition, rolledBackTo = null, actor = null }) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+      const latest = await driver.findOne('class_versions', { class_id: classId }, { orderBy: 'version', direction: 'desc' });
+
+      const row = await driver.insert('class_versions', {
+        class_id: classId,
+        version: latest ? latest.version + 1 : 1,
+        change_type: changeType,
+        definition: JSON.stringify(definition),
+        rolled_back_to: rolledBackTo,
+        actor,
+        created_at: this.now()
+      });
+      return this.parseClassVersion(row);
+    });
+  }
+
+  async getClassVersion(classId, version) {
+    const driver = await this.getDriver();
+    const row = await driver.findOne('class_versions', { class_id: classId, version });
+    return row ? this.parseClassVersion(row) : null;
+  }
+
+  // Newest first
+  async getClassVersions(classId, { limit = 50, offset = 0 } = {}) {
+    const driver = await this.getDriver();
+    const rows = await driver.find('class_versions', { class_id: classId }, {
+      orderBy: 'version',
+      direction: 'desc',
+      limit,
+      offset
+    });
+    return rows.map(row => this.parseClassVersion(row));
+  }
+
+  async countClassVersions(classId) {
+    const driver = await this.getDriver();
+    return await driver.count('class_versions', { class_id: classId });
+  }
+
+  parseClassVersion(row) {
+    return {
+      ...row,
+      definition: JSON.parse(row.definition)
+    };
+  }
+
+  // =====================================
+  // Class Layouts
+  // =====================================
+
+  // Store (or replace) the layout of a class
+  async saveClassLayout(classId, layout, { actor = null } = {}) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+      const changes = {
+        layout: JSON.stringify(layout),
+        updated_by: actor,
+        updated_at: this.now()
+      };
+
+      const existing = await driver.findOne('class_layouts', { class_id: classId });
+      if (existing) {
+        await driver.update('class_layouts', { class_id: classId }, changes);
+      } else {
+        await driver.insert('class_layouts', { class_id: classId, ...changes });
+      }
+
+      return this.parseClassLayout(await driver.findOne('class_layouts', { class_id: classId }));
+    });
+  }
+
+  async getClassLayout(classId) {
+    const driver = await this.getDriver();
+    const row = await driver.findOne('class_layouts', { class_id: classId });
+    return row ? this.parseClassLayout(row) : null;
+  }
+
+  parseClassLayout(row) {
+    return {
+      ...row,
+      layout: JSON.parse(row.layout)
+    };
+  }
+
+  // =====================================
+  // Branding Profiles
+  // =====================================
+
+  // Profiles and class branding belong to the current tenant (see getTenantId)
+  brandingFilter(where) {
+    return { tenant_id: this.getTenantId(), ...where };
+  }
+
+  async createBrandingProfile(name, profile, { actor = null } = {}) {
+    const driver = await this.getDriver();
+    const timestamp = this.now();
+    const row = await driver.insert('branding_profiles', {
+      ...this.brandingFilter({ name }),
+      profile: JSON.stringify(profile),
+      created_by: actor,
+      updated_by: actor,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    return this.parseBrandingProfile(row);
+  }
+
+  async getBrandingProfile(name) {
+    const driver = await this.getDriver();
+    const row = await driver.findOne('branding_profiles', this.brandingFilter({ name }));
+    return row ? this.parseBrandingProfile(row) : null;
+  }
+
+  async listBrandingProfiles() {
+    const driver = await this.getDriver();
+    const rows = await driver.find('branding_profiles', this.brandingFilter({}), { orderBy: 'name', direction: 'asc' });
+    return rows.map(row => this.parseBrandingProfile(row));
+  }
+
+  // Replace a profile's fields. Returns null if the profile does not exist.
+  async updateBrandingProfile(name, profile, { actor = null } = {}) {
+    const driver = await this.getDriver();
+    const updated = await driver.update('branding_profiles', this.brandingFilter({ name }), {
+      profile: JSON.stringify(profile),
+      updated_by: actor,
+      updated_at: this.now()
+    });
+    return updated > 0 ? await this.getBrandingProfile(name) : null;
+  }
+
+  async deleteBrandingProfile(name) {
+    const driver = await this.getDriver();
+    return await driver.remove('branding_profiles', this.brandingFilter({ name })) > 0;
+  }
+
+  // Remember which profile a class was built from
+  async setClassBranding(classId, profileName) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+      const where = this.brandingFilter({ class_id: classId });
+      const changes = { profile_name: profileName, updated_at: this.now() };
+
+      if (await driver.findOne('class_branding', where)) {
+        await driver.update('class_branding', where, changes);
+      } else {
+        await driver.insert('class_branding', { ...where, ...changes });
+      }
+    });
+  }
+
+  async getClassBranding(classId) {
+    const driver = await this.getDriver();
+    const row = await driver.findOne('class_branding', this.brandingFilter({ class_id: classId }));
+    return row ? row.profile_name : null;
+  }
+
+  // Class IDs built from a profile
+  async getBrandedClasses(profileName) {
+    const driver = await this.getDriver();
+    const rows = await driver.find('class_branding', this.brandingFilter({ profile_name: profileName }), { orderBy: 'class_id', direction: 'asc' });
+    return rows.map(row => row.class_id);
+  }
+
+  parseBrandingProfile(row) {
+    return {
+      ...row,
+      profile: JSON.parse(row.profile)
+    };
+  }
+
+  // =====================================
+  // Tenants
+  // =====================================
+
+  async createTenant({ id, name, issuerId, classSuffix, objectSuffix, credentials = null, clientEmail = null }) {
+    const driver = await this.getDriver();
+    const timestamp = this.now();
+    return await driver.insert('tenants', {
+      id,
+      name,
+      issuer_id: issuerId,
+      class_suffix: classSuffix,
+      object_suffix: objectSuffix,
+      credentials,
+      client_email: clientEmail,
+      status: 'active',
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+  }
+
+  async getTenant(tenantId) {
+    const driver = await this.getDriver();
+    return await driver.findOne('tenants', { id: tenantId });
+  }
+
+  async findTenantByIssuer(issuerId) {
+    const driver = await this.getDriver();
+    return await driver.findOne('tenants', { issuer_id: issuerId });
+  }
+
+  async listTenants() {
+    const driver = await this.getDriver();
+    return await driver.find('tenants', {}, { orderBy: 'id', direction: 'asc' });
+  }
+
+  // Apply column changes. Returns null if the tenant does not exist.
+  async updateTenant(tenantId, changes) {
+    const driver = await this.getDriver();
+    const updated = await driver.update('tenants', { id: tenantId }, { ...changes, updated_at: this.now() });
+    return updated > 0 ? await this.getTenant(tenantId) : null;
+  }
+
+  async createTenantApiKey({
+    tenantId,
+    keyHash,
+    keyPrefix,
+    label = null,
+    scopes = ['*'],
+    expiresAt = null,
+    ipAllowlist = null,
+    rateLimit = null,
+    signingSecret = null,
+    requireSignature = false
+  }) {
+    const driver = await this.getDriver();
+    const row = await driver.insert('tenant_api_keys', {
+      tenant_id: tenantId,
+      key_hash: keyHash,
+      key_prefix: keyPrefix,
+      label,
+      scopes: JSON.stringify(scopes),
+      expires_at: expiresAt,
+      ip_allowlist: ipAllowlist ? JSON.stringify(ipAllowlist) : null,
+      rate_limit: rateLimit,
+      replaced_by: null,
+      signing_secret: signingSecret,
+      require_signature: requireSignature ? 1 : 0,
+      created_at: this.now(),
+      revoked_at: null
+    });
+    return this.parseTenantApiKey(row);
+  }
+
+  async getTenantApiKey(keyId) {
+    const driver = await this.getDriver();
+    const row = await driver.findOne('tenant_api_keys', { id: keyId });
+    return row ? this.parseTenantApiKey(row) : null;
+  }
+
+  // Active (not revoked) key with this hash
+  async findTenantApiKey(keyHash) {
+    const driver = await this.getDriver();
+    const row = await driver.findOne('tenant_api_keys', { key_hash: keyHash, revoked_at: null });
+    return row ? this.parseTenantApiKey(row) : null;
+  }
+
+  // Keys of one tenant, or of every tenant when tenantId is null
+  async listTenantApiKeys(tenantId = null) {
+    const driver = await this.getDriver();
+    const rows = await driver.find('tenant_api_keys', tenantId ? { tenant_id: tenantId } : {}, {
+      orderBy: 'id',
+      direction: 'asc'
+    });
+    return rows.map(row => this.parseTenantApiKey(row));
+  }
+
+  // Returns false if the key does not exist or is already revoked
+  async revokeTenantApiKey(tenantId, keyId) {
+    const driver = await this.getDriver();
+    const updated = await driver.update('tenant_api_keys', { id: keyId, tenant_id: tenantId, revoked_at: null }, {
+      revoked_at: this.now()
+    });
+    return updated > 0;
+  }
+
+  // Point a rotated key at its replacement and revoke it, or let it expire at
+  // expiresAt (grace period for clients still using it)
+  async retireTenantApiKey(keyId, { replacedBy, expiresAt = null }) {
+    const driver = await this.getDriver();
+    const changes = expiresAt
+      ? { replaced_by: replacedBy, expires_at: expiresAt }
+      : { replaced_by: replacedBy, revoked_at: this.now() };
+
+    await driver.update('tenant_api_keys', { id: keyId }, changes);
+    return await this.getTenantApiKey(keyId);
+  }
+
+  parseTenantApiKey(row) {
+    return {
+      ...row,
+      scopes: row.scopes ? JSON.parse(row.scopes) : ['*'],
+      ip_allowlist: row.ip_allowlist ? JSON.parse(row.ip_allowlist) : null,
+      require_signature: Boolean(row.require_signature)
+    };
+  }
+
+  // Record a signed request's nonce. Returns false if the key already used it
+  // within the window; expired nonces are purged first.
+  async claimRequestNonce(keyId, nonce, expiresAt) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+      const timestamp = this.now();
+
+      await driver.remove('request_nonces', { expires_at: { lte: timestamp } });
+
+      if (await driver.findOne('request_nonces', { key_id: keyId, nonce })) {
+        return false;
+      }
+
+      await driver.insert('request_nonces', {
+        key_id: keyId,
+        nonce,
+        created_at: timestamp,
+        expires_at: expiresAt
+      });
+      return true;
+    });
+  }
+
+  // =====================================
+  // Campaigns
+  // =====================================
+
+  async createCampaign({
+    name,
+    type,
+    data = {},
+    silent = false,
+    targetType,
+    target,
+    runAt = null,
+    cron = null,
+    nextRunAt,
+    createdBy = null,
+    tenantId = 'default'
+  }) {
+    const driver = await this.getDriver();
+    const timestamp = this.now();
+    const row = await driver.insert('campaigns', {
+      tenant_id: tenantId,
+      name,
+      notification_type: type,
+      data: JSON.stringify(data || {}),
+      silent: silent ? 1 : 0,
+      target_type: targetType,
+      target: JSON.stringify(target),
+      run_at: runAt,
+      cron,
+      status: 'scheduled',
+      next_run_at: nextRunAt,
+      last_run_at: null,
+      run_count: 0,
+      created_by: createdBy,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    return this.parseCampaign(row);
+  }
+
+  async getCampaign(campaignId) {
+    const driver = await this.getDriver();
+    const row = await driver.findOne('campaigns', { id: campaignId });
+    return row ? this.parseCampaign(row) : null;
+  }
+
+  // Newest first
+  async listCampaigns({ status = null, tenantId = null, limit = 50, offset = 0 } = {}) {
+    const driver = await this.getDriver();
+    const rows = await driver.find('campaigns', this.campaignFilter({ status, tenantId }), {
+      orderBy: 'id',
+      direction: 'desc',
+      limit,
+      offset
+    });
+    return rows.map(row => this.parseCampaign(row));
+  }
+
+  async countCampaigns({ status = null, tenantId = null } = {}) {
+    const driver = await this.getDriver();
+    return await driver.count('campaigns', this.campaignFilter({ status, tenantId }));
+  }
+
+  campaignFilter({ status, tenantId }) {
+    const where = {};
+    if (status) where.status = status;
+    if (tenantId) where.tenant_id = tenantId;
+    return where;
+  }
+
+  // Scheduled campaigns whose next run is due, earliest first
+  async getDueCampaigns(now, limit = 10) {
+    const driver = await this.getDriver();
+    const rows = await driver.find('campaigns', {
+      status: 'scheduled',
+      next_run_at: { lte: now }
+    }, { orderBy: 'next_run_at', limit });
+    return rows.map(row => this.parseCampaign(row));
+  }
+
+  // Start a run of a due campaign. The campaign moves on to nextRunAt (recurring)
+  // or to "running" (one-off) in the same transaction, so a run is claimed once.
+  // Returns null when the campaign is no longer due.
+  async claimCampaignRun(campaignId, { scheduledFor, nextRunAt = null }) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+      const campaign = await driver.findOne('campaigns', { id: campaignId });
+
+      if (!campaign || campaign.status !== 'scheduled' || campaign.next_run_at !== scheduledFor) {
+        return null;
+      }
+
+      const timestamp = this.now();
+      await driver.update('campaigns', { id: campaignId }, {
+        status: nextRunAt ? 'scheduled' : 'running',
+        next_run_at: nextRunAt,
+        last_run_at: timestamp,
+        run_count: campaign.run_count + 1,
+        updated_at: timestamp
+      });
+
+      const run = await driver.insert('campaign_runs', {
+        campaign_id: campaignId,
+        status: 'running',
+        scheduled_for: scheduledFor,
+        started_at: timestamp,
+        completed_at: null,
+        targeted: 0,
+        successful: 0,
+        failed: 0,
+        downgraded: 0,
+        failures: null,
+        error: null
+      });
+
+      return {
+        campaign: this.parseCampaign(await driver.findOne('campaigns', { id: campaignId })),
+        run: this.parseCampaignRun(run)
+      };
+    });
+  }
+
+  // Store a run's delivery report
+  async completeCampaignRun(runId, { status, targeted = 0, successful = 0, failed = 0, downgraded = 0, failures = [], error = null }) {
+    const driver = await this.getDriver();
+    await driver.update('campaign_runs', { id: runId }, {
+      status,
+      completed_at: this.now(),
+      targeted,
+      successful,
+      failed,
+      downgraded,
+      failures: JSON.stringify(failures),
+      error
+    });
+    return this.parseCampaignRun(await driver.findOne('campaign_runs', { id: runId }));
+  }
+
+  // Close a one-off campaign after its run
+  async finishCampaign(campaignId, status) {
+    const driver = await this.getDriver();
+    await driver.update('campaigns', { id: campaignId, status: 'running' }, {
+      status,
+      updated_at: this.now()
+    });
+  }
+
+  // Cancel a campaign that has not started its final run. Returns null if not cancellable.
+  async cancelCampaign(campaignId) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+      const changed = await driver.update('campaigns', { id: campaignId, status: 'scheduled' }, {
+        status: 'cancelled',
+        next_run_at: null,
+        updated_at: this.now()
+      });
+      if (!changed) {
+        return null;
+      }
+      return this.parseCampaign(await driver.findOne('campaigns', { id: campaignId }));
+    });
+  }
+
+  // Newest run first
+  async getCampaignRuns(campaignId, { limit = 20 } = {}) {
+    const driver = await this.getDriver();
+    const rows = await driver.find('campaign_runs', { campaign_id: campaignId }, {
+      orderBy: 'id',
+      direction: 'desc',
+      limit
+    });
+    return rows.map(row => this.parseCampaignRun(row));
+  }
+
+  // Runs left "running" by a process that stopped mid-run. They are marked
+  // interrupted rather than resumed, so members are never messaged twice.
+  async recoverInterruptedCampaignRuns() {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+      const timestamp = this.now();
+
+      const runs = await driver.update('campaign_runs', { status: 'running' }, {
+        status: 'interrupted',
+        completed_at: timestamp,
+        error: 'Server stopped during the run'
+      });
+      await driver.update('campaigns', { status: 'running' }, {
+        status: 'failed',
+        updated_at: timestamp
+      });
+
+      return runs;
+    });
+  }
+
+  parseCampaign(row) {
+    return {
+      ...row,
+      data: row.data ? JSON.parse(row.data) : {},
+      silent: Boolean(row.silent),
+      target: JSON.parse(row.target)
+    };
+  }
+
+  parseCampaignRun(row) {
+    return {
+      ...row,
+      failures: row.failures ? JSON.parse(row.failures) : []
+    };
+  }
+
+  // =====================================
+  // Batch Notification Jobs
+  // =====================================
+
+  // Create a job and one pending row per recipient
+  async createBatchJob({ type, data = {}, silent = false, userIds, actor = null, tenantId = 'default' }) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+      const job = await driver.insert('batch_jobs', {
+        tenant_id: tenantId,
+        notification_type: type,
+        data: JSON.stringify(data || {}),
+        silent: silent ? 1 : 0,
+        status: 'queued',
+        total: userIds.length,
+        actor,
+        error: null,
+        created_at: this.now(),
+        started_at: null,
+        completed_at: null
+      });
+
+      for (const userId of userIds) {
+        await driver.insert('batch_job_recipients', {
+          job_id: job.id,
+          user_id: userId,
+          status: 'pending',
+          downgraded: 0,
+          notification_id: null,
+          error: null,
+          processed_at: null
+        });
+      }
+
+      return this.parseBatchJob(job);
+    });
+  }
+
+  async getBatchJob(jobId) {
+    const driver = await this.getDriver();
+    const row = await driver.findOne('batch_jobs', { id: jobId });
+    return row ? this.parseBatchJob(row) : null;
+  }
+
+  // Jobs a previous process queued or started but did not finish
+  async getUnfinishedBatchJobs() {
+    const driver = await this.getDriver();
+    const rows = await driver.find('batch_jobs', { status: { in: ['queued', 'running'] } }, { orderBy: 'id' });
+    return rows.map(row => this.parseBatchJob(row));
+  }
+
+  async startBatchJob(jobId) {
+    const driver = await this.getDriver();
+    const job = await driver.findOne('batch_jobs', { id: jobId });
+    await driver.update('batch_jobs', { id: jobId }, {
+      status: 'running',
+      started_at: job.started_at || this.now()
+    });
+  }
+
+  async finishBatchJob(jobId, { status, error = null }) {
+    const driver = await this.getDriver();
+    await driver.update('batch_jobs', { id: jobId }, {
+      status,
+      error,
+      completed_at: this.now()
+    });
+  }
+
+  // Recipients not yet sent, in the order they were submitted
+  async getPendingBatchRecipients(jobId) {
+    const driver = await this.getDriver();
+    return await driver.find('batch_job_recipients', { job_id: jobId, status: 'pending' }, { orderBy: 'id' });
+  }
+
+  // Record the outcome for one recipient (the job's resume point)
+  async checkpointBatchRecipient(recipientId, { status, downgraded = false, notificationId = null, error = null }) {
+    const driver = await this.getDriver();
+    await driver.update('batch_job_recipients', { id: recipientId }, {
+      status,
+      downgraded: downgraded ? 1 : 0,
+      notification_id: notificationId,
+      error,
+      processed_at: this.now()
+    });
+  }
+
+  // Recipient counts by outcome
+  async getBatchJobProgress(jobId) {
+    const driver = await this.getDriver();
+    const [pending, sent, failed, downgraded] = await Promise.all([
+      driver.count('batch_job_recipients', { job_id: jobId, status: 'pending' }),
+      driver.count('batch_job_recipients', { job_id: jobId, status: 'sent' }),
+      driver.count('batch_job_recipients', { job_id: jobId, status: 'failed' }),
+      driver.count('batch_job_recipients', { job_id: jobId, downgraded: 1 })
+    ]);
+    return { pending, sent, failed, downgraded };
+  }
+
+  async getBatchJobFailures(jobId, limit = 100) {
+    const driver = await this.getDriver();
+    return await driver.find('batch_job_recipients', { job_id: jobId, status: 'failed' }, { orderBy: 'id', limit });
+  }
+
+  parseBatchJob(row) {
+    return {
+      ...row,
+      data: row.data ? JSON.parse(row.data) : {},
+      silent: Boolean(row.silent)
+    };
+  }
+
+  // =====================================
+  // Idempotency Keys
+  // =====================================
+
+  // Reserve a key for a new request, or return the record already holding it.
+  // Expired records are purged first so their keys can be reused.
+  async claimIdempotencyKey({ scope, key, requestHash, method, path, expiresAt }) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+      const timestamp = this.now();
+
+      await driver.remove('idempotency_keys', { expires_at: { lte: timestamp } });
+
+      const existing = await driver.findOne('idempotency_keys', { scope, idempotency_key: key });
+      if (existing) {
+        return { created: false, record: this.parseIdempotencyKey(existing) };
+      }
+
+      const record = await driver.insert('idempotency_keys', {
+        scope,
+        idempotency_key: key,
+        request_hash: requestHash,
+        method,
+        path,
+        status_code: null,
+        response_body: null,
+        created_at: timestamp,
+        expires_at: expiresAt
+      });
+      return { created: true, record: this.parseIdempotencyKey(record) };
+    });
+  }
+
+  // Store the response that will be replayed for duplicates
+  async completeIdempotencyKey(scope, key, statusCode, body) {
+    const driver = await this.getDriver();
+    await driver.update('idempotency_keys', { scope, idempotency_key: key }, {
+      status_code: statusCode,
+      response_body: JSON.stringify(body === undefined ? null : body)
+    });
+  }
+
+  // Forget a key so the request can be retried
+  async releaseIdempotencyKey(scope, key) {
+    const driver = await this.getDriver();
+    await driver.remove('idempotency_keys', { scope, idempotency_key: key });
+  }
+
+  parseIdempotencyKey(row) {
+    return {
+      ...row,
+      response_body: row.response_body ? JSON.parse(row.response_body) : null
+    };
+  }
+
+  // =====================================
+  // Webhooks
+  // =====================================
+
+  async createWebhookSubscription({ tenantId = 'default', url, eventTypes, secret, description = null }) {
+    const driver = await this.getDriver();
+    const timestamp = this.now();
+    const row = await driver.insert('webhook_subscriptions', {
+      tenant_id: tenantId,
+      url,
+      event_types: JSON.stringify(eventTypes),
+      secret,
+      description,
+      status: 'active',
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    return this.parseWebhookSubscription(row);
+  }
+
+  async getWebhookSubscription(subscriptionId) {
+    const driver = await this.getDriver();
+    const row = await driver.findOne('webhook_subscriptions', { id: subscriptionId });
+    return row ? this.parseWebhookSubscription(row) : null;
+  }
+
+  // A tenant's subscriptions, optionally only those with a status
+  async listWebhookSubscriptions(tenantId, { status = null } = {}) {
+    const driver = await this.getDriver();
+    const where = status ? { tenant_id: tenantId, status } : { tenant_id: tenantId };
+    const rows = await driver.find('webhook_subscriptions', where, { orderBy: 'id', direction: 'asc' });
+    return rows.map(row => this.parseWebhookSubscription(row));
+  }
+
+  // Apply changes ({ url, eventTypes, description, status, secret }). Returns
+  // null if the subscription does not exist.
+  async updateWebhookSubscription(subscriptionId, { eventTypes, ...changes }) {
+    const driver = await this.getDriver();
+    const columns = { ...changes, updated_at: this.now() };
+    if (eventTypes) {
+      columns.event_types = JSON.stringify(eventTypes);
+    }
+
+    const updated = await driver.update('webhook_subscriptions', { id: subscriptionId }, columns);
+    return updated > 0 ? await this.getWebhookSubscription(subscriptionId) : null;
+  }
+
+  // Remove a subscription and its delivery history
+  async deleteWebhookSubscription(subscriptionId) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+      await driver.remove('webhook_deliveries', { subscription_id: subscriptionId });
+      return (await driver.remove('webhook_subscriptions', { id: subscriptionId })) > 0;
+    });
+  }
+
+  async createWebhookDelivery({ subscriptionId, tenantId = 'default', eventId, eventType, payload }) {
+    const driver = await this.getDriver();
+    const timestamp = this.now();
+    const row = await driver.insert('webhook_deliveries', {
+      subscription_id: subscriptionId,
+      tenant_id: tenantId,
+      event_id: eventId,
+      event_type: eventType,
+      payload: JSON.stringify(payload),
+      status: 'pending',
+      attempts: 0,
+      response_status: null,
+      last_error: null,
+      created_at: timestamp,
+      updated_at: timestamp,
+      delivered_at: null
+    });
+    return this.parseWebhookDelivery(row);
+  }
+
+  async getWebhookDelivery(deliveryId) {
+    const driver = await this.getDriver();
+    const row = await driver.findOne('webhook_deliveries', { id: deliveryId });
+    return row ? this.parseWebhookDelivery(row) : null;
+  }
+
+  // Newest first, for one tenant and optionally one subscription and status
+  async listWebhookDeliveries({ tenantId, subscriptionId = null, status = null, limit = 50 }) {
+    const driver = await this.getDriver();
+    const where = { tenant_id: tenantId };
+    if (subscriptionId) {
+      where.subscription_id = subscriptionId;
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    const rows = await driver.find('webhook_deliveries', where, { orderBy: 'id', direction: 'desc', limit });
+    return rows.map(row => this.parseWebhookDelivery(row));
+  }
+
+  // Deliveries left pending by a previous process, oldest first
+  async getPendingWebhookDeliveries() {
+    const driver = await this.getDriver();
+    const rows = await driver.find('webhook_deliveries', { status: 'pending' }, { orderBy: 'id', direction: 'asc' });
+    return rows.map(row => this.parseWebhookDelivery(row));
+  }
+
+  async updateWebhookDelivery(deliveryId, changes) {
+    const driver = await this.getDriver();
+    await driver.update('webhook_deliveries', { id: deliveryId }, { ...changes, updated_at: this.now() });
+    return await this.getWebhookDelivery(deliveryId);
+  }
+
+  parseWebhookSubscription(row) {
+    return {
+      ...row,
+      event_types: JSON.parse(row.event_types)
+    };
+  }
+
+  parseWebhookDelivery(row) {
+    return {
+      ...row,
+      payload: JSON.parse(row.payload)
+    };
+  }
+
+  // =====================================
+  // Wallet Object Events
+  // =====================================
+
+  // Store a save/delete callback. Returns false if its nonce was already recorded.
+  async recordWalletObjectEvent({ objectId, classId, tenantId = 'default', eventType, nonce }) {
+    return await this.transaction(async () => {
+      const driver = await this.getDriver();
+
+      if (await driver.findOne('wallet_object_events', { nonce })) {
+        return false;
+      }
+
+      await driver.insert('wallet_object_events', {
+        object_id: objectId,
+        class_id: classId,
+        tenant_id: tenantId,
+        event_type: eventType,
+        nonce,
+        received_at: this.now()
+      });
+      return true;
+    });
+  }
+
+  // Most recent event of a type for an object
+  async getLatestWalletObjectEvent(objectId, eventType) {
+    const driver = await this.getDriver();
+    return await driver.findOne('wallet_object_events', { object_id: objectId, event_type: eventType }, {
+      orderBy: 'id',
+      direction: 'desc'
+    });
+  }
+}
+
+// Create singleton instance
+const dbService = new DbService();
+
+module.exports = dbService;
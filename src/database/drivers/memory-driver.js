@@ -0,0 +1,158 @@
+// In-memory storage driver
+// Keeps every table as an array of rows. Used by the test suite and for
+// throwaway local runs where persistence is not needed.
+
+class MemoryDriver {
+  constructor() {
+    this.name = 'memory';
+    this.tables = new Map();
+    this.sequences = new Map();
+  }
+
+  async connect() {
+    return true;
+  }
+
+  async close() {
+    this.tables.clear();
+    this.sequences.clear();
+  }
+
+  // Tables are schemaless here, so migrations only need to be recorded
+  async migrate(migrations) {
+    const applied = new Set(this.getTable('schema_migrations').map(row => row.version));
+    const ran = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      this.getTable('schema_migrations').push({
+        version: migration.version,
+        name: migration.name,
+        applied_at: new Date().toISOString()
+      });
+      ran.push(migration.version);
+    }
+
+    return ran;
+  }
+
+  getTable(table) {
+    if (!this.tables.has(table)) {
+      this.tables.set(table, []);
+    }
+    return this.tables.get(table);
+  }
+
+  nextId(table) {
+    const next = (this.sequences.get(table) || 0) + 1;
+    this.sequences.set(table, next);
+    return next;
+  }
+
+  async insert(table, row) {
+    const record = { ...row };
+
+    if (record.id === undefined || record.id === null) {
+      record.id = this.nextId(table);
+    }
+
+    this.getTable(table).push(record);
+    return { ...record };
+  }
+
+  async find(table, where = {}, options = {}) {
+    let rows = this.getTable(table).filter(row => matchesWhere(row, where));
+
+    if (options.orderBy) {
+      const direction = options.direction === 'desc' ? -1 : 1;
+      rows = [...rows].sort((a, b) => (
+        compareValues(a[options.orderBy], b[options.orderBy]) || compareValues(a.id, b.id)
+      ) * direction);
+    }
+
+    const offset = options.offset || 0;
+    const end = options.limit ? offset + options.limit : undefined;
+
+    return rows.slice(offset, end).map(row => ({ ...row }));
+  }
+
+  async findOne(table, where = {}, options = {}) {
+    const rows = await this.find(table, where, { ...options, limit: 1 });
+    return rows[0] || null;
+  }
+
+  async count(table, where = {}) {
+    return this.getTable(table).filter(row => matchesWhere(row, where)).length;
+  }
+
+  async update(table, where, changes) {
+    let updated = 0;
+
+    this.getTable(table).forEach(row => {
+      if (matchesWhere(row, where)) {
+        Object.assign(row, changes);
+        updated++;
+      }
+    });
+
+    return updated;
+  }
+
+  async remove(table, where) {
+    const rows = this.getTable(table);
+    const kept = rows.filter(row => !matchesWhere(row, where));
+    this.tables.set(table, kept);
+    return rows.length - kept.length;
+  }
+
+  // Snapshot every table and restore it if the callback throws
+  async transaction(fn) {
+    const snapshot = new Map();
+    this.tables.forEach((rows, table) => {
+      snapshot.set(table, rows.map(row => ({ ...row })));
+    });
+    const sequences = new Map(this.sequences);
+
+    try {
+      return await fn(this);
+    } catch (error) {
+      this.tables = snapshot;
+      this.sequences = sequences;
+      throw error;
+    }
+  }
+}
+
+// Compare two column values the way SQLite would for TEXT/INTEGER columns
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+// Match a row against a where clause ({ column: value } or { column: { gte: value } })
+function matchesWhere(row, where) {
+  return Object.entries(where).every(([column, condition]) => {
+    const value = row[column] === undefined ? null : row[column];
+
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return condition === null ? value === null : value === condition;
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case 'ne': return operand === null ? value !== null : value !== operand;
+        case 'gt': return value !== null && compareValues(value, operand) > 0;
+        case 'gte': return value !== null && compareValues(value, operand) >= 0;
+        case 'lt': return value !== null && compareValues(value, operand) < 0;
+        case 'lte': return value !== null && compareValues(value, operand) <= 0;
+        case 'in': return operand.includes(value);
+        default: throw new Error(`Unsupported operator: ${operator}`);
+      }
+    });
+  });
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,195 @@
+// SQLite storage driver (file-based)
+// Wraps better-sqlite3 behind the same async interface as the memory driver.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const OPERATORS = {
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  ne: 'IS NOT'
+};
+
+class SqliteDriver {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.filename = options.filename || ':memory:';
+    this.db = null;
+    this.transactionDepth = 0;
+  }
+
+  async connect() {
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    return true;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // Apply pending migrations in order, each inside its own transaction
+  async migrate(migrations) {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+    const ran = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, new Date().toISOString());
+      })();
+      ran.push(migration.version);
+    }
+
+    return ran;
+  }
+
+  async insert(table, row) {
+    const columns = Object.keys(row).filter(column => row[column] !== undefined);
+    const sql = `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) ` +
+      `VALUES (${columns.map(() => '?').join(', ')})`;
+
+    const info = this.db.prepare(sql).run(...columns.map(column => row[column]));
+    const id = row.id !== undefined && row.id !== null ? row.id : Number(info.lastInsertRowid);
+
+    return this.db.prepare(`SELECT * FROM ${quote(table)} WHERE id = ?`).get(id);
+  }
+
+  async find(table, where = {}, options = {}) {
+    const { clause, params } = buildWhere(where);
+    let sql = `SELECT * FROM ${quote(table)}${clause}`;
+
+    if (options.orderBy) {
+      const direction = options.direction === 'desc' ? 'DESC' : 'ASC';
+      sql += ` ORDER BY ${quote(options.orderBy)} ${direction}, id ${direction}`;
+    }
+
+    if (options.limit) {
+      sql += ' LIMIT ?';
+      params.push(options.limit);
+    } else if (options.offset) {
+      sql += ' LIMIT -1';
+    }
+
+    if (options.offset) {
+      sql += ' OFFSET ?';
+      params.push(options.offset);
+    }
+
+    return this.db.prepare(sql).all(...params);
+  }
+
+  async findOne(table, where = {}, options = {}) {
+    const rows = await this.find(table, where, { ...options, limit: 1 });
+    return rows[0] || null;
+  }
+
+  async count(table, where = {}) {
+    const { clause, params } = buildWhere(where);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM ${quote(table)}${clause}`).get(...params).count;
+  }
+
+  async update(table, where, changes) {
+    const columns = Object.keys(changes).filter(column => changes[column] !== undefined);
+    if (columns.length === 0) return 0;
+
+    const { clause, params } = buildWhere(where);
+    const sql = `UPDATE ${quote(table)} SET ${columns.map(column => `${quote(column)} = ?`).join(', ')}${clause}`;
+
+    return this.db.prepare(sql).run(...columns.map(column => changes[column]), ...params).changes;
+  }
+
+  async remove(table, where) {
+    const { clause, params } = buildWhere(where);
+    return this.db.prepare(`DELETE FROM ${quote(table)}${clause}`).run(...params).changes;
+  }
+
+  // Run an async callback inside a transaction (savepoints for nested calls)
+  async transaction(fn) {
+    const savepoint = `sp_${this.transactionDepth}`;
+    this.db.exec(this.transactionDepth === 0 ? 'BEGIN IMMEDIATE' : `SAVEPOINT ${savepoint}`);
+    this.transactionDepth++;
+
+    try {
+      const result = await fn(this);
+      this.transactionDepth--;
+      this.db.exec(this.transactionDepth === 0 ? 'COMMIT' : `RELEASE ${savepoint}`);
+      return result;
+    } catch (error) {
+      this.transactionDepth--;
+      this.db.exec(this.transactionDepth === 0 ? 'ROLLBACK' : `ROLLBACK TO ${savepoint}`);
+      throw error;
+    }
+  }
+}
+
+function quote(identifier) {
+  if (!IDENTIFIER_PATTERN.test(identifier)) {
+    throw new Error(`Invalid identifier: ${identifier}`);
+  }
+  return `"${identifier}"`;
+}
+
+// Translate { column: value } / { column: { gte: value } } into a WHERE clause
+function buildWhere(where) {
+  const conditions = [];
+  const params = [];
+
+  Object.entries(where).forEach(([column, condition]) => {
+    if (condition === null) {
+      conditions.push(`${quote(column)} IS NULL`);
+      return;
+    }
+
+    if (typeof condition !== 'object' || Array.isArray(condition)) {
+      conditions.push(`${quote(column)} = ?`);
+      params.push(condition);
+      return;
+    }
+
+    Object.entries(condition).forEach(([operator, operand]) => {
+      if (operator === 'in') {
+        conditions.push(`${quote(column)} IN (${operand.map(() => '?').join(', ')})`);
+        params.push(...operand);
+      } else if (OPERATORS[operator]) {
+        conditions.push(`${quote(column)} ${OPERATORS[operator]} ?`);
+        params.push(operand);
+      } else {
+        throw new Error(`Unsupported operator: ${operator}`);
+      }
+    });
+  });
+
+  return {
+    clause: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+module.exports = SqliteDriver;
@@ -0,0 +1,48 @@
+// Initial schema: cards, points ledger and notification log
+
+module.exports = {
+  version: 1,
+  name: 'initial-schema',
+  up: `
+    CREATE TABLE cards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL UNIQUE,
+      object_id TEXT NOT NULL,
+      class_id TEXT,
+      member_name TEXT,
+      points INTEGER NOT NULL DEFAULT 0,
+      tier TEXT NOT NULL DEFAULT 'Bronze',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_cards_object_id ON cards (object_id);
+
+    CREATE TABLE transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      transaction_type TEXT NOT NULL,
+      points INTEGER NOT NULL,
+      reason TEXT,
+      balance_before INTEGER,
+      balance_after INTEGER,
+      related_user_id TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_transactions_user_created ON transactions (user_id, created_at);
+
+    CREATE TABLE notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      object_id TEXT,
+      notification_type TEXT NOT NULL,
+      message TEXT,
+      data TEXT,
+      silent INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_notifications_user_created ON notifications (user_id, created_at);
+  `
+};
@@ -0,0 +1,10 @@
+// Tier qualification state: grace period before demotion and last evaluation
+
+module.exports = {
+  version: 2,
+  name: 'tier-status',
+  up: `
+    ALTER TABLE cards ADD COLUMN tier_grace_until TEXT;
+    ALTER TABLE cards ADD COLUMN tier_evaluated_at TEXT;
+  `
+};
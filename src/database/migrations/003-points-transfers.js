@@ -0,0 +1,12 @@
+// Linked transfer ledger rows and Wallet sync tracking for cards
+
+module.exports = {
+  version: 3,
+  name: 'points-transfers',
+  up: `
+    ALTER TABLE transactions ADD COLUMN transfer_id TEXT;
+    CREATE INDEX idx_transactions_transfer_id ON transactions (transfer_id);
+
+    ALTER TABLE cards ADD COLUMN wallet_sync_pending INTEGER NOT NULL DEFAULT 0;
+  `
+};
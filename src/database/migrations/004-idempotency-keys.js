@@ -0,0 +1,23 @@
+// Stored responses for requests sent with an Idempotency-Key header
+
+module.exports = {
+  version: 4,
+  name: 'idempotency-keys',
+  up: `
+    CREATE TABLE idempotency_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      status_code INTEGER,
+      response_body TEXT,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      UNIQUE (scope, idempotency_key)
+    );
+
+    CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys (expires_at);
+  `
+};
@@ -0,0 +1,16 @@
+// Push notifications counted against each object's rolling daily quota
+
+module.exports = {
+  version: 5,
+  name: 'notification-quota',
+  up: `
+    CREATE TABLE notification_quota (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      object_id TEXT NOT NULL,
+      user_id TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_notification_quota_object_created ON notification_quota (object_id, created_at);
+  `
+};
@@ -0,0 +1,33 @@
+// Notification audit trail: header, delivery status, Wallet response and the
+// API key that sent it. SQLite cannot relax NOT NULL in place, so the table is
+// rebuilt to allow messages sent to objects without a local card (no user_id).
+
+module.exports = {
+  version: 6,
+  name: 'notification-audit',
+  up: `
+    CREATE TABLE notifications_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      object_id TEXT,
+      notification_type TEXT NOT NULL,
+      header TEXT,
+      message TEXT,
+      data TEXT,
+      silent INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'sent',
+      wallet_response TEXT,
+      actor TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    INSERT INTO notifications_new (id, user_id, object_id, notification_type, message, data, silent, status, created_at)
+      SELECT id, user_id, object_id, notification_type, message, data, silent, 'sent', created_at FROM notifications;
+
+    DROP TABLE notifications;
+    ALTER TABLE notifications_new RENAME TO notifications;
+
+    CREATE INDEX idx_notifications_user_created ON notifications (user_id, created_at);
+    CREATE INDEX idx_notifications_created ON notifications (created_at);
+  `
+};
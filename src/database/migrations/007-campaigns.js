@@ -0,0 +1,45 @@
+// Scheduled and recurring notification campaigns, and a delivery report per run
+
+module.exports = {
+  version: 7,
+  name: 'campaigns',
+  up: `
+    CREATE TABLE campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      notification_type TEXT NOT NULL,
+      data TEXT,
+      silent INTEGER NOT NULL DEFAULT 0,
+      target_type TEXT NOT NULL,
+      target TEXT NOT NULL,
+      run_at TEXT,
+      cron TEXT,
+      status TEXT NOT NULL DEFAULT 'scheduled',
+      next_run_at TEXT,
+      last_run_at TEXT,
+      run_count INTEGER NOT NULL DEFAULT 0,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_campaigns_status_next_run ON campaigns (status, next_run_at);
+
+    CREATE TABLE campaign_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id INTEGER NOT NULL REFERENCES campaigns(id),
+      status TEXT NOT NULL,
+      scheduled_for TEXT,
+      started_at TEXT NOT NULL,
+      completed_at TEXT,
+      targeted INTEGER NOT NULL DEFAULT 0,
+      successful INTEGER NOT NULL DEFAULT 0,
+      failed INTEGER NOT NULL DEFAULT 0,
+      downgraded INTEGER NOT NULL DEFAULT 0,
+      failures TEXT,
+      error TEXT
+    );
+
+    CREATE INDEX idx_campaign_runs_campaign ON campaign_runs (campaign_id);
+  `
+};
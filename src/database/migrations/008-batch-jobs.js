@@ -0,0 +1,37 @@
+// Batch notification jobs, with one checkpointed row per recipient so a job
+// can resume where it stopped
+
+module.exports = {
+  version: 8,
+  name: 'batch-jobs',
+  up: `
+    CREATE TABLE batch_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      notification_type TEXT NOT NULL,
+      data TEXT,
+      silent INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'queued',
+      total INTEGER NOT NULL DEFAULT 0,
+      actor TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL,
+      started_at TEXT,
+      completed_at TEXT
+    );
+
+    CREATE INDEX idx_batch_jobs_status ON batch_jobs (status);
+
+    CREATE TABLE batch_job_recipients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL REFERENCES batch_jobs(id),
+      user_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      downgraded INTEGER NOT NULL DEFAULT 0,
+      notification_id INTEGER,
+      error TEXT,
+      processed_at TEXT
+    );
+
+    CREATE INDEX idx_batch_job_recipients_job_status ON batch_job_recipients (job_id, status);
+  `
+};
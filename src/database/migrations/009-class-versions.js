@@ -0,0 +1,19 @@
+// Local history of loyalty class definitions, one row per change written to Wallet
+
+module.exports = {
+  version: 9,
+  name: 'class-versions',
+  up: `
+    CREATE TABLE class_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      class_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      change_type TEXT NOT NULL,
+      definition TEXT NOT NULL,
+      rolled_back_to INTEGER,
+      actor TEXT,
+      created_at TEXT NOT NULL,
+      UNIQUE (class_id, version)
+    );
+  `
+};
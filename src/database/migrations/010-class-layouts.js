@@ -0,0 +1,15 @@
+// Card layout of each class, in the layout-engine format
+
+module.exports = {
+  version: 10,
+  name: 'class-layouts',
+  up: `
+    CREATE TABLE class_layouts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      class_id TEXT NOT NULL UNIQUE,
+      layout TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at TEXT NOT NULL
+    );
+  `
+};
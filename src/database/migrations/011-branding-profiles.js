@@ -0,0 +1,26 @@
+// Named branding profiles (one per storefront) and the profile each class was built from
+
+module.exports = {
+  version: 11,
+  name: 'branding-profiles',
+  up: `
+    CREATE TABLE branding_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      profile TEXT NOT NULL,
+      created_by TEXT,
+      updated_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE class_branding (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      class_id TEXT NOT NULL UNIQUE,
+      profile_name TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_class_branding_profile ON class_branding(profile_name);
+  `
+};
@@ -0,0 +1,36 @@
+// Tenants (one Wallet issuer each) with their API keys. Campaigns and batch
+// jobs remember the tenant that created them so they run with its credentials.
+
+module.exports = {
+  version: 12,
+  name: 'tenants',
+  up: `
+    CREATE TABLE tenants (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      issuer_id TEXT NOT NULL,
+      class_suffix TEXT NOT NULL,
+      object_suffix TEXT NOT NULL,
+      credentials TEXT,
+      client_email TEXT,
+      status TEXT NOT NULL DEFAULT 'active',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE tenant_api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tenant_id TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      key_prefix TEXT NOT NULL,
+      label TEXT,
+      created_at TEXT NOT NULL,
+      revoked_at TEXT
+    );
+
+    CREATE INDEX idx_tenant_api_keys_tenant ON tenant_api_keys(tenant_id);
+
+    ALTER TABLE campaigns ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+    ALTER TABLE batch_jobs ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+  `
+};
@@ -0,0 +1,14 @@
+// Scopes, expiry, IP allowlists and rate limits for stored API keys. Keys
+// issued before this migration keep full access ("*") within their tenant.
+
+module.exports = {
+  version: 13,
+  name: 'api-key-scopes',
+  up: `
+    ALTER TABLE tenant_api_keys ADD COLUMN scopes TEXT NOT NULL DEFAULT '["*"]';
+    ALTER TABLE tenant_api_keys ADD COLUMN expires_at TEXT;
+    ALTER TABLE tenant_api_keys ADD COLUMN ip_allowlist TEXT;
+    ALTER TABLE tenant_api_keys ADD COLUMN rate_limit INTEGER;
+    ALTER TABLE tenant_api_keys ADD COLUMN replaced_by INTEGER;
+  `
+};
@@ -0,0 +1,22 @@
+// Signing secrets for HMAC-signed requests and the nonces already seen, kept
+// until their timestamp falls out of the accepted clock-skew window
+
+module.exports = {
+  version: 14,
+  name: 'request-signing',
+  up: `
+    ALTER TABLE tenant_api_keys ADD COLUMN signing_secret TEXT;
+    ALTER TABLE tenant_api_keys ADD COLUMN require_signature INTEGER NOT NULL DEFAULT 0;
+
+    CREATE TABLE request_nonces (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      key_id INTEGER NOT NULL,
+      nonce TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      UNIQUE (key_id, nonce)
+    );
+
+    CREATE INDEX idx_request_nonces_expires ON request_nonces (expires_at);
+  `
+};
@@ -0,0 +1,20 @@
+// Save and delete callbacks Google Wallet sent for loyalty objects. The nonce
+// of each callback is unique, so redelivered callbacks are stored once.
+
+module.exports = {
+  version: 15,
+  name: 'wallet-object-events',
+  up: `
+    CREATE TABLE wallet_object_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      object_id TEXT NOT NULL,
+      class_id TEXT NOT NULL,
+      tenant_id TEXT NOT NULL DEFAULT 'default',
+      event_type TEXT NOT NULL,
+      nonce TEXT NOT NULL UNIQUE,
+      received_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_wallet_object_events_object ON wallet_object_events (object_id, event_type);
+  `
+};
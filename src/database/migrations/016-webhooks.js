@@ -0,0 +1,42 @@
+// Outbound webhook subscriptions (per tenant) and one delivery row per event
+// and subscription. Deliveries that ran out of retries stay "failed" as the
+// dead-letter list until they are redelivered.
+
+module.exports = {
+  version: 16,
+  name: 'webhooks',
+  up: `
+    CREATE TABLE webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tenant_id TEXT NOT NULL DEFAULT 'default',
+      url TEXT NOT NULL,
+      event_types TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      description TEXT,
+      status TEXT NOT NULL DEFAULT 'active',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_webhook_subscriptions_tenant ON webhook_subscriptions (tenant_id, status);
+
+    CREATE TABLE webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER NOT NULL,
+      tenant_id TEXT NOT NULL DEFAULT 'default',
+      event_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      last_error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      delivered_at TEXT
+    );
+
+    CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, status);
+    CREATE INDEX idx_webhook_deliveries_status ON webhook_deliveries (tenant_id, status);
+  `
+};
@@ -0,0 +1,59 @@
+// Members belong to a tenant: cards, their ledger and notification log carry
+// tenant_id, and user IDs are only unique within a tenant. SQLite cannot drop
+// the UNIQUE on cards.user_id in place, so that table is rebuilt. Existing
+// cards go to the tenant whose issuer prefixes their object ID (the default
+// tenant otherwise), and ledger and notification rows follow their card.
+// Issuer IDs become unique so Wallet callbacks resolve to a single tenant.
+
+module.exports = {
+  version: 17,
+  name: 'member-tenants',
+  up: `
+    CREATE TABLE cards_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tenant_id TEXT NOT NULL DEFAULT 'default',
+      user_id TEXT NOT NULL,
+      object_id TEXT NOT NULL,
+      class_id TEXT,
+      member_name TEXT,
+      points INTEGER NOT NULL DEFAULT 0,
+      tier TEXT NOT NULL DEFAULT 'Bronze',
+      tier_grace_until TEXT,
+      tier_evaluated_at TEXT,
+      wallet_sync_pending INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (tenant_id, user_id)
+    );
+
+    INSERT INTO cards_new (id, tenant_id, user_id, object_id, class_id, member_name, points, tier,
+        tier_grace_until, tier_evaluated_at, wallet_sync_pending, created_at, updated_at)
+      SELECT id,
+        COALESCE((SELECT tenants.id FROM tenants
+          WHERE tenants.issuer_id = substr(cards.object_id, 1, instr(cards.object_id, '.') - 1)), 'default'),
+        user_id, object_id, class_id, member_name, points, tier,
+        tier_grace_until, tier_evaluated_at, wallet_sync_pending, created_at, updated_at
+      FROM cards;
+
+    DROP TABLE cards;
+    ALTER TABLE cards_new RENAME TO cards;
+
+    CREATE INDEX idx_cards_object_id ON cards (object_id);
+    CREATE INDEX idx_cards_tenant_pending ON cards (tenant_id, wallet_sync_pending);
+
+    ALTER TABLE transactions ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+    UPDATE transactions SET tenant_id = COALESCE(
+      (SELECT cards.tenant_id FROM cards WHERE cards.user_id = transactions.user_id), 'default');
+    DROP INDEX idx_transactions_user_created;
+    CREATE INDEX idx_transactions_user_created ON transactions (tenant_id, user_id, created_at);
+
+    ALTER TABLE notifications ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+    UPDATE notifications SET tenant_id = COALESCE(
+      (SELECT cards.tenant_id FROM cards WHERE cards.object_id = notifications.object_id),
+      (SELECT cards.tenant_id FROM cards WHERE cards.user_id = notifications.user_id), 'default');
+    DROP INDEX idx_notifications_user_created;
+    CREATE INDEX idx_notifications_user_created ON notifications (tenant_id, user_id, created_at);
+
+    CREATE UNIQUE INDEX idx_tenants_issuer_id ON tenants (issuer_id);
+  `
+};
@@ -0,0 +1,55 @@
+// Branding profiles and class branding belong to a tenant, and profile names
+// are only unique within one. Both tables are rebuilt to replace their UNIQUE
+// columns. Class branding goes to the tenant whose issuer prefixes the class
+// ID; a profile goes to the tenant whose classes use it when that is a single
+// stored tenant, and to the default tenant otherwise.
+
+module.exports = {
+  version: 18,
+  name: 'branding-tenants',
+  up: `
+    CREATE TABLE class_branding_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tenant_id TEXT NOT NULL DEFAULT 'default',
+      class_id TEXT NOT NULL,
+      profile_name TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (tenant_id, class_id)
+    );
+
+    INSERT INTO class_branding_new (id, tenant_id, class_id, profile_name, updated_at)
+      SELECT id,
+        COALESCE((SELECT tenants.id FROM tenants
+          WHERE tenants.issuer_id = substr(class_branding.class_id, 1, instr(class_branding.class_id, '.') - 1)), 'default'),
+        class_id, profile_name, updated_at
+      FROM class_branding;
+
+    DROP TABLE class_branding;
+    ALTER TABLE class_branding_new RENAME TO class_branding;
+
+    CREATE INDEX idx_class_branding_profile ON class_branding (tenant_id, profile_name);
+
+    CREATE TABLE branding_profiles_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tenant_id TEXT NOT NULL DEFAULT 'default',
+      name TEXT NOT NULL,
+      profile TEXT NOT NULL,
+      created_by TEXT,
+      updated_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (tenant_id, name)
+    );
+
+    INSERT INTO branding_profiles_new (id, tenant_id, name, profile, created_by, updated_by, created_at, updated_at)
+      SELECT id,
+        COALESCE((SELECT MIN(class_branding.tenant_id) FROM class_branding
+          WHERE class_branding.profile_name = branding_profiles.name
+          HAVING COUNT(DISTINCT class_branding.tenant_id) = 1), 'default'),
+        name, profile, created_by, updated_by, created_at, updated_at
+      FROM branding_profiles;
+
+    DROP TABLE branding_profiles;
+    ALTER TABLE branding_profiles_new RENAME TO branding_profiles;
+  `
+};
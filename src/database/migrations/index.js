@@ -0,0 +1,22 @@
+// Ordered list of schema migrations - append new files here
+
+module.exports = [
+  require('./001-initial-schema'),
+  require('./002-tier-status'),
+  require('./003-points-transfers'),
+  require('./004-idempotency-keys'),
+  require('./005-notification-quota'),
+  require('./006-notification-audit'),
+  require('./007-campaigns'),
+  require('./008-batch-jobs'),
+  require('./009-class-versions'),
+  require('./010-class-layouts'),
+  require('./011-branding-profiles'),
+  require('./012-tenants'),
+  require('./013-api-key-scopes'),
+  require('./014-request-signing'),
+  require('./015-wallet-object-events'),
+  require('./016-webhooks'),
+  require('./017-member-tenants'),
+  require('./018-branding-tenants')
+];
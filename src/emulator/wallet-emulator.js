@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const REVIEW_STATUSES = ['UNDER_REVIEW', 'APPROVED', 'REJECTED', 'DRAFT'];
+const OBJECT_STATES = ['ACTIVE', 'COMPLETED', 'EXPIRED', 'INACTIVE'];
+const MESSAGE_TYPES = ['TEXT', 'TEXT_AND_NOTIFY', 'EXPIRATION_NOTIFICATION'];
+const BALANCE_TYPES = ['string', 'int', 'double', 'money'];
+const MAX_TEXT_MODULES = 10;
+const DEFAULT_PAGE_SIZE = 100;
+
+const ERROR_STATUSES = {
+  400: { status: 'INVALID_ARGUMENT', reason: 'badRequest' },
+  404: { status: 'NOT_FOUND', reason: 'notFound' },
+  409: { status: 'ALREADY_EXISTS', reason: 'duplicate' },
+  429: { status: 'RESOURCE_EXHAUSTED', reason: 'rateLimitExceeded' },
+  500: { status: 'INTERNAL', reason: 'backendError' },
+  503: { status: 'UNAVAILABLE', reason: 'backendError' }
+};
+
+// Build an error shaped like the ones googleapis throws, so the services'
+// error handling (error.code, logger.interpretGoogleApiError) behaves the same
+const createApiError = (code, message) => {
+  const details = ERROR_STATUSES[code] || ERROR_STATUSES[500];
+  const error = new Error(message);
+  error.code = code;
+  error.status = code;
+  error.errors = [{ message, domain: 'global', reason: details.reason }];
+  error.response = {
+    status: code,
+    data: {
+      error: { code, message, status: details.status, errors: error.errors }
+    }
+  };
+  return error;
+};
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// PATCH semantics: nested messages are merged field by field, lists and scalars are replaced
+const mergePatch = (target, patch) => {
+  const merged = { ...target };
+  Object.entries(patch).forEach(([key, value]) => {
+    const current = merged[key];
+    const isMessage = value && typeof value === 'object' && !Array.isArray(value);
+    const currentIsMessage = current && typeof current === 'object' && !Array.isArray(current);
+    merged[key] = isMessage && currentIsMessage ? mergePatch(current, value) : clone(value);
+  });
+  return merged;
+};
+
+// In-process stand-in for the Google Wallet Objects API (walletobjects v1).
+// Exposes the same loyaltyclass / loyaltyobject methods as the googleapis client
+// (insert, get, patch, update, list, addmessage) backed by in-memory maps, and
+// reproduces the error behaviour the services rely on: 404 for unknown IDs,
+// 409 on duplicate inserts, 429 when the configured rate limit is exceeded and
+// 400 for invalid fields. Enabled with WALLET_BACKEND=emulator.
+class WalletEmulator {
+  constructor() {
+    this.client = null;
+    this.credentials = null;
+    this.reset();
+  }
+
+  // Drop all classes, objects and injected failures
+  reset(options = {}) {
+    this.classes = new Map();
+    this.objects = new Map();
+    this.failures = [];
+    this.requestLog = [];
+    this.recentRequests = [];
+    this.messageSequence = 0;
+    this.rateLimitPerMinute = options.rateLimitPerMinute !== undefined
+      ? options.rateLimitPerMinute
+      : parseInt(process.env.WALLET_EMULATOR_RATE_LIMIT || '0', 10);
+  }
+
+  // Client with the same shape as google.walletobjects({ version: 'v1' })
+  getClient() {
+    if (!this.client) {
+      this.client = {
+        loyaltyclass: this.createResource('loyaltyclass'),
+        loyaltyobject: this.createResource('loyaltyobject')
+      };
+    }
+    return this.client;
+  }
+
+  // Make the next matching call(s) fail, e.g. injectFailure('loyaltyobject.patch', 503)
+  injectFailure(operation, code, { times = 1, message = null } = {}) {
+    this.failures.push({
+      operation,
+      code,
+      remaining: times,
+      message: message || `Emulated ${code} error for ${operation}`
+    });
+  }
+
+  // Throwaway service account used to sign Save to Wallet JWTs offline
+  getCredentials() {
+    if (!this.credentials) {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+      });
+
+      this.credentials = {
+        type: 'service_account',
+        client_email: 'wallet-emulator@localhost.iam.gserviceaccount.com',
+        private_key: privateKey
+      };
+    }
+    return this.credentials;
+  }
+
+  createResource(kind) {
+    // Looked up per call so reset() takes effect for clients handed out earlier
+    const store = () => (kind === 'loyaltyclass' ? this.classes : this.objects);
+
+    return {
+      insert: (params = {}) => this.call(kind, 'insert', () => this.insert(kind, store(), params.requestBody)),
+      get: (params = {}) => this.call(kind, 'get', () => this.get(store(), params.resourceId)),
+      patch: (params = {}) => this.call(kind, 'patch', () => this.patch(kind, store(), params.resourceId, params.requestBody)),
+      update: (params = {}) => this.call(kind, 'update', () => this.update(kind, store(), params.resourceId, params.requestBody)),
+      list: (params = {}) => this.call(kind, 'list', () => this.list(kind, store(), params)),
+      addmessage: (params = {}) => this.call(kind, 'addmessage', () => this.addMessage(store(), params.resourceId, params.requestBody))
+    };
+  }
+
+  // Common path for every API call: request log, injected failures, rate limit
+  async call(kind, method, handler) {
+    const operation = `${kind}.${method}`;
+    this.requestLog.push({ operation, timestamp: Date.now() });
+
+    const failure = this.failures.find(f => f.operation === operation && f.remaining > 0);
+    if (failure) {
+      failure.remaining--;
+      throw createApiError(failure.code, failure.message);
+    }
+
+    if (this.rateLimitPerMinute > 0) {
+      const windowStart = Date.now() - 60 * 1000;
+      this.recentRequests = this.recentRequests.filter(time => time > windowStart);
+      if (this.recentRequests.length >= this.rateLimitPerMinute) {
+        throw createApiError(429, 'Quota exceeded for quota metric requests per minute');
+      }
+      this.recentRequests.push(Date.now());
+    }
+
+    const data = handler();
+    logger.debug('Wallet Emulator Request', { operation });
+    return { status: 200, data: clone(data) };
+  }
+
+  insert(kind, store, resource) {
+    if (!resource || !resource.id) {
+      throw createApiError(400, 'Resource id is required');
+    }
+    if (store.has(resource.id)) {
+      throw createApiError(409, `Resource with id ${resource.id} already exists`);
+    }
+
+    const record = clone(resource);
+    this.validate(kind, record);
+    store.set(record.id, record);
+    return record;
+  }
+
+  get(store, resourceId) {
+    const record = store.get(resourceId);
+    if (!record) {
+      throw createApiError(404, `Resource with id ${resourceId} not found`);
+    }
+    return record;
+  }
+
+  patch(kind, store, resourceId, changes = {}) {
+    const existing = this.get(store, resourceId);
+
+    // Sending the smart tap value alongside the points balance is rejected by
+    // the live API, so PATCH callers must leave it out
+    if (kind === 'loyaltyobject' && changes.smartTapRedemptionValue !== undefined && changes.loyaltyPoints) {
+      throw createApiError(400, 'Loyalty object has multiple balance types');
+    }
+
+    const record = mergePatch(existing, { ...changes, id: resourceId });
+    this.validate(kind, record);
+    store.set(resourceId, record);
+    return record;
+  }
+
+  update(kind, store, resourceId, resource = {}) {
+    this.get(store, resourceId);
+    if (resource.id && resource.id !== resourceId) {
+      throw createApiError(400, `Resource id ${resource.id} does not match ${resourceId}`);
+    }
+
+    const record = { ...clone(resource), id: resourceId };
+    this.validate(kind, record);
+    store.set(resourceId, record);
+    return record;
+  }
+
+  list(kind, store, params) {
+    const filterKey = kind === 'loyaltyclass' ? 'issuerId' : 'classId';
+    if (!params[filterKey]) {
+      throw createApiError(400, `${filterKey} is required`);
+    }
+
+    const matches = [...store.values()].filter(record => (
+      kind === 'loyaltyclass'
+        ? record.id.startsWith(`${params.issuerId}.`)
+        : record.classId === params.classId
+    ));
+
+    const pageSize = Math.max(parseInt(params.maxResults, 10) || DEFAULT_PAGE_SIZE, 1);
+    const offset = parseInt(params.token, 10) || 0;
+    const resources = matches.slice(offset, offset + pageSize);
+    const nextOffset = offset + resources.length;
+
+    return {
+      resources,
+      pagination: {
+        kind: 'walletobjects#pagination',
+        resultsPerPage: resources.length,
+        nextPageToken: nextOffset < matches.length ? String(nextOffset) : undefined
+      }
+    };
+  }
+
+  addMessage(store, resourceId, body = {}) {
+    const record = this.get(store, resourceId);
+    const message = body.message;
+
+    if (!message || !message.header || !message.body) {
+      throw createApiError(400, 'Message header and body are required');
+    }
+    if (message.messageType && !MESSAGE_TYPES.includes(message.messageType)) {
+      throw createApiError(400, `Invalid messageType ${message.messageType}`);
+    }
+
+    this.messageSequence++;
+    record.messages = [
+      ...(record.messages || []),
+      { ...clone(message), id: message.id || `emulator_message_${this.messageSequence}` }
+    ];
+
+    // The live API wraps the updated resource in LoyaltyObjectAddMessageResponse
+    return { resource: record };
+  }
+
+  // Field validation applied to every stored version of a resource
+  validate(kind, record) {
+    if (!/^\d+\.[\w.-]+$/.test(record.id)) {
+      throw createApiError(400, `Invalid resource id ${record.id}. Expected <issuerId>.<identifier>`);
+    }
+
+    if (kind === 'loyaltyclass') {
+      if (!record.issuerName) {
+        throw createApiError(400, 'issuerName is required');
+      }
+      if (!record.programName) {
+        throw createApiError(400, 'programName is required');
+      }
+      if (!REVIEW_STATUSES.includes(String(record.reviewStatus || '').toUpperCase())) {
+        throw createApiError(400, `reviewStatus must be one of ${REVIEW_STATUSES.join(', ')}`);
+      }
+      if (record.hexBackgroundColor && !/^#[0-9A-Fa-f]{6}$/.test(record.hexBackgroundColor)) {
+        throw createApiError(400, `Invalid hexBackgroundColor ${record.hexBackgroundColor}`);
+      }
+      return;
+    }
+
+    if (!record.classId) {
+      throw createApiError(400, 'classId is required');
+    }
+    if (!this.classes.has(record.classId)) {
+      throw createApiError(404, `Class with id ${record.classId} not found`);
+    }
+    if (record.id.split('.')[0] !== record.classId.split('.')[0]) {
+      throw createApiError(400, 'Object and class must belong to the same issuer');
+    }
+    if (!OBJECT_STATES.includes(String(record.state || '').toUpperCase())) {
+      throw createApiError(400, `state must be one of ${OBJECT_STATES.join(', ')}`);
+    }
+
+    ['loyaltyPoints', 'secondaryLoyaltyPoints'].forEach(field => {
+      const balance = record[field] && record[field].balance;
+      if (balance && BALANCE_TYPES.filter(type => balance[type] !== undefined).length > 1) {
+        throw createApiError(400, 'Loyalty object has multiple balance types');
+      }
+    });
+
+    if ((record.textModulesData || []).length > MAX_TEXT_MODULES) {
+      throw createApiError(400, `textModulesData supports at most ${MAX_TEXT_MODULES} entries`);
+    }
+  }
+}
+
+// Create singleton instance
+const walletEmulator = new WalletEmulator();
+
+module.exports = walletEmulator;
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const dbService = require('../database/db-service');
+const { getApiKeyId } = require('./security');
+const logger = require('../utils/logger');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with object keys sorted, so equal payloads hash equally
+ * @param {*} value - Parsed request body
+ * @returns {String}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprint of the request a key was first used with
+ * @param {Object} req - Express request object
+ * @returns {String} SHA-256 hex digest of method, URL, body and uploaded file
+ */
+const fingerprintRequest = (req) => {
+  const hash = crypto.createHash('sha256')
+    .update(`${req.method}\n${req.originalUrl}\n${stableStringify(req.body || {})}`);
+  if (req.file) {
+    hash.update(`\n${req.file.filename}\n`).update(req.file.content);
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * Keys are scoped to the caller's API key so clients cannot collide
+ * @param {Object} req - Express request object
+ * @returns {String}
+ */
+const resolveScope = (req) => {
+  return getApiKeyId(req) || 'anonymous';
+};
+
+/**
+ * Create Idempotency-Key middleware for POST requests.
+ * The first response (status + JSON body) is stored for ttlMs and replayed for
+ * duplicates. A key reused with a different request is rejected with 422, and a
+ * duplicate that arrives while the first request is still running gets 409.
+ * Server errors (5xx) are not stored, so the client can retry with the same key.
+ * Multipart bodies are not parsed yet when this runs app-wide, so those requests
+ * pass through and upload routes mount it again after their parser (see
+ * singleFileUpload); the file then counts towards the fingerprint.
+ * @param {Object} options
+ * @param {Number} options.ttlMs - How long responses are kept (default: IDEMPOTENCY_TTL_MS or 24h)
+ * @returns {Function} Express middleware
+ */
+const createIdempotency = (options = {}) => {
+  const ttlMs = options.ttlMs || parseInt(process.env.IDEMPOTENCY_TTL_MS || DEFAULT_TTL_MS, 10);
+
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (req.method !== 'POST' || key === undefined || req.idempotencyKeyClaimed) {
+      return next();
+    }
+
+    if (req.is('multipart/form-data') && !req.file) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7E]+$/.test(key)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid idempotency key',
+        message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters without spaces`
+      });
+    }
+
+    req.idempotencyKeyClaimed = true;
+    const scope = resolveScope(req);
+    const requestHash = fingerprintRequest(req);
+    let claim;
+
+    try {
+      claim = await dbService.claimIdempotencyKey({
+        scope,
+        key,
+        requestHash,
+        method: req.method,
+        path: req.path,
+        expiresAt: new Date(Date.now() + ttlMs).toISOString()
+      });
+    } catch (error) {
+      logger.error('Idempotency Key Lookup Failed', {
+        error: error.message,
+        path: req.path
+      });
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Could not process the idempotency key'
+      });
+    }
+
+    if (!claim.created) {
+      const { record } = claim;
+
+      if (record.request_hash !== requestHash) {
+        logger.logSecurityEvent('IDEMPOTENCY_KEY_REUSED', {
+          path: req.path,
+          originalPath: record.path,
+          ip: req.ip
+        });
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency key reused',
+          message: 'This Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (record.status_code === null || record.status_code === undefined) {
+        return res.status(409).json({
+          success: false,
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      logger.info('Idempotent Request Replayed', {
+        path: req.path,
+        statusCode: record.status_code
+      });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.status_code).json(record.response_body);
+    }
+
+    // Store the JSON response before it is sent, so a retry arriving right
+    // after the client receives it is replayed rather than reported as in progress
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (settled || res.statusCode >= 500) {
+        return json(body);
+      }
+
+      settled = true;
+      dbService.completeIdempotencyKey(scope, key, res.statusCode, body)
+        .catch(error => {
+          logger.error('Failed to Store Idempotent Response', {
+            error: error.message,
+            path: req.path
+          });
+        })
+        .then(() => json(body));
+      return res;
+    };
+
+    // Anything else (5xx, non-JSON responses, aborted requests) frees the key for a retry
+    const release = () => {
+      if (settled) return;
+      settled = true;
+
+      dbService.releaseIdempotencyKey(scope, key).catch(error => {
+        logger.error('Failed to Release Idempotency Key', {
+          error: error.message,
+          path: req.path
+        });
+      });
+    };
+
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  };
+};
+
+const idempotency = createIdempotency();
+
+module.exports = {
+  idempotency,
+  createIdempotency,
+  fingerprintRequest
+};
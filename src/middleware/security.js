@@ -1,9 +1,16 @@
+const crypto = require('crypto');
 const helmet = require('helmet');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
 const xss = require('xss');
 const logger = require('../utils/logger');
+const { isValidCron } = require('../utils/cron');
+const templateEngine = require('../services/template-engine');
+const tenantService = require('../services/tenant-service');
+const apiKeyService = require('../services/api-key-service');
+const walletPages = require('../utils/wallet-pages');
+const webhookService = require('../services/webhook-service');
 
 // Security Headers Middleware
 const securityHeaders = helmet({
@@ -74,9 +81,12 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['X-Total-Count', 'X-Rate-Limit-Remaining']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key',
+    'X-Key-Id', 'X-Timestamp', 'X-Nonce', 'X-Signature'
+  ],
+  exposedHeaders: ['X-Total-Count', 'X-Rate-Limit-Remaining', 'Idempotent-Replayed']
 };
 
 // Rate Limiting Configuration
@@ -218,6 +228,44 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 // Common Validation Rules
+// Optional loyalty class fields shared by PATCH and PUT /class/:classId
+const classFieldRules = [
+  body('issuerName')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Issuer name must be 1-50 characters'),
+  body('programLogoUrl')
+    .optional()
+    .isURL()
+    .withMessage('Program logo URL must be a valid URL'),
+  body('heroImageUrl')
+    .optional()
+    .isURL()
+    .withMessage('Hero image URL must be a valid URL'),
+  body('hexBackgroundColor')
+    .optional()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Background color must be a valid hex color'),
+  body(['accountIdLabel', 'accountNameLabel', 'rewardsTierLabel'])
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Labels must be 1-50 characters'),
+  body(['textModules', 'imageModules', 'merchantLocations'])
+    .optional()
+    .isArray()
+    .withMessage('textModules, imageModules and merchantLocations must be arrays'),
+  body(['linksModule', 'appLinkData'])
+    .optional()
+    .isObject()
+    .withMessage('linksModule and appLinkData must be objects'),
+  body('wideProgramLogoUrl')
+    .optional()
+    .isURL()
+    .withMessage('Wide program logo URL must be a valid URL')
+];
+
 const validationRules = {
   userId: param('userId')
     .isLength({ min: 1, max: 50 })
@@ -233,18 +281,74 @@ const validationRules = {
     .isInt({ min: 1, max: 999999 })
     .withMessage('Points must be an integer between 1 and 999,999'),
 
+  // A whole balance rather than an amount moved, so zero is allowed. Optional
+  // here; routes that need it say so themselves.
+  pointsBalance: body('points')
+    .optional()
+    .isInt({ min: 0, max: 99999999 })
+    .withMessage('Points must be an integer between 0 and 99,999,999'),
+
   pointsDelta: body('pointsDelta')
     .isInt({ min: -999999, max: 999999 })
     .withMessage('Points delta must be an integer between -999,999 and 999,999'),
 
+  limit: query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be an integer between 1 and 1,000'),
+
+  offset: query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer'),
+
+  pageToken: query('pageToken')
+    .optional()
+    .custom(value => walletPages.decodeCursor(value))
+    .withMessage('pageToken must be a nextPageToken from a previous response'),
+
+  objectListFilters: [
+    query('classId')
+      .optional()
+      .matches(/^\d+\.[a-zA-Z0-9._-]+$/)
+      .withMessage('Class ID must look like <issuerId>.<classSuffix>'),
+    query('tier')
+      .optional()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Tier must be 1-50 characters'),
+    query('state')
+      .optional()
+      .matches(/^(active|completed|expired|inactive)$/i)
+      .withMessage('State must be one of ACTIVE, COMPLETED, EXPIRED, INACTIVE'),
+    query(['minPoints', 'maxPoints'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Points bounds must be non-negative integers'),
+    query('maxPoints')
+      .optional()
+      .custom((value, { req }) => req.query.minPoints === undefined || parseInt(value, 10) >= parseInt(req.query.minPoints, 10))
+      .withMessage('maxPoints must not be less than minPoints')
+  ],
+
+  classListFilters: query('reviewStatus')
+    .optional()
+    .matches(/^(under_review|approved|rejected|draft)$/i)
+    .withMessage('reviewStatus must be one of UNDER_REVIEW, APPROVED, REJECTED, DRAFT'),
+
+  since: query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('Since must be an ISO 8601 date'),
+
   reason: body('reason')
     .optional()
     .isLength({ min: 1, max: 200 })
     .withMessage('Reason must be 1-200 characters'),
 
+  // Any type with a template in the notification template file
   notificationType: body('type')
     .optional()
-    .isIn(['POINTS_EARNED', 'POINTS_REDEEMED', 'TIER_UPGRADE', 'WELCOME', 'CUSTOM', 'TRANSFER_RECEIVED', 'BALANCE_UPDATE'])
+    .custom(type => templateEngine.hasTemplate(type))
     .withMessage('Invalid notification type'),
 
   userIds: body('userIds')
@@ -275,6 +379,472 @@ const validationRules = {
       .withMessage('Secondary color must be a valid hex color')
   ],
 
+  classId: param('classId')
+    .isLength({ min: 3, max: 100 })
+    .matches(/^\d+\.[a-zA-Z0-9._-]+$/)
+    .withMessage('Class ID must look like <issuerId>.<classSuffix>'),
+
+  classPatch: [
+    body('programName')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Program name must be 1-50 characters'),
+    ...classFieldRules
+  ],
+
+  classUpdate: [
+    body('programName')
+      .isString()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Program name must be 1-50 characters'),
+    body('reviewStatus')
+      .optional()
+      .isIn(['DRAFT', 'UNDER_REVIEW'])
+      .withMessage('reviewStatus must be DRAFT or UNDER_REVIEW'),
+    body('layout')
+      .optional()
+      .isObject()
+      .withMessage('layout must be an object'),
+    body('brandingProfile')
+      .optional()
+      .matches(/^[a-zA-Z0-9_-]{1,50}$/)
+      .withMessage('brandingProfile must be the name of a branding profile'),
+    ...classFieldRules
+  ],
+
+  brandingProfileName: param('name')
+    .matches(/^[a-zA-Z0-9_-]{1,50}$/)
+    .withMessage('Profile name must be 1-50 letters, numbers, underscores or hyphens'),
+
+  brandingProfileCreate: body('name')
+    .isString()
+    .matches(/^[a-zA-Z0-9_-]{1,50}$/)
+    .withMessage('Profile name must be 1-50 letters, numbers, underscores or hyphens'),
+
+  brandingProfile: [
+    body('links')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('links must be an array of at most 10 { url, label }'),
+    body('links.*.url')
+      .isURL()
+      .withMessage('Each link needs a valid url'),
+    body('links.*.label')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Link labels must be at most 100 characters'),
+    body('locations')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('locations must be an array of at most 10 { latitude, longitude }'),
+    body('locations.*.latitude')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Each location needs a latitude between -90 and 90'),
+    body('locations.*.longitude')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Each location needs a longitude between -180 and 180'),
+    ...classFieldRules
+  ],
+
+  classLayout: body('layout')
+    .isObject()
+    .withMessage('layout must be an object'),
+
+  reviewStatus: body('reviewStatus')
+    .isIn(['DRAFT', 'UNDER_REVIEW'])
+    .withMessage('reviewStatus must be DRAFT or UNDER_REVIEW'),
+
+  classVersion: param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+
+  diffAgainst: query('against')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('against must be a positive integer'),
+
+  objectMessage: [
+    body('body')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Message body is required (1-1000 characters)'),
+    body('header')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Header must be at most 200 characters'),
+    body('footer')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Footer must be at most 200 characters'),
+    body('displayInterval.start')
+      .optional()
+      .isISO8601()
+      .withMessage('displayInterval.start must be an ISO 8601 date'),
+    body('displayInterval.end')
+      .optional()
+      .isISO8601()
+      .withMessage('displayInterval.end must be an ISO 8601 date')
+      .custom((end, { req }) => {
+        const start = req.body.displayInterval.start;
+        if (start && new Date(end) <= new Date(start)) {
+          throw new Error('displayInterval.end must be after displayInterval.start');
+        }
+        return true;
+      })
+  ],
+
+  messageId: param('messageId')
+    .isLength({ min: 1, max: 100 })
+    .matches(/^[a-zA-Z0-9._-]+$/)
+    .withMessage('Message ID must be 1-100 characters and contain only letters, numbers, dots, underscores, and hyphens'),
+
+  objectIdLookup: [
+    // External user IDs (emails, phone numbers) are sanitized into the object ID
+    param('userId')
+      .isLength({ min: 1, max: 100 })
+      .matches(/^[\x21-\x7E]+$/)
+      .withMessage('User ID must be 1-100 printable characters without spaces'),
+    query('classId')
+      .optional()
+      .matches(/^\d+\.[a-zA-Z0-9._-]+$/)
+      .withMessage('Class ID must look like <issuerId>.<classSuffix>')
+  ],
+
+  saveUrl: [
+    body('objectId')
+      .isLength({ min: 1, max: 100 })
+      .matches(/^[a-zA-Z0-9._-]+$/)
+      .withMessage('Object ID must be 1-100 characters and contain only letters, numbers, dots, underscores, and hyphens'),
+    body('mode')
+      .optional()
+      .isIn(['fat', 'skinny'])
+      .withMessage('Mode must be "fat" or "skinny"'),
+    body('expiresIn')
+      .optional()
+      .isInt({ min: 60, max: 30 * 24 * 60 * 60 })
+      .withMessage('expiresIn must be between 60 seconds and 30 days'),
+    body('origins')
+      .optional()
+      .isArray({ min: 1, max: 10 })
+      .withMessage('Origins must be an array with 1-10 URLs'),
+    body('origins.*')
+      .isURL({ require_tld: false, require_protocol: true })
+      .withMessage('Each origin must be a URL including the protocol')
+  ],
+
+  campaign: [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Campaign name must be 1-100 characters'),
+    body('type')
+      .exists()
+      .withMessage('Notification type is required'),
+    body('data')
+      .optional()
+      .isObject()
+      .withMessage('Data must be an object'),
+    body('silent')
+      .optional()
+      .isBoolean()
+      .withMessage('Silent must be a boolean')
+      .toBoolean(),
+    body('target')
+      .isObject()
+      .withMessage('Target must be an object with tiers or userIds')
+      .bail()
+      .custom((target) => {
+        if (Boolean(target.tiers) === Boolean(target.userIds)) {
+          throw new Error('Target must have either tiers or userIds');
+        }
+        return true;
+      }),
+    body('target.tiers')
+      .optional()
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Target tiers must be an array with 1-20 tier names'),
+    body('target.userIds')
+      .optional()
+      .isArray({ min: 1, max: 10000 })
+      .withMessage('Target user IDs must be an array with 1-10,000 items')
+      .custom((userIds) => {
+        if (!userIds.every(id => typeof id === 'string' && /^[a-zA-Z0-9._-]+$/.test(id))) {
+          throw new Error('All user IDs must be valid strings');
+        }
+        return true;
+      }),
+    body('runAt')
+      .optional()
+      .isISO8601()
+      .withMessage('runAt must be an ISO 8601 date'),
+    body('cron')
+      .optional()
+      .custom((expression, { req }) => {
+        if (req.body.runAt) {
+          throw new Error('Provide either runAt or cron, not both');
+        }
+        if (!isValidCron(expression)) {
+          throw new Error('cron must be a 5-field cron expression (minute hour day-of-month month day-of-week, UTC)');
+        }
+        return true;
+      }),
+    body()
+      .custom((value) => {
+        if (!value.runAt && !value.cron) {
+          throw new Error('Provide runAt for a one-off campaign or cron for a recurring one');
+        }
+        return true;
+      })
+  ],
+
+  batchNotification: [
+    body('userIds')
+      .isArray({ min: 1, max: 10000 })
+      .withMessage('User IDs must be an array with 1-10,000 items')
+      .custom((userIds) => {
+        if (!userIds.every(id => typeof id === 'string' && /^[a-zA-Z0-9._-]+$/.test(id))) {
+          throw new Error('All user IDs must be valid strings');
+        }
+        return true;
+      }),
+    body('type')
+      .exists()
+      .withMessage('Notification type is required'),
+    body('data')
+      .optional()
+      .isObject()
+      .withMessage('Data must be an object'),
+    body('silent')
+      .optional()
+      .isBoolean()
+      .withMessage('Silent must be a boolean')
+  ],
+
+  templatePreview: [
+    body('type')
+      .exists()
+      .withMessage('Notification type is required'),
+    body('data')
+      .optional()
+      .isObject()
+      .withMessage('Data must be an object'),
+    body('classId')
+      .optional()
+      .matches(/^\d+\.[a-zA-Z0-9._-]+$/)
+      .withMessage('Class ID must look like <issuerId>.<classSuffix>'),
+    body('locale')
+      .optional()
+      .matches(/^[a-z]{2,3}(-[A-Z]{2})?$/)
+      .withMessage('Locale must look like en-US')
+  ],
+
+  templateClassId: query('classId')
+    .optional()
+    .matches(/^\d+\.[a-zA-Z0-9._-]+$/)
+    .withMessage('Class ID must look like <issuerId>.<classSuffix>'),
+
+  tenantId: param('tenantId')
+    .matches(/^[a-z0-9_-]{1,40}$/)
+    .withMessage('Tenant ID must be 1-40 lowercase letters, numbers, underscores or hyphens'),
+
+  tenantCreate: [
+    body('id')
+      .isString()
+      .matches(/^[a-z0-9_-]{1,40}$/)
+      .withMessage('Tenant ID must be 1-40 lowercase letters, numbers, underscores or hyphens'),
+    body('name')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    body('issuerId')
+      .matches(/^\d+$/)
+      .withMessage('Issuer ID must be numeric'),
+    body(['classSuffix', 'objectSuffix'])
+      .matches(/^[a-zA-Z0-9._-]{1,50}$/)
+      .withMessage('Suffixes must be 1-50 letters, numbers, dots, underscores or hyphens'),
+    body('credentials')
+      .optional()
+      .custom(value => typeof value === 'string' || (value && typeof value === 'object' && !Array.isArray(value)))
+      .withMessage('credentials must be a service account key (object or JSON string)')
+  ],
+
+  tenantUpdate: [
+    body('name')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    body(['classSuffix', 'objectSuffix'])
+      .optional()
+      .matches(/^[a-zA-Z0-9._-]{1,50}$/)
+      .withMessage('Suffixes must be 1-50 letters, numbers, dots, underscores or hyphens'),
+    body('status')
+      .optional()
+      .isIn(['active', 'disabled'])
+      .withMessage('Status must be active or disabled'),
+    body('credentials')
+      .optional()
+      .custom(value => typeof value === 'string' || (value && typeof value === 'object' && !Array.isArray(value)))
+      .withMessage('credentials must be a service account key (object or JSON string)'),
+    body('issuerId')
+      .not().exists()
+      .withMessage('issuerId cannot be changed; create a new tenant instead')
+  ],
+
+  apiKey: [
+    body('label')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Label must be at most 100 characters'),
+    body('scopes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('scopes must be a non-empty array'),
+    body('scopes.*')
+      .isIn(['*', ...apiKeyService.getScopes()])
+      .withMessage(`Scopes must be * or one of ${apiKeyService.getScopes().join(', ')}`),
+    body('expiresAt')
+      .optional()
+      .isISO8601()
+      .withMessage('expiresAt must be an ISO 8601 date'),
+    body('ipAllowlist')
+      .optional()
+      .isArray({ min: 1, max: 50 })
+      .withMessage('ipAllowlist must be an array of 1-50 addresses or CIDR ranges'),
+    body('ipAllowlist.*')
+      .isString()
+      .matches(/^[0-9a-fA-F:.]+(\/\d{1,3})?$/)
+      .withMessage('ipAllowlist entries must be IP addresses or CIDR ranges'),
+    body('rateLimit')
+      .optional()
+      .isInt({ min: 1, max: 100000 })
+      .withMessage('rateLimit must be 1-100000 requests per minute'),
+    body('signing')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('signing must be a boolean'),
+    body('requireSignature')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('requireSignature must be a boolean')
+  ],
+
+  apiKeyTenant: body('tenantId')
+    .optional()
+    .matches(/^[a-z0-9_-]{1,40}$/)
+    .withMessage('Tenant ID must be 1-40 lowercase letters, numbers, underscores or hyphens'),
+
+  apiKeyId: param('keyId')
+    .isInt({ min: 1 })
+    .withMessage('Key ID must be a positive integer'),
+
+  apiKeyRotation: body('graceSeconds')
+    .optional()
+    .isInt({ min: 0, max: 7 * 24 * 60 * 60 })
+    .withMessage('graceSeconds must be 0-604800'),
+
+  cardImport: [
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be true or false'),
+    query('format')
+      .optional()
+      .isIn(['csv', 'ndjson', 'json'])
+      .withMessage('format must be csv, ndjson or json'),
+    query('classId')
+      .optional()
+      .matches(/^\d+\.[a-zA-Z0-9._-]+$/)
+      .withMessage('Class ID must look like <issuerId>.<classSuffix>')
+  ],
+
+  webhookCreate: [
+    body('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('url must be an absolute http(s) URL'),
+    body('events')
+      .isArray({ min: 1 })
+      .withMessage('events must be a non-empty array'),
+    body('events.*')
+      .isIn(['*', ...webhookService.getEventTypes()])
+      .withMessage(`Events must be * or one of ${webhookService.getEventTypes().join(', ')}`),
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Description must be at most 200 characters')
+  ],
+
+  webhookUpdate: [
+    body('url')
+      .optional()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('url must be an absolute http(s) URL'),
+    body('events')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('events must be a non-empty array'),
+    body('events.*')
+      .isIn(['*', ...webhookService.getEventTypes()])
+      .withMessage(`Events must be * or one of ${webhookService.getEventTypes().join(', ')}`),
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Description must be at most 200 characters'),
+    body('status')
+      .optional()
+      .isIn(['active', 'disabled'])
+      .withMessage('Status must be active or disabled'),
+    body('rotateSecret')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('rotateSecret must be a boolean')
+  ],
+
+  webhookId: param('webhookId')
+    .isInt({ min: 1 })
+    .withMessage('Webhook ID must be a positive integer'),
+
+  webhookDeliveryId: param('deliveryId')
+    .isInt({ min: 1 })
+    .withMessage('Delivery ID must be a positive integer'),
+
+  webhookDeliveryQuery: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'delivered', 'failed'])
+      .withMessage('Status must be one of pending, delivered, failed'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be 1-200')
+  ],
+
+  jobId: param('jobId')
+    .isInt({ min: 1 })
+    .withMessage('Job ID must be a positive integer'),
+
+  campaignId: param('campaignId')
+    .isInt({ min: 1 })
+    .withMessage('Campaign ID must be a positive integer'),
+
+  campaignStatus: query('status')
+    .optional()
+    .isIn(['scheduled', 'running', 'completed', 'failed', 'cancelled'])
+    .withMessage('Status must be one of scheduled, running, completed, failed, cancelled'),
+
   transferPoints: [
     body('fromUserId')
       .isLength({ min: 1, max: 50 })
@@ -290,17 +860,142 @@ const validationRules = {
   ]
 };
 
-// API Key Validation
-const validateApiKey = (req, res, next) => {
-  // Only health check is public - everything else requires authentication
-  const publicEndpoints = ['/health'];
+// Read the API key from X-API-Key or an Authorization bearer token
+const getApiKey = (req) => {
+  return req.headers['x-api-key'] ||
+         (req.headers['authorization'] && req.headers['authorization'].replace('Bearer ', ''));
+};
+
+// Non-reversible ID of the caller's API key, safe to store in audit records.
+// Signed requests carry no key, so the stored key's ID is used instead.
+const getApiKeyId = (req) => {
+  const apiKey = getApiKey(req);
+  if (apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16);
+  }
+  return req.apiKey && req.apiKey.id ? `key-${req.apiKey.id}` : null;
+};
+
+/**
+ * Body parser hook keeping the raw body, which HMAC signatures cover
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Whether the request carries a body (of any length or content type)
+ */
+const hasBody = (req) => req.headers['transfer-encoding'] !== undefined ||
+  parseInt(req.headers['content-length'] || '0', 10) > 0;
+
+/**
+ * Signature headers of an HMAC-signed request, plus what the signature covers
+ */
+const getSignedRequest = (req) => ({
+  keyId: req.headers['x-key-id'],
+  timestamp: req.headers['x-timestamp'],
+  nonce: req.headers['x-nonce'],
+  signature: req.headers['x-signature'],
+  method: req.method,
+  path: req.originalUrl,
+  body: req.rawBody
+});
+
+// Status codes for refused stored keys and signatures
+const KEY_REFUSAL_STATUSES = {
+  'API key expired': 401,
+  'Signature required': 401,
+  'Invalid signature': 401,
+  'Request timestamp outside the allowed window': 401,
+  'Nonce already used': 401,
+  'IP address not allowed': 403,
+  'Invalid API key': 403
+};
+
+// API Key Validation. Stored keys (tk_...), sent as a bearer token or used to
+// sign the request (X-Signature), are checked in every environment:
+// their tenant becomes current for the rest of the request and their scopes
+// are enforced by requireScope. API_KEYS (or no key outside production) act
+// as the default tenant with every scope.
+const validateApiKey = async (req, res, next) => {
+  // Only health check and Google Wallet callbacks (which carry Google's own
+  // signature) are public - everything else requires authentication
+  const publicEndpoints = ['/health', '/wallet/callbacks'];
   if (publicEndpoints.includes(req.path)) {
     return next();
   }
 
   // Get API key from header
-  const apiKey = req.headers['x-api-key'] ||
-                 (req.headers['authorization'] && req.headers['authorization'].replace('Bearer ', ''));
+  const apiKey = getApiKey(req);
+  const signed = Boolean(req.headers['x-signature']);
+
+  // captureRawBody only sees JSON and form-encoded bodies; any other body
+  // (a multipart upload, say) would be verified as empty, so it is refused
+  if (signed && req.rawBody === undefined && hasBody(req)) {
+    logger.logSecurityEvent('API_KEY_REFUSED', {
+      path: req.path,
+      method: req.method,
+      ip: req.ip,
+      reason: 'Unsigned body',
+      signed,
+      userAgent: req.get('User-Agent')
+    });
+
+    return res.status(415).json({
+      success: false,
+      error: 'Unsupported Media Type',
+      message: 'Signed requests must send a JSON or form-encoded body. Send uploads with a bearer API key.'
+    });
+  }
+
+  if (signed || apiKeyService.isStoredKey(apiKey)) {
+    const result = signed
+      ? await tenantService.authenticateSignature(getSignedRequest(req), req.ip)
+      : await tenantService.authenticate(apiKey, req.ip);
+    if (!result.success) {
+      logger.logSecurityEvent('API_KEY_REFUSED', {
+        path: req.path,
+        method: req.method,
+        ip: req.ip,
+        reason: result.error,
+        keyId: result.keyId,
+        signed,
+        apiKeyPrefix: signed ? undefined : apiKey.substring(0, 8) + '...',
+        userAgent: req.get('User-Agent')
+      });
+
+      const status = KEY_REFUSAL_STATUSES[result.error] || 403;
+      return res.status(status).json({
+        success: false,
+        error: status === 401 ? 'Unauthorized' : 'Forbidden',
+        message: result.error === 'Invalid API key' ? 'You are not authorized. Contact admin.' : result.error
+      });
+    }
+
+    const waitMs = apiKeyService.consume(result.key);
+    if (waitMs > 0) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        message: `Rate limit of ${result.key.rate_limit} requests per minute exceeded for this API key`
+      });
+    }
+
+    req.tenant = result.tenant;
+    req.apiKey = {
+      id: result.key.id,
+      scopes: result.key.scopes,
+      // Keys it issues or rotates may not be looser than these
+      limits: {
+        ipAllowlist: result.key.ip_allowlist,
+        expiresAt: result.key.expires_at,
+        rateLimit: result.key.rate_limit
+      }
+    };
+    return tenantService.run(req.tenant, () => next());
+  }
 
   // In production, require API key
   if (process.env.NODE_ENV === 'production') {
@@ -319,17 +1014,8 @@ const validateApiKey = (req, res, next) => {
       });
     }
 
-    // Validate API key
-    const validApiKeys = process.env.API_KEYS ? process.env.API_KEYS.split(',').map(k => k.trim()) : [];
-
-    if (validApiKeys.length === 0) {
-      logger.error('No API keys configured in environment variables');
-      return res.status(500).json({
-        success: false,
-        error: 'Server misconfiguration',
-        message: 'API authentication not properly configured'
-      });
-    }
+    // Validate API key (API_KEYS may be empty when only stored keys are used)
+    const validApiKeys = process.env.API_KEYS ? process.env.API_KEYS.split(',').map(k => k.trim()).filter(Boolean) : [];
 
     if (!validApiKeys.includes(apiKey)) {
       logger.logSecurityEvent('API_KEY_INVALID', {
@@ -355,7 +1041,83 @@ const validateApiKey = (req, res, next) => {
     });
   }
 
-  next();
+  req.tenant = tenantService.getDefaultTenant();
+  req.apiKey = { id: null, scopes: ['*'] };
+  return tenantService.run(req.tenant, () => next());
+};
+
+// Route guard: the caller's key must grant scope (see ApiKeyService.SCOPES)
+const requireScope = (scope) => (req, res, next) => {
+  const scopes = req.apiKey ? req.apiKey.scopes : [];
+  if (apiKeyService.hasScope(scopes, scope)) {
+    return next();
+  }
+
+  logger.logSecurityEvent('API_KEY_SCOPE_DENIED', {
+    path: req.path,
+    method: req.method,
+    keyId: req.apiKey ? req.apiKey.id : null,
+    scope
+  });
+
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: `This API key lacks the ${scope} scope`
+  });
+};
+
+// Tenant administration is reserved for the operator (default tenant)
+const requireOperator = (req, res, next) => {
+  if (tenantService.current().isDefault) {
+    return next();
+  }
+
+  logger.logSecurityEvent('TENANT_ADMIN_DENIED', {
+    path: req.path,
+    method: req.method,
+    tenantId: tenantService.getTenantId()
+  });
+
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: 'Only the operator can manage tenants'
+  });
+};
+
+// Class and object IDs in the path must belong to the caller's issuer
+// (used with app.param)
+const enforceTenantIssuer = (req, res, next, resourceId) => {
+  if (tenantService.ownsResource(resourceId)) {
+    return next();
+  }
+
+  logger.logSecurityEvent('TENANT_ISSUER_MISMATCH', {
+    path: req.path,
+    method: req.method,
+    tenantId: tenantService.getTenantId(),
+    resourceId
+  });
+
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: 'This resource belongs to another issuer'
+  });
+};
+
+// Same check for classId/objectId in the body or query string
+const enforceTenantIssuerInRequest = (req, res, next) => {
+  const resourceIds = ['classId', 'objectId']
+    .flatMap(field => [req.body && req.body[field], req.query && req.query[field]])
+    .filter(value => typeof value === 'string');
+
+  const foreign = resourceIds.find(resourceId => !tenantService.ownsResource(resourceId));
+  if (!foreign) {
+    return next();
+  }
+  return enforceTenantIssuer(req, res, next, foreign);
 };
 
 // Request Logging Middleware
@@ -386,11 +1148,18 @@ module.exports = {
   sanitizeInput,
   handleValidationErrors,
   validateApiKey,
+  captureRawBody,
+  requireScope,
+  requireOperator,
+  enforceTenantIssuer,
+  enforceTenantIssuerInRequest,
   requestLogger,
 
   // Validation rules
   validationRules,
 
   // Utility functions
-  sanitizeObject
+  sanitizeObject,
+  getApiKey,
+  getApiKeyId
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const { formidable } = require('formidable');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+/**
+ * Create middleware reading one uploaded file from a multipart/form-data body.
+ * The file is read into req.file = { content, filename, mimetype, size } and
+ * removed from disk; the other form fields become req.body. Requests that are
+ * not multipart, have no file in the field or exceed the size limit get 400
+ * (413 for the size limit).
+ * @param {String} field - Form field holding the file
+ * @param {Object} options
+ * @param {Number} options.maxFileSize - Upload limit in bytes (default: UPLOAD_MAX_BYTES or 10 MB)
+ * @returns {Function} Express middleware
+ */
+const singleFileUpload = (field, options = {}) => {
+  return async (req, res, next) => {
+    const maxFileSize = options.maxFileSize || parseInt(process.env.UPLOAD_MAX_BYTES || DEFAULT_MAX_FILE_SIZE, 10);
+
+    if (!req.is('multipart/form-data')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upload',
+        message: `Send the file as multipart/form-data in the "${field}" field`
+      });
+    }
+
+    const form = formidable({ maxFiles: 1, maxFileSize, allowEmptyFiles: false });
+    let files = {};
+
+    try {
+      const [fields, parsedFiles] = await form.parse(req);
+      files = parsedFiles;
+      const [file] = files[field] || [];
+
+      if (!file) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid upload',
+          message: `No file in the "${field}" field`
+        });
+      }
+
+      req.file = {
+        content: await fs.promises.readFile(file.filepath, 'utf8'),
+        filename: file.originalFilename,
+        mimetype: file.mimetype,
+        size: file.size
+      };
+      // Form fields arrive as arrays of strings; keep the first value of each
+      req.body = Object.fromEntries(Object.entries(fields).map(([name, values]) => [name, values[0]]));
+      next();
+
+    } catch (error) {
+      logger.warn('Upload Rejected', {
+        error: error.message,
+        path: req.path
+      });
+
+      const tooLarge = error.httpCode === 413;
+      res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge ? 'File too large' : 'Invalid upload',
+        message: tooLarge ? `Uploads are limited to ${maxFileSize} bytes` : error.message
+      });
+
+    } finally {
+      Object.values(files).flat().forEach(file => {
+        fs.promises.unlink(file.filepath).catch(() => {});
+      });
+    }
+  };
+};
+
+module.exports = {
+  singleFileUpload
+};
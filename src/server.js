@@ -1,14 +1,34 @@
 require('dotenv').config();
 const express = require('express');
-const { validateEnvironment, logValidationResults } = require('../config/env-validation');
+const { validateEnvironment, logValidationResults, assertStartupRequirements } = require('../config/env-validation');
 const googleWalletAuth = require('./auth/google-wallet-auth');
 const loyaltyClassService = require('./services/loyalty-class');
 const jwtService = require('./services/jwt-service');
 const loyaltyObjectService = require('./services/loyalty-object');
+const dbService = require('./database/db-service');
+const pointsManager = require('./services/points-manager');
+const tierEngine = require('./services/tier-engine');
+const tierEvaluator = require('./services/tier-evaluator');
+const notificationService = require('./services/notification-service');
+const campaignService = require('./services/campaign-service');
+const batchSender = require('./services/batch-sender');
+const templateEngine = require('./services/template-engine');
+const layoutEngine = require('./services/layout-engine');
+const brandingService = require('./services/branding-service');
+const tenantService = require('./services/tenant-service');
+const apiKeyService = require('./services/api-key-service');
+const walletCallbackService = require('./services/wallet-callback-service');
+const webhookService = require('./services/webhook-service');
+const cardImportService = require('./services/card-import-service');
 const security = require('./middleware/security');
+const { idempotency } = require('./middleware/idempotency');
+const { singleFileUpload } = require('./middleware/upload');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/error-handler');
 
+// Fail fast (also on Vercel, which imports the app) on unsafe settings
+assertStartupRequirements();
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -24,13 +44,20 @@ app.use(security.generalRateLimit);
 app.use(security.requestLogger);
 app.use(security.sanitizeInput);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware (raw bodies are kept for signed requests)
+app.use(express.json({ limit: '10mb', verify: security.captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: security.captureRawBody }));
 
 // API Key Authentication (enforced in production)
 app.use(security.validateApiKey);
 
+// Tenants may only name classes and objects of their own issuer
+app.param(['classId', 'objectId'], security.enforceTenantIssuer);
+app.use(security.enforceTenantIssuerInRequest);
+
+// Replay stored responses for retried POSTs carrying an Idempotency-Key header
+app.use(idempotency);
+
 // =====================================
 // API Root - Service Info
 // =====================================
@@ -46,10 +73,51 @@ app.get('/', (req, res) => {
       health: 'GET /health',
       documentation: 'GET /api',
       createClass: 'POST /create-class',
+      patchClass: 'PATCH /class/:classId',
+      updateClass: 'PUT /class/:classId',
+      classReviewStatus: 'POST /class/:classId/review-status',
+      classVersions: 'GET /class/:classId/versions',
+      classLayout: 'PUT /class/:classId/layout',
+      layoutFields: 'GET /layouts/fields',
+      brandingProfiles: 'GET /branding-profiles',
+      createBrandingProfile: 'POST /branding-profiles',
+      tenants: 'GET /tenants',
+      createTenant: 'POST /tenants',
+      apiKeys: 'GET /api-keys',
+      createApiKey: 'POST /api-keys',
+      rotateApiKey: 'POST /api-keys/:keyId/rotate',
+      rollbackClass: 'POST /class/:classId/versions/:version/rollback',
       createCard: 'POST /create-card',
       updatePoints: 'POST /update-points/:objectId',
+      objectIdLookup: 'GET /users/:userId/object-id',
+      pointsBalance: 'GET /users/:userId/points',
+      earnPoints: 'POST /users/:userId/points/earn',
+      redeemPoints: 'POST /users/:userId/points/redeem',
+      pointsDelta: 'POST /users/:userId/points/delta',
+      transferPoints: 'POST /points/transfer',
+      reconcileWallets: 'POST /points/reconcile',
+      transactions: 'GET /users/:userId/transactions',
+      transactionStats: 'GET /users/:userId/stats',
       sendNotification: 'POST /send-notification/:objectId',
-      getSaveUrl: 'POST /get-save-url'
+      objectMessages: 'GET /object/:objectId/messages',
+      notificationHistory: 'GET /users/:userId/notifications',
+      notificationLog: 'GET /notifications',
+      notificationQuota: 'GET /users/:userId/notifications/quota',
+      batchNotification: 'POST /notifications/batch',
+      batchNotificationStatus: 'GET /notifications/batch/:jobId',
+      notificationTemplates: 'GET /notifications/templates',
+      previewTemplate: 'POST /notifications/templates/preview',
+      campaigns: 'GET /campaigns',
+      createCampaign: 'POST /campaigns',
+      getSaveUrl: 'POST /get-save-url',
+      walletCallbacks: 'POST /wallet/callbacks',
+      importCards: 'POST /import/cards',
+      webhooks: 'GET /webhooks',
+      createWebhook: 'POST /webhooks',
+      webhookDeadLetters: 'GET /webhooks/dead-letters',
+      redeliverWebhook: 'POST /webhooks/deliveries/:deliveryId/redeliver',
+      tiers: 'GET /tiers',
+      reevaluateTiers: 'POST /tiers/reevaluate'
     }
   });
 });
@@ -92,7 +160,7 @@ app.get('/api', (req, res) => {
     service: 'Google Wallet Loyalty Card API',
     version: '2.0.0',
     description: 'Stateless REST API for managing Google Wallet loyalty cards',
-    authentication: 'None (add API key authentication in production)',
+    authentication: 'X-API-Key or Authorization: Bearer, or an HMAC-SHA256 signature (X-Key-Id, X-Timestamp, X-Nonce, X-Signature) for keys issued with signing. Stored keys (tk_...) are limited to their scopes (GET /api-keys/scopes); API_KEYS entries have every scope',
     endpoints: {
       loyaltyClass: {
         createClass: {
@@ -100,6 +168,8 @@ app.get('/api', (req, res) => {
           path: '/create-class',
           description: 'Create a new loyalty class (template)',
           body: {
+            brandingProfile: 'string (optional) - Branding profile for fields left out',
+            layout: 'object (optional) - Card layout, see PUT /class/:classId/layout',
             classId: 'string (required) - Format: ISSUER_ID.unique_suffix',
             programName: 'string (required)',
             issuerName: 'string (optional)',
@@ -114,10 +184,248 @@ app.get('/api', (req, res) => {
           path: '/class/:classId',
           description: 'Get loyalty class details'
         },
+        patchClass: {
+          method: 'PATCH',
+          path: '/class/:classId',
+          description: 'Change some fields of a loyalty class (records a new version)',
+          body: {
+            programName: 'string (optional)',
+            issuerName: 'string (optional)',
+            programLogoUrl: 'string (optional) - Also sets the wide logo unless wideProgramLogoUrl is given',
+            wideProgramLogoUrl: 'string (optional)',
+            heroImageUrl: 'string (optional)',
+            hexBackgroundColor: 'string (optional)',
+            accountIdLabel: 'string (optional)',
+            accountNameLabel: 'string (optional)',
+            rewardsTierLabel: 'string (optional)',
+            textModules: 'array (optional) - Replaces the text modules ([] clears them)',
+            imageModules: 'array (optional)',
+            linksModule: 'object (optional)',
+            merchantLocations: 'array (optional)',
+            appLinkData: 'object (optional)'
+          }
+        },
+        updateClass: {
+          method: 'PUT',
+          path: '/class/:classId',
+          description: 'Replace a loyalty class definition; same body as /create-class (records a new version)',
+          body: {
+            programName: 'string (required)',
+            reviewStatus: 'string (optional) - DRAFT or UNDER_REVIEW (default: UNDER_REVIEW)',
+            layout: 'object (optional) - Card layout (default: the stored layout of the class)',
+            brandingProfile: 'string (optional) - Branding profile (default: the profile the class was built from)'
+          }
+        },
+        setReviewStatus: {
+          method: 'POST',
+          path: '/class/:classId/review-status',
+          description: 'Move a class between DRAFT and UNDER_REVIEW',
+          body: {
+            reviewStatus: 'string (required) - DRAFT or UNDER_REVIEW'
+          }
+        },
+        getClassLayout: {
+          method: 'GET',
+          path: '/class/:classId/layout',
+          description: 'Card layout of a class (stored or default) and the classTemplateInfo it compiles to'
+        },
+        setClassLayout: {
+          method: 'PUT',
+          path: '/class/:classId/layout',
+          description: 'Replace the card layout of a class and store it for later updates',
+          body: {
+            layout: 'object (required) - { card: [[field, ...], ...], details: [field, ...], list: { firstRow, secondRow } }'
+          }
+        },
+        layoutFields: {
+          method: 'GET',
+          path: '/layouts/fields',
+          description: 'Object fields, text module IDs and links a layout can reference',
+          query: {
+            classId: 'string (optional) - Class whose cards are checked for text modules'
+          }
+        },
+        listClassVersions: {
+          method: 'GET',
+          path: '/class/:classId/versions',
+          description: 'Local version history of a class (newest first)',
+          query: {
+            limit: 'number (optional, default: 50)',
+            offset: 'number (optional, default: 0)'
+          }
+        },
+        getClassVersion: {
+          method: 'GET',
+          path: '/class/:classId/versions/:version',
+          description: 'Stored class definition of one version'
+        },
+        diffClassVersions: {
+          method: 'GET',
+          path: '/class/:classId/versions/:version/diff',
+          description: 'Changed fields between two versions',
+          query: {
+            against: 'number (optional) - Version to compare with (default: the previous version)'
+          }
+        },
+        rollbackClass: {
+          method: 'POST',
+          path: '/class/:classId/versions/:version/rollback',
+          description: 'Write a stored definition back to Google Wallet (recorded as a new version)'
+        },
         listClasses: {
           method: 'GET',
           path: '/classes',
-          description: 'List all loyalty classes'
+          description: 'List loyalty classes, a page at a time',
+          query: {
+            reviewStatus: 'string (optional) - UNDER_REVIEW, APPROVED, REJECTED or DRAFT',
+            pageToken: 'string (optional) - nextPageToken of the previous page',
+            limit: 'number (optional, default: 50, max: 1000)'
+          }
+        },
+        listTiers: {
+          method: 'GET',
+          path: '/tiers',
+          description: 'List tier names, thresholds, benefits, colors and qualification rules',
+          query: {
+            classId: 'string (optional) - Return the tier override for this class'
+          }
+        },
+        reevaluateTiers: {
+          method: 'POST',
+          path: '/tiers/reevaluate',
+          description: 'Re-evaluate all members against the tier qualification rules'
+        },
+        reevaluateUserTier: {
+          method: 'POST',
+          path: '/users/:userId/tier/reevaluate',
+          description: 'Re-evaluate one member against the tier qualification rules'
+        }
+      },
+      brandingProfiles: {
+        create: {
+          method: 'POST',
+          path: '/branding-profiles',
+          description: 'Create a named branding profile for a storefront',
+          body: {
+            name: 'string (required) - Letters, numbers, "_" and "-"',
+            issuerName: 'string (optional)',
+            programLogoUrl: 'string (optional)',
+            wideProgramLogoUrl: 'string (optional, default: programLogoUrl)',
+            heroImageUrl: 'string (optional)',
+            hexBackgroundColor: 'string (optional)',
+            accountIdLabel: 'string (optional)',
+            accountNameLabel: 'string (optional)',
+            rewardsTierLabel: 'string (optional)',
+            links: 'array (optional) - [{ url, label }] added to cards',
+            locations: 'array (optional) - [{ latitude, longitude }] for the class and its cards'
+          }
+        },
+        list: {
+          method: 'GET',
+          path: '/branding-profiles',
+          description: 'All branding profiles'
+        },
+        get: {
+          method: 'GET',
+          path: '/branding-profiles/:name',
+          description: 'Branding profile and the classes built from it'
+        },
+        update: {
+          method: 'PUT',
+          path: '/branding-profiles/:name',
+          description: 'Replace a branding profile (same body as create, without name)'
+        },
+        delete: {
+          method: 'DELETE',
+          path: '/branding-profiles/:name',
+          description: 'Delete a branding profile that no class uses'
+        }
+      },
+      apiKeys: {
+        note: 'Requires the keys:admin scope. Tenant keys manage their own tenant\'s keys; operators manage every tenant\'s.',
+        create: {
+          method: 'POST',
+          path: '/api-keys',
+          description: 'Issue a key (returned only once)',
+          body: {
+            label: 'string (optional)',
+            scopes: 'array (optional, default: ["*"]) - e.g. ["cards:read", "points:write"]; only scopes the caller holds',
+            expiresAt: 'string (optional) - ISO date',
+            ipAllowlist: 'array (optional) - Addresses or CIDR ranges',
+            rateLimit: 'number (optional) - Requests per minute for this key',
+            signing: 'boolean (optional) - Also return a signing secret for HMAC-signed requests',
+            requireSignature: 'boolean (optional) - Accept only signed requests (implies signing)',
+            tenantId: 'string (optional, operators only) - Tenant to issue the key for'
+          }
+        },
+        list: {
+          method: 'GET',
+          path: '/api-keys',
+          description: 'Keys with their settings (never the key itself)'
+        },
+        scopes: {
+          method: 'GET',
+          path: '/api-keys/scopes',
+          description: 'Scopes a key can hold'
+        },
+        get: {
+          method: 'GET',
+          path: '/api-keys/:keyId',
+          description: 'One key'
+        },
+        rotate: {
+          method: 'POST',
+          path: '/api-keys/:keyId/rotate',
+          description: 'New key (and signing secret), same settings; the old key is revoked or expires after graceSeconds',
+          body: {
+            graceSeconds: 'number (optional, default: 0)'
+          }
+        },
+        revoke: {
+          method: 'DELETE',
+          path: '/api-keys/:keyId',
+          description: 'Revoke a key'
+        }
+      },
+      tenants: {
+        note: 'Operator only (API_KEYS or default-tenant keys with the tenants:admin scope). Requests with a tenant API key (tk_...) act as that tenant: its issuer, suffixes and service account.',
+        create: {
+          method: 'POST',
+          path: '/tenants',
+          description: 'Register a tenant (Wallet issuer)',
+          body: {
+            id: 'string (required) - Lowercase letters, numbers, _ and -',
+            name: 'string (optional, default: id)',
+            issuerId: 'string (required) - Wallet issuer ID',
+            classSuffix: 'string (required) - Default class suffix',
+            objectSuffix: 'string (required) - Object ID suffix',
+            credentials: 'object (optional) - Service account key, stored encrypted (needs TENANT_ENCRYPTION_KEY)'
+          }
+        },
+        list: {
+          method: 'GET',
+          path: '/tenants',
+          description: 'All tenants (credentials are never returned)'
+        },
+        get: {
+          method: 'GET',
+          path: '/tenants/:tenantId',
+          description: 'Tenant and its API keys'
+        },
+        update: {
+          method: 'PATCH',
+          path: '/tenants/:tenantId',
+          description: 'Change name, suffixes, status (active/disabled) or credentials'
+        },
+        createApiKey: {
+          method: 'POST',
+          path: '/tenants/:tenantId/api-keys',
+          description: 'Issue an API key for the tenant (returned only once; same body as POST /api-keys)'
+        },
+        revokeApiKey: {
+          method: 'DELETE',
+          path: '/tenants/:tenantId/api-keys/:keyId',
+          description: 'Revoke an API key'
         }
       },
       loyaltyObject: {
@@ -130,22 +438,40 @@ app.get('/api', (req, res) => {
             userId: 'string (required) - Unique user identifier',
             memberName: 'string (required)',
             points: 'number (optional, default: 0)',
-            tier: 'string (optional) - Bronze, Silver, Gold',
+            tier: 'string (optional) - Tier name from GET /tiers (auto-calculated if omitted)',
             barcodeType: 'string (optional) - QR_CODE, CODE_128, etc',
             barcodeValue: 'string (optional)',
             validFrom: 'string (optional) - ISO date',
-            validUntil: 'string (optional) - ISO date'
+            validUntil: 'string (optional) - ISO date',
+            brandingProfile: 'string (optional) - Profile for links and locations (default: the class\'s profile)'
           }
         },
         getObject: {
           method: 'GET',
           path: '/object/:objectId',
-          description: 'Get loyalty object details'
+          description: 'Get loyalty object details, with hasUsers/savedAt/deletedAt from Wallet callbacks'
         },
         listObjects: {
           method: 'GET',
           path: '/objects',
-          description: 'List all loyalty objects'
+          description: 'List a class\'s loyalty objects, a page at a time (nextPageToken is null on the last page)',
+          query: {
+            classId: 'string (optional) - Defaults to your default class',
+            tier: 'string (optional) - e.g. Gold',
+            state: 'string (optional) - ACTIVE, COMPLETED, EXPIRED or INACTIVE',
+            minPoints: 'number (optional)',
+            maxPoints: 'number (optional)',
+            pageToken: 'string (optional) - nextPageToken of the previous page',
+            limit: 'number (optional, default: 50, max: 1000)'
+          }
+        },
+        lookupObjectId: {
+          method: 'GET',
+          path: '/users/:userId/object-id',
+          description: 'Object ID of a user\'s card (stored card first, otherwise the ID the card would get)',
+          query: {
+            classId: 'string (optional) - Class to resolve the ID for (default class if omitted)'
+          }
         },
         updatePoints: {
           method: 'POST',
@@ -157,16 +483,194 @@ app.get('/api', (req, res) => {
           }
         }
       },
+      points: {
+        getBalance: {
+          method: 'GET',
+          path: '/users/:userId/points',
+          description: 'Get current points balance and tier'
+        },
+        earnPoints: {
+          method: 'POST',
+          path: '/users/:userId/points/earn',
+          description: 'Add points to a member and record the transaction',
+          body: {
+            points: 'number (required) - 1 to 999,999',
+            reason: 'string (optional)'
+          }
+        },
+        redeemPoints: {
+          method: 'POST',
+          path: '/users/:userId/points/redeem',
+          description: 'Redeem points from a member',
+          body: {
+            points: 'number (required) - 1 to 999,999',
+            reason: 'string (optional)'
+          }
+        },
+        pointsDelta: {
+          method: 'POST',
+          path: '/users/:userId/points/delta',
+          description: 'Apply a signed points change (positive earns, negative redeems)',
+          body: {
+            pointsDelta: 'number (required) - non-zero, -999,999 to 999,999',
+            reason: 'string (optional)'
+          }
+        },
+        transferPoints: {
+          method: 'POST',
+          path: '/points/transfer',
+          description: 'Transfer points between two members as one linked transfer_out/transfer_in pair',
+          body: {
+            fromUserId: 'string (required)',
+            toUserId: 'string (required)',
+            points: 'number (required)',
+            reason: 'string (optional)'
+          }
+        },
+        reconcileWallets: {
+          method: 'POST',
+          path: '/points/reconcile',
+          description: 'Retry Wallet updates for cards left out of sync by a transfer',
+          query: {
+            limit: 'number (optional, default: 100, max: 1000)'
+          }
+        },
+        transactions: {
+          method: 'GET',
+          path: '/users/:userId/transactions',
+          description: 'Transaction history, newest first',
+          query: {
+            limit: 'number (optional, default: 50, max: 1000)'
+          }
+        },
+        stats: {
+          method: 'GET',
+          path: '/users/:userId/stats',
+          description: 'Earned, redeemed and net points totals'
+        }
+      },
       notifications: {
         sendNotification: {
           method: 'POST',
           path: '/send-notification/:objectId',
-          description: 'Send push notification to a loyalty card',
+          description: 'Add a message to a loyalty card with a push notification (silent once the daily quota is used)',
           body: {
             header: 'string (optional)',
             body: 'string (required)',
-            footer: 'string (optional)'
+            footer: 'string (optional)',
+            displayInterval: '{ start, end } (optional) - ISO dates the message is shown between'
+          }
+        },
+        listMessages: {
+          method: 'GET',
+          path: '/object/:objectId/messages',
+          description: 'Messages on a loyalty card (the most recent MAX_MESSAGES_PER_OBJECT are kept)'
+        },
+        deleteMessage: {
+          method: 'DELETE',
+          path: '/object/:objectId/messages/:messageId',
+          description: 'Remove a message from a loyalty card'
+        },
+        expireMessage: {
+          method: 'POST',
+          path: '/object/:objectId/messages/:messageId/expire',
+          description: 'End a message\'s display interval now'
+        },
+        getHistory: {
+          method: 'GET',
+          path: '/users/:userId/notifications',
+          description: 'Messages sent to a user, with delivery status and Wallet response',
+          query: {
+            limit: 'number (optional, default: 50)',
+            offset: 'number (optional, default: 0)',
+            since: 'string (optional) - ISO date'
           }
+        },
+        listNotifications: {
+          method: 'GET',
+          path: '/notifications',
+          description: 'Messages sent to all users, newest first',
+          query: {
+            limit: 'number (optional, default: 50)',
+            offset: 'number (optional, default: 0)',
+            since: 'string (optional) - ISO date'
+          }
+        },
+        getQuota: {
+          method: 'GET',
+          path: '/users/:userId/notifications/quota',
+          description: 'Push notifications left in the rolling window (over-quota messages are sent silently)'
+        },
+        sendBatch: {
+          method: 'POST',
+          path: '/notifications/batch',
+          description: 'Queue a notification to many users as a throttled, resumable background job',
+          body: {
+            userIds: 'array (required) - Up to 10,000 user IDs',
+            type: 'string (required) - Notification type, e.g. CUSTOM',
+            data: 'object (optional) - Template data, e.g. { header, body }',
+            silent: 'boolean (optional, default: false)'
+          }
+        },
+        getBatch: {
+          method: 'GET',
+          path: '/notifications/batch/:jobId',
+          description: 'Progress of a batch job'
+        },
+        listTemplates: {
+          method: 'GET',
+          path: '/notifications/templates',
+          description: 'Notification types and the locales of their templates',
+          query: {
+            classId: 'string (optional) - Include the templates a class overrides'
+          }
+        },
+        previewTemplate: {
+          method: 'POST',
+          path: '/notifications/templates/preview',
+          description: 'Render a template without sending it (sample values fill any placeholder left out)',
+          body: {
+            type: 'string (required) - Notification type',
+            data: 'object (optional) - Placeholder values, e.g. { points, newTier, memberName }',
+            classId: 'string (optional) - Use the class\'s template override',
+            locale: 'string (optional) - Locale for header and body, e.g. es-US'
+          }
+        }
+      },
+      campaigns: {
+        create: {
+          method: 'POST',
+          path: '/campaigns',
+          description: 'Schedule a notification for a set time or on a recurring cron schedule',
+          body: {
+            name: 'string (required)',
+            type: 'string (required) - Notification type, e.g. CUSTOM',
+            data: 'object (optional) - Template data, e.g. { header, body }',
+            silent: 'boolean (optional, default: false)',
+            target: '{ tiers: [...] } or { userIds: [...] } (required)',
+            runAt: 'string (one of runAt/cron) - ISO date for a one-off campaign',
+            cron: 'string (one of runAt/cron) - "minute hour day month weekday" in UTC'
+          }
+        },
+        list: {
+          method: 'GET',
+          path: '/campaigns',
+          description: 'Campaigns, newest first',
+          query: {
+            status: 'string (optional) - scheduled, running, completed, failed or cancelled',
+            limit: 'number (optional, default: 50)',
+            offset: 'number (optional, default: 0)'
+          }
+        },
+        get: {
+          method: 'GET',
+          path: '/campaigns/:campaignId',
+          description: 'Campaign with the delivery report of each run'
+        },
+        cancel: {
+          method: 'POST',
+          path: '/campaigns/:campaignId/cancel',
+          description: 'Cancel future runs of a campaign'
         }
       },
       jwt: {
@@ -175,9 +679,105 @@ app.get('/api', (req, res) => {
           path: '/get-save-url',
           description: 'Generate Save to Google Wallet URL',
           body: {
-            objectId: 'string (required) - The loyalty object ID'
+            objectId: 'string (required) - The loyalty object ID',
+            mode: 'string (optional) - "skinny" (default, ID reference) or "fat" (full object)',
+            expiresIn: 'number (optional) - Link lifetime in seconds',
+            origins: 'array (optional) - Allowed origins, defaults to ORIGINS'
+          }
+        }
+      },
+      walletCallbacks: {
+        receive: {
+          method: 'POST',
+          path: '/wallet/callbacks',
+          description: 'Save/delete callbacks from Google Wallet (no API key; verified with Google\'s ECv2SigningOnly signature). Set WALLET_CALLBACK_URL to register it on new classes.',
+          body: {
+            signature: 'string',
+            intermediateSigningKey: 'object - { signedKey, signatures }',
+            protocolVersion: 'string - "ECv2SigningOnly"',
+            signedMessage: 'string - JSON { classId, objectId, expTimeMillis, eventType: "save" | "del", nonce }'
+          }
+        }
+      },
+      import: {
+        cards: {
+          method: 'POST',
+          path: '/import/cards',
+          description: 'Create or update cards for existing members from a file; returns a result (and save URL) per row',
+          body: 'multipart/form-data with the file in "file": CSV with a header row, NDJSON or a JSON array. Columns/keys: userId, memberName (required), points, tier, classId, barcodeValue',
+          query: {
+            dryRun: 'boolean (optional) - Validate and report what would happen without writing anything',
+            format: 'string (optional) - csv, ndjson or json; taken from the file name or type otherwise',
+            classId: 'string (optional) - Class for rows without one (default: your default class)'
           }
         }
+      },
+      webhooks: {
+        create: {
+          method: 'POST',
+          path: '/webhooks',
+          description: 'Subscribe a URL to loyalty events of your tenant (webhooks:admin). Returns the signing secret once.',
+          body: {
+            url: 'string (required) - http(s) URL; https in production',
+            events: 'array (required) - * or any of card.created, points.changed, tier.changed, pass.saved, pass.deleted',
+            description: 'string (optional)'
+          }
+        },
+        list: {
+          method: 'GET',
+          path: '/webhooks',
+          description: 'Your webhook subscriptions (never their secrets)'
+        },
+        events: {
+          method: 'GET',
+          path: '/webhooks/events',
+          description: 'Event types a subscription can receive'
+        },
+        get: {
+          method: 'GET',
+          path: '/webhooks/:webhookId',
+          description: 'A webhook subscription'
+        },
+        update: {
+          method: 'PATCH',
+          path: '/webhooks/:webhookId',
+          description: 'Change a subscription',
+          body: {
+            url: 'string (optional)',
+            events: 'array (optional)',
+            description: 'string (optional)',
+            status: 'string (optional) - active or disabled',
+            rotateSecret: 'boolean (optional) - Issue a new signing secret (returned once)'
+          }
+        },
+        delete: {
+          method: 'DELETE',
+          path: '/webhooks/:webhookId',
+          description: 'Remove a subscription and its deliveries'
+        },
+        deliveries: {
+          method: 'GET',
+          path: '/webhooks/:webhookId/deliveries',
+          description: 'Deliveries of a subscription, newest first',
+          query: {
+            status: 'string (optional) - pending, delivered or failed',
+            limit: 'number (optional, default: 50, max: 200)'
+          }
+        },
+        deadLetters: {
+          method: 'GET',
+          path: '/webhooks/dead-letters',
+          description: 'Deliveries that ran out of attempts or were refused by the endpoint',
+          query: {
+            limit: 'number (optional, default: 50, max: 200)'
+          }
+        },
+        redeliver: {
+          method: 'POST',
+          path: '/webhooks/deliveries/:deliveryId/redeliver',
+          description: 'Send a delivery again with a fresh set of attempts'
+        },
+        signature: 'X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>"> keyed with the subscription secret; also X-Webhook-Id (event ID, for de-duplication), X-Webhook-Event and X-Webhook-Delivery'
       }
     }
   });
@@ -188,25 +788,9 @@ app.get('/api', (req, res) => {
 // =====================================
 
 // Create loyalty class (template)
-app.post('/create-class', async (req, res) => {
+app.post('/create-class', security.requireScope('classes:admin'), async (req, res) => {
   try {
-    const {
-      classId,
-      programName,
-      issuerName = 'Teiga Tech',
-      programLogoUrl,
-      heroImageUrl,
-      hexBackgroundColor = '#1976D2',
-      brandColor = '#1976D2',
-      accountIdLabel = 'Member ID',
-      accountNameLabel = 'Name',
-      rewardsTierLabel = 'Tier',
-      textModules = [],
-      imageModules = [],
-      linksModule = { uris: [] },
-      merchantLocations = [],
-      appLinkData
-    } = req.body;
+    const { classId, programName } = req.body;
 
     if (!classId || !programName) {
       return res.status(400).json({
@@ -216,129 +800,44 @@ app.post('/create-class', async (req, res) => {
       });
     }
 
-    // Build loyalty class definition
-    const classDefinition = {
-      id: classId,
-      issuerName,
-      programName,
-      hexBackgroundColor,
-      reviewStatus: 'UNDER_REVIEW',
-      allowMultipleUsersPerObject: false,
-      localizedIssuerName: {
-        defaultValue: { language: 'en-US', value: issuerName }
-      },
-      localizedProgramName: {
-        defaultValue: { language: 'en-US', value: programName }
-      },
-      accountIdLabel,
-      localizedAccountIdLabel: {
-        defaultValue: { language: 'en-US', value: accountIdLabel }
-      },
-      accountNameLabel,
-      localizedAccountNameLabel: {
-        defaultValue: { language: 'en-US', value: accountNameLabel }
-      },
-      rewardsTierLabel,
-      localizedRewardsTierLabel: {
-        defaultValue: { language: 'en-US', value: rewardsTierLabel }
-      },
-      loyaltyPoints: {
-        label: 'Points',
-        localizedLabel: {
-          defaultValue: { language: 'en-US', value: 'Points' }
-        }
-      },
-      classTemplateInfo: {
-        cardTemplateOverride: {
-          cardRowTemplateInfos: [
-            {
-              twoItems: {
-                startItem: {
-                  firstValue: {
-                    fields: [{
-                      fieldPath: "object.accountName"
-                    }]
-                  }
-                },
-                endItem: {
-                  firstValue: {
-                    fields: [{
-                      fieldPath: "object.textModulesData['card_tier']"
-                    }]
-                  }
-                }
-              }
-            },
-            {
-              twoItems: {
-                startItem: {
-                  firstValue: {
-                    fields: [{
-                      fieldPath: "object.textModulesData['card_points']"
-                    }]
-                  }
-                },
-                endItem: {
-                  firstValue: {
-                    fields: [{
-                      fieldPath: "object.textModulesData['card_next_reward']"
-                    }]
-                  }
-                }
-              }
-            },
-            {
-              oneItem: {
-                item: {
-                  firstValue: {
-                    fields: [{
-                      fieldPath: "object.linksModuleData.uris[0]"
-                    }]
-                  }
-                }
-              }
-            }
-          ]
-        }
-      }
-    };
-
-    // Add optional fields
-    if (programLogoUrl) {
-      classDefinition.programLogo = { sourceUri: { uri: programLogoUrl } };
-      classDefinition.wideProgramLogo = { sourceUri: { uri: programLogoUrl } };
-    }
-
-    if (heroImageUrl) {
-      classDefinition.heroImage = { sourceUri: { uri: heroImageUrl } };
+    const layout = await loyaltyClassService.resolveLayout(classId, req.body.layout);
+    if (!layout.success) {
+      return res.status(400).json(layout);
     }
 
-    if (textModules && textModules.length > 0) {
-      classDefinition.textModulesData = textModules;
+    // Fields left out of the request come from the branding profile
+    let fields = req.body;
+    if (req.body.brandingProfile) {
+      const branding = await brandingService.applyToClass(req.body.brandingProfile, req.body);
+      if (!branding.success) {
+        return res.status(400).json(branding);
+      }
+      fields = branding.options;
     }
 
-    if (imageModules && imageModules.length > 0) {
-      classDefinition.imageModulesData = imageModules;
-    }
+    const classDefinition = loyaltyClassService.buildClassDefinition({
+      ...fields,
+      reviewStatus: 'UNDER_REVIEW',
+      classTemplateInfo: layout.classTemplateInfo
+    });
 
-    if (linksModule && linksModule.uris && linksModule.uris.length > 0) {
-      classDefinition.linksModuleData = linksModule;
-    }
+    const result = await loyaltyClassService.createOrUpdateClass(classDefinition, {
+      actor: security.getApiKeyId(req)
+    });
 
-    if (merchantLocations && merchantLocations.length > 0) {
-      classDefinition.locations = merchantLocations;
+    if (result.success && req.body.layout) {
+      await loyaltyClassService.saveLayout(classId, req.body.layout, { actor: security.getApiKeyId(req) });
     }
 
-    if (appLinkData) {
-      classDefinition.appLinkData = appLinkData;
+    if (result.success && req.body.brandingProfile) {
+      await brandingService.assignClass(classId, req.body.brandingProfile);
     }
 
-    const result = await loyaltyClassService.createOrUpdateClass(classDefinition);
-
     if (result.success) {
       res.status(201).json({
         success: true,
         classId: result.classId,
+        version: result.version,
         message: 'Loyalty class created successfully'
       });
     } else {
@@ -355,7 +854,7 @@ app.post('/create-class', async (req, res) => {
 });
 
 // Get loyalty class
-app.get('/class/:classId', async (req, res) => {
+app.get('/class/:classId', security.requireScope('classes:read'), async (req, res) => {
   try {
     const { classId } = req.params;
 
@@ -379,173 +878,819 @@ app.get('/class/:classId', async (req, res) => {
   }
 });
 
-// List all loyalty classes
-app.get('/classes', async (req, res) => {
-  try {
-    const result = await loyaltyClassService.listClasses();
+const sendClassResult = (res, result) => {
+  if (result.success) {
+    return res.json(result);
+  }
 
-    if (result.success) {
-      res.json({
-        success: true,
-        classes: result.classes,
-        count: result.count
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: result.error,
-        message: result.message
+  const notFound = ['NOT_FOUND', 'RESOURCE_NOT_FOUND', 'Class not found', 'Version not found'].includes(result.error);
+  res.status(notFound ? 404 : 400).json({
+    success: false,
+    error: result.error,
+    message: result.message
+  });
+};
+
+// Change some fields of a loyalty class (same field names as /create-class)
+app.patch('/class/:classId',
+  security.requireScope('classes:admin'),
+  security.validationRules.classId,
+  security.validationRules.classPatch,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const patch = loyaltyClassService.buildClassPatch(req.body);
+
+      if (Object.keys(patch).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No changes',
+          message: 'Provide at least one class field to change'
+        });
+      }
+
+      const result = await loyaltyClassService.patchClass(req.params.classId, patch, {
+        actor: security.getApiKeyId(req)
       });
+      sendClassResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/class/:classId');
     }
-
-  } catch (error) {
-    errorHandler.handleEndpointError(error, req, res, '/classes');
   }
-});
+);
+
+// Replace a loyalty class definition (fields left out go back to their defaults)
+app.put('/class/:classId',
+  security.requireScope('classes:admin'),
+  security.validationRules.classId,
+  security.validationRules.classUpdate,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { classId } = req.params;
+      const layout = await loyaltyClassService.resolveLayout(classId, req.body.layout);
+      if (!layout.success) {
+        return res.status(400).json(layout);
+      }
 
-// =====================================
-// Loyalty Object (Card) Management
-// =====================================
+      // Re-apply the class's branding profile unless the request names another
+      const profileName = req.body.brandingProfile || await brandingService.getClassProfileName(classId);
+      let fields = req.body;
+      if (profileName) {
+        const branding = await brandingService.applyToClass(profileName, req.body);
+        if (!branding.success) {
+          return res.status(400).json(branding);
+        }
+        fields = branding.options;
+      }
 
-// Create loyalty card
-app.post('/create-card', async (req, res) => {
-  try {
-    const {
-      classId,
-      userId,
-      memberName,
-      points = 0,
-      tier,
-      barcodeType = 'QR_CODE',
-      barcodeValue,
-      validFrom,
-      validUntil,
-      accountId,
-      primaryButton,
-      links
-    } = req.body;
-
-    // Validation
-    if (!classId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Class ID is required',
-        message: 'Please provide a classId'
+      const classDefinition = loyaltyClassService.buildClassDefinition({
+        ...fields,
+        classId,
+        classTemplateInfo: layout.classTemplateInfo
       });
-    }
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required',
-        message: 'Please provide a userId'
+      const result = await loyaltyClassService.updateClass(classId, classDefinition, {
+        actor: security.getApiKeyId(req)
       });
-    }
 
-    if (!memberName) {
-      return res.status(400).json({
-        success: false,
-        error: 'Member name is required',
-        message: 'Please provide a memberName'
+      if (result.success && req.body.layout) {
+        await loyaltyClassService.saveLayout(classId, req.body.layout, { actor: security.getApiKeyId(req) });
+      }
+
+      if (result.success && req.body.brandingProfile) {
+        await brandingService.assignClass(classId, req.body.brandingProfile);
+      }
+      sendClassResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/class/:classId');
+    }
+  }
+);
+
+// Move a class between DRAFT and UNDER_REVIEW
+app.post('/class/:classId/review-status',
+  security.requireScope('classes:admin'),
+  security.validationRules.classId,
+  security.validationRules.reviewStatus,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyClassService.setReviewStatus(req.params.classId, req.body.reviewStatus, {
+        actor: security.getApiKeyId(req)
       });
+      sendClassResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/class/:classId/review-status');
     }
-
-    // Generate object ID
-    const objectId = `${classId.split('.')[0]}.${userId}`;
-
-    // Calculate tier if not provided
-    let calculatedTier = tier;
-    if (!tier) {
-      if (points >= 2000) calculatedTier = 'Gold';
-      else if (points >= 500) calculatedTier = 'Silver';
-      else calculatedTier = 'Bronze';
+  }
+);
+
+// Card layout of a class (stored layout, or the default) and what it compiles to
+app.get('/class/:classId/layout',
+  security.requireScope('classes:read'),
+  security.validationRules.classId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyClassService.resolveLayout(req.params.classId);
+      sendClassResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/class/:classId/layout');
     }
+  }
+);
+
+// Replace the card layout of a class (see layout-engine.js for the format)
+app.put('/class/:classId/layout',
+  security.requireScope('classes:admin'),
+  security.validationRules.classId,
+  security.validationRules.classLayout,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyClassService.setClassLayout(req.params.classId, req.body.layout, {
+        actor: security.getApiKeyId(req)
+      });
 
-    // Build barcode configuration
-    const barcodeConfig = {
-      type: barcodeType,
-      value: barcodeValue || `MEMBER_${userId}`
-    };
-
-    // Create loyalty object using the service (includes all text modules)
-    const createOptions = {
-      classId: classId,
-      points: points,
-      tier: calculatedTier,
-      memberName: memberName,
-      barcode: barcodeConfig,
-      primaryButton: primaryButton,
-      links: links
-    };
+      if (result.error === 'Invalid layout') {
+        return res.status(400).json(result);
+      }
+      sendClassResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/class/:classId/layout');
+    }
+  }
+);
+
+// Field names a layout can reference
+app.get('/layouts/fields',
+  security.requireScope('classes:read'),
+  security.validationRules.templateClassId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        fields: layoutEngine.getFields(req.query.classId || null),
+        defaultLayout: layoutEngine.getDefaultLayout()
+      });
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/layouts/fields');
+    }
+  }
+);
+
+// Local version history of a class (newest first)
+app.get('/class/:classId/versions',
+  security.requireScope('classes:read'),
+  security.validationRules.classId,
+  security.validationRules.limit,
+  security.validationRules.offset,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyClassService.listVersions(req.params.classId, {
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : 50,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : 0
+      });
+      res.json(result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/class/:classId/versions');
+    }
+  }
+);
+
+// One stored class definition
+app.get('/class/:classId/versions/:version',
+  security.requireScope('classes:read'),
+  security.validationRules.classId,
+  security.validationRules.classVersion,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyClassService.getVersion(req.params.classId, parseInt(req.params.version, 10));
+      sendClassResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/class/:classId/versions/:version');
+    }
+  }
+);
+
+// Changes between two versions (default: against the previous version)
+app.get('/class/:classId/versions/:version/diff',
+  security.requireScope('classes:read'),
+  security.validationRules.classId,
+  security.validationRules.classVersion,
+  security.validationRules.diffAgainst,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const version = parseInt(req.params.version, 10);
+      const against = req.query.against ? parseInt(req.query.against, 10) : version - 1;
+
+      const result = await loyaltyClassService.diffVersions(req.params.classId, version, against);
+      sendClassResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/class/:classId/versions/:version/diff');
+    }
+  }
+);
+
+// Restore a stored definition (recorded as a new version)
+app.post('/class/:classId/versions/:version/rollback',
+  security.requireScope('classes:admin'),
+  security.validationRules.classId,
+  security.validationRules.classVersion,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyClassService.rollbackClass(req.params.classId, parseInt(req.params.version, 10), {
+        actor: security.getApiKeyId(req)
+      });
+      sendClassResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/class/:classId/versions/:version/rollback');
+    }
+  }
+);
 
-    const result = await loyaltyObjectService.createObject(userId, createOptions);
+// =====================================
+// Branding Profiles
+// =====================================
 
-    if (!result.success) {
-      return res.status(400).json({
-        success: false,
-        error: result.error,
-        message: result.message
+const sendBrandingResult = (res, result, status = 200) => {
+  if (result.success) {
+    return res.status(status).json(result);
+  }
+
+  const statuses = { 'Profile not found': 404, 'Profile already exists': 409, 'Profile in use': 409 };
+  res.status(statuses[result.error] || 400).json({
+    success: false,
+    error: result.error,
+    message: result.message,
+    ...(result.classIds ? { classIds: result.classIds } : {})
+  });
+};
+
+// Create a branding profile
+app.post('/branding-profiles',
+  security.requireScope('classes:admin'),
+  security.validationRules.brandingProfileCreate,
+  security.validationRules.brandingProfile,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await brandingService.createProfile(req.body, {
+        actor: security.getApiKeyId(req)
+      });
+      sendBrandingResult(res, result, 201);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/branding-profiles');
+    }
+  }
+);
+
+// List branding profiles
+app.get('/branding-profiles', security.requireScope('classes:read'), async (req, res) => {
+  try {
+    res.json(await brandingService.listProfiles());
+  } catch (error) {
+    errorHandler.handleEndpointError(error, req, res, '/branding-profiles');
+  }
+});
+
+// Branding profile with the classes built from it
+app.get('/branding-profiles/:name',
+  security.requireScope('classes:read'),
+  security.validationRules.brandingProfileName,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      sendBrandingResult(res, await brandingService.getProfile(req.params.name));
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/branding-profiles/:name');
+    }
+  }
+);
+
+// Replace a branding profile (existing classes pick it up on PUT /class/:classId)
+app.put('/branding-profiles/:name',
+  security.requireScope('classes:admin'),
+  security.validationRules.brandingProfileName,
+  security.validationRules.brandingProfile,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await brandingService.updateProfile(req.params.name, req.body, {
+        actor: security.getApiKeyId(req)
       });
+      sendBrandingResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/branding-profiles/:name');
+    }
+  }
+);
+
+// Delete a branding profile no class uses
+app.delete('/branding-profiles/:name',
+  security.requireScope('classes:admin'),
+  security.validationRules.brandingProfileName,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      sendBrandingResult(res, await brandingService.deleteProfile(req.params.name));
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/branding-profiles/:name');
+    }
+  }
+);
+
+// =====================================
+// Tenants (operator only)
+// =====================================
+
+const sendTenantResult = (res, result, status = 200) => {
+  if (result.success) {
+    return res.status(status).json(result);
+  }
+
+  const statuses = {
+    'Tenant not found': 404,
+    'API key not found': 404,
+    'Tenant already exists': 409,
+    'Issuer already in use': 409,
+    'Scope not allowed': 403,
+    'Limit not allowed': 403
+  };
+  res.status(statuses[result.error] || 400).json({
+    success: false,
+    error: result.error,
+    message: result.message
+  });
+};
+
+// Register a tenant (issuer) with its service account
+app.post('/tenants',
+  security.requireScope('tenants:admin'),
+  security.requireOperator,
+  security.validationRules.tenantCreate,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      sendTenantResult(res, await tenantService.createTenant(req.body), 201);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/tenants');
+    }
+  }
+);
+
+// List tenants (credentials are never returned)
+app.get('/tenants', security.requireScope('tenants:admin'), security.requireOperator, async (req, res) => {
+  try {
+    res.json(await tenantService.listTenants());
+  } catch (error) {
+    errorHandler.handleEndpointError(error, req, res, '/tenants');
+  }
+});
+
+// Tenant with its API keys
+app.get('/tenants/:tenantId',
+  security.requireScope('tenants:admin'),
+  security.requireOperator,
+  security.validationRules.tenantId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      sendTenantResult(res, await tenantService.getTenant(req.params.tenantId));
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/tenants/:tenantId');
+    }
+  }
+);
+
+// Rename, change suffixes, disable or rotate credentials
+app.patch('/tenants/:tenantId',
+  security.requireScope('tenants:admin'),
+  security.requireOperator,
+  security.validationRules.tenantId,
+  security.validationRules.tenantUpdate,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await tenantService.updateTenant(req.params.tenantId, req.body);
+      if (result.credentialsChanged) {
+        googleWalletAuth.forgetTenant(req.params.tenantId);
+      }
+      sendTenantResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/tenants/:tenantId');
+    }
+  }
+);
+
+// Settings accepted when issuing a key
+const pickKeySettings = ({ label, scopes, expiresAt, ipAllowlist, rateLimit, signing, requireSignature }) => ({
+  label,
+  scopes,
+  expiresAt,
+  ipAllowlist,
+  rateLimit,
+  signing,
+  requireSignature
+});
+
+// Issue an API key; the key is only shown in this response
+app.post('/tenants/:tenantId/api-keys',
+  security.requireScope('tenants:admin'),
+  security.requireOperator,
+  security.validationRules.tenantId,
+  security.validationRules.apiKey,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await tenantService.createApiKey(req.params.tenantId, pickKeySettings(req.body), {
+        callerScopes: req.apiKey.scopes,
+        callerLimits: req.apiKey.limits
+      });
+      sendTenantResult(res, result, 201);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/tenants/:tenantId/api-keys');
+    }
+  }
+);
+
+// Revoke an API key
+app.delete('/tenants/:tenantId/api-keys/:keyId',
+  security.requireScope('tenants:admin'),
+  security.requireOperator,
+  security.validationRules.tenantId,
+  security.validationRules.apiKeyId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await apiKeyService.revokeKey(parseInt(req.params.keyId, 10), req.params.tenantId, {
+        callerScopes: req.apiKey.scopes
+      });
+      sendTenantResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/tenants/:tenantId/api-keys/:keyId');
+    }
+  }
+);
+
+// =====================================
+// API Keys (keys:admin)
+// =====================================
+
+// Tenant whose keys the caller manages: any for the operator, else its own
+const keyTenantFilter = () => (tenantService.current().isDefault ? null : tenantService.getTenantId());
+
+// Issue a key for the caller's tenant (operators may name another tenant)
+app.post('/api-keys',
+  security.requireScope('keys:admin'),
+  security.validationRules.apiKeyTenant,
+  security.validationRules.apiKey,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const current = tenantService.getTenantId();
+      const tenantId = req.body.tenantId || current;
+      const options = { callerScopes: req.apiKey.scopes, callerLimits: req.apiKey.limits };
+
+      if (tenantId !== current && !tenantService.current().isDefault) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'Keys can only be issued for your own tenant'
+        });
+      }
+
+      const result = tenantId === 'default'
+        ? await apiKeyService.issueKey(tenantId, pickKeySettings(req.body), options)
+        : await tenantService.createApiKey(tenantId, pickKeySettings(req.body), options);
+      sendTenantResult(res, result, 201);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/api-keys');
+    }
+  }
+);
+
+// List keys (never the keys themselves)
+app.get('/api-keys', security.requireScope('keys:admin'), async (req, res) => {
+  try {
+    res.json(await apiKeyService.listKeys(keyTenantFilter()));
+  } catch (error) {
+    errorHandler.handleEndpointError(error, req, res, '/api-keys');
+  }
+});
+
+app.get('/api-keys/scopes', security.requireScope('keys:admin'), (req, res) => {
+  res.json({
+    success: true,
+    scopes: apiKeyService.getScopes()
+  });
+});
+
+app.get('/api-keys/:keyId',
+  security.requireScope('keys:admin'),
+  security.validationRules.apiKeyId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      sendTenantResult(res, await apiKeyService.getKey(parseInt(req.params.keyId, 10), keyTenantFilter()));
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/api-keys/:keyId');
+    }
+  }
+);
+
+// Replace a key with a new secret and the same settings
+app.post('/api-keys/:keyId/rotate',
+  security.requireScope('keys:admin'),
+  security.validationRules.apiKeyId,
+  security.validationRules.apiKeyRotation,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await apiKeyService.rotateKey(parseInt(req.params.keyId, 10), {
+        graceSeconds: req.body.graceSeconds ? parseInt(req.body.graceSeconds, 10) : 0
+      }, keyTenantFilter(), { callerScopes: req.apiKey.scopes, callerLimits: req.apiKey.limits });
+      sendTenantResult(res, result, 201);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/api-keys/:keyId/rotate');
+    }
+  }
+);
+
+app.delete('/api-keys/:keyId',
+  security.requireScope('keys:admin'),
+  security.validationRules.apiKeyId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await apiKeyService.revokeKey(parseInt(req.params.keyId, 10), keyTenantFilter(), {
+        callerScopes: req.apiKey.scopes
+      });
+      sendTenantResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/api-keys/:keyId');
+    }
+  }
+);
+
+// List loyalty classes, a page at a time
+app.get('/classes',
+  security.requireScope('classes:read'),
+  security.validationRules.classListFilters,
+  security.validationRules.pageToken,
+  security.validationRules.limit,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyClassService.listClasses({
+        reviewStatus: req.query.reviewStatus || null,
+        pageToken: req.query.pageToken || null,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : 50
+      });
+
+      if (result.success) {
+        res.json({
+          success: true,
+          classes: result.classes,
+          count: result.count,
+          nextPageToken: result.nextPageToken
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/classes');
     }
+  }
+);
 
-    // Generate Save to Wallet URL
-    const saveUrlResult = jwtService.generateSaveToWalletURL(result.data);
+// =====================================
+// Tier Program
+// =====================================
 
-    res.status(201).json({
+// List tiers (optionally the override for a specific class)
+app.get('/tiers', security.requireScope('classes:read'), async (req, res) => {
+  try {
+    const classId = req.query.classId || null;
+    const tiers = tierEngine.getTiers(classId);
+
+    res.json({
       success: true,
-      objectId: objectId,
       classId: classId,
-      userId: userId,
-      memberName: memberName,
-      points: points,
-      tier: calculatedTier,
-      saveUrl: saveUrlResult.saveUrl,
-      message: 'Loyalty card created successfully'
+      tiers: tiers,
+      qualification: tierEngine.getQualification(classId),
+      count: tiers.length
     });
-
   } catch (error) {
-    errorHandler.handleEndpointError(error, req, res, '/create-card');
+    errorHandler.handleEndpointError(error, req, res, '/tiers');
   }
 });
 
-// Get loyalty object
-app.get('/object/:objectId', async (req, res) => {
+// Re-evaluate every member's tier now (also runs on a schedule)
+app.post('/tiers/reevaluate', security.requireScope('classes:admin'), async (req, res) => {
   try {
-    const { objectId } = req.params;
-
-    const result = await loyaltyObjectService.getObject(objectId);
+    const result = await tierEvaluator.reevaluateAll();
 
     if (result.success) {
-      res.json({
-        success: true,
-        object: result.data
-      });
+      res.json(result);
     } else {
-      res.status(404).json({
+      res.status(result.error === 'Already running' ? 409 : 500).json({
         success: false,
         error: result.error,
         message: result.message
       });
     }
-
   } catch (error) {
-    errorHandler.handleEndpointError(error, req, res, '/object/:objectId');
+    errorHandler.handleEndpointError(error, req, res, '/tiers/reevaluate');
   }
 });
 
-// List all loyalty objects
-app.get('/objects', async (req, res) => {
+// Re-evaluate a single member's tier
+app.post('/users/:userId/tier/reevaluate',
+  security.requireScope('points:write'),
+  security.validationRules.userId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await tierEvaluator.reevaluateUser(req.params.userId);
+
+      if (result.success) {
+        res.json(result);
+      } else {
+        res.status(result.error === 'User card not found' ? 404 : 400).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/users/:userId/tier/reevaluate');
+    }
+  }
+);
+
+// =====================================
+// Loyalty Object (Card) Management
+// =====================================
+
+// Create loyalty card
+app.post('/create-card',
+  security.requireScope('cards:write'),
+  security.validationRules.pointsBalance,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const {
+        classId,
+        userId,
+        memberName,
+        tier,
+        barcodeType = 'QR_CODE',
+        barcodeValue,
+        validFrom,
+        validUntil,
+        accountId,
+        primaryButton,
+        links,
+        brandingProfile
+      } = req.body;
+      const points = req.body.points === undefined ? 0 : parseInt(req.body.points, 10);
+
+      // Validation
+      if (!classId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Class ID is required',
+          message: 'Please provide a classId'
+        });
+      }
+
+      if (!userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'User ID is required',
+          message: 'Please provide a userId'
+        });
+      }
+
+      if (!memberName) {
+        return res.status(400).json({
+          success: false,
+          error: 'Member name is required',
+          message: 'Please provide a memberName'
+        });
+      }
+
+      if (tier && !tierEngine.getTier(tier, classId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tier',
+          message: `Tier must be one of: ${tierEngine.getTiers(classId).map(t => t.name).join(', ')}`
+        });
+      }
+
+      // Calculate tier if not provided
+      const calculatedTier = tier || tierEngine.calculateTier(points, classId);
+
+      // Build barcode configuration
+      const barcodeConfig = {
+        type: barcodeType,
+        value: barcodeValue || `MEMBER_${userId}`
+      };
+
+      // Links and locations from the branding profile (or the class's profile)
+      const branding = await brandingService.applyToCard(classId, brandingProfile, { links });
+      if (!branding.success) {
+        return res.status(400).json(branding);
+      }
+
+      // Create loyalty object using the service (includes all text modules)
+      const createOptions = {
+        classId: classId,
+        points: points,
+        tier: calculatedTier,
+        memberName: memberName,
+        barcode: barcodeConfig,
+        primaryButton: primaryButton,
+        ...branding.options
+      };
+
+      const result = await loyaltyObjectService.createObject(userId, createOptions);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+
+      // Keep a local card record so the points ledger can work against it
+      await dbService.transaction(async () => {
+        await dbService.saveCard({
+          userId,
+          objectId: result.objectId,
+          classId,
+          memberName,
+          points,
+          tier: calculatedTier
+        });
+
+        if (points > 0) {
+          await dbService.createTransaction(userId, 'initial', points, 'Initial balance', 0, points);
+        }
+      });
+
+      // Generate Save to Wallet URL
+      const saveUrlResult = jwtService.generateSaveToWalletURL(result.data);
+
+      res.status(201).json({
+        success: true,
+        objectId: result.objectId,
+        classId: classId,
+        userId: userId,
+        memberName: memberName,
+        points: points,
+        tier: calculatedTier,
+        saveUrl: saveUrlResult.saveUrl,
+        message: 'Loyalty card created successfully'
+      });
+
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/create-card');
+    }
+  }
+);
+
+// Get loyalty object
+app.get('/object/:objectId', security.requireScope('cards:read'), async (req, res) => {
   try {
-    const result = await loyaltyObjectService.listObjects();
+    const { objectId } = req.params;
+
+    const result = await loyaltyObjectService.getObject(objectId);
 
     if (result.success) {
+      // Whether a user saved the card, from Google Wallet callbacks
+      const saveStatus = await walletCallbackService.getSaveStatus(objectId);
+
       res.json({
         success: true,
-        objects: result.objects,
-        count: result.count
+        object: result.data,
+        ...saveStatus
       });
     } else {
-      res.status(500).json({
+      res.status(404).json({
         success: false,
         error: result.error,
         message: result.message
@@ -553,179 +1698,786 @@ app.get('/objects', async (req, res) => {
     }
 
   } catch (error) {
-    errorHandler.handleEndpointError(error, req, res, '/objects');
+    errorHandler.handleEndpointError(error, req, res, '/object/:objectId');
   }
 });
 
-// Update points
-app.post('/update-points/:objectId', async (req, res) => {
-  try {
-    const { objectId } = req.params;
-    const { points, tier } = req.body;
-
-    if (points === undefined || points === null) {
-      return res.status(400).json({
-        success: false,
-        error: 'Points value is required',
-        message: 'Please provide a points value'
+// List a class's loyalty objects, a page at a time
+app.get('/objects',
+  security.requireScope('cards:read'),
+  security.validationRules.objectListFilters,
+  security.validationRules.pageToken,
+  security.validationRules.limit,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { classId, tier, state, minPoints, maxPoints, pageToken, limit } = req.query;
+      const result = await loyaltyObjectService.listObjects({
+        classId: classId || null,
+        tier: tier || null,
+        state: state || null,
+        minPoints: minPoints !== undefined ? parseInt(minPoints, 10) : null,
+        maxPoints: maxPoints !== undefined ? parseInt(maxPoints, 10) : null,
+        pageToken: pageToken || null,
+        limit: limit ? parseInt(limit, 10) : 50
       });
-    }
 
-    // Calculate tier if not provided
-    let calculatedTier = tier;
-    if (!tier) {
-      if (points >= 2000) calculatedTier = 'Gold';
-      else if (points >= 500) calculatedTier = 'Silver';
-      else calculatedTier = 'Bronze';
+      if (result.success) {
+        res.json({
+          success: true,
+          objects: result.objects,
+          count: result.count,
+          nextPageToken: result.nextPageToken
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/objects');
     }
+  }
+);
 
-    // Get current object
-    const getResult = await loyaltyObjectService.getObject(objectId);
-    if (!getResult.success) {
-      return res.status(404).json({
-        success: false,
-        error: 'Object not found',
-        message: `Loyalty object ${objectId} not found`
+// Look up the Wallet object ID for a user
+app.get('/users/:userId/object-id',
+  security.requireScope('cards:read'),
+  security.validationRules.objectIdLookup,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyObjectService.lookupObjectId(req.params.userId, req.query.classId || null);
+
+      res.json({
+        success: true,
+        ...result
       });
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/users/:userId/object-id');
     }
+  }
+);
 
-    // Update object
-    const updatedObject = {
-      ...getResult.data,
-      loyaltyPoints: {
-        balance: {
-          string: String(points)
-        }
-      },
-      secondaryLoyaltyPoints: {
-        label: 'Tier',
-        localizedLabel: {
-          defaultValue: { language: 'en-US', value: 'Tier' }
+// Update points
+app.post('/update-points/:objectId',
+  security.requireScope('points:write'),
+  security.validationRules.pointsBalance,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { objectId } = req.params;
+      const { tier } = req.body;
+
+      if (req.body.points === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Points value is required',
+          message: 'Please provide a points value'
+        });
+      }
+      const points = parseInt(req.body.points, 10);
+
+      // Get current object
+      const getResult = await loyaltyObjectService.getObject(objectId);
+      if (!getResult.success) {
+        return res.status(404).json({
+          success: false,
+          error: 'Object not found',
+          message: `Loyalty object ${objectId} not found`
+        });
+      }
+
+      const classId = getResult.data.classId;
+      if (tier && !tierEngine.getTier(tier, classId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tier',
+          message: `Tier must be one of: ${tierEngine.getTiers(classId).map(t => t.name).join(', ')}`
+        });
+      }
+
+      // Calculate tier if not provided (from the member's qualification when we have a card)
+      const card = await dbService.getCardByObjectId(objectId);
+      let evaluation = null;
+      if (!tier && card) {
+        evaluation = await tierEvaluator.evaluate(card, { balance: points });
+      }
+      const calculatedTier = tier || (evaluation ? evaluation.tier : tierEngine.calculateTier(points, classId));
+
+      // Update object (smartTapRedemptionValue can't be sent alongside loyaltyPoints in a PATCH)
+      const { smartTapRedemptionValue, ...currentObject } = getResult.data;
+      const updatedObject = {
+        ...currentObject,
+        loyaltyPoints: {
+          balance: {
+            string: String(points)
+          }
         },
-        balance: {
-          string: calculatedTier
+        secondaryLoyaltyPoints: {
+          label: 'Tier',
+          localizedLabel: {
+            defaultValue: { language: 'en-US', value: 'Tier' }
+          },
+          balance: {
+            string: calculatedTier
+          }
+        }
+      };
+
+      const result = await loyaltyObjectService.updateObject(objectId, updatedObject);
+
+      if (result.success) {
+        // Mirror the overwrite in the local ledger so balances don't drift. The
+        // card is read again because points may have moved during the Wallet call.
+        if (card) {
+          await dbService.transaction(async () => {
+            const current = await dbService.getCardByObjectId(objectId);
+            if (!current) {
+              return;
+            }
+            await dbService.updateCardPoints(current.user_id, points, calculatedTier);
+            await dbService.updateTierStatus(current.user_id, {
+              tier: calculatedTier,
+              graceUntil: evaluation ? evaluation.graceUntil : null
+            });
+            await dbService.createTransaction(current.user_id, 'adjust', points - current.points, 'Balance overwrite', current.points, points);
+          });
         }
+
+        res.json({
+          success: true,
+          objectId: objectId,
+          points: points,
+          tier: calculatedTier,
+          message: 'Points updated successfully'
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
       }
-    };
 
-    const result = await loyaltyObjectService.updateObject(objectId, updatedObject);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/update-points/:objectId');
+    }
+  }
+);
+
+// =====================================
+// Points Ledger
+// =====================================
+
+// Map PointsManager failures onto HTTP status codes
+const pointsErrorStatus = (error) => {
+  const notFound = ['User card not found', 'Sender card not found', 'Recipient card not found'];
+  return notFound.includes(error) ? 404 : 400;
+};
+
+const sendPointsResult = (res, result, successStatus = 200) => {
+  if (result.success) {
+    return res.status(successStatus).json(result);
+  }
+
+  res.status(pointsErrorStatus(result.error)).json({
+    success: false,
+    error: result.error,
+    message: result.message
+  });
+};
+
+// Get points balance
+app.get('/users/:userId/points',
+  security.requireScope('points:read'),
+  security.validationRules.userId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await pointsManager.getPointsBalance(req.params.userId);
+      sendPointsResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/users/:userId/points');
+    }
+  }
+);
+
+// Earn points
+app.post('/users/:userId/points/earn',
+  security.requireScope('points:write'),
+  security.validationRules.userId,
+  security.validationRules.points,
+  security.validationRules.reason,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { points, reason } = req.body;
+
+      const result = await pointsManager.addPoints(userId, parseInt(points, 10), reason);
+      sendPointsResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/users/:userId/points/earn');
+    }
+  }
+);
+
+// Redeem points
+app.post('/users/:userId/points/redeem',
+  security.requireScope('points:write'),
+  security.validationRules.userId,
+  security.validationRules.points,
+  security.validationRules.reason,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { points, reason } = req.body;
+
+      const result = await pointsManager.redeemPoints(userId, parseInt(points, 10), reason);
+      sendPointsResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/users/:userId/points/redeem');
+    }
+  }
+);
+
+// Apply a signed points delta (positive = earn, negative = redeem)
+app.post('/users/:userId/points/delta',
+  security.requireScope('points:write'),
+  security.validationRules.userId,
+  security.validationRules.pointsDelta,
+  security.validationRules.reason,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { pointsDelta, reason } = req.body;
+
+      const result = await pointsManager.processPointsDelta(userId, parseInt(pointsDelta, 10), reason);
+      sendPointsResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/users/:userId/points/delta');
+    }
+  }
+);
+
+// Transfer points between members
+app.post('/points/transfer',
+  security.requireScope('points:write'),
+  security.validationRules.transferPoints,
+  security.validationRules.reason,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { fromUserId, toUserId, points, reason } = req.body;
+
+      if (fromUserId === toUserId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid transfer',
+          message: 'Cannot transfer points to the same user'
+        });
+      }
+
+      const result = await pointsManager.transferPoints(fromUserId, toUserId, parseInt(points, 10), reason);
+      sendPointsResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/points/transfer');
+    }
+  }
+);
+
+// Push stored balances to Wallet for cards a transfer could not patch
+app.post('/points/reconcile',
+  security.requireScope('points:write'),
+  security.validationRules.limit,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+      const result = await pointsManager.reconcileWallets(limit);
+      sendPointsResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/points/reconcile');
+    }
+  }
+);
+
+// Transaction history
+app.get('/users/:userId/transactions',
+  security.requireScope('points:read'),
+  security.validationRules.userId,
+  security.validationRules.limit,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+      const card = await dbService.getCard(userId);
+      if (!card) {
+        return res.status(404).json({
+          success: false,
+          error: 'User card not found',
+          message: 'User does not have a loyalty card'
+        });
+      }
+
+      const transactions = await pointsManager.getTransactionHistory(userId, limit);
 
-    if (result.success) {
       res.json({
         success: true,
-        objectId: objectId,
-        points: points,
-        tier: calculatedTier,
-        message: 'Points updated successfully'
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        error: result.error,
-        message: result.message
+        userId: userId,
+        transactions: transactions,
+        count: transactions.length
       });
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/users/:userId/transactions');
     }
+  }
+);
+
+// Transaction statistics
+app.get('/users/:userId/stats',
+  security.requireScope('points:read'),
+  security.validationRules.userId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const card = await dbService.getCard(userId);
+      if (!card) {
+        return res.status(404).json({
+          success: false,
+          error: 'User card not found',
+          message: 'User does not have a loyalty card'
+        });
+      }
 
-  } catch (error) {
-    errorHandler.handleEndpointError(error, req, res, '/update-points/:objectId');
+      const result = await pointsManager.getTransactionStats(userId);
+      sendPointsResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/users/:userId/stats');
+    }
   }
-});
+);
 
 // =====================================
 // Push Notifications
 // =====================================
 
-// Send notification
-app.post('/send-notification/:objectId', async (req, res) => {
-  try {
-    const { objectId } = req.params;
-    const { header, body, footer } = req.body;
+// Send notification: stacks a TEXT_AND_NOTIFY message on the pass (counts against the push quota)
+app.post('/send-notification/:objectId',
+  security.requireScope('notifications:send'),
+  security.validationRules.objectId,
+  security.validationRules.objectMessage,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { objectId } = req.params;
+      const { header, body, footer, displayInterval } = req.body;
+
+      // Get current object
+      const getResult = await loyaltyObjectService.getObject(objectId);
+      if (!getResult.success) {
+        return res.status(404).json({
+          success: false,
+          error: 'Object not found',
+          message: `Loyalty object ${objectId} not found`
+        });
+      }
 
-    if (!body) {
-      return res.status(400).json({
-        success: false,
-        error: 'Message body is required',
-        message: 'Please provide a message body'
-      });
-    }
+      const result = await notificationService.sendObjectMessage(
+        objectId,
+        { header, body, footer, displayInterval },
+        { actor: security.getApiKeyId(req), userId: getResult.data.accountId }
+      );
+
+      if (result.success) {
+        res.json({
+          ...result,
+          notification: {
+            header: header || 'Notification',
+            body: body,
+            footer: footer,
+            displayInterval: displayInterval
+          }
+        });
+      } else {
+        res.status(result.error === 'Object not found' ? 404 : 400).json({
+          success: false,
+          error: result.error,
+          message: result.message,
+          notificationId: result.notificationId
+        });
+      }
 
-    // Get current object
-    const getResult = await loyaltyObjectService.getObject(objectId);
-    if (!getResult.success) {
-      return res.status(404).json({
-        success: false,
-        error: 'Object not found',
-        message: `Loyalty object ${objectId} not found`
-      });
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/send-notification/:objectId');
     }
+  }
+);
 
-    const currentObject = getResult.data;
+// Respond with a message operation result (404 for unknown objects or messages)
+const sendMessageResult = (res, result) => {
+  if (result.success) {
+    return res.json(result);
+  }
 
-    // Add or update message
-    const message = {
-      header: header || 'Notification',
-      body: body,
-      localizedHeader: {
-        defaultValue: { language: 'en-US', value: header || 'Notification' }
-      },
-      localizedBody: {
-        defaultValue: { language: 'en-US', value: body }
+  const notFound = ['Object not found', 'Message not found'].includes(result.error);
+  res.status(notFound ? 404 : 400).json({
+    success: false,
+    error: result.error,
+    message: result.message
+  });
+};
+
+// Messages currently on a pass
+app.get('/object/:objectId/messages',
+  security.requireScope('notifications:read'),
+  security.validationRules.objectId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyObjectService.getMessages(req.params.objectId);
+      sendMessageResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/object/:objectId/messages');
+    }
+  }
+);
+
+// Delete a message from a pass
+app.delete('/object/:objectId/messages/:messageId',
+  security.requireScope('notifications:send'),
+  security.validationRules.objectId,
+  security.validationRules.messageId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyObjectService.removeMessage(req.params.objectId, req.params.messageId);
+      sendMessageResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/object/:objectId/messages/:messageId');
+    }
+  }
+);
+
+// Expire a message now (kept on the pass but no longer displayed)
+app.post('/object/:objectId/messages/:messageId/expire',
+  security.requireScope('notifications:send'),
+  security.validationRules.objectId,
+  security.validationRules.messageId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await loyaltyObjectService.expireMessage(req.params.objectId, req.params.messageId);
+      sendMessageResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/object/:objectId/messages/:messageId/expire');
+    }
+  }
+);
+
+// Notification log for a user (newest first)
+app.get('/users/:userId/notifications',
+  security.requireScope('notifications:read'),
+  security.validationRules.userId,
+  security.validationRules.limit,
+  security.validationRules.offset,
+  security.validationRules.since,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await notificationService.getNotificationHistory(req.params.userId, {
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : 50,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : 0,
+        since: req.query.since ? new Date(req.query.since).toISOString() : null
+      });
+
+      if (result.success) {
+        res.json(result);
+      } else {
+        res.status(404).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
       }
-    };
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/users/:userId/notifications');
+    }
+  }
+);
+
+// Notification log across all users (newest first)
+app.get('/notifications',
+  security.requireScope('notifications:read'),
+  security.validationRules.limit,
+  security.validationRules.offset,
+  security.validationRules.since,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await notificationService.listNotifications({
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : 50,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : 0,
+        since: req.query.since ? new Date(req.query.since).toISOString() : null
+      });
 
-    if (footer) {
-      message.localizedFooter = {
-        defaultValue: { language: 'en-US', value: footer }
-      };
+      res.json(result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/notifications');
+    }
+  }
+);
+
+// Queue a batch notification job
+app.post('/notifications/batch',
+  security.requireScope('notifications:send'),
+  security.validationRules.batchNotification,
+  security.validationRules.notificationType,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { userIds, type, data, silent } = req.body;
+
+      const result = await batchSender.createJob(
+        { userIds, type, data, silent },
+        { actor: security.getApiKeyId(req) }
+      );
+
+      if (result.success) {
+        res.status(202).json(result);
+      } else {
+        res.status(400).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/notifications/batch');
+    }
+  }
+);
+
+// Batch job progress
+app.get('/notifications/batch/:jobId',
+  security.requireScope('notifications:read'),
+  security.validationRules.jobId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await batchSender.getJob(parseInt(req.params.jobId, 10));
+
+      if (result.success) {
+        res.json(result);
+      } else {
+        res.status(404).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/notifications/batch/:jobId');
     }
+  }
+);
 
-    const updatedObject = {
-      ...currentObject,
-      messages: [message]
-    };
+// Notification types and template locales
+app.get('/notifications/templates',
+  security.requireScope('notifications:read'),
+  security.validationRules.templateClassId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const classId = req.query.classId || null;
 
-    const result = await loyaltyObjectService.updateObject(objectId, updatedObject);
+      res.json({
+        success: true,
+        classId,
+        defaultLocale: templateEngine.getDefaultLocale(),
+        templates: templateEngine.listTemplates(classId)
+      });
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/notifications/templates');
+    }
+  }
+);
+
+// Render a notification template without sending it
+app.post('/notifications/templates/preview',
+  security.requireScope('notifications:read'),
+  security.validationRules.templatePreview,
+  security.validationRules.notificationType,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { type, data, classId, locale } = req.body;
+      const preview = templateEngine.preview(type, data || {}, { classId, locale });
 
-    if (result.success) {
       res.json({
         success: true,
-        objectId: objectId,
-        message: 'Notification sent successfully',
-        notification: {
-          header: header || 'Notification',
-          body: body,
-          footer: footer
+        ...preview,
+        message: {
+          header: preview.header,
+          body: preview.body,
+          localizedHeader: preview.localizedHeader,
+          localizedBody: preview.localizedBody,
+          messageType: 'TEXT_AND_NOTIFY'
         }
       });
-    } else {
-      res.status(400).json({
-        success: false,
-        error: result.error,
-        message: result.message
-      });
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/notifications/templates/preview');
+    }
+  }
+);
+
+// Remaining push notification quota for a user's card
+app.get('/users/:userId/notifications/quota',
+  security.requireScope('notifications:read'),
+  security.validationRules.userId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await notificationService.getUserQuota(req.params.userId);
+
+      if (result.success) {
+        res.json(result);
+      } else {
+        res.status(404).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/users/:userId/notifications/quota');
     }
+  }
+);
 
-  } catch (error) {
-    errorHandler.handleEndpointError(error, req, res, '/send-notification/:objectId');
+// =====================================
+// Notification Campaigns
+// =====================================
+
+// Schedule a one-off or recurring campaign
+app.post('/campaigns',
+  security.requireScope('notifications:send'),
+  security.validationRules.campaign,
+  security.validationRules.notificationType,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name, type, data, silent, target, runAt, cron } = req.body;
+
+      const result = await campaignService.createCampaign(
+        { name, type, data, silent, target, runAt, cron },
+        { actor: security.getApiKeyId(req) }
+      );
+
+      if (result.success) {
+        res.status(201).json(result);
+      } else {
+        res.status(400).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/campaigns');
+    }
   }
-});
+);
+
+// List campaigns (newest first)
+app.get('/campaigns',
+  security.requireScope('notifications:read'),
+  security.validationRules.campaignStatus,
+  security.validationRules.limit,
+  security.validationRules.offset,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await campaignService.listCampaigns({
+        status: req.query.status || null,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : 50,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : 0
+      });
+
+      res.json(result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/campaigns');
+    }
+  }
+);
+
+// Campaign details and delivery reports
+app.get('/campaigns/:campaignId',
+  security.requireScope('notifications:read'),
+  security.validationRules.campaignId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await campaignService.getCampaign(parseInt(req.params.campaignId, 10));
+
+      if (result.success) {
+        res.json(result);
+      } else {
+        res.status(404).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/campaigns/:campaignId');
+    }
+  }
+);
+
+// Cancel a campaign's future runs
+app.post('/campaigns/:campaignId/cancel',
+  security.requireScope('notifications:send'),
+  security.validationRules.campaignId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await campaignService.cancelCampaign(parseInt(req.params.campaignId, 10));
+
+      if (result.success) {
+        res.json(result);
+      } else {
+        res.status(result.error === 'Campaign not found' ? 404 : 409).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/campaigns/:campaignId/cancel');
+    }
+  }
+);
 
 // =====================================
 // JWT / Save to Wallet
 // =====================================
 
-// Generate Save to Wallet URL
-app.post('/get-save-url', async (req, res) => {
+// Generate Save to Wallet URL for an existing object
+// mode "skinny" (default) references the stored object by ID, "fat" embeds it
+app.post('/get-save-url', security.requireScope('cards:write'), security.validationRules.saveUrl, security.handleValidationErrors, async (req, res) => {
   try {
-    const { objectId } = req.body;
-
-    if (!objectId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Object ID is required',
-        message: 'Please provide an objectId'
-      });
-    }
+    const { objectId, mode = 'skinny', expiresIn, origins } = req.body;
 
     // Get object from Google Wallet
     const getResult = await loyaltyObjectService.getObject(objectId);
@@ -737,22 +2489,26 @@ app.post('/get-save-url', async (req, res) => {
       });
     }
 
-    // Generate JWT
-    const jwt = jwtService.generateJWT({
-      iss: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-      aud: 'google',
-      typ: 'savetowallet',
-      payload: {
-        loyaltyObjects: [getResult.data]
-      }
-    });
+    const jwtResult = jwtService.buildSaveJwt(
+      { loyaltyObjects: [getResult.data] },
+      { mode, expiresIn, origins }
+    );
 
-    const saveUrl = `https://pay.google.com/gp/v/save/${jwt}`;
+    if (!jwtResult.success) {
+      return res.status(500).json({
+        success: false,
+        error: jwtResult.error,
+        message: jwtResult.message
+      });
+    }
 
     res.json({
       success: true,
       objectId: objectId,
-      saveUrl: saveUrl,
+      mode: jwtResult.mode,
+      saveUrl: jwtResult.saveUrl,
+      jwt: jwtResult.jwt,
+      expiresAt: jwtResult.expiresAt,
       message: 'Save URL generated successfully'
     });
 
@@ -761,6 +2517,213 @@ app.post('/get-save-url', async (req, res) => {
   }
 });
 
+// =====================================
+// Google Wallet Callbacks
+// =====================================
+
+// Save/delete callbacks from Google Wallet. Public: the body carries Google's
+// ECv2SigningOnly signature instead of an API key.
+app.post('/wallet/callbacks', async (req, res) => {
+  try {
+    const result = await walletCallbackService.handleCallback(req.body);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.error === 'Invalid callback' ? 400 : 500).json({
+        success: false,
+        error: result.error,
+        message: result.message
+      });
+    }
+
+  } catch (error) {
+    errorHandler.handleEndpointError(error, req, res, '/wallet/callbacks');
+  }
+});
+
+// =====================================
+// Card Import
+// =====================================
+
+// Create or update cards for the members in an uploaded CSV, NDJSON or JSON
+// file (multipart field "file"). Answers with a result per row.
+app.post('/import/cards',
+  security.requireScope('cards:write'),
+  security.validationRules.cardImport,
+  security.handleValidationErrors,
+  singleFileUpload('file'),
+  idempotency,
+  async (req, res) => {
+    try {
+      const format = req.query.format || cardImportService.detectFormat(req.file.filename, req.file.mimetype);
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unknown format',
+          message: 'Name the file .csv, .ndjson or .json, or pass format'
+        });
+      }
+
+      const result = await cardImportService.importCards(req.file.content, {
+        format,
+        classId: req.query.classId || null,
+        dryRun: req.query.dryRun === 'true'
+      });
+
+      if (result.success) {
+        res.status(result.dryRun ? 200 : 201).json(result);
+      } else {
+        res.status(400).json({
+          success: false,
+          error: result.error,
+          message: result.message
+        });
+      }
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/import/cards');
+    }
+  }
+);
+
+// =====================================
+// Webhooks (webhooks:admin)
+// =====================================
+
+const sendWebhookResult = (res, result, status = 200) => {
+  if (result.success) {
+    return res.status(status).json(result);
+  }
+
+  const statuses = { 'Webhook not found': 404, 'Delivery not found': 404, 'Delivery in progress': 409, 'Webhook disabled': 409 };
+  res.status(statuses[result.error] || 400).json({
+    success: false,
+    error: result.error,
+    message: result.message
+  });
+};
+
+// Subscribe a URL to loyalty events of the caller's tenant
+app.post('/webhooks',
+  security.requireScope('webhooks:admin'),
+  security.validationRules.webhookCreate,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { url, events, description } = req.body;
+      sendWebhookResult(res, await webhookService.createSubscription({ url, events, description }), 201);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/webhooks');
+    }
+  }
+);
+
+app.get('/webhooks', security.requireScope('webhooks:admin'), async (req, res) => {
+  try {
+    res.json(await webhookService.listSubscriptions());
+  } catch (error) {
+    errorHandler.handleEndpointError(error, req, res, '/webhooks');
+  }
+});
+
+app.get('/webhooks/events', security.requireScope('webhooks:admin'), (req, res) => {
+  res.json({
+    success: true,
+    events: webhookService.getEventTypes()
+  });
+});
+
+// Deliveries that ran out of attempts
+app.get('/webhooks/dead-letters',
+  security.requireScope('webhooks:admin'),
+  security.validationRules.webhookDeliveryQuery,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      res.json(await webhookService.listDeadLetters({ limit: req.query.limit ? parseInt(req.query.limit, 10) : 50 }));
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/webhooks/dead-letters');
+    }
+  }
+);
+
+app.get('/webhooks/:webhookId',
+  security.requireScope('webhooks:admin'),
+  security.validationRules.webhookId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      sendWebhookResult(res, await webhookService.getSubscription(parseInt(req.params.webhookId, 10)));
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/webhooks/:webhookId');
+    }
+  }
+);
+
+app.patch('/webhooks/:webhookId',
+  security.requireScope('webhooks:admin'),
+  security.validationRules.webhookId,
+  security.validationRules.webhookUpdate,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { url, events, description, status, rotateSecret } = req.body;
+      const result = await webhookService.updateSubscription(parseInt(req.params.webhookId, 10), {
+        url, events, description, status, rotateSecret
+      });
+      sendWebhookResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/webhooks/:webhookId');
+    }
+  }
+);
+
+app.delete('/webhooks/:webhookId',
+  security.requireScope('webhooks:admin'),
+  security.validationRules.webhookId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      sendWebhookResult(res, await webhookService.deleteSubscription(parseInt(req.params.webhookId, 10)));
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/webhooks/:webhookId');
+    }
+  }
+);
+
+// Delivery log of a subscription (newest first)
+app.get('/webhooks/:webhookId/deliveries',
+  security.requireScope('webhooks:admin'),
+  security.validationRules.webhookId,
+  security.validationRules.webhookDeliveryQuery,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await webhookService.listDeliveries(parseInt(req.params.webhookId, 10), {
+        status: req.query.status || null,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : 50
+      });
+      sendWebhookResult(res, result);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/webhooks/:webhookId/deliveries');
+    }
+  }
+);
+
+// Send a delivery again, e.g. from the dead-letter list
+app.post('/webhooks/deliveries/:deliveryId/redeliver',
+  security.requireScope('webhooks:admin'),
+  security.validationRules.webhookDeliveryId,
+  security.handleValidationErrors,
+  async (req, res) => {
+    try {
+      sendWebhookResult(res, await webhookService.redeliver(parseInt(req.params.deliveryId, 10)), 202);
+    } catch (error) {
+      errorHandler.handleEndpointError(error, req, res, '/webhooks/deliveries/:deliveryId/redeliver');
+    }
+  }
+);
+
 // =====================================
 // Error Handling
 // =====================================
@@ -797,36 +2760,63 @@ app.use((err, req, res, next) => {
 // Start Server
 // =====================================
 
-app.listen(PORT, async () => {
-  console.log(`\n🚀 Google Wallet Loyalty Card API v2.0.0`);
-  console.log(`📡 Server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`\n📖 Endpoints:`);
-  console.log(`   Health: http://localhost:${PORT}/health`);
-  console.log(`   API docs: http://localhost:${PORT}/api`);
-  console.log(`   Root: http://localhost:${PORT}/`);
-  console.log(`\n🔒 CORS allowed origins:`);
-  console.log(`   ${process.env.NODE_ENV === 'production' ? 'Production URLs only' : 'Development + Production URLs'}`);
+// Only listen when run directly (npm start); tests and Vercel import the app
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    console.log(`\n🚀 Google Wallet Loyalty Card API v2.0.0`);
+    console.log(`📡 Server running on port ${PORT}`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`\n📖 Endpoints:`);
+    console.log(`   Health: http://localhost:${PORT}/health`);
+    console.log(`   API docs: http://localhost:${PORT}/api`);
+    console.log(`   Root: http://localhost:${PORT}/`);
+    console.log(`\n🔒 CORS allowed origins:`);
+    console.log(`   ${process.env.NODE_ENV === 'production' ? 'Production URLs only' : 'Development + Production URLs'}`);
+
+    // Validate environment on startup
+    const validation = validateEnvironment();
+    logValidationResults(validation);
+
+    // Initialize Google Wallet authentication
+    try {
+      const authTest = await googleWalletAuth.testConnection();
+      if (authTest.success) {
+        console.log(`\n✅ Google Wallet API: Connected`);
+        console.log(`   Issuer ID: ${process.env.ISSUER_ID}`);
+        console.log(`   Classes found: ${authTest.classCount || 0}`);
+      } else {
+        console.error(`\n❌ Google Wallet API: ${authTest.message}`);
+      }
+    } catch (error) {
+      console.error(`\n❌ Google Wallet API Error: ${error.message}`);
+    }
 
-  // Validate environment on startup
-  const validation = validateEnvironment();
-  logValidationResults(validation);
+    // Periodic tier re-evaluation (rolling window and grace period expiry)
+    tierEvaluator.start();
 
-  // Initialize Google Wallet authentication
-  try {
-    const authTest = await googleWalletAuth.testConnection();
-    if (authTest.success) {
-      console.log(`\n✅ Google Wallet API: Connected`);
-      console.log(`   Issuer ID: ${process.env.ISSUER_ID}`);
-      console.log(`   Classes found: ${authTest.classCount || 0}`);
-    } else {
-      console.error(`\n❌ Google Wallet API: ${authTest.message}`);
+    // Scheduled and recurring notification campaigns
+    try {
+      await campaignService.start();
+    } catch (error) {
+      console.error(`\n❌ Campaign scheduler failed to start: ${error.message}`);
     }
-  } catch (error) {
-    console.error(`\n❌ Google Wallet API Error: ${error.message}`);
-  }
 
-  console.log(`\n✨ API ready for requests\n`);
-});
+    // Finish batch notification jobs interrupted by the last shutdown
+    try {
+      await batchSender.resumeJobs();
+    } catch (error) {
+      console.error(`\n❌ Batch jobs failed to resume: ${error.message}`);
+    }
+
+    // Send webhook deliveries left pending by the last shutdown
+    try {
+      await webhookService.resumeDeliveries();
+    } catch (error) {
+      console.error(`\n❌ Webhook deliveries failed to resume: ${error.message}`);
+    }
+
+    console.log(`\n✨ API ready for requests\n`);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+const net = require('net');
+const dbService = require('../database/db-service');
+const logger = require('../utils/logger');
+const secretBox = require('../utils/secret-box');
+const TokenBucket = require('../utils/token-bucket');
+
+// Stored keys carry this prefix so they are never mistaken for API_KEYS entries
+const API_KEY_PREFIX = 'tk_';
+const SIGNING_SECRET_PREFIX = 'tks_';
+// Signed requests whose timestamp is further than this from the server clock
+// are refused (SIGNATURE_MAX_SKEW_SECONDS overrides)
+const DEFAULT_SIGNATURE_SKEW_SECONDS = 300;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/i;
+const ALL_SCOPES = '*';
+const SCOPES = [
+  'cards:read',
+  'cards:write',
+  'points:read',
+  'points:write',
+  'notifications:read',
+  'notifications:send',
+  'classes:read',
+  'classes:admin',
+  'keys:admin',
+  'tenants:admin',
+  'webhooks:admin'
+];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hashApiKey = sha256;
+
+// IPv4 clients reach a dual-stack server as "::ffff:1.2.3.4"
+const normalizeIp = (ip) => {
+  const mapped = typeof ip === 'string' && ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : ip;
+};
+
+// Parse "1.2.3.4", "10.0.0.0/8" or an IPv6 address/subnet
+const parseIpRule = (rule) => {
+  const [address, prefix] = String(rule).split('/');
+  const family = net.isIP(address);
+  const maxPrefix = family === 4 ? 32 : 128;
+
+  if (!family || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+    throw new Error(`Invalid IP address or CIDR range: ${rule}`);
+  }
+  return { address, prefix: prefix === undefined ? null : Number(prefix), type: family === 4 ? 'ipv4' : 'ipv6' };
+};
+
+// API keys stored hashed in the database, each belonging to a tenant
+// ("default" for the operator's own keys). A key carries:
+//   - scopes: what it may call (see SCOPES; "*" for everything). Any scope on
+//     a resource also grants reading it, so "points:write" covers "points:read"
+//   - expiresAt: optional end of validity
+//   - ipAllowlist: optional addresses/CIDR ranges the key may be used from
+//   - rateLimit: optional requests per minute for this key (in-process bucket)
+//   - signing secret: optional, for HMAC-signed requests (see verifySignature);
+//     with requireSignature the key itself is refused as a bearer token
+// Keys are shown once when issued or rotated. Rotation issues a new key with
+// the same settings and revokes the old one, or lets it expire after a grace
+// period. API_KEYS from the environment still work as operator keys with
+// every scope.
+class ApiKeyService {
+  constructor() {
+    // keyId -> { rateLimit, bucket }
+    this.buckets = new Map();
+  }
+
+  getScopes() {
+    return SCOPES;
+  }
+
+  isStoredKey(apiKey) {
+    return typeof apiKey === 'string' && apiKey.startsWith(API_KEY_PREFIX);
+  }
+
+  // Whether granted scopes allow a call that needs required
+  hasScope(granted = [], required) {
+    if (granted.includes(ALL_SCOPES) || granted.includes(required)) {
+      return true;
+    }
+
+    const [resource, action] = required.split(':');
+    return action === 'read' && granted.some(scope => scope.startsWith(`${resource}:`));
+  }
+
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('scopes must be a non-empty list');
+    }
+    const unknown = scopes.filter(scope => scope !== ALL_SCOPES && !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope: ${unknown.join(', ')}`);
+    }
+    return [...new Set(scopes)];
+  }
+
+  validateIpAllowlist(ipAllowlist) {
+    if (ipAllowlist === undefined || ipAllowlist === null) {
+      return null;
+    }
+    if (!Array.isArray(ipAllowlist) || ipAllowlist.length === 0) {
+      throw new Error('ipAllowlist must be a non-empty list of addresses or CIDR ranges');
+    }
+    ipAllowlist.forEach(parseIpRule);
+    return ipAllowlist;
+  }
+
+  isIpAllowed(ipAllowlist, ip) {
+    if (!ipAllowlist) {
+      return true;
+    }
+
+    const address = normalizeIp(ip);
+    const family = net.isIP(address);
+    if (!family) {
+      return false;
+    }
+
+    const blockList = new net.BlockList();
+    ipAllowlist.map(parseIpRule).forEach(rule => {
+      if (rule.prefix === null) {
+        blockList.addAddress(rule.address, rule.type);
+      } else {
+        blockList.addSubnet(rule.address, rule.prefix, rule.type);
+      }
+    });
+    return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  // Issue a key for a tenant. callerScopes limits what can be granted, and
+  // callerLimits (the caller's own ipAllowlist, expiresAt and rateLimit) how
+  // loose the new key may be, so a key cannot mint keys more powerful than itself.
+  async issueKey(tenantId, {
+    label = null,
+    scopes = [ALL_SCOPES],
+    expiresAt = null,
+    ipAllowlist = null,
+    rateLimit = null,
+    signing = false,
+    requireSignature = false
+  } = {}, options = {}) {
+    try {
+      const granted = this.validateScopes(scopes);
+      const escalated = this.getEscalatedScopes(granted, options.callerScopes);
+      if (escalated.length > 0) {
+        return this.scopeNotAllowed('issue', escalated);
+      }
+
+      if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+        throw new Error('expiresAt must be in the future');
+      }
+
+      const allowlist = this.validateIpAllowlist(ipAllowlist);
+      const loosened = this.getLoosenedLimits({ expiresAt, ipAllowlist: allowlist, rateLimit }, options.callerLimits);
+      if (loosened.length > 0) {
+        return this.limitNotAllowed('issue', loosened);
+      }
+
+      const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+      const signingSecret = signing || requireSignature ? this.createSigningSecret() : null;
+      const key = await dbService.createTenantApiKey({
+        tenantId,
+        keyHash: hashApiKey(apiKey),
+        keyPrefix: apiKey.substring(0, 8),
+        label,
+        scopes: granted,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        ipAllowlist: allowlist,
+        rateLimit: rateLimit || null,
+        signingSecret: signingSecret && secretBox.seal(signingSecret),
+        requireSignature
+      });
+
+      logger.info('API Key Issued', { tenantId, keyId: key.id, scopes: granted, signed: Boolean(signingSecret) });
+
+      return {
+        success: true,
+        apiKey,
+        ...(signingSecret && { signingSecret }),
+        key: this.formatKey(key),
+        message: 'Store this key now; it cannot be shown again'
+      };
+
+    } catch (error) {
+      logger.error('Failed to Issue API Key', {
+        error: error.message,
+        tenantId
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to issue API key'
+      };
+    }
+  }
+
+  // Check a presented key. Returns { success, key } or the reason it is refused.
+  async verify(apiKey, ip) {
+    if (!this.isStoredKey(apiKey)) {
+      return this.refuse('Invalid API key');
+    }
+
+    const key = await dbService.findTenantApiKey(hashApiKey(apiKey));
+    if (!key) {
+      return this.refuse('Invalid API key');
+    }
+    if (key.require_signature) {
+      return this.refuse('Signature required', key);
+    }
+
+    return this.checkKey(key, ip) || { success: true, key };
+  }
+
+  // Expiry and IP allowlist, shared by bearer and signed requests
+  checkKey(key, ip) {
+    if (key.expires_at && new Date(key.expires_at).getTime() <= Date.now()) {
+      return this.refuse('API key expired', key);
+    }
+    if (!this.isIpAllowed(key.ip_allowlist, ip)) {
+      return this.refuse('IP address not allowed', key);
+    }
+    return null;
+  }
+
+  createSigningSecret() {
+    if (!secretBox.isConfigured()) {
+      throw new Error('TENANT_ENCRYPTION_KEY must be set to store signing secrets');
+    }
+    return `${SIGNING_SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  getSignatureSkewSeconds() {
+    return parseInt(process.env.SIGNATURE_MAX_SKEW_SECONDS, 10) || DEFAULT_SIGNATURE_SKEW_SECONDS;
+  }
+
+  // What a signed request's HMAC covers, one field per line:
+  // METHOD, path with query string, timestamp, nonce, hex SHA-256 of the body
+  buildStringToSign({ method, path, timestamp, nonce, body }) {
+    return [String(method).toUpperCase(), path, timestamp, nonce, sha256(body || '')].join('\n');
+  }
+
+  sign(signingSecret, request) {
+    return crypto.createHmac('sha256', signingSecret).update(this.buildStringToSign(request)).digest('hex');
+  }
+
+  // Check a signed request: { keyId, timestamp, nonce, signature, method, path, body }.
+  // The signature is checked before the nonce is recorded, so forged requests
+  // cannot use up a client's nonces.
+  async verifySignature(request, ip) {
+    const { keyId, timestamp, nonce, signature } = request;
+
+    const key = /^\d+$/.test(String(keyId)) ? await dbService.getTenantApiKey(Number(keyId)) : null;
+    if (!key || key.revoked_at || !key.signing_secret) {
+      return this.refuse('Invalid API key');
+    }
+
+    const refused = this.checkKey(key, ip);
+    if (refused) {
+      return refused;
+    }
+
+    const skewSeconds = this.getSignatureSkewSeconds();
+    const signedAt = Number(timestamp);
+    if (!/^\d+$/.test(String(timestamp)) || Math.abs(Date.now() / 1000 - signedAt) > skewSeconds) {
+      return this.refuse('Request timestamp outside the allowed window', key);
+    }
+
+    if (!NONCE_PATTERN.test(String(nonce)) || !SIGNATURE_PATTERN.test(String(signature))) {
+      return this.refuse('Invalid signature', key);
+    }
+
+    let expected;
+    try {
+      expected = this.sign(secretBox.open(key.signing_secret), request);
+    } catch (error) {
+      logger.error('Failed to Open Signing Secret', { keyId: key.id, error: error.message });
+      return this.refuse('Invalid API key', key);
+    }
+
+    if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(signature, 'hex'))) {
+      return this.refuse('Invalid signature', key);
+    }
+
+    // Nonces are kept until their timestamp leaves the window; after that the
+    // timestamp check refuses the replay
+    const nonceExpiresAt = new Date((signedAt + skewSeconds) * 1000).toISOString();
+    if (!await dbService.claimRequestNonce(key.id, nonce, nonceExpiresAt)) {
+      return this.refuse('Nonce already used', key);
+    }
+
+    return { success: true, key };
+  }
+
+  refuse(error, key = null) {
+    return { success: false, error, keyId: key ? key.id : null };
+  }
+
+  // Take one request from the key's rate limit. Returns 0, or the
+  // milliseconds until the key may be used again.
+  consume(key) {
+    if (!key.rate_limit) {
+      return 0;
+    }
+
+    let entry = this.buckets.get(key.id);
+    if (!entry || entry.rateLimit !== key.rate_limit) {
+      entry = {
+        rateLimit: key.rate_limit,
+        bucket: new TokenBucket({ ratePerSecond: key.rate_limit / 60, capacity: key.rate_limit })
+      };
+      this.buckets.set(key.id, entry);
+    }
+
+    return entry.bucket.tryTake() ? 0 : Math.max(1, entry.bucket.getWaitTime());
+  }
+
+  // Keys of a tenant (every tenant when tenantId is null)
+  async listKeys(tenantId = null) {
+    const keys = await dbService.listTenantApiKeys(tenantId);
+    return {
+      success: true,
+      keys: keys.map(key => this.formatKey(key)),
+      count: keys.length
+    };
+  }
+
+  // Key visible to a tenant (null tenantId: any tenant)
+  async findKey(keyId, tenantId = null) {
+    const key = await dbService.getTenantApiKey(keyId);
+    return key && (tenantId === null || key.tenant_id === tenantId) ? key : null;
+  }
+
+  async getKey(keyId, tenantId = null) {
+    const key = await this.findKey(keyId, tenantId);
+    return key ? { success: true, key: this.formatKey(key) } : this.notFound(keyId);
+  }
+
+  // Scopes among `scopes` that a caller holding callerScopes lacks (none when
+  // callerScopes is not given, as for internal calls). Read scopes the caller
+  // holds by implication count as held, as they do for requireScope.
+  getEscalatedScopes(scopes, callerScopes = [ALL_SCOPES]) {
+    return scopes.filter(scope => !this.hasScope(callerScopes, scope));
+  }
+
+  // Settings of a key that are looser than the caller's own key: an IP range
+  // outside its allowlist, a later (or no) expiry, a higher (or no) rate limit.
+  // callerLimits is absent for API_KEYS and internal calls, which have none.
+  getLoosenedLimits({ expiresAt = null, ipAllowlist = null, rateLimit = null }, callerLimits = {}) {
+    const loosened = [];
+
+    if (callerLimits.ipAllowlist &&
+        !(ipAllowlist && ipAllowlist.every(rule => this.isRuleAllowed(callerLimits.ipAllowlist, rule)))) {
+      loosened.push('ipAllowlist');
+    }
+    if (callerLimits.expiresAt && !(expiresAt && new Date(expiresAt) <= new Date(callerLimits.expiresAt))) {
+      loosened.push('expiresAt');
+    }
+    if (callerLimits.rateLimit && !(rateLimit && rateLimit <= callerLimits.rateLimit)) {
+      loosened.push('rateLimit');
+    }
+    return loosened;
+  }
+
+  // Whether an allowlist covers every address of rule. CIDR ranges nest, so a
+  // range at least as wide as rule that holds its address holds all of it.
+  isRuleAllowed(ipAllowlist, rule) {
+    const { address, prefix, type } = parseIpRule(rule);
+    const width = prefix === null ? (type === 'ipv4' ? 32 : 128) : prefix;
+
+    return ipAllowlist.map(parseIpRule).some(allowed => {
+      const allowedWidth = allowed.prefix === null ? (allowed.type === 'ipv4' ? 32 : 128) : allowed.prefix;
+      if (allowed.type !== type || allowedWidth > width) {
+        return false;
+      }
+      const blockList = new net.BlockList();
+      blockList.addSubnet(allowed.address, allowedWidth, allowed.type);
+      return blockList.check(address, type);
+    });
+  }
+
+  scopeNotAllowed(action, scopes) {
+    return {
+      success: false,
+      error: 'Scope not allowed',
+      message: `Cannot ${action} a key with scopes this key does not have: ${scopes.join(', ')}`
+    };
+  }
+
+  limitNotAllowed(action, limits) {
+    return {
+      success: false,
+      error: 'Limit not allowed',
+      message: `Cannot ${action} a key with looser limits than this key: ${limits.join(', ')}`
+    };
+  }
+
+  // Replace a key with a new secret and the same settings. The old key is
+  // revoked now, or expires after graceSeconds. Like issueKey, callerScopes
+  // must cover the key's scopes and the key must be within callerLimits.
+  async rotateKey(keyId, { graceSeconds = 0 } = {}, tenantId = null, options = {}) {
+    const key = await this.findKey(keyId, tenantId);
+    if (!key || key.revoked_at || key.replaced_by) {
+      return this.notFound(keyId);
+    }
+
+    const escalated = this.getEscalatedScopes(key.scopes, options.callerScopes);
+    if (escalated.length > 0) {
+      return this.scopeNotAllowed('rotate', escalated);
+    }
+
+    const loosened = this.getLoosenedLimits({
+      expiresAt: key.expires_at,
+      ipAllowlist: key.ip_allowlist,
+      rateLimit: key.rate_limit
+    }, options.callerLimits);
+    if (loosened.length > 0) {
+      return this.limitNotAllowed('rotate', loosened);
+    }
+
+    const issued = await this.issueKey(key.tenant_id, {
+      label: key.label,
+      scopes: key.scopes,
+      expiresAt: key.expires_at && new Date(key.expires_at).getTime() > Date.now() ? key.expires_at : null,
+      ipAllowlist: key.ip_allowlist,
+      rateLimit: key.rate_limit,
+      signing: Boolean(key.signing_secret),
+      requireSignature: key.require_signature
+    });
+    if (!issued.success) {
+      return issued;
+    }
+
+    const graceEnd = graceSeconds > 0 ? new Date(Date.now() + graceSeconds * 1000) : null;
+    const expiresAt = graceEnd && (!key.expires_at || graceEnd < new Date(key.expires_at))
+      ? graceEnd.toISOString()
+      : key.expires_at;
+    const retired = await dbService.retireTenantApiKey(keyId, {
+      replacedBy: issued.key.id,
+      expiresAt: graceEnd ? expiresAt : null
+    });
+    this.buckets.delete(keyId);
+
+    logger.info('API Key Rotated', { tenantId: key.tenant_id, keyId, replacedBy: issued.key.id, graceSeconds });
+
+    return {
+      ...issued,
+      previousKey: this.formatKey(retired),
+      message: 'Key rotated. Store the new key now; it cannot be shown again'
+    };
+  }
+
+  // Revoke a key now (callerScopes as for rotateKey)
+  async revokeKey(keyId, tenantId = null, options = {}) {
+    const key = await this.findKey(keyId, tenantId);
+    if (!key || key.revoked_at) {
+      return this.notFound(keyId);
+    }
+
+    const escalated = this.getEscalatedScopes(key.scopes, options.callerScopes);
+    if (escalated.length > 0) {
+      return this.scopeNotAllowed('revoke', escalated);
+    }
+
+    if (!await dbService.revokeTenantApiKey(key.tenant_id, keyId)) {
+      return this.notFound(keyId);
+    }
+
+    this.buckets.delete(keyId);
+    logger.info('API Key Revoked', { tenantId: key.tenant_id, keyId });
+
+    return {
+      success: true,
+      message: 'API key revoked'
+    };
+  }
+
+  notFound(keyId) {
+    return {
+      success: false,
+      error: 'API key not found',
+      message: `No active API key ${keyId}`
+    };
+  }
+
+  // Never includes the key, its hash or its signing secret
+  formatKey(key) {
+    return {
+      id: key.id,
+      tenantId: key.tenant_id,
+      prefix: key.key_prefix,
+      label: key.label,
+      scopes: key.scopes,
+      expiresAt: key.expires_at,
+      ipAllowlist: key.ip_allowlist,
+      rateLimit: key.rate_limit,
+      signed: Boolean(key.signing_secret),
+      requireSignature: key.require_signature,
+      replacedBy: key.replaced_by,
+      createdAt: key.created_at,
+      revokedAt: key.revoked_at
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,191 @@
+const notificationService = require('./notification-service');
+const dbService = require('../database/db-service');
+const tenantService = require('./tenant-service');
+const logger = require('../utils/logger');
+
+// Failed recipients listed in a job's progress (the counts are always complete)
+const MAX_REPORTED_FAILURES = 100;
+
+// Sends a notification to a list of users as a background job. Sends are
+// throttled by NotificationService.forEachThrottled and each recipient is
+// checkpointed in the database as it completes, so a job interrupted by a
+// restart resumes with the recipients it had not finished. A recipient whose
+// send was in flight when the process stopped is sent again on resume.
+class BatchSender {
+  constructor() {
+    // jobId -> promise of the run in progress
+    this.activeJobs = new Map();
+  }
+
+  // Queue a job and start sending in the background
+  async createJob({ userIds, type, data = {}, silent = false }, options = {}) {
+    try {
+      const recipients = [...new Set(userIds)];
+      const job = await dbService.createBatchJob({
+        type,
+        data,
+        silent,
+        userIds: recipients,
+        actor: options.actor || null,
+        tenantId: tenantService.getTenantId()
+      });
+
+      logger.info('Batch Job Queued', {
+        jobId: job.id,
+        type,
+        recipients: recipients.length
+      });
+
+      this.processJob(job.id);
+
+      return {
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        total: job.total,
+        message: 'Batch job queued'
+      };
+
+    } catch (error) {
+      logger.error('Failed to Queue Batch Job', {
+        error: error.message,
+        type
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to queue batch job'
+      };
+    }
+  }
+
+  // Send a job's pending recipients. Returns the run already in progress if there is one.
+  processJob(jobId) {
+    if (!this.activeJobs.has(jobId)) {
+      const run = this.runJob(jobId).finally(() => {
+        this.activeJobs.delete(jobId);
+      });
+      this.activeJobs.set(jobId, run);
+    }
+    return this.activeJobs.get(jobId);
+  }
+
+  async runJob(jobId) {
+    const startTime = Date.now();
+
+    try {
+      const job = await dbService.getBatchJob(jobId);
+      // Resumed jobs have no request context, so set the tenant that queued them
+      await tenantService.runAs(job.tenant_id, () => this.sendJob(job, startTime));
+
+    } catch (error) {
+      logger.error('Batch Job Failed', {
+        error: error.message,
+        jobId
+      });
+      await dbService.finishBatchJob(jobId, { status: 'failed', error: error.message }).catch(finishError => {
+        logger.error('Failed to Record Batch Job Failure', {
+          error: finishError.message,
+          jobId
+        });
+      });
+    }
+  }
+
+  async sendJob(job, startTime) {
+    const jobId = job.id;
+    await dbService.startBatchJob(jobId);
+    const pending = await dbService.getPendingBatchRecipients(jobId);
+
+    logger.info('Batch Job Started', {
+      jobId,
+      total: job.total,
+      pending: pending.length
+    });
+
+    await notificationService.forEachThrottled(pending, async (recipient) => {
+      let result;
+      try {
+        result = await notificationService.sendNotification(
+          recipient.user_id,
+          job.notification_type,
+          job.data,
+          job.silent,
+          { actor: job.actor }
+        );
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      await dbService.checkpointBatchRecipient(recipient.id, {
+        status: result.success ? 'sent' : 'failed',
+        downgraded: Boolean(result.downgraded),
+        notificationId: result.notificationId || null,
+        error: result.success ? null : result.error
+      });
+    });
+
+    await dbService.finishBatchJob(jobId, { status: 'completed' });
+
+    const progress = await dbService.getBatchJobProgress(jobId);
+    logger.info('Batch Job Completed', {
+      jobId,
+      ...progress,
+      duration: `${Date.now() - startTime}ms`
+    });
+  }
+
+  // Pick up jobs left queued or running by a previous process
+  async resumeJobs() {
+    const jobs = await dbService.getUnfinishedBatchJobs();
+
+    if (jobs.length > 0) {
+      logger.info('Resuming Batch Jobs', { jobIds: jobs.map(job => job.id) });
+    }
+
+    return jobs.map(job => this.processJob(job.id));
+  }
+
+  // Job status and progress (jobs of other tenants are not found)
+  async getJob(jobId) {
+    const job = await dbService.getBatchJob(jobId);
+    if (!job || job.tenant_id !== tenantService.getTenantId()) {
+      return {
+        success: false,
+        error: 'Job not found',
+        message: `Batch job ${jobId} does not exist`
+      };
+    }
+
+    const [progress, failures] = await Promise.all([
+      dbService.getBatchJobProgress(jobId),
+      dbService.getBatchJobFailures(jobId, MAX_REPORTED_FAILURES)
+    ]);
+    const processed = progress.sent + progress.failed;
+
+    return {
+      success: true,
+      job: {
+        id: job.id,
+        type: job.notification_type,
+        silent: job.silent,
+        status: job.status,
+        total: job.total,
+        processed,
+        pending: progress.pending,
+        successful: progress.sent,
+        failed: progress.failed,
+        downgraded: progress.downgraded,
+        percentComplete: job.total > 0 ? Math.round((processed / job.total) * 100) : 100,
+        failures: failures.map(recipient => ({ userId: recipient.user_id, error: recipient.error })),
+        error: job.error,
+        actor: job.actor,
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        completedAt: job.completed_at
+      }
+    };
+  }
+}
+
+module.exports = new BatchSender();
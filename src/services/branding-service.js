@@ -0,0 +1,232 @@
+const dbService = require('../database/db-service');
+const logger = require('../utils/logger');
+
+// Profile fields that become class fields (names as accepted by /create-class)
+const CLASS_FIELDS = [
+  'issuerName',
+  'programLogoUrl',
+  'wideProgramLogoUrl',
+  'heroImageUrl',
+  'hexBackgroundColor',
+  'accountIdLabel',
+  'accountNameLabel',
+  'rewardsTierLabel'
+];
+const PROFILE_FIELDS = [...CLASS_FIELDS, 'links', 'locations'];
+
+// Named branding profiles, so one deployment can serve several storefronts.
+// A profile holds the issuer name, logos, hero image, background color,
+// labels, links and locations of a brand. Classes created or replaced with
+// { brandingProfile } take any field the request leaves out from the profile
+// and remember it; cards then get the profile's links and locations. Editing
+// a profile does not rewrite existing classes until they are replaced with
+// PUT /class/:classId.
+class BrandingService {
+  getFields() {
+    return PROFILE_FIELDS;
+  }
+
+  // Keep only profile fields
+  pickFields(input = {}) {
+    const profile = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (input[field] !== undefined) {
+        profile[field] = input[field];
+      }
+    });
+    return profile;
+  }
+
+  async createProfile({ name, ...fields }, options = {}) {
+    try {
+      if (await dbService.getBrandingProfile(name)) {
+        return {
+          success: false,
+          error: 'Profile already exists',
+          message: `Branding profile ${name} already exists`
+        };
+      }
+
+      const profile = await dbService.createBrandingProfile(name, this.pickFields(fields), {
+        actor: options.actor || null
+      });
+
+      logger.info('Branding Profile Created', { name });
+
+      return {
+        success: true,
+        profile: this.formatProfile(profile),
+        message: 'Branding profile created successfully'
+      };
+
+    } catch (error) {
+      logger.error('Failed to Create Branding Profile', {
+        error: error.message,
+        name
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to create branding profile'
+      };
+    }
+  }
+
+  async listProfiles() {
+    const profiles = await dbService.listBrandingProfiles();
+
+    return {
+      success: true,
+      profiles: profiles.map(profile => this.formatProfile(profile)),
+      count: profiles.length
+    };
+  }
+
+  // Profile with the classes built from it
+  async getProfile(name) {
+    const profile = await dbService.getBrandingProfile(name);
+    if (!profile) {
+      return this.notFound(name);
+    }
+
+    return {
+      success: true,
+      profile: this.formatProfile(profile),
+      classIds: await dbService.getBrandedClasses(name)
+    };
+  }
+
+  // Replace every field of a profile
+  async updateProfile(name, fields, options = {}) {
+    const profile = await dbService.updateBrandingProfile(name, this.pickFields(fields), {
+      actor: options.actor || null
+    });
+    if (!profile) {
+      return this.notFound(name);
+    }
+
+    logger.info('Branding Profile Updated', { name });
+
+    return {
+      success: true,
+      profile: this.formatProfile(profile),
+      message: 'Branding profile updated successfully'
+    };
+  }
+
+  // Profiles still used by classes cannot be deleted
+  async deleteProfile(name) {
+    if (!await dbService.getBrandingProfile(name)) {
+      return this.notFound(name);
+    }
+
+    const classIds = await dbService.getBrandedClasses(name);
+    if (classIds.length > 0) {
+      return {
+        success: false,
+        error: 'Profile in use',
+        message: `Branding profile ${name} is used by ${classIds.length} classes`,
+        classIds
+      };
+    }
+
+    await dbService.deleteBrandingProfile(name);
+    logger.info('Branding Profile Deleted', { name });
+
+    return {
+      success: true,
+      message: 'Branding profile deleted successfully'
+    };
+  }
+
+  // Class fields for buildClassDefinition: the profile's values, overridden by
+  // the fields present in the request
+  async applyToClass(name, request = {}) {
+    const profile = await dbService.getBrandingProfile(name);
+    if (!profile) {
+      return this.notFound(name);
+    }
+
+    const options = {};
+    CLASS_FIELDS.forEach(field => {
+      if (profile.profile[field] !== undefined) {
+        options[field] = profile.profile[field];
+      }
+    });
+    if (profile.profile.locations !== undefined) {
+      options.merchantLocations = profile.profile.locations;
+    }
+
+    Object.entries(request).forEach(([field, value]) => {
+      if (value !== undefined) {
+        options[field] = value;
+      }
+    });
+
+    return {
+      success: true,
+      options
+    };
+  }
+
+  async assignClass(classId, name) {
+    await dbService.setClassBranding(classId, name);
+  }
+
+  // Profile a class was last built from (null if none)
+  async getClassProfileName(classId) {
+    return await dbService.getClassBranding(classId);
+  }
+
+  // Card options (links, locations) from the profile given, or the profile
+  // the card's class was built from. Request values win.
+  async applyToCard(classId, name = null, request = {}) {
+    const profileName = name || await this.getClassProfileName(classId);
+    const options = {};
+
+    if (profileName) {
+      const profile = await dbService.getBrandingProfile(profileName);
+      if (!profile) {
+        return this.notFound(profileName);
+      }
+      ['links', 'locations'].forEach(field => {
+        if (profile.profile[field] !== undefined) {
+          options[field] = profile.profile[field];
+        }
+      });
+    }
+
+    Object.entries(request).forEach(([field, value]) => {
+      if (value !== undefined) {
+        options[field] = value;
+      }
+    });
+
+    return {
+      success: true,
+      profileName,
+      options
+    };
+  }
+
+  notFound(name) {
+    return {
+      success: false,
+      error: 'Profile not found',
+      message: `Branding profile ${name} does not exist`
+    };
+  }
+
+  formatProfile(profile) {
+    return {
+      name: profile.name,
+      ...profile.profile,
+      createdBy: profile.created_by,
+      updatedBy: profile.updated_by,
+      createdAt: profile.created_at,
+      updatedAt: profile.updated_at
+    };
+  }
+}
+
+module.exports = new BrandingService();
@@ -0,0 +1,396 @@
+const notificationService = require('./notification-service');
+const tierEngine = require('./tier-engine');
+const dbService = require('../database/db-service');
+const tenantService = require('./tenant-service');
+const logger = require('../utils/logger');
+const cron = require('../utils/cron');
+
+// Recipients are sent in batches of this size
+const BATCH_SIZE = 100;
+// Failures kept per run report (the totals are always complete)
+const MAX_REPORTED_FAILURES = 100;
+const CAMPAIGN_STATUSES = ['scheduled', 'running', 'completed', 'failed', 'cancelled'];
+// A one-off runAt may be this old ("send now" requests, clock skew)
+const RUN_AT_GRACE_MS = 60 * 1000;
+
+// Notification campaigns: a message sent once at a set time (runAt) or on a
+// cron schedule, to every member in some tiers or to a list of users.
+// Campaigns are stored in the database and a poller inside the server process
+// runs the due ones, so a restart only delays runs. Each run is sent with
+// sendBatchNotification and leaves a delivery report.
+class CampaignService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  getStatuses() {
+    return CAMPAIGN_STATUSES;
+  }
+
+  // { tiers: [...] } or { userIds: [...] }
+  normalizeTarget(target = {}) {
+    if (Array.isArray(target.tiers) && target.tiers.length > 0) {
+      // Members of every class are targeted, so a tier counts when the default
+      // program or one of the tenant's classes defines it
+      const classIds = tierEngine.getClassIds().filter(classId => tenantService.ownsResource(classId));
+      const known = new Set([null, ...classIds].flatMap(classId => tierEngine.getTiers(classId).map(tier => tier.name)));
+      const unknown = target.tiers.filter(tier => !known.has(tier));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown tier: ${unknown.join(', ')}`);
+      }
+      return { targetType: 'tier', target: [...new Set(target.tiers)] };
+    }
+
+    if (Array.isArray(target.userIds) && target.userIds.length > 0) {
+      return { targetType: 'users', target: [...new Set(target.userIds)] };
+    }
+
+    throw new Error('Target must list tiers or userIds');
+  }
+
+  // Create a one-off (runAt) or recurring (cron) campaign
+  async createCampaign({ name, type, data = {}, silent = false, target, runAt = null, cron: cronExpression = null }, options = {}) {
+    try {
+      if (Boolean(runAt) === Boolean(cronExpression)) {
+        throw new Error('Provide either runAt or cron');
+      }
+
+      const { targetType, target: recipients } = this.normalizeTarget(target);
+
+      let nextRunAt;
+      if (cronExpression) {
+        const nextRun = cron.getNextRun(cronExpression, new Date());
+        if (!nextRun) {
+          throw new Error('Cron expression never matches a date');
+        }
+        nextRunAt = nextRun.toISOString();
+      } else {
+        const runDate = new Date(runAt);
+        if (Number.isNaN(runDate.getTime())) {
+          throw new Error('runAt must be a date');
+        }
+        if (runDate.getTime() < Date.now() - RUN_AT_GRACE_MS) {
+          throw new Error('runAt must not be in the past');
+        }
+        nextRunAt = runDate.toISOString();
+      }
+
+      const campaign = await dbService.createCampaign({
+        name,
+        type,
+        data,
+        silent,
+        targetType,
+        target: recipients,
+        runAt: runAt ? nextRunAt : null,
+        cron: cronExpression,
+        nextRunAt,
+        createdBy: options.actor || null,
+        tenantId: tenantService.getTenantId()
+      });
+
+      logger.info('Campaign Scheduled', {
+        campaignId: campaign.id,
+        name,
+        type,
+        targetType,
+        nextRunAt,
+        cron: cronExpression
+      });
+
+      return {
+        success: true,
+        campaign: this.formatCampaign(campaign),
+        message: 'Campaign scheduled successfully'
+      };
+
+    } catch (error) {
+      logger.error('Failed to Create Campaign', {
+        error: error.message,
+        name
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to create campaign'
+      };
+    }
+  }
+
+  // Campaigns of the current tenant
+  async listCampaigns({ status = null, limit = 50, offset = 0 } = {}) {
+    const tenantId = tenantService.getTenantId();
+    const [campaigns, total] = await Promise.all([
+      dbService.listCampaigns({ status, tenantId, limit, offset }),
+      dbService.countCampaigns({ status, tenantId })
+    ]);
+
+    return {
+      success: true,
+      campaigns: campaigns.map(campaign => this.formatCampaign(campaign)),
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + campaigns.length < total
+      }
+    };
+  }
+
+  // Campaign of the current tenant (other tenants' campaigns are not found)
+  async findCampaign(campaignId) {
+    const campaign = await dbService.getCampaign(campaignId);
+    return campaign && campaign.tenant_id === tenantService.getTenantId() ? campaign : null;
+  }
+
+  // Campaign with its most recent delivery reports
+  async getCampaign(campaignId) {
+    const campaign = await this.findCampaign(campaignId);
+    if (!campaign) {
+      return {
+        success: false,
+        error: 'Campaign not found',
+        message: `Campaign ${campaignId} does not exist`
+      };
+    }
+
+    const runs = await dbService.getCampaignRuns(campaignId);
+
+    return {
+      success: true,
+      campaign: this.formatCampaign(campaign),
+      runs: runs.map(run => this.formatRun(run))
+    };
+  }
+
+  // Stop future runs. A run already in progress is allowed to finish.
+  async cancelCampaign(campaignId) {
+    const campaign = await this.findCampaign(campaignId);
+    if (!campaign) {
+      return {
+        success: false,
+        error: 'Campaign not found',
+        message: `Campaign ${campaignId} does not exist`
+      };
+    }
+
+    const cancelled = await dbService.cancelCampaign(campaignId);
+    if (!cancelled) {
+      return {
+        success: false,
+        error: 'Campaign cannot be cancelled',
+        message: `Campaign ${campaignId} is ${campaign.status}`
+      };
+    }
+
+    logger.info('Campaign Cancelled', { campaignId });
+
+    return {
+      success: true,
+      campaign: this.formatCampaign(cancelled),
+      message: 'Campaign cancelled successfully'
+    };
+  }
+
+  // Recipient user IDs, one batch at a time
+  async *getRecipientBatches(campaign) {
+    if (campaign.target_type === 'users') {
+      for (let i = 0; i < campaign.target.length; i += BATCH_SIZE) {
+        yield campaign.target.slice(i, i + BATCH_SIZE);
+      }
+      return;
+    }
+
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const cards = await dbService.listCards({ limit: BATCH_SIZE, offset, tiers: campaign.target });
+      // Tenants only reach cards issued under their own issuer
+      const owned = cards.filter(card => tenantService.ownsResource(card.object_id));
+      if (owned.length > 0) {
+        yield owned.map(card => card.user_id);
+      }
+      if (cards.length < BATCH_SIZE) break;
+    }
+  }
+
+  // Send one run of a campaign, as the tenant that created it
+  async runCampaign(campaign, run) {
+    return await tenantService.runAs(campaign.tenant_id, () => this.sendCampaignRun(campaign, run));
+  }
+
+  // Send one run of a campaign and store its delivery report
+  async sendCampaignRun(campaign, run) {
+    const report = { targeted: 0, successful: 0, failed: 0, downgraded: 0, failures: [] };
+
+    try {
+      for await (const userIds of this.getRecipientBatches(campaign)) {
+        const result = await notificationService.sendBatchNotification(
+          userIds,
+          campaign.notification_type,
+          campaign.data,
+          campaign.silent,
+          { actor: campaign.created_by }
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        report.targeted += result.totalSent;
+        report.successful += result.successful;
+        report.failed += result.failed;
+        report.downgraded += result.successfulUsers.filter(entry => entry.result.downgraded).length;
+        result.failedUsers.forEach(entry => {
+          if (report.failures.length < MAX_REPORTED_FAILURES) {
+            report.failures.push({ userId: entry.userId, error: entry.error });
+          }
+        });
+      }
+
+      const completed = await dbService.completeCampaignRun(run.id, { status: 'completed', ...report });
+      if (!campaign.cron) {
+        await dbService.finishCampaign(campaign.id, 'completed');
+      }
+
+      logger.info('Campaign Run Completed', {
+        campaignId: campaign.id,
+        runId: run.id,
+        targeted: report.targeted,
+        successful: report.successful,
+        failed: report.failed,
+        downgraded: report.downgraded
+      });
+
+      return completed;
+
+    } catch (error) {
+      logger.error('Campaign Run Failed', {
+        error: error.message,
+        campaignId: campaign.id,
+        runId: run.id
+      });
+
+      const failed = await dbService.completeCampaignRun(run.id, { status: 'failed', ...report, error: error.message });
+      if (!campaign.cron) {
+        await dbService.finishCampaign(campaign.id, 'failed');
+      }
+      return failed;
+    }
+  }
+
+  // Run every campaign that is due. Missed runs (e.g. while the server was
+  // down) are sent once, then recurring campaigns continue from now.
+  async runDueCampaigns(now = new Date()) {
+    if (this.running) {
+      return {
+        success: false,
+        error: 'Already running',
+        message: 'Due campaigns are already being sent'
+      };
+    }
+
+    this.running = true;
+    const runs = [];
+
+    try {
+      const due = await dbService.getDueCampaigns(now.toISOString());
+
+      for (const campaign of due) {
+        const nextRun = campaign.cron ? cron.getNextRun(campaign.cron, now) : null;
+        const claimed = await dbService.claimCampaignRun(campaign.id, {
+          scheduledFor: campaign.next_run_at,
+          nextRunAt: nextRun ? nextRun.toISOString() : null
+        });
+
+        if (!claimed) continue;
+
+        runs.push(this.formatRun(await this.runCampaign(claimed.campaign, claimed.run)));
+      }
+
+      return {
+        success: true,
+        runs,
+        message: `Ran ${runs.length} campaigns`
+      };
+
+    } catch (error) {
+      logger.error('Failed to Run Due Campaigns', {
+        error: error.message
+      });
+      return {
+        success: false,
+        error: error.message,
+        runs,
+        message: 'Failed to run due campaigns'
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Poll for due campaigns (CAMPAIGN_POLL_INTERVAL_MS, 0 disables)
+  async start(intervalMs = parseInt(process.env.CAMPAIGN_POLL_INTERVAL_MS || '60000', 10)) {
+    if (this.timer || !intervalMs) {
+      return false;
+    }
+
+    const interrupted = await dbService.recoverInterruptedCampaignRuns();
+    if (interrupted > 0) {
+      logger.warn('Interrupted Campaign Runs Found', { count: interrupted });
+    }
+
+    this.timer = setInterval(() => {
+      this.runDueCampaigns();
+    }, intervalMs);
+    this.timer.unref();
+
+    logger.info('Campaign Scheduler Started', { intervalMs });
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  formatCampaign(campaign) {
+    return {
+      id: campaign.id,
+      name: campaign.name,
+      type: campaign.notification_type,
+      data: campaign.data,
+      silent: campaign.silent,
+      target: campaign.target_type === 'tier' ? { tiers: campaign.target } : { userIds: campaign.target },
+      runAt: campaign.run_at,
+      cron: campaign.cron,
+      status: campaign.status,
+      nextRunAt: campaign.next_run_at,
+      lastRunAt: campaign.last_run_at,
+      runCount: campaign.run_count,
+      createdBy: campaign.created_by,
+      createdAt: campaign.created_at,
+      updatedAt: campaign.updated_at
+    };
+  }
+
+  formatRun(run) {
+    return {
+      id: run.id,
+      campaignId: run.campaign_id,
+      status: run.status,
+      scheduledFor: run.scheduled_for,
+      startedAt: run.started_at,
+      completedAt: run.completed_at,
+      targeted: run.targeted,
+      successful: run.successful,
+      failed: run.failed,
+      downgraded: run.downgraded,
+      failures: run.failures,
+      error: run.error
+    };
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,416 @@
+const loyaltyObjectService = require('./loyalty-object');
+const notificationService = require('./notification-service');
+const tierEngine = require('./tier-engine');
+const tierEvaluator = require('./tier-evaluator');
+const brandingService = require('./branding-service');
+const tenantService = require('./tenant-service');
+const jwtService = require('./jwt-service');
+const dbService = require('../database/db-service');
+const logger = require('../utils/logger');
+
+const FORMATS = ['csv', 'ndjson', 'json'];
+const DEFAULT_MAX_ROWS = 10000;
+const USER_ID_PATTERN = /^[a-zA-Z0-9._-]{1,50}$/;
+const CLASS_ID_PATTERN = /^\d+\.[a-zA-Z0-9._-]+$/;
+
+// Column names accepted for each field (compared lowercased, without _ - or spaces)
+const FIELD_ALIASES = {
+  userid: 'userId',
+  memberid: 'userId',
+  membername: 'memberName',
+  name: 'memberName',
+  points: 'points',
+  balance: 'points',
+  tier: 'tier',
+  classid: 'classId',
+  barcodevalue: 'barcodeValue',
+  barcode: 'barcodeValue'
+};
+
+const normalizeField = (name) => FIELD_ALIASES[String(name).toLowerCase().replace(/[\s_-]/g, '')] || null;
+
+// RFC 4180 CSV: quoted fields may hold commas, newlines and "" for a quote.
+// Returns one { line, values } per non-blank record.
+function parseCsvRecords(text) {
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(value);
+    if (values.length > 1 || values[0].trim() !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    value = '';
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Line ${recordLine}: unterminated quoted field`);
+  }
+  if (value !== '' || values.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+// Imports existing members as Wallet cards from CSV, NDJSON or a JSON array.
+// Each row (userId, memberName, points, tier, classId, barcodeValue) is
+// validated first; a dry run stops there. Otherwise rows are imported through
+// NotificationService.forEachThrottled, so BATCH_CONCURRENCY and
+// WALLET_API_RATE_PER_SECOND bound the Wallet calls. A member with a card
+// (stored, or already in Wallet) is updated in place without a push, and the
+// stored card and points ledger follow the imported balance. The report has
+// one result per row, with a save link for each imported card.
+class CardImportService {
+  getFormats() {
+    return FORMATS;
+  }
+
+  getMaxRows() {
+    return parseInt(process.env.CARD_IMPORT_MAX_ROWS, 10) || DEFAULT_MAX_ROWS;
+  }
+
+  // Format from a file name or content type; null when neither says
+  detectFormat(filename = '', contentType = '') {
+    const extension = String(filename).toLowerCase().split('.').pop();
+    const type = String(contentType).toLowerCase();
+
+    if (extension === 'csv' || type.includes('csv')) return 'csv';
+    if (['ndjson', 'jsonl'].includes(extension) || type.includes('ndjson') || type.includes('jsonlines')) return 'ndjson';
+    if (extension === 'json' || type.includes('application/json')) return 'json';
+    return null;
+  }
+
+  // Rows of a file as { line, record } (record null with an error for an
+  // unreadable NDJSON line). Throws when the file as a whole is unusable.
+  parse(content, format) {
+    const text = String(content).replace(/^\uFEFF/, '');
+
+    if (format === 'csv') {
+      const [header, ...records] = parseCsvRecords(text);
+      if (!header) {
+        return [];
+      }
+
+      const fields = header.values.map(normalizeField);
+      const missing = ['userId', 'memberName'].filter(field => !fields.includes(field));
+      if (missing.length > 0) {
+        throw new Error(`CSV header must include ${missing.join(' and ')}`);
+      }
+
+      return records.map(({ line, values }) => {
+        const record = {};
+        fields.forEach((field, index) => {
+          if (field && values[index] !== undefined && values[index].trim() !== '') {
+            record[field] = values[index].trim();
+          }
+        });
+        return { line, record };
+      });
+    }
+
+    if (format === 'ndjson') {
+      return text.split(/\r?\n/)
+        .map((content, index) => ({ line: index + 1, content }))
+        .filter(({ content }) => content.trim() !== '')
+        .map(({ line, content }) => {
+          try {
+            return { line, record: this.normalizeRecord(JSON.parse(content)) };
+          } catch (error) {
+            return { line, record: null, error: error instanceof SyntaxError ? 'Invalid JSON' : error.message };
+          }
+        });
+    }
+
+    if (format === 'json') {
+      const rows = JSON.parse(text);
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON imports must be an array of members');
+      }
+      return rows.map((row, index) => ({ line: index + 1, record: this.normalizeRecord(row) }));
+    }
+
+    throw new Error(`format must be one of ${FORMATS.join(', ')}`);
+  }
+
+  normalizeRecord(row) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error('Each member must be an object');
+    }
+
+    const record = {};
+    Object.entries(row).forEach(([name, value]) => {
+      const field = normalizeField(name);
+      if (field && value !== null && value !== undefined && value !== '') {
+        record[field] = value;
+      }
+    });
+    return record;
+  }
+
+  // Check a row and fill in defaults. Returns { member } or { errors }.
+  validateRow(record, defaultClassId) {
+    const errors = [];
+    const userId = record.userId !== undefined ? String(record.userId) : '';
+    const memberName = record.memberName !== undefined ? String(record.memberName).trim() : '';
+    const classId = record.classId !== undefined ? String(record.classId) : defaultClassId;
+    const points = record.points === undefined ? 0 : Number(record.points);
+
+    if (!USER_ID_PATTERN.test(userId)) {
+      errors.push('userId must be 1-50 letters, numbers, dots, underscores or hyphens');
+    }
+    if (memberName.length < 1 || memberName.length > 100) {
+      errors.push('memberName must be 1-100 characters');
+    }
+    if (!Number.isInteger(points) || points < 0) {
+      errors.push('points must be a non-negative integer');
+    }
+    if (!CLASS_ID_PATTERN.test(classId)) {
+      errors.push('classId must look like <issuerId>.<classSuffix>');
+    } else if (!tenantService.ownsResource(classId)) {
+      errors.push('classId belongs to another issuer');
+    } else if (record.tier !== undefined && !tierEngine.getTier(String(record.tier), classId)) {
+      errors.push(`tier must be one of: ${tierEngine.getTiers(classId).map(tier => tier.name).join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    return {
+      member: {
+        userId,
+        memberName,
+        classId,
+        points,
+        tier: record.tier !== undefined ? tierEngine.getTier(String(record.tier), classId).name : null,
+        barcodeValue: record.barcodeValue !== undefined ? String(record.barcodeValue) : null
+      }
+    };
+  }
+
+  // Import a file. Options: format (csv, ndjson, json), classId (for rows
+  // without one; the default class otherwise), dryRun, maxRows.
+  async importCards(content, { format, classId = null, dryRun = false, maxRows = this.getMaxRows() } = {}) {
+    try {
+      const rows = this.parse(content, format);
+      if (rows.length === 0) {
+        throw new Error('The file has no members');
+      }
+      if (rows.length > maxRows) {
+        throw new Error(`The file has ${rows.length} members; at most ${maxRows} can be imported at once`);
+      }
+
+      const defaultClassId = classId || loyaltyObjectService.generateClassId();
+      const firstLines = new Map();
+      const results = rows.map(({ line, record, error }) => {
+        if (!record) {
+          return { line, status: 'invalid', errors: [error] };
+        }
+
+        const { member, errors } = this.validateRow(record, defaultClassId);
+        if (errors) {
+          return { line, userId: record.userId !== undefined ? String(record.userId) : null, status: 'invalid', errors };
+        }
+        if (firstLines.has(member.userId)) {
+          return { line, userId: member.userId, status: 'invalid', errors: [`Duplicate userId (first on line ${firstLines.get(member.userId)})`] };
+        }
+
+        firstLines.set(member.userId, line);
+        return { line, userId: member.userId, status: 'valid', member };
+      });
+
+      const valid = results.filter(result => result.status === 'valid');
+
+      logger.info('Card Import Started', {
+        format,
+        rows: rows.length,
+        valid: valid.length,
+        dryRun
+      });
+
+      await notificationService.forEachThrottled(valid, async (result) => {
+        try {
+          Object.assign(result, dryRun ? await this.planRow(result.member) : await this.importRow(result.member));
+        } catch (error) {
+          Object.assign(result, { status: 'failed', error: error.message });
+        }
+      });
+
+      const report = results.map(({ member, ...result }) => result);
+      const summary = report.reduce((counts, result) => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        return counts;
+      }, { total: report.length });
+
+      logger.info('Card Import Finished', { dryRun, ...summary });
+
+      return {
+        success: true,
+        dryRun,
+        summary,
+        results: report,
+        message: dryRun ? 'Import validated; nothing was written' : 'Import finished'
+      };
+
+    } catch (error) {
+      logger.error('Card Import Failed', {
+        error: error.message,
+        format
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to import cards'
+      };
+    }
+  }
+
+  // Stored card of the member. A card under another issuer (possible for the
+  // operator's members) is reported as an invalid row instead of touched.
+  async findCard(userId) {
+    const card = await dbService.getCard(userId);
+    if (card && !tenantService.ownsResource(card.object_id)) {
+      return { errors: ['userId has a card under another issuer'] };
+    }
+    return { card };
+  }
+
+  // Dry run: what importing the row would do
+  async planRow(member) {
+    const { card, errors } = await this.findCard(member.userId);
+    if (errors) {
+      return { status: 'invalid', errors };
+    }
+
+    return {
+      status: 'valid',
+      action: card ? 'update' : 'create',
+      objectId: card ? card.object_id : loyaltyObjectService.generateObjectId(member.userId, member.classId)
+    };
+  }
+
+  // Create the member's card, or update the one they have
+  async importRow(member) {
+    const { card, errors } = await this.findCard(member.userId);
+    if (errors) {
+      return { status: 'invalid', errors };
+    }
+
+    const branding = await brandingService.applyToCard(member.classId);
+    if (!branding.success) {
+      return { status: 'failed', error: branding.message };
+    }
+
+    let tier = member.tier;
+    let evaluation = null;
+    let wallet = null;
+
+    if (!card) {
+      tier = tier || tierEngine.calculateTier(member.points, member.classId);
+      wallet = await loyaltyObjectService.createObject(member.userId, {
+        classId: member.classId,
+        points: member.points,
+        tier,
+        memberName: member.memberName,
+        barcode: { type: 'QR_CODE', value: member.barcodeValue || `MEMBER_${member.userId}` },
+        ...branding.options
+      });
+    }
+
+    // A stored card, or a Wallet object from before cards were stored
+    const existing = Boolean(card) || wallet.error === 'Object already exists';
+    if (existing) {
+      if (!tier && card) {
+        evaluation = await tierEvaluator.evaluate(card, { balance: member.points });
+      }
+      tier = tier || (evaluation ? evaluation.tier : tierEngine.calculateTier(member.points, member.classId));
+      wallet = await loyaltyObjectService.updatePoints(member.userId, member.points, tier, {
+        objectId: card ? card.object_id : wallet.objectId,
+        memberName: member.memberName,
+        notify: false
+      });
+    }
+
+    if (!wallet.success) {
+      return { status: 'failed', error: wallet.message };
+    }
+
+    // The card and its ledger entry are written together. The adjustment is
+    // worked out from the stored balance at that point, which may have moved
+    // since the Wallet update started. If the write fails, a stored card is
+    // flagged so reconcileWallets() puts its Wallet object back in line.
+    await dbService.transaction(async () => {
+      const stored = await dbService.getCard(member.userId);
+      await dbService.saveCard({
+        userId: member.userId,
+        objectId: wallet.objectId,
+        classId: stored ? stored.class_id : member.classId,
+        memberName: member.memberName,
+        points: member.points,
+        tier
+      });
+
+      if (stored) {
+        await dbService.updateTierStatus(member.userId, {
+          tier,
+          graceUntil: evaluation ? evaluation.graceUntil : null
+        });
+        if (member.points !== stored.points) {
+          await dbService.createTransaction(member.userId, 'adjust', member.points - stored.points, 'Card import', stored.points, member.points);
+        }
+      } else if (member.points > 0) {
+        await dbService.createTransaction(member.userId, 'initial', member.points, 'Card import', 0, member.points);
+      }
+    }).catch(async (error) => {
+      if (card) {
+        await dbService.setWalletSyncPending(member.userId, true);
+      }
+      throw error;
+    });
+
+    const saveUrl = jwtService.generateSkinnySaveURL(wallet.objectId);
+
+    return {
+      status: existing ? 'updated' : 'created',
+      objectId: wallet.objectId,
+      points: member.points,
+      tier,
+      saveUrl: saveUrl.success ? saveUrl.saveUrl : null
+    };
+  }
+}
+
+module.exports = new CardImportService();
@@ -1,6 +1,16 @@
 const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const googleWalletAuth = require('../auth/google-wallet-auth');
+const tierEngine = require('./tier-engine');
+const objectIdService = require('./object-id');
+const tenantService = require('./tenant-service');
+const logger = require('../utils/logger');
+
+const SAVE_URL_BASE = 'https://pay.google.com/gp/v/save/';
+const JWT_MODES = ['fat', 'skinny'];
+const DEFAULT_EXPIRY_SECONDS = 60 * 60; // 1 hour
+const DEFAULT_ORIGIN = 'http://localhost:3001';
+const MAX_SAVE_URL_LENGTH = 1800;
 
 class JWTService {
   constructor() {
@@ -12,7 +22,11 @@ class JWTService {
   loadCredentials() {
     try {
       // Support both JSON env variable (Vercel) and file path (local)
-      if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
+      if (googleWalletAuth.isEmulated()) {
+        // Throwaway signing key from the local Wallet emulator
+        this.credentials = require('../emulator/wallet-emulator').getCredentials();
+        console.log('✅ JWT service using Wallet emulator credentials');
+      } else if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
         // Parse from environment variable (Vercel deployment)
         this.credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
         console.log('✅ JWT service credentials loaded from environment variable');
@@ -33,46 +47,112 @@ class JWTService {
     }
   }
 
-  // Generate JWT for Save to Wallet
-  generateSaveToWalletJWT(loyaltyObject) {
+  // Key that signs save links: the current tenant's service account, or the
+  // deployment's own (always the emulator key in emulator mode)
+  getSigningCredentials() {
+    if (googleWalletAuth.isEmulated()) {
+      return this.credentials;
+    }
+    return tenantService.getCredentials() || this.credentials;
+  }
+
+  // Save links are valid for SAVE_URL_EXPIRY_SECONDS (default 1 hour)
+  getDefaultExpiry() {
+    return parseInt(process.env.SAVE_URL_EXPIRY_SECONDS || DEFAULT_EXPIRY_SECONDS, 10);
+  }
+
+  // Origins allowed to render the Save button (array or comma-separated string)
+  resolveOrigins(origins) {
+    const list = Array.isArray(origins)
+      ? origins
+      : (origins || process.env.ORIGINS || DEFAULT_ORIGIN).split(',');
+
+    return list.map(origin => origin.trim()).filter(Boolean);
+  }
+
+  // Skinny JWTs reference objects that were already inserted through the API
+  toSkinnyObject(object) {
+    const reference = { id: typeof object === 'string' ? object : object.id };
+    if (object.classId) {
+      reference.classId = object.classId;
+    }
+    return reference;
+  }
+
+  // Build and sign a Save to Wallet JWT. Every save link is produced here.
+  //  - fat: the full loyalty objects (and optional classes) travel in the token,
+  //    Google creates them when the user saves the pass
+  //  - skinny: only object IDs, for objects already inserted via the API; keeps
+  //    the URL short (browsers truncate save links beyond ~1800 characters)
+  buildSaveJwt({ loyaltyObjects = [], loyaltyClasses = [] } = {}, options = {}) {
     try {
-      if (!this.credentials) {
+      const credentials = this.getSigningCredentials();
+      if (!credentials) {
         throw new Error('JWT credentials not loaded');
       }
 
+      const mode = options.mode || 'fat';
+      if (!JWT_MODES.includes(mode)) {
+        throw new Error(`Invalid JWT mode "${mode}". Use one of: ${JWT_MODES.join(', ')}`);
+      }
+      if (loyaltyObjects.length === 0) {
+        throw new Error('At least one loyalty object is required');
+      }
+
+      const expiresIn = options.expiresIn !== undefined ? Number(options.expiresIn) : this.getDefaultExpiry();
+      if (!Number.isInteger(expiresIn) || expiresIn <= 0) {
+        throw new Error('expiresIn must be a positive number of seconds');
+      }
+
       const now = Math.floor(Date.now() / 1000);
-      const origins = process.env.ORIGINS ? process.env.ORIGINS.split(',') : ['http://localhost:3001'];
+      const walletPayload = mode === 'skinny'
+        ? { loyaltyObjects: loyaltyObjects.map(object => this.toSkinnyObject(object)) }
+        : { loyaltyObjects };
+
+      if (mode === 'fat' && loyaltyClasses.length > 0) {
+        walletPayload.loyaltyClasses = loyaltyClasses;
+      }
 
       // JWT payload with required claims
       const payload = {
-        iss: this.credentials.client_email,
+        iss: credentials.client_email,
         aud: 'google',
         typ: 'savetowallet',
         iat: now,
-        exp: now + (60 * 60), // 1 hour expiration
-        origins: origins,
-        payload: {
-          loyaltyObjects: [loyaltyObject]
-        }
+        exp: now + expiresIn,
+        origins: this.resolveOrigins(options.origins),
+        payload: walletPayload
       };
 
-      // Sign the JWT with the service account private key
-      const token = jwt.sign(payload, this.credentials.private_key, {
-        algorithm: 'RS256',
-        noTimestamp: true // We set iat manually
+      // Sign the JWT with the service account private key (jsonwebtoken keeps
+      // our iat; noTimestamp would strip it from the token)
+      const token = jwt.sign(payload, credentials.private_key, {
+        algorithm: 'RS256'
       });
 
-      console.log('✅ JWT generated successfully for object:', loyaltyObject.id);
+      const saveUrl = `${SAVE_URL_BASE}${token}`;
+      if (saveUrl.length > MAX_SAVE_URL_LENGTH) {
+        logger.warn('Save to Wallet URL Exceeds Recommended Length', {
+          mode,
+          length: saveUrl.length,
+          objectIds: walletPayload.loyaltyObjects.map(object => object.id)
+        });
+      }
 
       return {
         success: true,
+        mode,
         jwt: token,
-        payload: payload,
+        saveUrl,
+        payload,
+        expiresAt: new Date(payload.exp * 1000).toISOString(),
         message: 'JWT generated successfully'
       };
 
     } catch (error) {
-      console.error('❌ Failed to generate JWT:', error.message);
+      logger.error('Failed to Generate Save to Wallet JWT', {
+        error: error.message
+      });
       return {
         success: false,
         error: error.message,
@@ -81,38 +161,32 @@ class JWTService {
     }
   }
 
-  // Generate Save to Wallet URL
-  generateSaveToWalletURL(loyaltyObject) {
-    try {
-      const jwtResult = this.generateSaveToWalletJWT(loyaltyObject);
-
-      if (!jwtResult.success) {
-        return jwtResult;
-      }
-
-      const saveUrl = `https://pay.google.com/gp/v/save/${jwtResult.jwt}`;
+  // Generate JWT for Save to Wallet
+  generateSaveToWalletJWT(loyaltyObject, options = {}) {
+    return this.buildSaveJwt({ loyaltyObjects: [loyaltyObject] }, options);
+  }
 
-      return {
-        success: true,
-        jwt: jwtResult.jwt,
-        saveUrl: saveUrl,
-        message: 'Save to Wallet URL generated successfully'
-      };
+  // Generate Save to Wallet URL
+  generateSaveToWalletURL(loyaltyObject, options = {}) {
+    const result = this.generateSaveToWalletJWT(loyaltyObject, options);
 
-    } catch (error) {
-      console.error('❌ Failed to generate Save to Wallet URL:', error.message);
-      return {
-        success: false,
-        error: error.message,
-        message: 'Failed to generate Save to Wallet URL'
-      };
+    if (result.success) {
+      result.message = 'Save to Wallet URL generated successfully';
     }
+    return result;
+  }
+
+  // Save URL for objects already inserted via the API (skinny JWT)
+  generateSkinnySaveURL(objectIds, options = {}) {
+    const ids = Array.isArray(objectIds) ? objectIds : [objectIds];
+    return this.buildSaveJwt({ loyaltyObjects: ids }, { ...options, mode: 'skinny' });
   }
 
   // Validate JWT structure (for testing)
   validateJWT(token) {
     try {
-      if (!this.credentials) {
+      const credentials = this.getSigningCredentials();
+      if (!credentials) {
         throw new Error('JWT credentials not loaded');
       }
 
@@ -124,7 +198,7 @@ class JWTService {
       }
 
       // Verify signature
-      const verified = jwt.verify(token, this.credentials.private_key, {
+      const verified = jwt.verify(token, credentials.private_key, {
         algorithms: ['RS256']
       });
 
@@ -149,14 +223,14 @@ class JWTService {
   // Create loyalty object payload for JWT
   createLoyaltyObjectPayload(userId, options = {}) {
     const {
-      classId = `${process.env.ISSUER_ID}.${process.env.CLASS_SUFFIX}`,
+      classId = objectIdService.getClassId(),
       points = 0,
-      tier = 'Bronze',
+      tier = tierEngine.calculateTier(points, classId),
       memberName = `Member ${userId}`,
       memberSince = new Date().toISOString().split('T')[0]
     } = options;
 
-    const objectId = `${process.env.ISSUER_ID}.${process.env.OBJECT_SUFFIX}-${userId}`;
+    const objectId = objectIdService.generateObjectId(userId, classId);
 
     return {
       id: objectId,
@@ -178,7 +252,7 @@ class JWTService {
         },
         {
           header: 'Tier Benefits',
-          body: this.getTierBenefits(tier)
+          body: this.getTierBenefits(tier, classId)
         }
       ],
       barcode: {
@@ -197,13 +271,8 @@ class JWTService {
   }
 
   // Get tier benefits description
-  getTierBenefits(tier) {
-    const benefits = {
-      'Bronze': '5% cashback on purchases',
-      'Silver': '10% cashback + free shipping',
-      'Gold': '15% cashback + free shipping + priority support'
-    };
-    return benefits[tier] || benefits['Bronze'];
+  getTierBenefits(tier, classId = null) {
+    return tierEngine.getBenefits(tier, classId);
   }
 
   // Generate complete Save to Wallet solution for a user
@@ -241,4 +310,4 @@ class JWTService {
   }
 }
 
-module.exports = new JWTService();
\ No newline at end of file
+module.exports = new JWTService();
@@ -0,0 +1,200 @@
+const loyaltyObjectService = require('./loyalty-object');
+
+// Object fields a layout can name directly. Any other name is a text module
+// ID, and "links[N]" is the Nth link of the pass.
+const OBJECT_FIELDS = {
+  accountName: 'object.accountName',
+  accountId: 'object.accountId',
+  points: 'object.loyaltyPoints',
+  rewardsTier: 'object.rewardsTier',
+  secondaryRewardsTier: 'object.secondaryRewardsTier'
+};
+const LINK_PATTERN = /^links\[(\d+)\]$/;
+const SECTIONS = ['card', 'details', 'list'];
+const ROW_KEYS = { 1: ['item'], 2: ['startItem', 'endItem'], 3: ['startItem', 'middleItem', 'endItem'] };
+const ROW_TYPES = { 1: 'oneItem', 2: 'twoItems', 3: 'threeItems' };
+const MAX_CARD_ROWS = 3;
+
+// The card front /create-class has always produced
+const DEFAULT_LAYOUT = {
+  card: [
+    ['accountName', 'card_tier'],
+    ['card_points', 'card_next_reward'],
+    ['links[0]']
+  ]
+};
+
+// Compiles a small layout description into Wallet's classTemplateInfo:
+//
+//   {
+//     "card":    [["accountName", "card_tier"], ["card_points", "card_next_reward"]],
+//     "details": ["member_since", "tier_benefits"],
+//     "list":    { "firstRow": "accountName", "secondRow": "card_points" }
+//   }
+//
+// card is up to 3 rows of 1-3 items, details a list of items, and list picks
+// the fields shown in the Wallet pass list. An item is a field name, a list of
+// names (Wallet shows the first one with a value) or { first, second } for a
+// two-line item. Text module IDs are checked against the modules
+// LoyaltyObjectService.createObjectDefinition puts on every card, so a layout
+// cannot point at a field no pass has.
+class LayoutEngine {
+  getDefaultLayout() {
+    return DEFAULT_LAYOUT;
+  }
+
+  // Text module IDs every card of a class carries
+  getTextModuleIds(classId = null) {
+    const sample = loyaltyObjectService.createObjectDefinition('layout-check', classId ? { classId } : {});
+    return sample.textModulesData.map(module => module.id);
+  }
+
+  // Names a layout can reference
+  getFields(classId = null) {
+    return {
+      objectFields: Object.keys(OBJECT_FIELDS),
+      textModules: this.getTextModuleIds(classId),
+      links: 'links[N]'
+    };
+  }
+
+  resolveField(name, textModuleIds) {
+    if (typeof name !== 'string' || !name) {
+      return { error: 'field names must be non-empty strings' };
+    }
+    if (OBJECT_FIELDS[name]) {
+      return { fieldPath: OBJECT_FIELDS[name] };
+    }
+    const link = name.match(LINK_PATTERN);
+    if (link) {
+      return { fieldPath: `object.linksModuleData.uris[${link[1]}]` };
+    }
+    if (textModuleIds.includes(name)) {
+      return { fieldPath: `object.textModulesData['${name}']` };
+    }
+    return { error: `"${name}" is not an object field or a text module created for every card` };
+  }
+
+  compileSelector(names, location, context) {
+    const list = Array.isArray(names) ? names : [names];
+    if (list.length === 0) {
+      context.errors.push(`${location}: needs at least one field`);
+    }
+
+    return {
+      fields: list.map(name => {
+        const resolved = this.resolveField(name, context.textModuleIds);
+        if (resolved.error) {
+          context.errors.push(`${location}: ${resolved.error}`);
+        }
+        return { fieldPath: resolved.fieldPath };
+      })
+    };
+  }
+
+  compileItem(item, location, context) {
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      const unknown = Object.keys(item).filter(key => !['first', 'second'].includes(key));
+      if (unknown.length > 0 || item.first === undefined) {
+        context.errors.push(`${location}: items are a field name, a list of names or { first, second }`);
+        return {};
+      }
+
+      const compiled = { firstValue: this.compileSelector(item.first, `${location}.first`, context) };
+      if (item.second !== undefined) {
+        compiled.secondValue = this.compileSelector(item.second, `${location}.second`, context);
+      }
+      return compiled;
+    }
+
+    return { firstValue: this.compileSelector(item, location, context) };
+  }
+
+  compileCard(rows, context) {
+    if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_CARD_ROWS) {
+      context.errors.push(`card: must be a list of 1-${MAX_CARD_ROWS} rows`);
+      return undefined;
+    }
+
+    return {
+      cardRowTemplateInfos: rows.map((row, rowIndex) => {
+        const items = Array.isArray(row) ? row : [row];
+        if (!ROW_TYPES[items.length]) {
+          context.errors.push(`card[${rowIndex}]: rows hold 1-3 items`);
+          return {};
+        }
+
+        const compiled = {};
+        ROW_KEYS[items.length].forEach((key, itemIndex) => {
+          compiled[key] = this.compileItem(items[itemIndex], `card[${rowIndex}][${itemIndex}]`, context);
+        });
+        return { [ROW_TYPES[items.length]]: compiled };
+      })
+    };
+  }
+
+  compileDetails(items, context) {
+    if (!Array.isArray(items) || items.length === 0) {
+      context.errors.push('details: must be a non-empty list of items');
+      return undefined;
+    }
+
+    return {
+      detailsItemInfos: items.map((item, index) => ({
+        item: this.compileItem(item, `details[${index}]`, context)
+      }))
+    };
+  }
+
+  compileList(list, context) {
+    const unknown = list && typeof list === 'object' ? Object.keys(list).filter(key => !['firstRow', 'secondRow'].includes(key)) : [];
+    if (!list || typeof list !== 'object' || Array.isArray(list) || unknown.length > 0 || list.firstRow === undefined) {
+      context.errors.push('list: must be { firstRow, secondRow }');
+      return undefined;
+    }
+
+    const compiled = {
+      firstRowOption: { fieldOption: this.compileSelector(list.firstRow, 'list.firstRow', context) }
+    };
+    if (list.secondRow !== undefined) {
+      compiled.secondRowOption = this.compileSelector(list.secondRow, 'list.secondRow', context);
+    }
+    return compiled;
+  }
+
+  // Compile a layout. Returns { classTemplateInfo, errors }; errors lists
+  // every problem found, and classTemplateInfo is null when there are any.
+  compile(layout, classId = null) {
+    const context = { errors: [], textModuleIds: this.getTextModuleIds(classId) };
+
+    if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+      return { classTemplateInfo: null, errors: ['layout must be an object'] };
+    }
+
+    const unknown = Object.keys(layout).filter(key => !SECTIONS.includes(key));
+    if (unknown.length > 0) {
+      context.errors.push(`unknown layout sections: ${unknown.join(', ')}`);
+    }
+    if (!SECTIONS.some(section => layout[section] !== undefined)) {
+      context.errors.push(`layout needs at least one of ${SECTIONS.join(', ')}`);
+    }
+
+    const classTemplateInfo = {};
+    if (layout.card !== undefined) {
+      classTemplateInfo.cardTemplateOverride = this.compileCard(layout.card, context);
+    }
+    if (layout.details !== undefined) {
+      classTemplateInfo.detailsTemplateOverride = this.compileDetails(layout.details, context);
+    }
+    if (layout.list !== undefined) {
+      classTemplateInfo.listTemplateOverride = this.compileList(layout.list, context);
+    }
+
+    return {
+      classTemplateInfo: context.errors.length === 0 ? classTemplateInfo : null,
+      errors: context.errors
+    };
+  }
+}
+
+module.exports = new LayoutEngine();
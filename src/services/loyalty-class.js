@@ -1,17 +1,24 @@
 const googleWalletAuth = require('../auth/google-wallet-auth');
 const logger = require('../utils/logger');
 const retry = require('../utils/retry');
+const tierEngine = require('./tier-engine');
+const layoutEngine = require('./layout-engine');
+const dbService = require('../database/db-service');
+const jsonDiff = require('../utils/json-diff');
+const objectIdService = require('./object-id');
+const walletPages = require('../utils/wallet-pages');
 
-class LoyaltyClassService {
-  constructor() {
-    this.issuerId = process.env.ISSUER_ID;
-    this.classSuffix = process.env.CLASS_SUFFIX;
-  }
+// Statuses an issuer can set; APPROVED and REJECTED are set by Google
+const SETTABLE_REVIEW_STATUSES = ['DRAFT', 'UNDER_REVIEW'];
+
+const localized = (value) => ({
+  defaultValue: { language: 'en-US', value }
+});
 
-  // Generate class ID
+class LoyaltyClassService {
+  // Generate class ID (issuer and default suffix of the current tenant)
   generateClassId(customSuffix = null) {
-    const suffix = customSuffix || this.classSuffix;
-    return `${this.issuerId}.${suffix}`;
+    return objectIdService.getClassId(customSuffix);
   }
 
   // Create Teiga Tech loyalty class definition
@@ -21,7 +28,7 @@ class LoyaltyClassService {
       logoUrl = process.env.PROGRAM_LOGO_URL || "https://example.com/logo.png",
       brandColor = process.env.BRAND_COLOR || "#1976D2",
       backgroundColor = process.env.BACKGROUND_COLOR || "#FFFFFF",
-      classSuffix = this.classSuffix
+      classSuffix = null
     } = options;
 
     const classId = this.generateClassId(classSuffix);
@@ -62,7 +69,7 @@ class LoyaltyClassService {
           }
         }
       },
-      rewardsTier: "Bronze",
+      rewardsTier: tierEngine.getTiers(classId)[0].name,
       localizedRewardsTier: {
         defaultValue: {
           language: "en-US",
@@ -106,8 +113,142 @@ class LoyaltyClassService {
     };
   }
 
+  // Build a full class definition from the friendly fields accepted by
+  // /create-class and PUT /class/:classId (classTemplateInfo comes from
+  // resolveLayout; the default layout is used when it is left out)
+  buildClassDefinition(options = {}) {
+    const {
+      classId,
+      programName,
+      issuerName = 'Teiga Tech',
+      programLogoUrl,
+      wideProgramLogoUrl = programLogoUrl,
+      heroImageUrl,
+      hexBackgroundColor = '#1976D2',
+      accountIdLabel = 'Member ID',
+      accountNameLabel = 'Name',
+      rewardsTierLabel = 'Tier',
+      reviewStatus = 'UNDER_REVIEW',
+      textModules = [],
+      imageModules = [],
+      linksModule = { uris: [] },
+      merchantLocations = [],
+      appLinkData,
+      classTemplateInfo = layoutEngine.compile(layoutEngine.getDefaultLayout(), classId).classTemplateInfo
+    } = options;
+
+    const classDefinition = {
+      id: classId,
+      issuerName,
+      programName,
+      hexBackgroundColor,
+      reviewStatus,
+      allowMultipleUsersPerObject: false,
+      localizedIssuerName: localized(issuerName),
+      localizedProgramName: localized(programName),
+      accountIdLabel,
+      localizedAccountIdLabel: localized(accountIdLabel),
+      accountNameLabel,
+      localizedAccountNameLabel: localized(accountNameLabel),
+      rewardsTierLabel,
+      localizedRewardsTierLabel: localized(rewardsTierLabel),
+      loyaltyPoints: {
+        label: 'Points',
+        localizedLabel: localized('Points')
+      },
+      classTemplateInfo
+    };
+
+    // Add optional fields
+    if (programLogoUrl) {
+      classDefinition.programLogo = { sourceUri: { uri: programLogoUrl } };
+    }
+
+    if (wideProgramLogoUrl) {
+      classDefinition.wideProgramLogo = { sourceUri: { uri: wideProgramLogoUrl } };
+    }
+
+    if (heroImageUrl) {
+      classDefinition.heroImage = { sourceUri: { uri: heroImageUrl } };
+    }
+
+    if (textModules && textModules.length > 0) {
+      classDefinition.textModulesData = textModules;
+    }
+
+    if (imageModules && imageModules.length > 0) {
+      classDefinition.imageModulesData = imageModules;
+    }
+
+    if (linksModule && linksModule.uris && linksModule.uris.length > 0) {
+      classDefinition.linksModuleData = linksModule;
+    }
+
+    if (merchantLocations && merchantLocations.length > 0) {
+      classDefinition.locations = merchantLocations;
+    }
+
+    if (appLinkData) {
+      classDefinition.appLinkData = appLinkData;
+    }
+
+    // Google Wallet posts save/delete callbacks here (POST /wallet/callbacks)
+    if (process.env.WALLET_CALLBACK_URL) {
+      classDefinition.callbackOptions = { url: process.env.WALLET_CALLBACK_URL };
+    }
+
+    return classDefinition;
+  }
+
+  // Map the friendly fields that are present to a Wallet patch body
+  // (text fields also set their localized value; empty lists clear a module)
+  buildClassPatch(changes = {}) {
+    const patch = {};
+
+    const textFields = ['programName', 'issuerName', 'accountIdLabel', 'accountNameLabel', 'rewardsTierLabel'];
+    textFields.forEach(field => {
+      if (changes[field] !== undefined) {
+        const localizedField = `localized${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+        patch[field] = changes[field];
+        patch[localizedField] = localized(changes[field]);
+      }
+    });
+
+    if (changes.hexBackgroundColor !== undefined) {
+      patch.hexBackgroundColor = changes.hexBackgroundColor;
+    }
+
+    if (changes.programLogoUrl !== undefined) {
+      patch.programLogo = { sourceUri: { uri: changes.programLogoUrl } };
+    }
+
+    const wideProgramLogoUrl = changes.wideProgramLogoUrl !== undefined ? changes.wideProgramLogoUrl : changes.programLogoUrl;
+    if (wideProgramLogoUrl !== undefined) {
+      patch.wideProgramLogo = { sourceUri: { uri: wideProgramLogoUrl } };
+    }
+
+    if (changes.heroImageUrl !== undefined) {
+      patch.heroImage = { sourceUri: { uri: changes.heroImageUrl } };
+    }
+
+    const moduleFields = {
+      textModules: 'textModulesData',
+      imageModules: 'imageModulesData',
+      linksModule: 'linksModuleData',
+      merchantLocations: 'locations',
+      appLinkData: 'appLinkData'
+    };
+    Object.entries(moduleFields).forEach(([field, walletField]) => {
+      if (changes[field] !== undefined) {
+        patch[walletField] = changes[field];
+      }
+    });
+
+    return patch;
+  }
+
   // Create loyalty class via Google Wallet API
-  async createClass(classDefinition) {
+  async createClass(classDefinition, options = {}) {
     try {
       logger.info('Creating Loyalty Class', {
         classId: classDefinition.id,
@@ -133,10 +274,13 @@ class LoyaltyClassService {
         classId: result.data.id
       });
 
+      const version = await this.recordVersion(result.data, 'create', options);
+
       return {
         success: true,
         classId: result.data.id,
         data: result.data,
+        version,
         message: 'Loyalty class created successfully'
       };
 
@@ -209,33 +353,49 @@ class LoyaltyClassService {
     }
   }
 
-  // List all loyalty classes for this issuer
-  async listClasses() {
+  // One page of this issuer's loyalty classes, optionally filtered by
+  // review status. Pass the returned nextPageToken back as pageToken.
+  async listClasses({ reviewStatus = null, pageToken = null, limit = 50 } = {}) {
+    const issuerId = objectIdService.getIssuerId();
     try {
-      const result = await retry.retryGoogleApi(
-        async () => {
-          const client = await googleWalletAuth.getClient();
-          return await client.loyaltyclass.list({
-            issuerId: this.issuerId
-          });
+      const page = await walletPages.listPage({
+        fetchPage: async (token, maxResults) => {
+          const result = await retry.retryGoogleApi(
+            async () => {
+              const client = await googleWalletAuth.getClient();
+              return await client.loyaltyclass.list({
+                issuerId,
+                maxResults,
+                ...(token && { token })
+              });
+            },
+            {
+              operation: 'listLoyaltyClasses',
+              issuerId
+            }
+          );
+          return {
+            resources: result.data.resources || [],
+            nextPageToken: (result.data.pagination && result.data.pagination.nextPageToken) || null
+          };
         },
-        {
-          operation: 'listLoyaltyClasses',
-          issuerId: this.issuerId
-        }
-      );
+        filter: (loyaltyClass) => !reviewStatus || String(loyaltyClass.reviewStatus || '').toUpperCase() === reviewStatus.toUpperCase(),
+        limit,
+        pageToken
+      });
 
       return {
         success: true,
-        classes: result.data.resources || [],
-        count: result.data.resources ? result.data.resources.length : 0,
+        classes: page.items,
+        count: page.items.length,
+        nextPageToken: page.nextPageToken,
         message: 'Loyalty classes retrieved successfully'
       };
 
     } catch (error) {
       const errorDetails = logger.googleApiError(error, {
         operation: 'listLoyaltyClasses',
-        issuerId: this.issuerId
+        issuerId
       });
 
       return {
@@ -246,9 +406,11 @@ class LoyaltyClassService {
     }
   }
 
-  // Update existing loyalty class
-  async updateClass(classId, updates) {
+  // Update existing loyalty class (full replace)
+  async updateClass(classId, updates, options = {}) {
     try {
+      await this.ensureBaselineVersion(classId);
+
       const result = await retry.retryGoogleApi(
         async () => {
           const client = await googleWalletAuth.getClient();
@@ -267,10 +429,13 @@ class LoyaltyClassService {
         classId: result.data.id
       });
 
+      const version = await this.recordVersion(result.data, options.changeType || 'update', options);
+
       return {
         success: true,
         classId: result.data.id,
         data: result.data,
+        version,
         message: 'Loyalty class updated successfully'
       };
 
@@ -290,8 +455,10 @@ class LoyaltyClassService {
   }
 
   // Patch existing loyalty class (partial update)
-  async patchClass(classId, updates) {
+  async patchClass(classId, updates, options = {}) {
     try {
+      await this.ensureBaselineVersion(classId);
+
       const result = await retry.retryGoogleApi(
         async () => {
           const client = await googleWalletAuth.getClient();
@@ -310,10 +477,13 @@ class LoyaltyClassService {
         classId: result.data.id
       });
 
+      const version = await this.recordVersion(result.data, options.changeType || 'patch', options);
+
       return {
         success: true,
         classId: result.data.id,
         data: result.data,
+        version,
         message: 'Loyalty class patched successfully'
       };
 
@@ -333,10 +503,10 @@ class LoyaltyClassService {
   }
 
   // Create or update loyalty class (tries create first, updates if exists)
-  async createOrUpdateClass(classDefinition) {
+  async createOrUpdateClass(classDefinition, options = {}) {
     try {
       // Try to create first
-      const createResult = await this.createClass(classDefinition);
+      const createResult = await this.createClass(classDefinition, options);
 
       // If creation successful, return
       if (createResult.success) {
@@ -346,7 +516,7 @@ class LoyaltyClassService {
       // If class already exists (409), update instead
       if (createResult.error === 'Class already exists') {
         logger.info('Class exists, updating instead', { classId: classDefinition.id });
-        return await this.updateClass(classDefinition.id, classDefinition);
+        return await this.updateClass(classDefinition.id, classDefinition, options);
       }
 
       // Other error, return it
@@ -361,6 +531,243 @@ class LoyaltyClassService {
       };
     }
   }
+
+  // Move a class between DRAFT and UNDER_REVIEW
+  async setReviewStatus(classId, reviewStatus, options = {}) {
+    if (!SETTABLE_REVIEW_STATUSES.includes(reviewStatus)) {
+      return {
+        success: false,
+        error: 'Invalid review status',
+        message: `reviewStatus must be one of ${SETTABLE_REVIEW_STATUSES.join(', ')}`
+      };
+    }
+
+    return await this.patchClass(classId, { reviewStatus }, { ...options, changeType: 'review_status' });
+  }
+
+  // =====================================
+  // Version History
+  // =====================================
+
+  // Store the definition Wallet returned as the next local version. A failed
+  // write is logged and the Wallet change still succeeds (version is null).
+  async recordVersion(definition, changeType, options = {}) {
+    try {
+      const version = await dbService.createClassVersion({
+        classId: definition.id,
+        changeType,
+        definition,
+        rolledBackTo: options.rolledBackTo || null,
+        actor: options.actor || null
+      });
+      return version.version;
+
+    } catch (error) {
+      logger.warn('Failed to Record Class Version', {
+        error: error.message,
+        classId: definition.id,
+        changeType
+      });
+      return null;
+    }
+  }
+
+  // Classes created before versioning (or outside this API) get their current
+  // definition stored as version 1 before the first change, so it can be restored
+  async ensureBaselineVersion(classId) {
+    try {
+      if (await dbService.countClassVersions(classId) > 0) {
+        return;
+      }
+
+      const current = await this.getClass(classId);
+      if (current.success) {
+        await this.recordVersion(current.data, 'baseline');
+      }
+
+    } catch (error) {
+      logger.warn('Failed to Record Baseline Class Version', {
+        error: error.message,
+        classId
+      });
+    }
+  }
+
+  async listVersions(classId, { limit = 50, offset = 0 } = {}) {
+    const [versions, total] = await Promise.all([
+      dbService.getClassVersions(classId, { limit, offset }),
+      dbService.countClassVersions(classId)
+    ]);
+
+    return {
+      success: true,
+      classId,
+      versions: versions.map(version => this.formatVersion(version, false)),
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + versions.length < total
+      }
+    };
+  }
+
+  async getVersion(classId, version) {
+    const stored = await dbService.getClassVersion(classId, version);
+    if (!stored) {
+      return {
+        success: false,
+        error: 'Version not found',
+        message: `Class ${classId} has no version ${version}`
+      };
+    }
+
+    return {
+      success: true,
+      version: this.formatVersion(stored)
+    };
+  }
+
+  // Changes from one version to another (default: from the previous version)
+  async diffVersions(classId, version, against = version - 1) {
+    const target = await dbService.getClassVersion(classId, version);
+    const base = against > 0 ? await dbService.getClassVersion(classId, against) : null;
+
+    if (!target || (against > 0 && !base)) {
+      return {
+        success: false,
+        error: 'Version not found',
+        message: `Class ${classId} has no version ${target ? against : version}`
+      };
+    }
+
+    const changes = jsonDiff.diff(base ? base.definition : {}, target.definition);
+
+    return {
+      success: true,
+      classId,
+      from: base ? base.version : null,
+      to: target.version,
+      changes
+    };
+  }
+
+  // Write a stored definition back to Wallet as a full update. The rollback
+  // is itself recorded as a new version.
+  async rollbackClass(classId, version, options = {}) {
+    const stored = await dbService.getClassVersion(classId, version);
+    if (!stored) {
+      return {
+        success: false,
+        error: 'Version not found',
+        message: `Class ${classId} has no version ${version}`
+      };
+    }
+
+    const result = await this.updateClass(classId, this.prepareForUpdate(stored.definition), {
+      ...options,
+      changeType: 'rollback',
+      rolledBackTo: version
+    });
+
+    if (result.success) {
+      logger.info('Loyalty Class Rolled Back', {
+        classId,
+        restoredVersion: version,
+        newVersion: result.version
+      });
+    }
+
+    return result;
+  }
+
+  // Google sets APPROVED/REJECTED; a definition written back with update goes
+  // back for review
+  prepareForUpdate(definition) {
+    const prepared = { ...definition };
+    if (!SETTABLE_REVIEW_STATUSES.includes(prepared.reviewStatus)) {
+      prepared.reviewStatus = 'UNDER_REVIEW';
+    }
+    return prepared;
+  }
+
+  // =====================================
+  // Card Layout
+  // =====================================
+
+  // Compiled layout for a class: the layout given, else the one stored for
+  // the class, else the default
+  async resolveLayout(classId, layout = undefined) {
+    let source = 'request';
+    if (layout === undefined) {
+      const stored = await dbService.getClassLayout(classId);
+      source = stored ? 'class' : 'default';
+      layout = stored ? stored.layout : layoutEngine.getDefaultLayout();
+    }
+
+    const { classTemplateInfo, errors } = layoutEngine.compile(layout, classId);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: 'Invalid layout',
+        message: errors.join('; '),
+        details: errors
+      };
+    }
+
+    return {
+      success: true,
+      classId,
+      source,
+      layout,
+      classTemplateInfo
+    };
+  }
+
+  async saveLayout(classId, layout, options = {}) {
+    return await dbService.saveClassLayout(classId, layout, { actor: options.actor || null });
+  }
+
+  // Replace the card layout of an existing class and store it for later
+  // PUT /class/:classId calls
+  async setClassLayout(classId, layout, options = {}) {
+    const resolved = await this.resolveLayout(classId, layout);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    const current = await this.getClass(classId);
+    if (!current.success) {
+      return current;
+    }
+
+    // Full update: a patch would merge with template overrides the layout drops
+    const result = await this.updateClass(classId, this.prepareForUpdate({
+      ...current.data,
+      classTemplateInfo: resolved.classTemplateInfo
+    }), { ...options, changeType: 'layout' });
+
+    if (result.success) {
+      await this.saveLayout(classId, layout, options);
+    }
+
+    return { ...result, layout };
+  }
+
+  formatVersion(version, includeDefinition = true) {
+    const formatted = {
+      classId: version.class_id,
+      version: version.version,
+      changeType: version.change_type,
+      rolledBackTo: version.rolled_back_to,
+      actor: version.actor,
+      createdAt: version.created_at
+    };
+    if (includeDefinition) {
+      formatted.definition = version.definition;
+    }
+    return formatted;
+  }
 }
 
 module.exports = new LoyaltyClassService();
\ No newline at end of file
@@ -1,23 +1,53 @@
+const crypto = require('crypto');
 const googleWalletAuth = require('../auth/google-wallet-auth');
 const jwtService = require('./jwt-service');
+const tierEngine = require('./tier-engine');
+const objectIdService = require('./object-id');
+const dbService = require('../database/db-service');
+const webhookService = require('./webhook-service');
 const logger = require('../utils/logger');
 const retry = require('../utils/retry');
+const walletPages = require('../utils/wallet-pages');
 
-class LoyaltyObjectService {
-  constructor() {
-    this.issuerId = process.env.ISSUER_ID;
-    this.objectSuffix = process.env.OBJECT_SUFFIX;
-    this.classSuffix = process.env.CLASS_SUFFIX;
-  }
+const DEFAULT_MAX_MESSAGES = 10;
+
+// Points balance of a Wallet object (stored as a string, int on older objects)
+const objectPoints = (object) => {
+  const balance = (object.loyaltyPoints && object.loyaltyPoints.balance) || {};
+  return parseInt(balance.string !== undefined ? balance.string : balance.int, 10) || 0;
+};
 
-  // Generate unique object ID for a user
-  generateObjectId(userId) {
-    return `${this.issuerId}.${this.objectSuffix}-${userId}`;
+class LoyaltyObjectService {
+  // Generate unique object ID for a user (see object-id.js for the scheme)
+  generateObjectId(userId, classId = null) {
+    return objectIdService.generateObjectId(userId, classId);
   }
 
   // Generate class ID
   generateClassId() {
-    return `${this.issuerId}.${this.classSuffix}`;
+    return objectIdService.getClassId();
+  }
+
+  // Object ID of a user's card: the one stored with the card when it exists,
+  // otherwise the ID the current scheme would assign
+  async lookupObjectId(userId, classId = null) {
+    const card = await dbService.getCard(userId);
+
+    if (card && (!classId || card.class_id === classId)) {
+      return {
+        userId,
+        classId: card.class_id,
+        objectId: card.object_id,
+        source: 'card'
+      };
+    }
+
+    return {
+      userId,
+      classId: classId || this.generateClassId(),
+      objectId: this.generateObjectId(userId, classId),
+      source: 'generated'
+    };
   }
 
   // Create loyalty object definition
@@ -25,7 +55,7 @@ class LoyaltyObjectService {
     const {
       classId = this.generateClassId(),
       points = 0,
-      tier = 'Bronze',
+      tier = tierEngine.calculateTier(points, classId),
       memberName = `Member ${userId}`,
       memberSince = new Date().toISOString().split('T')[0],
       state = 'ACTIVE',
@@ -34,12 +64,13 @@ class LoyaltyObjectService {
       label_4_value,
       label_5_value,
       primaryButton,
-      links
+      links,
+      locations = [{ latitude: 37.7749, longitude: -122.4194 }]
     } = options;
 
-    const objectId = this.generateObjectId(userId);
+    const objectId = this.generateObjectId(userId, classId);
 
-    const nextRewardPoints = this.getNextReward(points, tier);
+    const nextRewardPoints = this.getNextReward(points, tier, classId);
 
     // Prepare text modules - MUST include card front fields with these IDs
     const textModulesData = [
@@ -65,7 +96,7 @@ class LoyaltyObjectService {
       },
       {
         header: 'Tier Benefits',
-        body: this.getTierBenefits(tier),
+        body: this.getTierBenefits(tier, classId),
         id: 'tier_benefits'
       }
     ];
@@ -95,12 +126,7 @@ class LoyaltyObjectService {
         value: `LOYALTY_${userId}_${Date.now()}`,
         alternateText: `Member ID: ${userId}`
       },
-      locations: [
-        {
-          latitude: 37.7749,
-          longitude: -122.4194
-        }
-      ],
+      locations,
       hasUsers: true,
       smartTapRedemptionValue: points.toString(),
       enableSmartTap: true
@@ -140,28 +166,13 @@ class LoyaltyObjectService {
   }
 
   // Get tier benefits description
-  getTierBenefits(tier) {
-    const benefits = {
-      'Bronze': '5% cashback on purchases',
-      'Silver': '10% cashback + free shipping',
-      'Gold': '15% cashback + free shipping + priority support'
-    };
-    return benefits[tier] || benefits['Bronze'];
+  getTierBenefits(tier, classId = null) {
+    return tierEngine.getBenefits(tier, classId);
   }
 
   // Calculate next reward points needed
-  getNextReward(currentPoints, tier) {
-    if (tier === 'Gold' || currentPoints >= 2000) {
-      // Already at max tier, show next milestone
-      const nextMilestone = Math.ceil(currentPoints / 1000) * 1000;
-      return nextMilestone > currentPoints ? nextMilestone : currentPoints + 1000;
-    } else if (tier === 'Silver' || currentPoints >= 500) {
-      // Next tier is Gold at 2000 points
-      return 2000;
-    } else {
-      // Next tier is Silver at 500 points
-      return 500;
-    }
+  getNextReward(currentPoints, tier, classId = null) {
+    return tierEngine.getNextReward(currentPoints, tier, classId);
   }
 
   // Create loyalty object via Google Wallet API
@@ -173,7 +184,7 @@ class LoyaltyObjectService {
         objectId: objectDefinition.id,
         userId,
         points: options.points || 0,
-        tier: options.tier || 'Bronze'
+        tier: objectDefinition.rewardsTier
       });
 
       const result = await retry.retryGoogleApi(
@@ -195,6 +206,14 @@ class LoyaltyObjectService {
         userId
       });
 
+      await webhookService.emit('card.created', {
+        userId,
+        objectId: result.data.id,
+        classId: objectDefinition.classId,
+        points: options.points || 0,
+        tier: objectDefinition.rewardsTier
+      });
+
       return {
         success: true,
         objectId: result.data.id,
@@ -215,7 +234,7 @@ class LoyaltyObjectService {
           success: false,
           error: 'Object already exists',
           message: 'A loyalty object with this ID already exists',
-          objectId: this.generateObjectId(userId)
+          objectId: this.generateObjectId(userId, options.classId)
         };
       }
 
@@ -272,13 +291,26 @@ class LoyaltyObjectService {
     }
   }
 
-  // Add message with push notification
+  // Messages kept on a pass; the oldest are dropped as new ones arrive
+  getMaxMessages() {
+    return parseInt(process.env.MAX_MESSAGES_PER_OBJECT || DEFAULT_MAX_MESSAGES, 10);
+  }
+
+  // Stable message ID, so a message can be expired or removed later
+  generateMessageId() {
+    return `msg_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  // Add message to loyalty object (stacked on top of earlier messages)
   async addMessage(objectId, message) {
+    const messageWithId = { ...message, id: message.id || this.generateMessageId() };
+
     try {
       logger.info('Adding Message to Loyalty Object', {
         objectId,
-        messageType: message.messageType,
-        header: message.header
+        messageId: messageWithId.id,
+        messageType: messageWithId.messageType,
+        header: messageWithId.header
       });
 
       const result = await retry.retryGoogleApi(
@@ -287,7 +319,7 @@ class LoyaltyObjectService {
           return await client.loyaltyobject.addmessage({
             resourceId: objectId,
             requestBody: {
-              message: message
+              message: messageWithId
             }
           });
         },
@@ -297,13 +329,21 @@ class LoyaltyObjectService {
         }
       );
 
+      // The API responds with { resource: <updated object> }
+      const resource = result.data.resource || result.data;
+      const prunedMessages = await this.pruneMessages(objectId, resource.messages || []);
+
       logger.info('Message Added Successfully', {
-        objectId: result.data.id
+        objectId: resource.id,
+        messageId: messageWithId.id,
+        prunedMessages
       });
 
       return {
         success: true,
-        objectId: result.data.id,
+        objectId: resource.id,
+        messageId: messageWithId.id,
+        prunedMessages,
         data: result.data,
         message: 'Message added successfully'
       };
@@ -330,6 +370,102 @@ class LoyaltyObjectService {
     }
   }
 
+  // Drop the oldest messages beyond MAX_MESSAGES_PER_OBJECT. Returns how many were removed.
+  async pruneMessages(objectId, messages) {
+    const maxMessages = this.getMaxMessages();
+    if (messages.length <= maxMessages) {
+      return 0;
+    }
+
+    const result = await this.updateObject(objectId, { messages: messages.slice(-maxMessages) });
+    if (!result.success) {
+      // The new message is already on the pass; trimming is retried on the next one
+      logger.warn('Failed to Prune Old Messages', {
+        objectId,
+        count: messages.length,
+        error: result.error
+      });
+      return 0;
+    }
+
+    return messages.length - maxMessages;
+  }
+
+  // Messages currently on a loyalty object
+  async getMessages(objectId) {
+    const result = await this.getObject(objectId);
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      objectId,
+      messages: result.data.messages || [],
+      message: 'Messages retrieved successfully'
+    };
+  }
+
+  // Replace (transform returns a message) or remove (transform returns null) one message
+  async updateMessage(objectId, messageId, transform) {
+    const current = await this.getObject(objectId);
+    if (!current.success) {
+      return current;
+    }
+
+    const messages = current.data.messages || [];
+    const target = messages.find(message => message.id === messageId);
+    if (!target) {
+      return {
+        success: false,
+        error: 'Message not found',
+        message: `Message ${messageId} not found on ${objectId}`
+      };
+    }
+
+    const replacement = transform(target);
+    const updatedMessages = replacement
+      ? messages.map(message => (message.id === messageId ? replacement : message))
+      : messages.filter(message => message.id !== messageId);
+
+    const result = await this.updateObject(objectId, { messages: updatedMessages });
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      objectId,
+      messageId,
+      messages: updatedMessages,
+      message: replacement ? 'Message updated successfully' : 'Message removed successfully'
+    };
+  }
+
+  // Delete a message from the pass
+  async removeMessage(objectId, messageId) {
+    return await this.updateMessage(objectId, messageId, () => null);
+  }
+
+  // Stop showing a message by ending its display interval
+  async expireMessage(objectId, messageId, at = new Date()) {
+    const end = { date: at.toISOString() };
+
+    return await this.updateMessage(objectId, messageId, message => {
+      const interval = message.displayInterval || {};
+      const startsLater = interval.start && new Date(interval.start.date) > at;
+
+      return {
+        ...message,
+        displayInterval: {
+          ...interval,
+          start: startsLater ? end : interval.start,
+          end
+        }
+      };
+    });
+  }
+
   // Update loyalty object (using PATCH for partial updates)
   async updateObject(objectId, updates) {
     try {
@@ -389,10 +525,12 @@ class LoyaltyObjectService {
     }
   }
 
-  // Update points for a user's loyalty object
-  async updatePoints(userId, newPoints, tier) {
+  // Update points for a user's loyalty object. Options: objectId (instead of
+  // looking it up), memberName, notify (false updates without a push).
+  async updatePoints(userId, newPoints, tier, options = {}) {
+    const { notify = true, memberName = null } = options;
     try {
-      const objectId = this.generateObjectId(userId);
+      const objectId = options.objectId || (await this.lookupObjectId(userId)).objectId;
 
       // First, get current object to preserve existing textModulesData
       const currentObj = await this.getObject(objectId);
@@ -400,13 +538,24 @@ class LoyaltyObjectService {
         return currentObj;
       }
 
-      // Find and update the card_points module in textModulesData
+      // Refresh the card front modules that depend on points and tier
+      const classId = currentObj.data.classId;
+      const currentTier = tier || currentObj.data.rewardsTier;
+      const nextRewardPoints = this.getNextReward(newPoints, currentTier, classId);
       const textModules = currentObj.data.textModulesData || [];
       const updatedTextModules = textModules.map(module => {
-        if (module.id === 'card_points') {
-          return { ...module, body: newPoints.toString() };
+        switch (module.id) {
+          case 'card_points':
+            return { ...module, body: newPoints.toString() };
+          case 'card_next_reward':
+            return { ...module, body: `${nextRewardPoints} pts` };
+          case 'card_tier':
+            return tier ? { ...module, body: tier } : module;
+          case 'tier_benefits':
+            return tier ? { ...module, body: this.getTierBenefits(tier, classId) } : module;
+          default:
+            return module;
         }
-        return module;
       });
 
       // Update BOTH loyaltyPoints balance AND textModulesData for card display
@@ -419,10 +568,20 @@ class LoyaltyObjectService {
           }
         },
         textModulesData: updatedTextModules,
-        notifyPreference: 'notifyOnUpdate'  // Triggers field-update push notification
+        secondaryRewardsTier: `${nextRewardPoints} pts`
         // NOTE: Do NOT include smartTapRedemptionValue - causes "multiple balance types" error
       };
 
+      if (notify) {
+        updates.notifyPreference = 'notifyOnUpdate';  // Triggers field-update push notification
+      }
+      if (tier) {
+        updates.rewardsTier = tier;
+      }
+      if (memberName) {
+        updates.accountName = memberName;
+      }
+
       return await this.updateObject(objectId, updates);
 
     } catch (error) {
@@ -442,31 +601,38 @@ class LoyaltyObjectService {
   // Update tier for a user's loyalty object
   async updateTier(userId, newTier) {
     try {
-      const objectId = this.generateObjectId(userId);
+      const { objectId } = await this.lookupObjectId(userId);
 
-      // First get the current object
+      // First get the current object to preserve the other text modules
       const currentObject = await this.getObject(objectId);
 
       if (!currentObject.success) {
         return currentObject;
       }
 
+      const classId = currentObject.data.classId;
+      const points = parseInt(currentObject.data.loyaltyPoints?.balance?.string, 10) || 0;
+      const nextRewardPoints = this.getNextReward(points, newTier, classId);
+      const textModules = currentObject.data.textModulesData || [];
+
+      const updatedTextModules = textModules.map(module => {
+        switch (module.id) {
+          case 'card_tier':
+            return { ...module, body: newTier };
+          case 'card_next_reward':
+            return { ...module, body: `${nextRewardPoints} pts` };
+          case 'tier_benefits':
+            return { ...module, body: this.getTierBenefits(newTier, classId) };
+          default:
+            return module;
+        }
+      });
+
       // Update tier and benefits with push notification
       const updates = {
-        ...currentObject.data,
         rewardsTier: newTier,
-        textModulesData: [
-          {
-            header: 'Member Since',
-            body: currentObject.data.textModulesData?.find(t => t.header === 'Member Since')?.body || new Date().toISOString().split('T')[0],
-            id: 'member_since'
-          },
-          {
-            header: 'Tier Benefits',
-            body: this.getTierBenefits(newTier),
-            id: 'tier_benefits'
-          }
-        ],
+        secondaryRewardsTier: `${nextRewardPoints} pts`,
+        textModulesData: updatedTextModules,
         notifyPreference: 'notifyOnUpdate'  // Triggers push notification for field update
       };
 
@@ -487,32 +653,57 @@ class LoyaltyObjectService {
   }
 
   // List loyalty objects for this issuer
-  async listObjects() {
+  // One page of a class's objects (the default class unless classId is
+  // given), optionally filtered by tier, state and points range. Pass the
+  // returned nextPageToken back as pageToken for the next page.
+  async listObjects({ classId = null, tier = null, state = null, minPoints = null, maxPoints = null, pageToken = null, limit = 50 } = {}) {
+    const listClassId = classId || this.generateClassId();
+    const filter = (object) => (
+      (!tier || String(object.rewardsTier || '').toLowerCase() === tier.toLowerCase()) &&
+      (!state || String(object.state || '').toUpperCase() === state.toUpperCase()) &&
+      (minPoints === null || objectPoints(object) >= minPoints) &&
+      (maxPoints === null || objectPoints(object) <= maxPoints)
+    );
+
     try {
-      const result = await retry.retryGoogleApi(
-        async () => {
-          const client = await googleWalletAuth.getClient();
-          return await client.loyaltyobject.list({
-            classId: this.generateClassId()
-          });
+      const page = await walletPages.listPage({
+        fetchPage: async (token, maxResults) => {
+          const result = await retry.retryGoogleApi(
+            async () => {
+              const client = await googleWalletAuth.getClient();
+              return await client.loyaltyobject.list({
+                classId: listClassId,
+                maxResults,
+                ...(token && { token })
+              });
+            },
+            {
+              operation: 'listLoyaltyObjects',
+              classId: listClassId
+            }
+          );
+          return {
+            resources: result.data.resources || [],
+            nextPageToken: (result.data.pagination && result.data.pagination.nextPageToken) || null
+          };
         },
-        {
-          operation: 'listLoyaltyObjects',
-          classId: this.generateClassId()
-        }
-      );
+        filter,
+        limit,
+        pageToken
+      });
 
       return {
         success: true,
-        objects: result.data.resources || [],
-        count: result.data.resources ? result.data.resources.length : 0,
+        objects: page.items,
+        count: page.items.length,
+        nextPageToken: page.nextPageToken,
         message: 'Loyalty objects retrieved successfully'
       };
 
     } catch (error) {
       const errorDetails = logger.googleApiError(error, {
         operation: 'listLoyaltyObjects',
-        classId: this.generateClassId()
+        classId: listClassId
       });
 
       return {
@@ -543,8 +734,8 @@ class LoyaltyObjectService {
         return {
           success: true,
           userId: userId,
-          objectId: this.generateObjectId(userId),
-          classId: this.generateClassId(),
+          objectId: this.generateObjectId(userId, options.classId),
+          classId: options.classId || this.generateClassId(),
           jwt: jwtResult.jwt,
           saveUrl: jwtResult.saveUrl,
           objectCreated: createResult.success,
@@ -569,7 +760,7 @@ class LoyaltyObjectService {
 
   // Check if user has loyalty object
   async checkUserObject(userId) {
-    const objectId = this.generateObjectId(userId);
+    const { objectId } = await this.lookupObjectId(userId);
     const result = await this.getObject(objectId);
 
     return {
@@ -1,87 +1,224 @@
 const loyaltyObjectService = require('./loyalty-object');
+const templateEngine = require('./template-engine');
+const dbService = require('../database/db-service');
 const logger = require('../utils/logger');
+const TokenBucket = require('../utils/token-bucket');
 
+const DEFAULT_MAX_PER_DAY = 3; // Google Wallet push limit per pass
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_BATCH_CONCURRENCY = 5;
+const DEFAULT_WALLET_RATE_PER_SECOND = 10;
+
+// Pushes (TEXT_AND_NOTIFY messages) are limited per object over a rolling
+// window (MAX_NOTIFICATIONS_PER_DAY per RATE_LIMIT_WINDOW_MS). Messages over
+// the limit are still delivered, downgraded to silent TEXT messages.
 class NotificationService {
   constructor() {
-    // Stateless - no rate limiting (frontend should handle if needed)
+    this.maxNotificationsPerDay = parseInt(process.env.MAX_NOTIFICATIONS_PER_DAY || DEFAULT_MAX_PER_DAY, 10);
+    this.windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS || DEFAULT_WINDOW_MS, 10);
+
+    // Batch sends share one pace against the Wallet API so they stay under its rate limit
+    this.batchConcurrency = parseInt(process.env.BATCH_CONCURRENCY || DEFAULT_BATCH_CONCURRENCY, 10);
+    this.walletBucket = new TokenBucket({
+      ratePerSecond: parseFloat(process.env.WALLET_API_RATE_PER_SECOND || DEFAULT_WALLET_RATE_PER_SECOND)
+    });
   }
 
-  // Check if user can receive notifications (always allowed in stateless mode)
-  async canSendNotification(userId) {
-    // No database, no rate limiting - always allow
+  getWindowStart(now = Date.now()) {
+    return new Date(now - this.windowMs).toISOString();
+  }
+
+  // Quota summary from the pushes currently inside the window (oldest first)
+  summarizeQuota(objectId, used) {
+    const remaining = Math.max(this.maxNotificationsPerDay - used.length, 0);
+    const resetAt = used.length > 0
+      ? new Date(new Date(used[0].created_at).getTime() + this.windowMs).toISOString()
+      : null;
+
     return {
-      allowed: true,
-      remaining: 999, // Unlimited
-      count: 0
+      objectId,
+      limit: this.maxNotificationsPerDay,
+      used: used.length,
+      remaining,
+      windowMs: this.windowMs,
+      resetAt
     };
   }
 
-  // Record notification sent (no-op in stateless mode)
-  async recordNotificationSent(userId, type, message, data, silent) {
-    // No database - just log for debugging
-    logger.info('Notification sent (not recorded)', { userId, type, message: message.substring(0, 50) });
-    return { success: true };
+  // Remaining push quota for a Wallet object
+  async getQuota(objectId) {
+    const used = await dbService.getNotificationQuotaUsage(objectId, this.getWindowStart());
+    return this.summarizeQuota(objectId, used);
   }
 
-  // Create notification message templates
-  getMessageTemplate(type, data = {}) {
-    const templates = {
-      POINTS_EARNED: {
-        header: 'Points Earned! 🎉',
-        body: `You earned ${data.points} points! ${data.reason || 'Thank you for your loyalty.'}`,
-        footerText: 'Total: ' + (data.newBalance || 0) + ' points'
-      },
-      POINTS_REDEEMED: {
-        header: 'Points Redeemed ✅',
-        body: `You redeemed ${data.points} points! ${data.reason || 'Enjoy your reward!'}`,
-        footerText: 'Remaining: ' + (data.newBalance || 0) + ' points'
-      },
-      TIER_UPGRADE: {
-        header: 'Tier Upgrade! 🏆',
-        body: `Congratulations! You've been upgraded to ${data.newTier} tier. Enjoy your new benefits!`,
-        footerText: 'Keep earning for more rewards'
-      },
-      WELCOME: {
-        header: data.header || 'Welcome! 👋',
-        body: data.body || 'Your loyalty card is ready! Start earning points with every purchase.',
-        footerText: 'Start your rewards journey today'
-      },
-      CUSTOM: {
-        header: data.header || 'Teiga Tech Rewards',
-        body: data.body || 'You have a new update!',
-        footerText: data.footer || 'Thank you for your loyalty'
-      },
-      TRANSFER_RECEIVED: {
-        header: 'Points Received! 💝',
-        body: `You received ${data.points} points from a friend! ${data.reason || 'Lucky you!'}`,
-        footerText: 'Total: ' + (data.newBalance || 0) + ' points'
-      },
-      BALANCE_UPDATE: {
-        header: 'Balance Updated 📊',
-        body: `Your points balance has been updated. New balance: ${data.newBalance} points`,
-        footerText: 'Keep earning rewards!'
-      }
+  // Remaining push quota for a user's card
+  async getUserQuota(userId) {
+    const card = await dbService.getCard(userId);
+    if (!card) {
+      return {
+        success: false,
+        error: 'User not found',
+        message: 'User does not have a loyalty card'
+      };
+    }
+
+    return {
+      success: true,
+      userId,
+      ...(await this.getQuota(card.object_id))
     };
+  }
+
+  // Check if the user's card has push quota left
+  async canSendNotification(userId) {
+    const card = await dbService.getCard(userId);
+    if (!card) {
+      return { allowed: false, remaining: 0, count: 0, resetAt: null };
+    }
 
-    return templates[type] || templates.CUSTOM;
+    const quota = await this.getQuota(card.object_id);
+    return {
+      allowed: quota.remaining > 0,
+      remaining: quota.remaining,
+      count: quota.used,
+      resetAt: quota.resetAt
+    };
+  }
+
+  // Short form of a Wallet call result for the audit trail
+  summarizeWalletResult(result) {
+    return {
+      success: Boolean(result.success),
+      objectId: result.objectId || null,
+      error: result.error || null,
+      message: result.message || null
+    };
+  }
+
+  // Record a sent (or failed) message in the notification log
+  async recordNotification({ userId, objectId, type, header, body, data, silent, walletResult, actor = null }) {
+    const record = await dbService.createNotification({
+      userId,
+      objectId,
+      type,
+      header,
+      message: body,
+      data,
+      silent,
+      status: walletResult.success ? 'sent' : 'failed',
+      walletResponse: this.summarizeWalletResult(walletResult),
+      actor
+    });
+
+    logger.info('Notification recorded', { userId, objectId, type, status: record.status, notificationId: record.id });
+    return { success: true, notificationId: record.id };
+  }
+
+  // Render the template for a notification type (see template-engine.js)
+  getMessageTemplate(type, data = {}, classId = null) {
+    return templateEngine.render(type, data, { classId });
   }
 
-  // Send notification to a single user
-  async sendNotification(userId, type, data = {}, silent = false) {
+  // Add a message to a Wallet object and log it. Non-silent messages take one
+  // push from the object's quota; over the limit they are sent as silent TEXT.
+  async deliverMessage({ userId = null, objectId, type, message, data = {}, silent = false, actor = null }) {
+    let reservation = null;
+    let delivered = false;
+
     try {
-      // Check rate limiting unless it's a silent update
+      // Take a push from the object's quota unless it's a silent update
+      let downgraded = false;
       if (!silent) {
-        const rateLimitCheck = await this.canSendNotification(userId);
-        if (!rateLimitCheck.allowed) {
-          return {
-            success: false,
-            error: 'Rate limit exceeded',
-            message: `User has reached daily notification limit (${this.maxNotificationsPerDay}/day)`,
-            remaining: rateLimitCheck.remaining
-          };
+        reservation = await dbService.reserveNotificationQuota({
+          objectId,
+          userId,
+          windowStart: this.getWindowStart(),
+          limit: this.maxNotificationsPerDay
+        });
+
+        if (!reservation.reserved) {
+          downgraded = true;
+          logger.warn('Notification Quota Exceeded - Sending Silently', {
+            userId,
+            objectId,
+            type,
+            limit: this.maxNotificationsPerDay
+          });
+        }
+      }
+      const deliveredSilently = silent || downgraded;
+
+      // Send via Google Wallet addMessage API
+      const updateResult = await loyaltyObjectService.addMessage(objectId, {
+        ...message,
+        messageType: deliveredSilently ? 'TEXT' : 'TEXT_AND_NOTIFY'  // This triggers push notification
+      });
+      delivered = Boolean(updateResult.success);
+
+      // Record the attempt, delivered or not, in the notification log
+      const { notificationId } = await this.recordNotification({
+        userId,
+        objectId,
+        type,
+        header: message.header,
+        body: message.body,
+        data,
+        silent: deliveredSilently,
+        walletResult: updateResult,
+        actor
+      });
+
+      if (!updateResult.success) {
+        if (reservation && reservation.reserved) {
+          await dbService.releaseNotificationQuota(reservation.entry.id);
         }
+
+        logger.warn('Notification Send Failed', {
+          userId,
+          objectId,
+          type,
+          error: updateResult.error
+        });
+        return { ...updateResult, notificationId };
       }
 
+      const quota = reservation
+        ? this.summarizeQuota(objectId, reservation.used)
+        : await this.getQuota(objectId);
+
+      logger.info('Notification Sent Successfully', {
+        userId,
+        objectId,
+        type,
+        silent: deliveredSilently,
+        downgraded,
+        remaining: quota.remaining
+      });
+
+      return {
+        success: true,
+        userId,
+        objectId,
+        messageId: updateResult.messageId,
+        notificationId,
+        silent: deliveredSilently,
+        downgraded,
+        remainingNotifications: quota.remaining,
+        quota
+      };
+
+    } catch (error) {
+      if (reservation && reservation.reserved && !delivered) {
+        await dbService.releaseNotificationQuota(reservation.entry.id).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  // Send notification to a single user. Over-quota pushes go out silently.
+  // options.actor identifies the API key that triggered it (audit trail)
+  async sendNotification(userId, type, data = {}, silent = false, options = {}) {
+    try {
       // Check if user has a loyalty card in database
       const card = await dbService.getCard(userId);
       if (!card) {
@@ -92,59 +229,117 @@ class NotificationService {
         };
       }
 
-      // Get message template
-      const messageTemplate = this.getMessageTemplate(type, data);
+      // Get message template; card details are available as placeholders too
+      const messageTemplate = this.getMessageTemplate(type, {
+        memberName: card.member_name,
+        tier: card.tier,
+        balance: card.points,
+        ...data
+      }, card.class_id);
 
-      // Create message with proper Google Wallet structure
-      const message = {
-        header: messageTemplate.header,
-        body: messageTemplate.body,
-        messageType: silent ? 'TEXT' : 'TEXT_AND_NOTIFY'  // This triggers push notification
-      };
+      const result = await this.deliverMessage({
+        userId,
+        objectId: card.object_id,
+        type,
+        message: {
+          header: messageTemplate.header,
+          body: messageTemplate.body,
+          localizedHeader: messageTemplate.localizedHeader,
+          localizedBody: messageTemplate.localizedBody
+        },
+        data,
+        silent,
+        actor: options.actor
+      });
+
+      if (!result.success) {
+        return result;
+      }
 
-      // Send notification via Google Wallet addMessage API
-      const updateResult = await loyaltyObjectService.addMessage(
-        card.object_id,
-        message
-      );
+      return {
+        ...result,
+        type: type,
+        notificationMessage: messageTemplate.body,
+        message: result.downgraded
+          ? 'Notification quota exceeded - sent as a silent message'
+          : 'Notification sent successfully'
+      };
 
-      if (updateResult.success) {
-        // Record notification in database
-        await this.recordNotificationSent(userId, type, messageTemplate.body, data, silent);
+    } catch (error) {
+      logger.error('Failed to Send Notification', {
+        error: error.message,
+        stack: error.stack,
+        userId,
+        type
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to send notification'
+      };
+    }
+  }
 
-        const remaining = silent ? null : (await this.canSendNotification(userId)).remaining;
+  // Send a custom message to a Wallet object (header, body, footer, displayInterval)
+  async sendObjectMessage(objectId, { header, body, footer = null, displayInterval = null }, options = {}) {
+    try {
+      const card = await dbService.getCardByObjectId(objectId);
+      const title = header || 'Notification';
+      const language = templateEngine.getDefaultLocale();
 
-        logger.info('Notification Sent Successfully', {
-          userId,
-          type,
-          silent,
-          remaining
-        });
+      const message = {
+        header: title,
+        body: body,
+        localizedHeader: {
+          defaultValue: { language, value: title }
+        },
+        localizedBody: {
+          defaultValue: { language, value: body }
+        }
+      };
 
-        return {
-          success: true,
-          userId: userId,
-          type: type,
-          notificationMessage: messageTemplate.body,
-          silent: silent,
-          remainingNotifications: remaining,
-          message: 'Notification sent successfully'
+      if (footer) {
+        message.localizedFooter = {
+          defaultValue: { language, value: footer }
         };
-      } else {
-        logger.warn('Notification Send Failed', {
-          userId,
-          type,
-          error: updateResult.error
-        });
-        return updateResult;
       }
 
+      // Wallet only shows the message between these dates
+      if (displayInterval && (displayInterval.start || displayInterval.end)) {
+        message.displayInterval = {};
+        if (displayInterval.start) {
+          message.displayInterval.start = { date: new Date(displayInterval.start).toISOString() };
+        }
+        if (displayInterval.end) {
+          message.displayInterval.end = { date: new Date(displayInterval.end).toISOString() };
+        }
+      }
+
+      const result = await this.deliverMessage({
+        userId: card ? card.user_id : (options.userId || null),
+        objectId,
+        type: 'CUSTOM',
+        message,
+        data: { footer, displayInterval },
+        actor: options.actor
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        ...result,
+        message: result.downgraded
+          ? 'Notification quota exceeded - sent as a silent message'
+          : 'Notification sent successfully'
+      };
+
     } catch (error) {
-      logger.error('Failed to Send Notification', {
+      logger.error('Failed to Send Object Message', {
         error: error.message,
         stack: error.stack,
-        userId,
-        type
+        objectId
       });
       return {
         success: false,
@@ -154,8 +349,26 @@ class NotificationService {
     }
   }
 
-  // Send batch notifications to multiple users
-  async sendBatchNotification(userIds, type, data = {}, silent = false) {
+  // Run handler over items with at most batchConcurrency in flight, taking a
+  // Wallet API token before each one. Handlers are expected to catch their own errors.
+  async forEachThrottled(items, handler) {
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        await this.walletBucket.take();
+        await handler(items[index], index);
+      }
+    };
+
+    const workers = Math.max(1, Math.min(this.batchConcurrency, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+  }
+
+  // Send batch notifications to multiple users (throttled, see forEachThrottled).
+  // For large or long-running batches use the batch job service, which checkpoints progress.
+  async sendBatchNotification(userIds, type, data = {}, silent = false, options = {}) {
     try {
       const results = [];
       const successful = [];
@@ -167,12 +380,14 @@ class NotificationService {
         silent
       });
 
-      // Send notifications concurrently with Promise.allSettled
-      const promises = userIds.map(userId =>
-        this.sendNotification(userId, type, data, silent)
-      );
-
-      const settledResults = await Promise.allSettled(promises);
+      const settledResults = new Array(userIds.length);
+      await this.forEachThrottled(userIds, async (userId, index) => {
+        try {
+          settledResults[index] = { status: 'fulfilled', value: await this.sendNotification(userId, type, data, silent, options) };
+        } catch (error) {
+          settledResults[index] = { status: 'rejected', reason: error };
+        }
+      });
 
       // Process results
       settledResults.forEach((result, index) => {
@@ -231,29 +446,64 @@ class NotificationService {
     }
   }
 
-  // Get notification history for a user
-  getNotificationHistory(userId) {
-    const userHistory = this.notificationHistory.get(userId) || [];
-    const rateLimitInfo = this.canSendNotification(userId);
+  // Paginated notification log for a user, newest first
+  async getNotificationHistory(userId, { limit = 50, offset = 0, since = null } = {}) {
+    const card = await dbService.getCard(userId);
+    if (!card) {
+      return {
+        success: false,
+        error: 'User card not found',
+        message: 'User does not have a loyalty card'
+      };
+    }
+
+    const history = await this.listNotifications({ userId, limit, offset, since });
 
     return {
-      success: true,
+      ...history,
       userId: userId,
-      notificationCount: userHistory.length,
-      notifications: userHistory.map(timestamp => ({
-        timestamp: timestamp,
-        date: new Date(timestamp).toISOString()
-      })),
-      rateLimit: {
-        maxPerDay: this.maxNotificationsPerDay,
-        remaining: rateLimitInfo.remaining,
-        resetTime: rateLimitInfo.resetTime,
-        canSend: rateLimitInfo.allowed
-      },
+      quota: await this.getQuota(card.object_id),
       message: 'Notification history retrieved successfully'
     };
   }
 
+  // Paginated notification log across all users, newest first
+  async listNotifications({ userId = null, limit = 50, offset = 0, since = null } = {}) {
+    const [notifications, total] = await Promise.all([
+      dbService.getNotifications(userId, { limit, offset, since }),
+      dbService.countNotifications(userId, { since })
+    ]);
+
+    return {
+      success: true,
+      notifications: notifications.map(notification => this.formatNotification(notification)),
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + notifications.length < total
+      }
+    };
+  }
+
+  // API shape of a notification log row
+  formatNotification(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      objectId: row.object_id,
+      type: row.notification_type,
+      header: row.header,
+      body: row.message,
+      data: row.data,
+      silent: row.silent,
+      status: row.status,
+      walletResponse: row.wallet_response,
+      actor: row.actor,
+      createdAt: row.created_at
+    };
+  }
+
   // Send welcome notification to new users
   async sendWelcomeNotification(userId) {
     return await this.sendNotification(userId, 'WELCOME', {}, false);
@@ -279,6 +529,15 @@ class NotificationService {
     });
   }
 
+  // Send tier downgrade notification
+  async sendTierDowngradeNotification(userId, newTier, oldTier, pointsNeeded = null) {
+    return await this.sendNotification(userId, 'TIER_DOWNGRADE', {
+      newTier: newTier,
+      oldTier: oldTier,
+      pointsNeeded: pointsNeeded
+    });
+  }
+
   // Send transfer notification
   async sendTransferNotification(userId, points, newBalance, reason = '') {
     return await this.sendNotification(userId, 'TRANSFER_RECEIVED', {
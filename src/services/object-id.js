@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const tenantService = require('./tenant-service');
+
+// Characters Google Wallet accepts in the identifier part of a resource ID
+const DISALLOWED_CHARACTERS = /[^A-Za-z0-9._-]/g;
+const MAX_IDENTIFIER_LENGTH = 64;
+const HASH_LENGTH = 32;
+const DISAMBIGUATOR_LENGTH = 8;
+
+// Single source of truth for Wallet class and object IDs.
+// Object IDs are "<issuerId>.<suffix>-<identifier>", where:
+//   - suffix is OBJECT_SUFFIX, or the class's entry in OBJECT_SUFFIXES (JSON map of classId -> suffix)
+//   - identifier is the user ID, sanitized to Wallet's character set, or an
+//     HMAC of it when OBJECT_ID_HASH_USER_IDS=true (keyed with OBJECT_ID_HASH_SECRET)
+// Issuer and suffixes come from the current tenant (see TenantService); the
+// default tenant reads ISSUER_ID, CLASS_SUFFIX and OBJECT_SUFFIX.
+// IDs of existing cards are stored with the card, so changing these settings
+// only affects cards created afterwards.
+class ObjectIdService {
+  // Issuer that owns a class (a class and its objects must share one)
+  getIssuerId(classId = null) {
+    return classId ? classId.split('.')[0] : tenantService.current().issuerId;
+  }
+
+  // Default class ID, or the class for a custom suffix
+  getClassId(classSuffix = null) {
+    const tenant = tenantService.current();
+    return `${tenant.issuerId}.${classSuffix || tenant.classSuffix}`;
+  }
+
+  // Per-class object suffix overrides
+  getSuffixOverrides() {
+    if (!process.env.OBJECT_SUFFIXES) {
+      return {};
+    }
+    return JSON.parse(process.env.OBJECT_SUFFIXES);
+  }
+
+  getObjectSuffix(classId = null) {
+    const overrides = this.getSuffixOverrides();
+    return (classId && overrides[classId]) || tenantService.current().objectSuffix;
+  }
+
+  isHashingEnabled() {
+    return (process.env.OBJECT_ID_HASH_USER_IDS || 'false').toLowerCase() === 'true';
+  }
+
+  hashUserId(userId) {
+    if (!process.env.OBJECT_ID_HASH_SECRET) {
+      throw new Error('OBJECT_ID_HASH_SECRET must be set when OBJECT_ID_HASH_USER_IDS=true');
+    }
+    return crypto.createHmac('sha256', process.env.OBJECT_ID_HASH_SECRET)
+      .update(String(userId))
+      .digest('hex')
+      .substring(0, HASH_LENGTH);
+  }
+
+  // Replace characters Wallet rejects. Lossy or over-long IDs get a short
+  // digest of the original appended, so "a@b" and "a#b" stay distinct.
+  sanitizeUserId(userId) {
+    const original = String(userId);
+    const sanitized = original.replace(DISALLOWED_CHARACTERS, '_');
+
+    if (sanitized === original && sanitized.length <= MAX_IDENTIFIER_LENGTH) {
+      return sanitized;
+    }
+
+    const digest = crypto.createHash('sha256')
+      .update(original)
+      .digest('hex')
+      .substring(0, DISAMBIGUATOR_LENGTH);
+
+    return `${sanitized.substring(0, MAX_IDENTIFIER_LENGTH - DISAMBIGUATOR_LENGTH - 1)}-${digest}`;
+  }
+
+  // The part of the object ID derived from the user
+  getIdentifier(userId) {
+    if (userId === null || userId === undefined || userId === '') {
+      throw new Error('User ID is required to generate an object ID');
+    }
+    return this.isHashingEnabled() ? this.hashUserId(userId) : this.sanitizeUserId(userId);
+  }
+
+  // Object ID for a user's card in a class (default class when omitted)
+  generateObjectId(userId, classId = null) {
+    return `${this.getIssuerId(classId)}.${this.getObjectSuffix(classId)}-${this.getIdentifier(userId)}`;
+  }
+}
+
+// Create singleton instance
+const objectIdService = new ObjectIdService();
+
+module.exports = objectIdService;
@@ -1,13 +1,17 @@
+const crypto = require('crypto');
 const loyaltyObjectService = require('./loyalty-object');
+const tierEvaluator = require('./tier-evaluator');
 const dbService = require('../database/db-service');
+const webhookService = require('./webhook-service');
+const logger = require('../utils/logger');
 
 class PointsManager {
   constructor() {
-    // Using Supabase instead of in-memory storage
+    // Cards and the points ledger live in dbService (see src/database)
   }
 
   // Add transaction to database
-  async addTransaction(userId, transactionType, points, reason, balanceBefore, balanceAfter, relatedUserId = null) {
+  async addTransaction(userId, transactionType, points, reason, balanceBefore, balanceAfter, relatedUserId = null, transferId = null) {
     return await dbService.createTransaction(
       userId,
       transactionType,
@@ -15,78 +19,111 @@ class PointsManager {
       reason,
       balanceBefore,
       balanceAfter,
-      relatedUserId
+      relatedUserId,
+      transferId
     );
   }
 
+  // Webhook events for a committed balance change, and the tier change it caused
+  async emitPointsEvents(userId, { type, points, previousBalance, newBalance, reason, previousTier, evaluation, transferId = null }) {
+    await webhookService.emit('points.changed', {
+      userId,
+      type,
+      points,
+      previousBalance,
+      newBalance,
+      reason,
+      transferId
+    });
+
+    if (evaluation.tier !== previousTier) {
+      await webhookService.emit('tier.changed', {
+        userId,
+        previousTier,
+        newTier: evaluation.tier,
+        change: evaluation.change
+      });
+    }
+  }
+
   // Get transaction history for a user
   async getTransactionHistory(userId, limit = 50) {
     return await dbService.getTransactionHistory(userId, limit);
   }
 
-  // Add points to user account
+  // Add points to user account. The balance, tier and ledger row are committed
+  // in one database transaction; the Wallet object is patched afterwards, as
+  // for transfers
   async addPoints(userId, points, reason = 'Points added', metadata = {}) {
     try {
-      // Get card from database
-      const card = await dbService.getCard(userId);
-
-      if (!card) {
-        return {
-          success: false,
-          error: 'User card not found',
-          message: 'User must have a loyalty card before adding points'
-        };
-      }
+      const result = await dbService.transaction(async () => {
+        // Read the card inside the transaction so the balance can't change underneath us
+        const card = await dbService.getCard(userId);
+
+        if (!card) {
+          return {
+            success: false,
+            error: 'User card not found',
+            message: 'User must have a loyalty card before adding points'
+          };
+        }
 
-      const currentPoints = card.points || 0;
-      const newPoints = currentPoints + points;
+        const currentPoints = card.points || 0;
+        const newPoints = currentPoints + points;
 
-      // Validate points
-      if (points <= 0) {
-        return {
-          success: false,
-          error: 'Invalid points amount',
-          message: 'Points to add must be greater than 0'
-        };
-      }
+        // Validate points
+        if (points <= 0) {
+          return {
+            success: false,
+            error: 'Invalid points amount',
+            message: 'Points to add must be greater than 0'
+          };
+        }
 
-      if (newPoints > 999999) {
-        return {
-          success: false,
-          error: 'Points limit exceeded',
-          message: 'Total points cannot exceed 999,999'
-        };
-      }
+        if (newPoints > 999999) {
+          return {
+            success: false,
+            error: 'Points limit exceeded',
+            message: 'Total points cannot exceed 999,999'
+          };
+        }
 
-      // Determine new tier based on points
-      let newTier = card.tier;
-      if (newPoints >= 2000) newTier = 'Gold';
-      else if (newPoints >= 500) newTier = 'Silver';
-      else newTier = 'Bronze';
+        // Determine new tier from the qualification rules (these points count as earned)
+        const evaluation = await tierEvaluator.evaluate(card, { balance: newPoints, pendingEarned: points });
+        await this.commitBalance(userId, evaluation, newPoints);
+        await this.addTransaction(userId, 'add', points, reason, currentPoints, newPoints);
 
-      // Update points in Google Wallet (pass tier for front card display)
-      const updateResult = await loyaltyObjectService.updatePoints(userId, newPoints, newTier);
+        return { success: true, card, previousBalance: currentPoints, newBalance: newPoints, evaluation };
+      });
 
-      if (updateResult.success) {
-        // Update in database
-        await dbService.updateCardPoints(userId, newPoints, newTier);
+      if (!result.success) {
+        return result;
+      }
 
-        // Record transaction
-        await this.addTransaction(userId, 'add', points, reason, currentPoints, newPoints);
+      const { card, previousBalance, newBalance, evaluation } = result;
+      const walletSynced = await this.finishBalanceChange(userId, {
+        type: 'add',
+        points,
+        previousBalance,
+        newBalance,
+        reason,
+        previousTier: card.tier,
+        evaluation
+      });
 
-        return {
-          success: true,
-          userId: userId,
-          pointsAdded: points,
-          previousBalance: currentPoints,
-          newBalance: newPoints,
-          newTier: newTier,
-          tierUpgraded: newTier !== card.tier,
-          message: `Successfully added ${points} points`
-        };
-      } else {
-        return updateResult;
-      }
+      return {
+        success: true,
+        userId: userId,
+        pointsAdded: points,
+        previousBalance,
+        newBalance,
+        newTier: evaluation.tier,
+        tierUpgraded: evaluation.change === 'upgrade' && evaluation.tier !== card.tier,
+        walletSynced,
+        message: walletSynced
+          ? `Successfully added ${points} points`
+          : `Added ${points} points; Wallet update pending reconciliation`
+      };
 
     } catch (error) {
       console.error('❌ Failed to add points:', error.message);
@@ -98,68 +135,78 @@ class PointsManager {
     }
   }
 
-  // Redeem/subtract points from user account
+  // Redeem/subtract points from user account (committed like addPoints)
   async redeemPoints(userId, points, reason = 'Points redeemed', metadata = {}) {
     try {
-      // Get card from database
-      const card = await dbService.getCard(userId);
-
-      if (!card) {
-        return {
-          success: false,
-          error: 'User card not found',
-          message: 'User must have a loyalty card before redeeming points'
-        };
-      }
+      const result = await dbService.transaction(async () => {
+        // Read the card inside the transaction so the balance can't change underneath us
+        const card = await dbService.getCard(userId);
+
+        if (!card) {
+          return {
+            success: false,
+            error: 'User card not found',
+            message: 'User must have a loyalty card before redeeming points'
+          };
+        }
 
-      const currentPoints = card.points || 0;
-      const newPoints = currentPoints - points;
+        const currentPoints = card.points || 0;
+        const newPoints = currentPoints - points;
 
-      // Validate points
-      if (points <= 0) {
-        return {
-          success: false,
-          error: 'Invalid points amount',
-          message: 'Points to redeem must be greater than 0'
-        };
-      }
+        // Validate points
+        if (points <= 0) {
+          return {
+            success: false,
+            error: 'Invalid points amount',
+            message: 'Points to redeem must be greater than 0'
+          };
+        }
 
-      if (newPoints < 0) {
-        return {
-          success: false,
-          error: 'Insufficient points',
-          message: `User has ${currentPoints} points but tried to redeem ${points}`
-        };
-      }
+        if (newPoints < 0) {
+          return {
+            success: false,
+            error: 'Insufficient points',
+            message: `User has ${currentPoints} points but tried to redeem ${points}`
+          };
+        }
 
-      // Determine new tier based on points
-      let newTier = card.tier;
-      if (newPoints >= 2000) newTier = 'Gold';
-      else if (newPoints >= 500) newTier = 'Silver';
-      else newTier = 'Bronze';
+        // Determine tier from the qualification rules - redeeming does not reduce
+        // earned points, so only a balance-based program can demote here
+        const evaluation = await tierEvaluator.evaluate(card, { balance: newPoints });
+        await this.commitBalance(userId, evaluation, newPoints);
+        await this.addTransaction(userId, 'redeem', points, reason, currentPoints, newPoints);
 
-      // Update points in Google Wallet (pass tier for front card display)
-      const updateResult = await loyaltyObjectService.updatePoints(userId, newPoints, newTier);
+        return { success: true, card, previousBalance: currentPoints, newBalance: newPoints, evaluation };
+      });
 
-      if (updateResult.success) {
-        // Update in database
-        await dbService.updateCardPoints(userId, newPoints, newTier);
+      if (!result.success) {
+        return result;
+      }
 
-        // Record transaction
-        await this.addTransaction(userId, 'redeem', points, reason, currentPoints, newPoints);
+      const { card, previousBalance, newBalance, evaluation } = result;
+      const walletSynced = await this.finishBalanceChange(userId, {
+        type: 'redeem',
+        points,
+        previousBalance,
+        newBalance,
+        reason,
+        previousTier: card.tier,
+        evaluation
+      });
 
-        return {
-          success: true,
-          userId: userId,
-          pointsRedeemed: points,
-          previousBalance: currentPoints,
-          newBalance: newPoints,
-          newTier: newTier,
-          message: `Successfully redeemed ${points} points`
-        };
-      } else {
-        return updateResult;
-      }
+      return {
+        success: true,
+        userId: userId,
+        pointsRedeemed: points,
+        previousBalance,
+        newBalance,
+        newTier: evaluation.tier,
+        tierGraceUntil: evaluation.graceUntil,
+        walletSynced,
+        message: walletSynced
+          ? `Successfully redeemed ${points} points`
+          : `Redeemed ${points} points; Wallet update pending reconciliation`
+      };
 
     } catch (error) {
       console.error('❌ Failed to redeem points:', error.message);
@@ -171,6 +218,22 @@ class PointsManager {
     }
   }
 
+  // Store a new balance and tier (inside the caller's transaction). The card
+  // stays flagged until its Wallet object has been patched.
+  async commitBalance(userId, evaluation, balance) {
+    await dbService.updateCardPoints(userId, balance, evaluation.tier);
+    await dbService.updateTierStatus(userId, { tier: evaluation.tier, graceUntil: evaluation.graceUntil });
+    await dbService.setWalletSyncPending(userId, true);
+  }
+
+  // After the commit: webhook events, then the Wallet patch. Returns whether
+  // the Wallet object is in sync.
+  async finishBalanceChange(userId, change) {
+    await this.emitPointsEvents(userId, change);
+    const sync = await this.syncWallet(userId);
+    return sync.success;
+  }
+
   // Process points delta (positive = add, negative = redeem)
   async processPointsDelta(userId, pointsDelta, reason = 'Points adjustment', metadata = {}) {
     if (pointsDelta === 0) {
@@ -219,67 +282,147 @@ class PointsManager {
     }
   }
 
-  // Transfer points between users
+  // Transfer points between users. Both ledger rows and both balances are
+  // committed in one database transaction; Wallet objects are patched afterwards
+  // and any card that could not be patched is left flagged for reconcileWallets()
   async transferPoints(fromUserId, toUserId, points, reason = 'Points transfer') {
     try {
-      // Check if both users have cards
-      const fromCard = await dbService.getCard(fromUserId);
-      const toCard = await dbService.getCard(toUserId);
-
-      if (!fromCard) {
+      if (fromUserId === toUserId) {
         return {
           success: false,
-          error: 'Sender card not found',
-          message: 'Sender must have a loyalty card'
+          error: 'Invalid transfer',
+          message: 'Cannot transfer points to the same user'
         };
       }
 
-      if (!toCard) {
+      if (!Number.isInteger(points) || points <= 0) {
         return {
           success: false,
-          error: 'Recipient card not found',
-          message: 'Recipient must have a loyalty card'
+          error: 'Invalid points amount',
+          message: 'Points to transfer must be greater than 0'
         };
       }
 
-      // Redeem from sender
-      const redeemResult = await this.redeemPoints(
-        fromUserId,
-        points,
-        `${reason} (sent to ${toUserId})`,
-        { transferTo: toUserId }
-      );
+      const transferId = crypto.randomUUID();
 
-      if (!redeemResult.success) {
-        return redeemResult;
-      }
+      const result = await dbService.transaction(async () => {
+        // Read both cards inside the transaction so the balances can't change underneath us
+        const fromCard = await dbService.getCard(fromUserId);
+        const toCard = await dbService.getCard(toUserId);
 
-      // Add to recipient
-      const addResult = await this.addPoints(
-        toUserId,
-        points,
-        `${reason} (from ${fromUserId})`,
-        { transferFrom: fromUserId }
-      );
+        if (!fromCard) {
+          return {
+            success: false,
+            error: 'Sender card not found',
+            message: 'Sender must have a loyalty card'
+          };
+        }
+
+        if (!toCard) {
+          return {
+            success: false,
+            error: 'Recipient card not found',
+            message: 'Recipient must have a loyalty card'
+          };
+        }
+
+        const senderBalance = fromCard.points || 0;
+        const recipientBalance = toCard.points || 0;
+        const senderNewBalance = senderBalance - points;
+        const recipientNewBalance = recipientBalance + points;
+
+        if (senderNewBalance < 0) {
+          return {
+            success: false,
+            error: 'Insufficient points',
+            message: `User has ${senderBalance} points but tried to transfer ${points}`
+          };
+        }
+
+        if (recipientNewBalance > 999999) {
+          return {
+            success: false,
+            error: 'Points limit exceeded',
+            message: 'Recipient total points cannot exceed 999,999'
+          };
+        }
+
+        // Transferred points are not earned points, so neither side's earned total changes
+        const senderEvaluation = await tierEvaluator.evaluate(fromCard, { balance: senderNewBalance });
+        const recipientEvaluation = await tierEvaluator.evaluate(toCard, { balance: recipientNewBalance });
+
+        await dbService.updateCardPoints(fromUserId, senderNewBalance, senderEvaluation.tier);
+        await dbService.updateTierStatus(fromUserId, { tier: senderEvaluation.tier, graceUntil: senderEvaluation.graceUntil });
+        await dbService.updateCardPoints(toUserId, recipientNewBalance, recipientEvaluation.tier);
+        await dbService.updateTierStatus(toUserId, { tier: recipientEvaluation.tier, graceUntil: recipientEvaluation.graceUntil });
+
+        await this.addTransaction(fromUserId, 'transfer_out', points, `${reason} (sent to ${toUserId})`,
+          senderBalance, senderNewBalance, toUserId, transferId);
+        await this.addTransaction(toUserId, 'transfer_in', points, `${reason} (from ${fromUserId})`,
+          recipientBalance, recipientNewBalance, fromUserId, transferId);
+
+        // Cleared again once each Wallet object has been patched
+        await dbService.setWalletSyncPending(fromUserId, true);
+        await dbService.setWalletSyncPending(toUserId, true);
 
-      if (!addResult.success) {
-        // Rollback: add points back to sender
-        await this.addPoints(fromUserId, points, 'Rollback: failed transfer');
         return {
-          success: false,
-          error: 'Transfer failed',
-          message: 'Failed to add points to recipient, transfer cancelled'
+          success: true,
+          sender: { previousBalance: senderBalance, previousTier: fromCard.tier, evaluation: senderEvaluation },
+          recipient: { previousBalance: recipientBalance, previousTier: toCard.tier, evaluation: recipientEvaluation },
+          senderNewBalance,
+          senderTier: senderEvaluation.tier,
+          recipientNewBalance,
+          recipientTier: recipientEvaluation.tier
         };
+      });
+
+      if (!result.success) {
+        return result;
       }
 
+      await this.emitPointsEvents(fromUserId, {
+        type: 'transfer_out',
+        points,
+        newBalance: result.senderNewBalance,
+        reason,
+        transferId,
+        ...result.sender
+      });
+      await this.emitPointsEvents(toUserId, {
+        type: 'transfer_in',
+        points,
+        newBalance: result.recipientNewBalance,
+        reason,
+        transferId,
+        ...result.recipient
+      });
+
+      const senderSync = await this.syncWallet(fromUserId);
+      const recipientSync = await this.syncWallet(toUserId);
+      const walletSynced = senderSync.success && recipientSync.success;
+
+      logger.info('Points Transferred', {
+        transferId,
+        fromUserId,
+        toUserId,
+        points,
+        walletSynced
+      });
+
       return {
         success: true,
+        transferId: transferId,
         fromUserId: fromUserId,
         toUserId: toUserId,
         pointsTransferred: points,
-        senderNewBalance: redeemResult.newBalance,
-        recipientNewBalance: addResult.newBalance,
-        message: `Successfully transferred ${points} points from ${fromUserId} to ${toUserId}`
+        senderNewBalance: result.senderNewBalance,
+        senderTier: result.senderTier,
+        recipientNewBalance: result.recipientNewBalance,
+        recipientTier: result.recipientTier,
+        walletSynced: walletSynced,
+        message: walletSynced
+          ? `Successfully transferred ${points} points from ${fromUserId} to ${toUserId}`
+          : `Transferred ${points} points from ${fromUserId} to ${toUserId}; Wallet update pending reconciliation`
       };
 
     } catch (error) {
@@ -292,6 +435,90 @@ class PointsManager {
     }
   }
 
+  // Push the stored balance and tier to the member's Wallet object
+  async syncWallet(userId) {
+    try {
+      const card = await dbService.getCard(userId);
+      if (!card) {
+        return {
+          success: false,
+          error: 'User card not found',
+          message: 'User does not have a loyalty card'
+        };
+      }
+
+      const updateResult = await loyaltyObjectService.updatePoints(userId, card.points, card.tier);
+
+      if (!updateResult.success) {
+        logger.warn('Wallet Sync Failed', {
+          userId,
+          error: updateResult.error
+        });
+        await dbService.setWalletSyncPending(userId, true);
+        return updateResult;
+      }
+
+      await dbService.setWalletSyncPending(userId, false);
+      return {
+        success: true,
+        userId: userId,
+        balance: card.points,
+        tier: card.tier,
+        message: 'Wallet object is in sync'
+      };
+
+    } catch (error) {
+      logger.error('Wallet Sync Failed', {
+        userId,
+        error: error.message
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to sync Wallet object'
+      };
+    }
+  }
+
+  // Retry Wallet updates for every card left out of sync by an earlier transfer
+  async reconcileWallets(limit = 100) {
+    try {
+      const cards = await dbService.listCardsPendingWalletSync(limit);
+      const summary = { checked: cards.length, synced: 0, failed: [] };
+
+      for (const card of cards) {
+        const result = await this.syncWallet(card.user_id);
+        if (result.success) {
+          summary.synced++;
+        } else {
+          summary.failed.push({ userId: card.user_id, error: result.error });
+        }
+      }
+
+      if (summary.checked > 0) {
+        logger.info('Wallet Reconciliation Completed', {
+          checked: summary.checked,
+          synced: summary.synced,
+          failed: summary.failed.length
+        });
+      }
+
+      return {
+        success: true,
+        ...summary,
+        message: `Synced ${summary.synced} of ${summary.checked} pending Wallet objects`
+      };
+
+    } catch (error) {
+      logger.error('Wallet Reconciliation Failed', { error: error.message });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to reconcile Wallet objects'
+      };
+    }
+  }
+
   // Get transaction statistics for a user
   async getTransactionStats(userId) {
     try {
@@ -301,12 +528,16 @@ class PointsManager {
         totalTransactions: history.length,
         totalEarned: 0,
         totalRedeemed: 0,
+        totalTransferredIn: 0,
+        totalTransferredOut: 0,
         netGain: 0,
         lastTransaction: history[0] || null,
         transactionsByType: {
           add: 0,
           redeem: 0,
-          initial: 0
+          initial: 0,
+          transfer_in: 0,
+          transfer_out: 0
         }
       };
 
@@ -320,10 +551,16 @@ class PointsManager {
         } else if (txn.transaction_type === 'initial') {
           stats.totalEarned += txn.points;
           stats.transactionsByType.initial++;
+        } else if (txn.transaction_type === 'transfer_in') {
+          stats.totalTransferredIn += txn.points;
+          stats.transactionsByType.transfer_in++;
+        } else if (txn.transaction_type === 'transfer_out') {
+          stats.totalTransferredOut += txn.points;
+          stats.transactionsByType.transfer_out++;
         }
       });
 
-      stats.netGain = stats.totalEarned - stats.totalRedeemed;
+      stats.netGain = stats.totalEarned - stats.totalRedeemed + stats.totalTransferredIn - stats.totalTransferredOut;
 
       return {
         success: true,
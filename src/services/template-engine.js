@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/notification-templates.json');
+
+const TYPE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+// {{name}} or {{name|fallback text}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*(?:\|([^}]*))?\}\}/g;
+
+// Values used by the preview endpoint for placeholders the caller leaves out
+const SAMPLE_DATA = {
+  memberName: 'Alex Doe',
+  points: 50,
+  newBalance: 1250,
+  oldTier: 'Silver',
+  newTier: 'Gold',
+  pointsNeeded: 200
+};
+
+// Notification text per type and locale, with {{placeholders}} filled from the
+// notification data. Loaded from NOTIFICATION_TEMPLATES_PATH (default
+// config/notification-templates.json); entries under "classes" replace the
+// default template of a type for a specific loyalty class ID. Every locale of
+// a template goes to Wallet as translatedValues, so members see their language.
+class TemplateEngine {
+  constructor() {
+    this.config = null;
+  }
+
+  // Read and validate the template file
+  loadConfig(filePath = process.env.NOTIFICATION_TEMPLATES_PATH || DEFAULT_CONFIG_PATH) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.configure(raw);
+
+    logger.info('Notification Templates Loaded', {
+      file: filePath,
+      types: Object.keys(this.config.templates),
+      classOverrides: Object.keys(this.config.classes)
+    });
+
+    return this.config;
+  }
+
+  // Validate and activate a template definition object
+  configure(definition) {
+    const defaultLocale = definition.defaultLocale || 'en-US';
+    if (!LOCALE_PATTERN.test(defaultLocale)) {
+      throw new Error(`Template configuration: defaultLocale "${defaultLocale}" is not a locale like en-US`);
+    }
+
+    const templates = this.normalizeTemplates(definition.templates, defaultLocale, 'templates');
+    if (Object.keys(templates).length === 0) {
+      throw new Error('Template configuration templates must define at least one type');
+    }
+
+    const classes = {};
+    Object.entries(definition.classes || {}).forEach(([classId, override]) => {
+      classes[classId] = {
+        templates: this.normalizeTemplates(override.templates, defaultLocale, `classes.${classId}.templates`)
+      };
+    });
+
+    this.config = { defaultLocale, templates, classes };
+    return this.config;
+  }
+
+  normalizeTemplates(templates = {}, defaultLocale, source) {
+    if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+      throw new Error(`Template configuration ${source} must be an object of types`);
+    }
+
+    const normalized = {};
+    Object.entries(templates).forEach(([type, locales]) => {
+      if (!TYPE_PATTERN.test(type)) {
+        throw new Error(`Template configuration ${source}: type "${type}" must be UPPER_SNAKE_CASE`);
+      }
+      if (!locales || !locales[defaultLocale]) {
+        throw new Error(`Template configuration ${source}.${type}: missing the default locale ${defaultLocale}`);
+      }
+
+      normalized[type] = {};
+      Object.entries(locales).forEach(([locale, text]) => {
+        if (!LOCALE_PATTERN.test(locale)) {
+          throw new Error(`Template configuration ${source}.${type}: "${locale}" is not a locale like en-US`);
+        }
+        if (!text || typeof text.header !== 'string' || typeof text.body !== 'string' || !text.body) {
+          throw new Error(`Template configuration ${source}.${type}.${locale}: header and body must be strings`);
+        }
+        normalized[type][locale] = { header: text.header, body: text.body };
+      });
+    });
+
+    return normalized;
+  }
+
+  getConfig() {
+    if (!this.config) {
+      this.loadConfig();
+    }
+    return this.config;
+  }
+
+  getDefaultLocale() {
+    return this.getConfig().defaultLocale;
+  }
+
+  // Every notification type with a template, including class-specific ones
+  getTypes() {
+    const config = this.getConfig();
+    const types = new Set(Object.keys(config.templates));
+    Object.values(config.classes).forEach(override => {
+      Object.keys(override.templates).forEach(type => types.add(type));
+    });
+    return [...types];
+  }
+
+  hasTemplate(type) {
+    return this.getTypes().includes(type);
+  }
+
+  // Template for a type (class override first, CUSTOM for unknown types)
+  getTemplate(type, classId = null) {
+    const config = this.getConfig();
+    const override = classId && config.classes[classId];
+
+    if (override && override.templates[type]) {
+      return { type, classId, source: 'class', locales: override.templates[type] };
+    }
+    if (config.templates[type]) {
+      return { type, classId, source: 'default', locales: config.templates[type] };
+    }
+    return { type: 'CUSTOM', classId, source: 'default', locales: config.templates.CUSTOM };
+  }
+
+  // Types and locales available to a class
+  listTemplates(classId = null) {
+    return this.getTypes().map(type => {
+      const template = this.getTemplate(type, classId);
+      return {
+        type,
+        source: template.source,
+        locales: Object.keys(template.locales)
+      };
+    });
+  }
+
+  // Fill placeholders. Empty or missing values use the fallback after "|",
+  // or render as nothing and are reported in missing.
+  renderText(text, data = {}, missing = new Set()) {
+    const rendered = text.replace(PLACEHOLDER_PATTERN, (match, name, fallback) => {
+      const value = data[name];
+      if (value !== undefined && value !== null && value !== '') {
+        return String(value);
+      }
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      missing.add(name);
+      return '';
+    });
+
+    return rendered.replace(/\s{2,}/g, ' ').trim();
+  }
+
+  // Render every locale of a template into a Wallet message. header and body
+  // are the default locale (or options.locale, when the template has it).
+  render(type, data = {}, options = {}) {
+    const template = this.getTemplate(type, options.classId || null);
+    const defaultLocale = this.getDefaultLocale();
+    const missing = new Set();
+
+    const rendered = {};
+    Object.entries(template.locales).forEach(([locale, text]) => {
+      rendered[locale] = {
+        header: this.renderText(text.header, data, missing),
+        body: this.renderText(text.body, data, missing)
+      };
+    });
+
+    const locale = options.locale && rendered[options.locale] ? options.locale : defaultLocale;
+    const translations = Object.keys(rendered).filter(key => key !== defaultLocale);
+    const localize = field => {
+      const localized = {
+        defaultValue: { language: defaultLocale, value: rendered[defaultLocale][field] }
+      };
+      if (translations.length > 0) {
+        localized.translatedValues = translations.map(key => ({ language: key, value: rendered[key][field] }));
+      }
+      return localized;
+    };
+
+    return {
+      type: template.type,
+      source: template.source,
+      locale,
+      header: rendered[locale].header,
+      body: rendered[locale].body,
+      localizedHeader: localize('header'),
+      localizedBody: localize('body'),
+      missing: [...missing]
+    };
+  }
+
+  // Render with sample values for anything the caller leaves out (nothing is sent)
+  preview(type, data = {}, options = {}) {
+    return this.render(type, { ...SAMPLE_DATA, ...data }, options);
+  }
+}
+
+// Create singleton instance
+const templateEngine = new TemplateEngine();
+
+module.exports = templateEngine;
@@ -0,0 +1,313 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const dbService = require('../database/db-service');
+const apiKeyService = require('./api-key-service');
+const logger = require('../utils/logger');
+const secretBox = require('../utils/secret-box');
+
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_STATUSES = ['active', 'disabled'];
+
+// Tenants are Wallet issuers sharing one deployment. Each has its own issuer
+// ID, class/object suffixes, service account (stored encrypted with
+// TENANT_ENCRYPTION_KEY) and API keys (see ApiKeyService). The tenant of a request is resolved
+// from its API key by security.validateApiKey and kept in an AsyncLocalStorage
+// context for the rest of the request, so object IDs, Wallet clients and save
+// JWTs pick it up without being passed through every call. Requests without a
+// tenant key (API_KEYS, or no key outside production) use the default tenant,
+// which is configured by ISSUER_ID, CLASS_SUFFIX, OBJECT_SUFFIX and the
+// GOOGLE_* credentials as before.
+class TenantService {
+  constructor() {
+    this.context = new AsyncLocalStorage();
+    // tenantId -> decrypted service account, keyed by the tenant's updated_at
+    this.credentialCache = new Map();
+  }
+
+  getDefaultTenant() {
+    return {
+      id: DEFAULT_TENANT_ID,
+      name: 'Default',
+      issuerId: process.env.ISSUER_ID,
+      classSuffix: process.env.CLASS_SUFFIX,
+      objectSuffix: process.env.OBJECT_SUFFIX,
+      isDefault: true
+    };
+  }
+
+  // Run fn with tenant as the current tenant
+  run(tenant, fn) {
+    return this.context.run(tenant, fn);
+  }
+
+  // Run fn as a stored tenant (used by background jobs)
+  async runAs(tenantId, fn) {
+    if (!tenantId || tenantId === DEFAULT_TENANT_ID) {
+      return await this.run(this.getDefaultTenant(), fn);
+    }
+
+    const tenant = await this.loadTenant(tenantId);
+    if (!tenant) {
+      throw new Error(`Tenant ${tenantId} does not exist`);
+    }
+    return await this.run(tenant, fn);
+  }
+
+  current() {
+    return this.context.getStore() || this.getDefaultTenant();
+  }
+
+  getTenantId() {
+    return this.current().id;
+  }
+
+  // Resolve a stored API key to its tenant. Returns { success, tenant, key },
+  // or the reason the key is refused (disabled tenants are refused too).
+  async authenticate(apiKey, ip = null) {
+    return await this.resolveKey(await apiKeyService.verify(apiKey, ip));
+  }
+
+  // Same for an HMAC-signed request (see ApiKeyService.verifySignature)
+  async authenticateSignature(request, ip = null) {
+    return await this.resolveKey(await apiKeyService.verifySignature(request, ip));
+  }
+
+  async resolveKey(verified) {
+    if (!verified.success) {
+      return verified;
+    }
+
+    const { key } = verified;
+    const tenant = key.tenant_id === DEFAULT_TENANT_ID
+      ? this.getDefaultTenant()
+      : await this.loadTenant(key.tenant_id);
+    if (!tenant || (!tenant.isDefault && tenant.status !== 'active')) {
+      return apiKeyService.refuse('Invalid API key', key);
+    }
+
+    return { success: true, tenant: { ...tenant, apiKeyId: key.id }, key };
+  }
+
+  // Whether the tenant may touch a Wallet resource ID (class or object): its
+  // own issuer's, or any for the operator (default tenant)
+  ownsResource(resourceId, tenant = this.current()) {
+    if (tenant.isDefault || typeof resourceId !== 'string') {
+      return true;
+    }
+    return resourceId.split('.')[0] === tenant.issuerId;
+  }
+
+  // Stored tenant in the shape used by the request context
+  async loadTenant(tenantId) {
+    const row = await dbService.getTenant(tenantId);
+    return row ? this.toTenant(row) : null;
+  }
+
+  // Tenant whose Wallet issuer this is: the default tenant for ISSUER_ID, or
+  // an active stored tenant. Null for issuers this deployment does not serve.
+  async findByIssuer(issuerId) {
+    if (issuerId === process.env.ISSUER_ID) {
+      return this.getDefaultTenant();
+    }
+
+    const row = await dbService.findTenantByIssuer(issuerId);
+    return row && row.status === 'active' ? this.toTenant(row) : null;
+  }
+
+  toTenant(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      issuerId: row.issuer_id,
+      classSuffix: row.class_suffix,
+      objectSuffix: row.object_suffix,
+      credentials: row.credentials,
+      clientEmail: row.client_email,
+      status: row.status,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      isDefault: false
+    };
+  }
+
+  // Decrypted service account of a tenant (null if it has none)
+  getCredentials(tenant = this.current()) {
+    if (tenant.isDefault || !tenant.credentials) {
+      return null;
+    }
+
+    const cached = this.credentialCache.get(tenant.id);
+    if (cached && cached.updatedAt === tenant.updatedAt) {
+      return cached.credentials;
+    }
+
+    const credentials = JSON.parse(secretBox.open(tenant.credentials));
+    this.credentialCache.set(tenant.id, { updatedAt: tenant.updatedAt, credentials });
+    return credentials;
+  }
+
+  // Validate a service account JSON (object or string) and encrypt it
+  sealCredentials(credentials) {
+    const parsed = typeof credentials === 'string' ? JSON.parse(credentials) : credentials;
+    if (!parsed || !parsed.client_email || !parsed.private_key) {
+      throw new Error('credentials must be a service account key with client_email and private_key');
+    }
+
+    return {
+      sealed: secretBox.seal(JSON.stringify(parsed)),
+      clientEmail: parsed.client_email
+    };
+  }
+
+  async createTenant({ id, name, issuerId, classSuffix, objectSuffix, credentials }) {
+    try {
+      if (id === DEFAULT_TENANT_ID || await dbService.getTenant(id)) {
+        return {
+          success: false,
+          error: 'Tenant already exists',
+          message: `Tenant ${id} already exists`
+        };
+      }
+
+      // Wallet callbacks are routed by issuer, so each issuer has one tenant
+      if (issuerId === process.env.ISSUER_ID || await dbService.findTenantByIssuer(issuerId)) {
+        return {
+          success: false,
+          error: 'Issuer already in use',
+          message: `Issuer ${issuerId} already belongs to a tenant`
+        };
+      }
+
+      const sealed = credentials ? this.sealCredentials(credentials) : null;
+      const row = await dbService.createTenant({
+        id,
+        name: name || id,
+        issuerId,
+        classSuffix,
+        objectSuffix,
+        credentials: sealed ? sealed.sealed : null,
+        clientEmail: sealed ? sealed.clientEmail : null
+      });
+
+      logger.info('Tenant Created', { tenantId: id, issuerId, hasCredentials: Boolean(sealed) });
+
+      return {
+        success: true,
+        tenant: this.formatTenant(this.toTenant(row)),
+        message: 'Tenant created successfully'
+      };
+
+    } catch (error) {
+      logger.error('Failed to Create Tenant', {
+        error: error.message,
+        tenantId: id
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to create tenant'
+      };
+    }
+  }
+
+  async listTenants() {
+    const rows = await dbService.listTenants();
+    return {
+      success: true,
+      tenants: rows.map(row => this.formatTenant(this.toTenant(row))),
+      count: rows.length
+    };
+  }
+
+  async getTenant(tenantId) {
+    const tenant = await this.loadTenant(tenantId);
+    if (!tenant) {
+      return this.notFound(tenantId);
+    }
+
+    return {
+      success: true,
+      tenant: this.formatTenant(tenant),
+      apiKeys: (await apiKeyService.listKeys(tenantId)).keys
+    };
+  }
+
+  // Change name, suffixes, status or credentials (issuerId is fixed)
+  async updateTenant(tenantId, { name, classSuffix, objectSuffix, status, credentials }) {
+    try {
+      if (status !== undefined && !TENANT_STATUSES.includes(status)) {
+        throw new Error(`status must be one of ${TENANT_STATUSES.join(', ')}`);
+      }
+
+      const changes = {};
+      if (name !== undefined) changes.name = name;
+      if (classSuffix !== undefined) changes.class_suffix = classSuffix;
+      if (objectSuffix !== undefined) changes.object_suffix = objectSuffix;
+      if (status !== undefined) changes.status = status;
+      if (credentials !== undefined) {
+        const sealed = this.sealCredentials(credentials);
+        changes.credentials = sealed.sealed;
+        changes.client_email = sealed.clientEmail;
+      }
+
+      const row = await dbService.updateTenant(tenantId, changes);
+      if (!row) {
+        return this.notFound(tenantId);
+      }
+
+      this.credentialCache.delete(tenantId);
+      logger.info('Tenant Updated', { tenantId, fields: Object.keys(changes) });
+
+      return {
+        success: true,
+        tenant: this.formatTenant(this.toTenant(row)),
+        credentialsChanged: credentials !== undefined,
+        message: 'Tenant updated successfully'
+      };
+
+    } catch (error) {
+      logger.error('Failed to Update Tenant', {
+        error: error.message,
+        tenantId
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to update tenant'
+      };
+    }
+  }
+
+  // Issue an API key for a stored tenant (see ApiKeyService.issueKey)
+  async createApiKey(tenantId, settings = {}, options = {}) {
+    if (!await dbService.getTenant(tenantId)) {
+      return this.notFound(tenantId);
+    }
+    return await apiKeyService.issueKey(tenantId, settings, options);
+  }
+
+  notFound(tenantId) {
+    return {
+      success: false,
+      error: 'Tenant not found',
+      message: `Tenant ${tenantId} does not exist`
+    };
+  }
+
+  // Never includes the credentials
+  formatTenant(tenant) {
+    return {
+      id: tenant.id,
+      name: tenant.name,
+      issuerId: tenant.issuerId,
+      classSuffix: tenant.classSuffix,
+      objectSuffix: tenant.objectSuffix,
+      status: tenant.status,
+      hasCredentials: Boolean(tenant.credentials),
+      clientEmail: tenant.clientEmail,
+      createdAt: tenant.createdAt,
+      updatedAt: tenant.updatedAt
+    };
+  }
+}
+
+module.exports = new TenantService();
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/tiers.json');
+
+const QUALIFICATION_BASES = ['balance', 'lifetime', 'rolling'];
+
+const DEFAULT_QUALIFICATION = {
+  basis: 'balance',
+  windowDays: 365,
+  gracePeriodDays: 0,
+  qualifyingTypes: ['add', 'initial']
+};
+
+// Single source of truth for tier names, thresholds, benefits, colors and
+// qualification rules. Loaded from TIER_CONFIG_PATH (default config/tiers.json);
+// entries under "classes" replace the defaults for a specific loyalty class ID.
+class TierEngine {
+  constructor() {
+    this.config = null;
+  }
+
+  // Read and validate the tier definition file
+  loadConfig(filePath = process.env.TIER_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.configure(raw);
+
+    logger.info('Tier Configuration Loaded', {
+      file: filePath,
+      tiers: this.config.tiers.map(tier => tier.name),
+      classOverrides: Object.keys(this.config.classes)
+    });
+
+    return this.config;
+  }
+
+  // Validate and activate a tier definition object
+  configure(definition) {
+    const milestoneStep = definition.milestoneStep || 1000;
+    const qualification = this.normalizeQualification(definition.qualification, DEFAULT_QUALIFICATION, 'qualification');
+    const classes = {};
+
+    Object.entries(definition.classes || {}).forEach(([classId, override]) => {
+      classes[classId] = {
+        milestoneStep: override.milestoneStep || milestoneStep,
+        qualification: this.normalizeQualification(override.qualification, qualification, `classes.${classId}.qualification`),
+        tiers: this.normalizeTiers(override.tiers, `classes.${classId}`)
+      };
+    });
+
+    this.config = {
+      milestoneStep,
+      qualification,
+      tiers: this.normalizeTiers(definition.tiers, 'tiers'),
+      classes
+    };
+
+    return this.config;
+  }
+
+  normalizeTiers(tiers, source) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      throw new Error(`Tier configuration ${source} must be a non-empty array`);
+    }
+
+    const normalized = tiers
+      .map(tier => ({
+        name: tier.name,
+        threshold: tier.threshold,
+        benefits: tier.benefits || '',
+        color: tier.color || null
+      }))
+      .sort((a, b) => a.threshold - b.threshold);
+
+    const seen = new Set();
+    normalized.forEach(tier => {
+      if (!tier.name || typeof tier.name !== 'string') {
+        throw new Error(`Tier configuration ${source}: every tier needs a name`);
+      }
+      if (!Number.isInteger(tier.threshold) || tier.threshold < 0) {
+        throw new Error(`Tier configuration ${source}: threshold for ${tier.name} must be a non-negative integer`);
+      }
+      if (tier.color && !/^#[0-9A-Fa-f]{6}$/.test(tier.color)) {
+        throw new Error(`Tier configuration ${source}: color for ${tier.name} must be a hex color`);
+      }
+      if (seen.has(tier.name.toLowerCase())) {
+        throw new Error(`Tier configuration ${source}: duplicate tier ${tier.name}`);
+      }
+      seen.add(tier.name.toLowerCase());
+    });
+
+    if (normalized[0].threshold !== 0) {
+      throw new Error(`Tier configuration ${source}: the lowest tier must start at 0 points`);
+    }
+
+    for (let i = 1; i < normalized.length; i++) {
+      if (normalized[i].threshold === normalized[i - 1].threshold) {
+        throw new Error(`Tier configuration ${source}: ${normalized[i - 1].name} and ${normalized[i].name} share a threshold`);
+      }
+    }
+
+    return normalized;
+  }
+
+  // How members qualify for a tier: current balance, lifetime earned points,
+  // or points earned within a trailing window, plus the demotion grace period
+  normalizeQualification(qualification = {}, defaults, source) {
+    const rules = { ...defaults, ...qualification };
+
+    if (!QUALIFICATION_BASES.includes(rules.basis)) {
+      throw new Error(`Tier configuration ${source}: basis must be one of ${QUALIFICATION_BASES.join(', ')}`);
+    }
+    if (!Number.isInteger(rules.windowDays) || rules.windowDays < 1) {
+      throw new Error(`Tier configuration ${source}: windowDays must be a positive integer`);
+    }
+    if (!Number.isInteger(rules.gracePeriodDays) || rules.gracePeriodDays < 0) {
+      throw new Error(`Tier configuration ${source}: gracePeriodDays must be a non-negative integer`);
+    }
+    if (!Array.isArray(rules.qualifyingTypes) || rules.qualifyingTypes.length === 0) {
+      throw new Error(`Tier configuration ${source}: qualifyingTypes must be a non-empty array`);
+    }
+
+    return rules;
+  }
+
+  getQualification(classId = null) {
+    const rules = this.getProgram(classId).qualification;
+    return { ...rules, qualifyingTypes: [...rules.qualifyingTypes] };
+  }
+
+  getProgram(classId = null) {
+    if (!this.config) {
+      this.loadConfig();
+    }
+    return (classId && this.config.classes[classId]) || this.config;
+  }
+
+  // Class IDs with a tier program of their own
+  getClassIds() {
+    return Object.keys(this.getProgram().classes);
+  }
+
+  // Ordered tier list (lowest first) for a class
+  getTiers(classId = null) {
+    return this.getProgram(classId).tiers.map(tier => ({ ...tier }));
+  }
+
+  getTier(tierName, classId = null) {
+    if (!tierName) return null;
+    const tier = this.getProgram(classId).tiers
+      .find(t => t.name.toLowerCase() === String(tierName).toLowerCase());
+    return tier ? { ...tier } : null;
+  }
+
+  getTierIndex(tierName, classId = null) {
+    if (!tierName) return -1;
+    return this.getProgram(classId).tiers
+      .findIndex(t => t.name.toLowerCase() === String(tierName).toLowerCase());
+  }
+
+  // Highest tier whose threshold the points value reaches
+  getTierForPoints(points, classId = null) {
+    const tiers = this.getProgram(classId).tiers;
+    const value = Number(points) || 0;
+    let match = tiers[0];
+
+    tiers.forEach(tier => {
+      if (value >= tier.threshold) {
+        match = tier;
+      }
+    });
+
+    return { ...match };
+  }
+
+  calculateTier(points, classId = null) {
+    return this.getTierForPoints(points, classId).name;
+  }
+
+  // Tier above the given one, or null at the top
+  getNextTier(tierName, classId = null) {
+    const tiers = this.getProgram(classId).tiers;
+    const index = this.getTierIndex(tierName, classId);
+    return index >= 0 && index < tiers.length - 1 ? { ...tiers[index + 1] } : null;
+  }
+
+  getBenefits(tierName, classId = null) {
+    const tier = this.getTier(tierName, classId) || this.getProgram(classId).tiers[0];
+    return tier.benefits;
+  }
+
+  getColor(tierName, classId = null) {
+    const tier = this.getTier(tierName, classId);
+    return tier ? tier.color : null;
+  }
+
+  // Points target shown as "Next Reward": the next tier's threshold, or the
+  // next milestone once the member is in the top tier
+  getNextReward(currentPoints, tierName = null, classId = null) {
+    const program = this.getProgram(classId);
+    const points = Number(currentPoints) || 0;
+    const byPoints = this.getTierIndex(this.calculateTier(points, classId), classId);
+    const index = Math.max(byPoints, this.getTierIndex(tierName, classId));
+
+    if (index < program.tiers.length - 1) {
+      return program.tiers[index + 1].threshold;
+    }
+
+    const nextMilestone = Math.ceil(points / program.milestoneStep) * program.milestoneStep;
+    return nextMilestone > points ? nextMilestone : points + program.milestoneStep;
+  }
+}
+
+// Create singleton instance
+const tierEngine = new TierEngine();
+
+module.exports = tierEngine;
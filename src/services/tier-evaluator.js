@@ -0,0 +1,273 @@
+const loyaltyObjectService = require('./loyalty-object');
+const notificationService = require('./notification-service');
+const tierEngine = require('./tier-engine');
+const dbService = require('../database/db-service');
+const tenantService = require('./tenant-service');
+const webhookService = require('./webhook-service');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Decides which tier a member holds based on the qualification rules in the
+// tier configuration (balance, lifetime or rolling-window earned points), with
+// a grace period before demotion. Also runs the periodic re-evaluation job.
+class TierEvaluator {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Points that count toward tier status for this card
+  async getQualifyingPoints(card, { balance = card.points, pendingEarned = 0, now = new Date() } = {}) {
+    const rules = tierEngine.getQualification(card.class_id);
+
+    if (rules.basis === 'balance') {
+      return balance;
+    }
+
+    const since = rules.basis === 'rolling'
+      ? new Date(now.getTime() - rules.windowDays * DAY_MS).toISOString()
+      : null;
+
+    const earned = await dbService.getEarnedPoints(card.user_id, {
+      since,
+      types: rules.qualifyingTypes
+    });
+
+    return earned + pendingEarned;
+  }
+
+  // Work out the member's tier without changing anything.
+  // change is one of: upgrade, downgrade, grace_started, in_grace, reassigned, none
+  async evaluate(card, options = {}) {
+    const now = options.now || new Date();
+    const classId = card.class_id;
+    const rules = tierEngine.getQualification(classId);
+    const qualifyingPoints = await this.getQualifyingPoints(card, { ...options, now });
+    const qualifiedTier = tierEngine.calculateTier(qualifyingPoints, classId);
+
+    // A tier that no longer exists in the configuration is replaced outright
+    const configuredTier = tierEngine.getTier(card.tier, classId);
+    const currentTier = configuredTier ? configuredTier.name : null;
+    const result = {
+      userId: card.user_id,
+      previousTier: card.tier,
+      qualifiedTier,
+      qualifyingPoints,
+      basis: rules.basis
+    };
+
+    if (!currentTier) {
+      return { ...result, tier: qualifiedTier, change: 'reassigned', graceUntil: null };
+    }
+
+    const difference = tierEngine.getTierIndex(qualifiedTier, classId) - tierEngine.getTierIndex(currentTier, classId);
+
+    if (difference > 0) {
+      return { ...result, tier: qualifiedTier, change: 'upgrade', graceUntil: null };
+    }
+
+    if (difference === 0) {
+      return { ...result, tier: currentTier, change: 'none', graceUntil: null };
+    }
+
+    if (rules.gracePeriodDays === 0) {
+      return { ...result, tier: qualifiedTier, change: 'downgrade', graceUntil: null };
+    }
+
+    if (!card.tier_grace_until) {
+      const graceUntil = new Date(now.getTime() + rules.gracePeriodDays * DAY_MS).toISOString();
+      return { ...result, tier: currentTier, change: 'grace_started', graceUntil };
+    }
+
+    if (new Date(card.tier_grace_until) > now) {
+      return { ...result, tier: currentTier, change: 'in_grace', graceUntil: card.tier_grace_until };
+    }
+
+    return { ...result, tier: qualifiedTier, change: 'downgrade', graceUntil: null };
+  }
+
+  // Evaluate one member and apply the outcome to Wallet, the card record and notifications
+  async reevaluateUser(userId, options = {}) {
+    try {
+      const card = await dbService.getCard(userId);
+      if (!card) {
+        return {
+          success: false,
+          error: 'User card not found',
+          message: 'User does not have a loyalty card'
+        };
+      }
+
+      const evaluation = await this.evaluate(card, options);
+      const tierChanged = evaluation.tier !== card.tier;
+
+      if (tierChanged) {
+        const walletResult = await loyaltyObjectService.updateTier(userId, evaluation.tier);
+        if (!walletResult.success) {
+          // Leave the card untouched so the next run retries the change
+          return walletResult;
+        }
+      }
+
+      await dbService.updateTierStatus(userId, {
+        tier: evaluation.tier,
+        graceUntil: evaluation.graceUntil
+      });
+
+      let notification = null;
+      if (evaluation.change === 'upgrade' && tierChanged) {
+        notification = await notificationService.sendTierUpgradeNotification(userId, evaluation.tier, card.tier);
+      } else if (evaluation.change === 'downgrade' && tierChanged) {
+        const lostTier = tierEngine.getTier(card.tier, card.class_id);
+        const pointsNeeded = lostTier ? Math.max(lostTier.threshold - evaluation.qualifyingPoints, 0) : null;
+        notification = await notificationService.sendTierDowngradeNotification(userId, evaluation.tier, card.tier, pointsNeeded);
+      }
+
+      if (tierChanged) {
+        logger.info('Tier Changed', {
+          userId,
+          from: card.tier,
+          to: evaluation.tier,
+          qualifyingPoints: evaluation.qualifyingPoints,
+          notified: notification ? notification.success : false
+        });
+
+        await webhookService.emit('tier.changed', {
+          userId,
+          previousTier: card.tier,
+          newTier: evaluation.tier,
+          change: evaluation.change
+        });
+      }
+
+      return {
+        success: true,
+        ...evaluation,
+        notified: notification ? notification.success : false,
+        message: tierChanged ? `Tier changed from ${card.tier} to ${evaluation.tier}` : 'Tier unchanged'
+      };
+
+    } catch (error) {
+      logger.error('Failed to Re-evaluate Tier', {
+        error: error.message,
+        userId
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to re-evaluate tier'
+      };
+    }
+  }
+
+  // Re-evaluate every card of the current tenant, one page at a time
+  async reevaluateAll(options = {}) {
+    if (this.running) {
+      return {
+        success: false,
+        error: 'Already running',
+        message: 'A tier re-evaluation is already in progress'
+      };
+    }
+
+    this.running = true;
+    const startTime = Date.now();
+    const summary = { evaluated: 0, upgraded: 0, downgraded: 0, inGrace: 0, failed: 0 };
+    const pageSize = options.pageSize || 100;
+
+    try {
+      for (let offset = 0; ; offset += pageSize) {
+        const cards = await dbService.listCards({ limit: pageSize, offset });
+
+        for (const card of cards) {
+          const result = await this.reevaluateUser(card.user_id, options);
+          summary.evaluated++;
+
+          if (!result.success) {
+            summary.failed++;
+          } else if (result.tier !== result.previousTier) {
+            if (result.change === 'upgrade') summary.upgraded++;
+            if (result.change === 'downgrade') summary.downgraded++;
+          } else if (result.change === 'grace_started' || result.change === 'in_grace') {
+            summary.inGrace++;
+          }
+        }
+
+        if (cards.length < pageSize) break;
+      }
+
+      logger.info('Tier Re-evaluation Completed', {
+        ...summary,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      return {
+        success: true,
+        ...summary,
+        message: `Re-evaluated ${summary.evaluated} cards`
+      };
+
+    } catch (error) {
+      logger.error('Tier Re-evaluation Failed', {
+        error: error.message,
+        ...summary
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Tier re-evaluation failed'
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Run reevaluateAll for the default tenant and every active stored tenant,
+  // each as that tenant, so Wallet updates use its credentials and tier.changed
+  // reaches its webhooks. Returns the summary of each tenant by ID.
+  async reevaluateTenants(options = {}) {
+    const tenantIds = [tenantService.getDefaultTenant().id];
+    (await dbService.listTenants()).forEach(tenant => {
+      if (tenant.status === 'active') {
+        tenantIds.push(tenant.id);
+      }
+    });
+
+    const tenants = {};
+    for (const tenantId of tenantIds) {
+      tenants[tenantId] = await tenantService.runAs(tenantId, () => this.reevaluateAll(options));
+    }
+
+    return {
+      success: Object.values(tenants).every(summary => summary.success),
+      tenants
+    };
+  }
+
+  // Run reevaluateTenants on a fixed interval (TIER_REEVALUATION_INTERVAL_MS, 0 disables)
+  start(intervalMs = parseInt(process.env.TIER_REEVALUATION_INTERVAL_MS || '86400000', 10)) {
+    if (this.timer || !intervalMs) {
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.reevaluateTenants().catch(error => {
+        logger.error('Scheduled Tier Re-evaluation Failed', { error: error.message });
+      });
+    }, intervalMs);
+    this.timer.unref();
+
+    logger.info('Tier Re-evaluation Scheduled', { intervalMs });
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new TierEvaluator();
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const dbService = require('../database/db-service');
+const tenantService = require('./tenant-service');
+const webhookService = require('./webhook-service');
+const logger = require('../utils/logger');
+
+const SENDER_ID = 'GooglePayPasses';
+const PROTOCOL_VERSION = 'ECv2SigningOnly';
+const DEFAULT_KEYS_URL = 'https://pay.google.com/gp/m/issuer/keys';
+// Fetched root keys are reused for this long
+const KEYS_CACHE_MS = 60 * 60 * 1000;
+// Wallet event types and the names they are stored under
+const EVENT_TYPES = { save: 'save', del: 'delete' };
+const WEBHOOK_EVENTS = { save: 'pass.saved', delete: 'pass.deleted' };
+
+// Google's signed strings: each part preceded by its length as 4 bytes, little-endian
+const lengthPrefixed = (...parts) => Buffer.concat(parts.flatMap(part => {
+  const value = Buffer.from(String(part), 'utf8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(value.length);
+  return [length, value];
+}));
+
+// ECDSA P-256 / SHA-256 check with a base64 DER public key and signature
+const verifyEcdsa = (publicKey, data, signature) => {
+  try {
+    return crypto.verify(
+      'sha256',
+      data,
+      { key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' },
+      Buffer.from(String(signature), 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+const parseJson = (value) => {
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Receives the callbacks Google Wallet sends when a user saves or deletes a
+// pass (classes list the endpoint in callbackOptions.url). Callbacks use the
+// ECv2SigningOnly protocol: Google's root keys sign an intermediate key,
+// which signs the message for the issuer ({ classId, objectId, eventType,
+// expTimeMillis, nonce }). Root keys come from WALLET_CALLBACK_KEYS_FILE when
+// set (offline testing), otherwise from Google. Accepted events are stored
+// per object and sent on as pass.saved / pass.deleted webhooks; a
+// redelivered callback (same nonce) is stored and sent once.
+class WalletCallbackService {
+  constructor() {
+    this.keyCache = null;
+  }
+
+  // Google's current root signing keys (base64 DER)
+  async getRootKeys() {
+    const keysFile = process.env.WALLET_CALLBACK_KEYS_FILE;
+    if (keysFile) {
+      return this.parseRootKeys(JSON.parse(await fs.promises.readFile(keysFile, 'utf8')));
+    }
+
+    if (this.keyCache && this.keyCache.expiresAt > Date.now()) {
+      return this.keyCache.keys;
+    }
+
+    const response = await fetch(process.env.WALLET_CALLBACK_KEYS_URL || DEFAULT_KEYS_URL);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Google root signing keys: HTTP ${response.status}`);
+    }
+
+    const keys = this.parseRootKeys(await response.json());
+    this.keyCache = { keys, expiresAt: Date.now() + KEYS_CACHE_MS };
+    return keys;
+  }
+
+  // Unexpired ECv2SigningOnly keys of a { keys: [...] } document
+  parseRootKeys(document) {
+    return (document.keys || [])
+      .filter(key => key.protocolVersion === PROTOCOL_VERSION)
+      .filter(key => !key.keyExpiration || Number(key.keyExpiration) > Date.now())
+      .map(key => key.keyValue);
+  }
+
+  // Check a callback's signatures and content. Returns { success, event, tenant }
+  // or the reason it is refused.
+  async verifyCallback(callback = {}) {
+    if (callback.protocolVersion !== PROTOCOL_VERSION) {
+      return this.refuse(`protocolVersion must be ${PROTOCOL_VERSION}`);
+    }
+
+    const message = parseJson(callback.signedMessage);
+    if (!message || !message.classId || !message.objectId || !message.nonce) {
+      return this.refuse('signedMessage must be JSON with classId, objectId and nonce');
+    }
+
+    // Google signs the message for the issuer that owns the class
+    const issuerId = String(message.classId).split('.')[0];
+    const tenant = await tenantService.findByIssuer(issuerId);
+    if (!tenant) {
+      return this.refuse(`Issuer ${issuerId} is not served here`);
+    }
+    if (!String(message.objectId).startsWith(`${issuerId}.`)) {
+      return this.refuse('objectId does not belong to the class issuer');
+    }
+
+    const intermediate = callback.intermediateSigningKey || {};
+    const rootKeys = await this.getRootKeys();
+    const signedKeyData = lengthPrefixed(SENDER_ID, PROTOCOL_VERSION, intermediate.signedKey);
+    const intermediateTrusted = Array.isArray(intermediate.signatures) && intermediate.signatures.some(signature =>
+      rootKeys.some(rootKey => verifyEcdsa(rootKey, signedKeyData, signature))
+    );
+    if (!intermediateTrusted) {
+      return this.refuse('Intermediate signing key is not signed by a Google root key');
+    }
+
+    const signedKey = parseJson(intermediate.signedKey);
+    if (!signedKey || !signedKey.keyValue || !(Number(signedKey.keyExpiration) > Date.now())) {
+      return this.refuse('Intermediate signing key is invalid or expired');
+    }
+
+    const messageData = lengthPrefixed(SENDER_ID, issuerId, PROTOCOL_VERSION, callback.signedMessage);
+    if (!verifyEcdsa(signedKey.keyValue, messageData, callback.signature)) {
+      return this.refuse('Invalid message signature');
+    }
+
+    if (!(Number(message.expTimeMillis) > Date.now())) {
+      return this.refuse('Callback message expired');
+    }
+    if (!EVENT_TYPES[message.eventType]) {
+      return this.refuse(`Unknown eventType ${message.eventType}`);
+    }
+
+    return { success: true, event: message, tenant };
+  }
+
+  refuse(message) {
+    return {
+      success: false,
+      error: 'Invalid callback',
+      message
+    };
+  }
+
+  // Verify and store a callback
+  async handleCallback(callback) {
+    try {
+      const verified = await this.verifyCallback(callback);
+      if (!verified.success) {
+        logger.logSecurityEvent('WALLET_CALLBACK_REFUSED', { reason: verified.message });
+        return verified;
+      }
+
+      const { event, tenant } = verified;
+      const eventType = EVENT_TYPES[event.eventType];
+      const recorded = await dbService.recordWalletObjectEvent({
+        objectId: event.objectId,
+        classId: event.classId,
+        tenantId: tenant.id,
+        eventType,
+        nonce: String(event.nonce)
+      });
+
+      logger.info('Wallet Callback Received', {
+        objectId: event.objectId,
+        eventType,
+        duplicate: !recorded
+      });
+
+      if (recorded) {
+        // Cards are stored per tenant; look this one up as the issuer's tenant
+        const card = await tenantService.run(tenant, () => dbService.getCardByObjectId(event.objectId));
+        await webhookService.emit(WEBHOOK_EVENTS[eventType], {
+          userId: card ? card.user_id : null,
+          objectId: event.objectId,
+          classId: event.classId
+        }, { tenantId: tenant.id });
+      }
+
+      return {
+        success: true,
+        objectId: event.objectId,
+        eventType,
+        duplicate: !recorded,
+        message: recorded ? 'Callback recorded' : 'Callback already recorded'
+      };
+
+    } catch (error) {
+      logger.error('Failed to Handle Wallet Callback', {
+        error: error.message
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to handle Wallet callback'
+      };
+    }
+  }
+
+  // Whether an object is in a user's wallet, from the callbacks received.
+  // Objects without callbacks report hasUsers: false.
+  async getSaveStatus(objectId) {
+    const saved = await dbService.getLatestWalletObjectEvent(objectId, 'save');
+    const deleted = await dbService.getLatestWalletObjectEvent(objectId, 'delete');
+
+    return {
+      hasUsers: Boolean(saved) && (!deleted || saved.id > deleted.id),
+      savedAt: saved ? saved.received_at : null,
+      deletedAt: deleted ? deleted.received_at : null
+    };
+  }
+}
+
+module.exports = new WalletCallbackService();
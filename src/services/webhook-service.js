@@ -0,0 +1,556 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const dbService = require('../database/db-service');
+const tenantService = require('./tenant-service');
+const logger = require('../utils/logger');
+const retry = require('../utils/retry');
+const secretBox = require('../utils/secret-box');
+
+const EVENT_TYPES = [
+  'card.created',
+  'points.changed',
+  'tier.changed',
+  'pass.saved',
+  'pass.deleted'
+];
+const ALL_EVENTS = '*';
+const SECRET_PREFIX = 'whsec_';
+const DEFAULT_TIMEOUT_MS = 10000;
+const SUBSCRIPTION_STATUSES = ['active', 'disabled'];
+
+// Addresses a webhook may not reach unless WEBHOOK_ALLOW_PRIVATE_URLS=true:
+// this host, private networks and link-local ones (cloud metadata services
+// such as 169.254.169.254 among them). IPv4 rules also match IPv4-mapped IPv6.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+// dns.lookup for webhook connections: the addresses it hands back are the ones
+// dialled, so a host that resolved to a public address when checked and to a
+// private one by the time of the send (DNS rebinding) is still refused.
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true' && addresses.some(({ address }) => isPrivateAddress(address))) {
+      const refused = new Error(`${hostname} resolves to a private, loopback or link-local address`);
+      refused.code = 'EPRIVATEADDRESS';
+      return callback(refused);
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Outbound webhooks for loyalty events. Each tenant subscribes URLs to event
+// types; emit() stores one delivery per matching subscription and sends it in
+// the background, so the operation that raised the event never waits on or
+// fails because of a webhook. Bodies are the event as JSON and carry
+// X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// keyed with the subscription's secret. Failed sends are retried with
+// retry.retry backoff (network errors, timeouts, 429 and 5xx); a delivery
+// that runs out of attempts, or gets another error status, is marked failed
+// and stays on the dead-letter list until it is redelivered.
+class WebhookService {
+  constructor() {
+    // deliveryId -> promise of the send in progress
+    this.activeDeliveries = new Map();
+    // Sends connect through lookupPublicAddress
+    this.dispatcher = new Agent({ connect: { lookup: lookupPublicAddress } });
+  }
+
+  getEventTypes() {
+    return EVENT_TYPES;
+  }
+
+  getRetryOptions() {
+    return {
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+      initialDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 1000,
+      maxDelay: 30000,
+      backoffFactor: 2,
+      jitter: true
+    };
+  }
+
+  // Check a subscription URL. The host is resolved and refused if any of its
+  // addresses is private (see PRIVATE_ADDRESSES). This only catches URLs that
+  // are private when subscribed; sends check the address they connect to.
+  async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('url must be an absolute http(s) URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('url must be an absolute http(s) URL');
+    }
+    if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+      throw new Error('url must use https in production');
+    }
+
+    await this.assertPublicHost(parsed.hostname);
+    return url;
+  }
+
+  async assertPublicHost(hostname) {
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') {
+      return;
+    }
+
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      const failure = new Error(`url host ${host} could not be resolved`);
+      failure.code = error.code;
+      throw failure;
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error('url must not point to a private, loopback or link-local address');
+    }
+  }
+
+  validateEventTypes(eventTypes) {
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+      throw new Error('events must be a non-empty list');
+    }
+    const unknown = eventTypes.filter(type => type !== ALL_EVENTS && !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown event type: ${unknown.join(', ')}`);
+    }
+    return [...new Set(eventTypes)];
+  }
+
+  createSecret() {
+    if (!secretBox.isConfigured()) {
+      throw new Error('TENANT_ENCRYPTION_KEY must be set to store webhook secrets');
+    }
+    return `${SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Subscribe a URL for the current tenant. The secret is only returned here.
+  async createSubscription({ url, events, description = null }) {
+    try {
+      const secret = this.createSecret();
+      const subscription = await dbService.createWebhookSubscription({
+        tenantId: tenantService.getTenantId(),
+        url: await this.validateUrl(url),
+        eventTypes: this.validateEventTypes(events),
+        secret: secretBox.seal(secret),
+        description
+      });
+
+      logger.info('Webhook Subscription Created', {
+        webhookId: subscription.id,
+        tenantId: subscription.tenant_id,
+        events: subscription.event_types
+      });
+
+      return {
+        success: true,
+        webhook: this.formatSubscription(subscription),
+        secret,
+        message: 'Store the secret now; it cannot be shown again'
+      };
+
+    } catch (error) {
+      logger.error('Failed to Create Webhook Subscription', {
+        error: error.message
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to create webhook subscription'
+      };
+    }
+  }
+
+  // Subscription of the current tenant (other tenants' are not found)
+  async findSubscription(webhookId) {
+    const subscription = await dbService.getWebhookSubscription(webhookId);
+    return subscription && subscription.tenant_id === tenantService.getTenantId() ? subscription : null;
+  }
+
+  async listSubscriptions() {
+    const subscriptions = await dbService.listWebhookSubscriptions(tenantService.getTenantId());
+    return {
+      success: true,
+      webhooks: subscriptions.map(subscription => this.formatSubscription(subscription)),
+      count: subscriptions.length
+    };
+  }
+
+  async getSubscription(webhookId) {
+    const subscription = await this.findSubscription(webhookId);
+    return subscription ? { success: true, webhook: this.formatSubscription(subscription) } : this.notFound(webhookId);
+  }
+
+  // Change url, events, description or status; rotateSecret issues a new secret
+  async updateSubscription(webhookId, { url, events, description, status, rotateSecret = false }) {
+    try {
+      if (!await this.findSubscription(webhookId)) {
+        return this.notFound(webhookId);
+      }
+      if (status !== undefined && !SUBSCRIPTION_STATUSES.includes(status)) {
+        throw new Error(`status must be one of ${SUBSCRIPTION_STATUSES.join(', ')}`);
+      }
+
+      const secret = rotateSecret ? this.createSecret() : null;
+      const changes = {};
+      if (url !== undefined) changes.url = await this.validateUrl(url);
+      if (events !== undefined) changes.eventTypes = this.validateEventTypes(events);
+      if (description !== undefined) changes.description = description;
+      if (status !== undefined) changes.status = status;
+      if (secret) changes.secret = secretBox.seal(secret);
+
+      const subscription = await dbService.updateWebhookSubscription(webhookId, changes);
+
+      logger.info('Webhook Subscription Updated', {
+        webhookId,
+        fields: Object.keys(changes),
+        secretRotated: Boolean(secret)
+      });
+
+      return {
+        success: true,
+        webhook: this.formatSubscription(subscription),
+        ...(secret && { secret }),
+        message: 'Webhook subscription updated'
+      };
+
+    } catch (error) {
+      logger.error('Failed to Update Webhook Subscription', {
+        error: error.message,
+        webhookId
+      });
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to update webhook subscription'
+      };
+    }
+  }
+
+  async deleteSubscription(webhookId) {
+    if (!await this.findSubscription(webhookId) || !await dbService.deleteWebhookSubscription(webhookId)) {
+      return this.notFound(webhookId);
+    }
+
+    logger.info('Webhook Subscription Deleted', { webhookId });
+
+    return {
+      success: true,
+      message: 'Webhook subscription deleted'
+    };
+  }
+
+  notFound(webhookId) {
+    return {
+      success: false,
+      error: 'Webhook not found',
+      message: `Webhook ${webhookId} does not exist`
+    };
+  }
+
+  // Queue an event for every active subscription of the tenant that wants it
+  // and start sending. Returns the delivery IDs; never throws.
+  async emit(type, data, { tenantId = tenantService.getTenantId() } = {}) {
+    try {
+      const subscriptions = (await dbService.listWebhookSubscriptions(tenantId, { status: 'active' }))
+        .filter(subscription => subscription.event_types.includes(ALL_EVENTS) || subscription.event_types.includes(type));
+      if (subscriptions.length === 0) {
+        return [];
+      }
+
+      const event = {
+        id: `evt_${crypto.randomUUID()}`,
+        type,
+        createdAt: new Date().toISOString(),
+        tenantId,
+        data
+      };
+
+      const deliveryIds = [];
+      for (const subscription of subscriptions) {
+        const delivery = await dbService.createWebhookDelivery({
+          subscriptionId: subscription.id,
+          tenantId,
+          eventId: event.id,
+          eventType: type,
+          payload: event
+        });
+        deliveryIds.push(delivery.id);
+      }
+
+      deliveryIds.forEach(deliveryId => this.processDelivery(deliveryId));
+      return deliveryIds;
+
+    } catch (error) {
+      logger.error('Failed to Queue Webhook Event', {
+        error: error.message,
+        type
+      });
+      return [];
+    }
+  }
+
+  // Send a delivery. Returns the send already in progress if there is one.
+  processDelivery(deliveryId) {
+    if (!this.activeDeliveries.has(deliveryId)) {
+      const run = this.runDelivery(deliveryId).finally(() => {
+        this.activeDeliveries.delete(deliveryId);
+      });
+      this.activeDeliveries.set(deliveryId, run);
+    }
+    return this.activeDeliveries.get(deliveryId);
+  }
+
+  // Wait until no delivery is being sent (tests and shutdown)
+  async whenIdle() {
+    while (this.activeDeliveries.size > 0) {
+      await Promise.all(this.activeDeliveries.values());
+    }
+  }
+
+  async runDelivery(deliveryId) {
+    let delivery = null;
+    let attempts = 0;
+
+    try {
+      delivery = await dbService.getWebhookDelivery(deliveryId);
+      const subscription = delivery && await dbService.getWebhookSubscription(delivery.subscription_id);
+      if (!subscription) {
+        return;
+      }
+      if (subscription.status !== 'active') {
+        throw new Error('Webhook is disabled');
+      }
+
+      const secret = secretBox.open(subscription.secret);
+      const body = JSON.stringify(delivery.payload);
+      let responseStatus = null;
+
+      const sendWebhook = async () => {
+        attempts++;
+        responseStatus = await this.post(subscription.url, body, secret, delivery);
+      };
+      await retry.retry(sendWebhook, this.getRetryOptions());
+
+      await dbService.updateWebhookDelivery(deliveryId, {
+        status: 'delivered',
+        attempts: delivery.attempts + attempts,
+        response_status: responseStatus,
+        last_error: null,
+        delivered_at: dbService.now()
+      });
+
+      logger.info('Webhook Delivered', {
+        deliveryId,
+        webhookId: subscription.id,
+        eventType: delivery.event_type,
+        attempts
+      });
+
+    } catch (error) {
+      logger.warn('Webhook Delivery Failed', {
+        error: error.message,
+        deliveryId,
+        attempts
+      });
+      await dbService.updateWebhookDelivery(deliveryId, {
+        status: 'failed',
+        attempts: (delivery ? delivery.attempts : 0) + attempts,
+        response_status: error.status || null,
+        last_error: error.message
+      }).catch(updateError => {
+        logger.error('Failed to Record Webhook Failure', {
+          error: updateError.message,
+          deliveryId
+        });
+      });
+    }
+  }
+
+  // One attempt. Resolves with the response status; non-2xx responses throw
+  // with error.status so retry.retry can tell retryable ones apart. The host
+  // is checked up front for a clear error (IP literals are never looked up),
+  // and again by the dispatcher for the address actually dialled.
+  async post(url, body, secret, delivery) {
+    await this.assertPublicHost(new URL(url).hostname);
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    let response;
+
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Signature': `t=${timestamp},v1=${this.sign(secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        dispatcher: this.dispatcher,
+        signal: AbortSignal.timeout(parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS)
+      });
+    } catch (error) {
+      // fetch reports network failures as "fetch failed"; keep the cause's code (ECONNREFUSED, ...)
+      const failure = new Error(`Webhook request failed: ${error.cause ? error.cause.message : error.message}`);
+      failure.code = error.cause ? error.cause.code : undefined;
+      throw failure;
+    }
+
+    await response.body?.cancel().catch(() => {});
+
+    if (!response.ok) {
+      const failure = new Error(`Webhook endpoint responded with ${response.status}`);
+      failure.status = response.status;
+      throw failure;
+    }
+    return response.status;
+  }
+
+  // Delivery of the current tenant (other tenants' are not found)
+  async findDelivery(deliveryId) {
+    const delivery = await dbService.getWebhookDelivery(deliveryId);
+    return delivery && delivery.tenant_id === tenantService.getTenantId() ? delivery : null;
+  }
+
+  async listDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+    if (!await this.findSubscription(webhookId)) {
+      return this.notFound(webhookId);
+    }
+
+    const deliveries = await dbService.listWebhookDeliveries({
+      tenantId: tenantService.getTenantId(),
+      subscriptionId: webhookId,
+      status,
+      limit
+    });
+    return {
+      success: true,
+      deliveries: deliveries.map(delivery => this.formatDelivery(delivery)),
+      count: deliveries.length
+    };
+  }
+
+  // Deliveries that ran out of attempts (newest first)
+  async listDeadLetters({ limit = 50 } = {}) {
+    const deliveries = await dbService.listWebhookDeliveries({
+      tenantId: tenantService.getTenantId(),
+      status: 'failed',
+      limit
+    });
+    return {
+      success: true,
+      deliveries: deliveries.map(delivery => this.formatDelivery(delivery)),
+      count: deliveries.length
+    };
+  }
+
+  // Send a delivery again (failed or not), with a fresh set of attempts
+  async redeliver(deliveryId) {
+    const delivery = await this.findDelivery(deliveryId);
+    if (!delivery) {
+      return {
+        success: false,
+        error: 'Delivery not found',
+        message: `Webhook delivery ${deliveryId} does not exist`
+      };
+    }
+    if (this.activeDeliveries.has(deliveryId)) {
+      return {
+        success: false,
+        error: 'Delivery in progress',
+        message: `Webhook delivery ${deliveryId} is being sent`
+      };
+    }
+
+    const subscription = await dbService.getWebhookSubscription(delivery.subscription_id);
+    if (subscription.status !== 'active') {
+      return {
+        success: false,
+        error: 'Webhook disabled',
+        message: `Webhook ${subscription.id} is disabled; enable it before redelivering`
+      };
+    }
+
+    const queued = await dbService.updateWebhookDelivery(deliveryId, { status: 'pending', last_error: null });
+    this.processDelivery(deliveryId);
+
+    logger.info('Webhook Redelivery Started', { deliveryId, webhookId: subscription.id });
+
+    return {
+      success: true,
+      delivery: this.formatDelivery(queued),
+      message: 'Redelivery started'
+    };
+  }
+
+  // Pick up deliveries left pending by a previous process
+  async resumeDeliveries() {
+    const deliveries = await dbService.getPendingWebhookDeliveries();
+
+    if (deliveries.length > 0) {
+      logger.info('Resuming Webhook Deliveries', { deliveryIds: deliveries.map(delivery => delivery.id) });
+    }
+
+    return deliveries.map(delivery => this.processDelivery(delivery.id));
+  }
+
+  // Never includes the secret
+  formatSubscription(subscription) {
+    return {
+      id: subscription.id,
+      url: subscription.url,
+      events: subscription.event_types,
+      description: subscription.description,
+      status: subscription.status,
+      createdAt: subscription.created_at,
+      updatedAt: subscription.updated_at
+    };
+  }
+
+  formatDelivery(delivery) {
+    return {
+      id: delivery.id,
+      webhookId: delivery.subscription_id,
+      eventId: delivery.event_id,
+      eventType: delivery.event_type,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      responseStatus: delivery.response_status,
+      lastError: delivery.last_error,
+      createdAt: delivery.created_at,
+      deliveredAt: delivery.delivered_at,
+      payload: delivery.payload
+    };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,126 @@
+// Minimal cron expression support for recurring jobs.
+// Five fields, evaluated in UTC: minute hour day-of-month month day-of-week.
+// Each field accepts *, numbers, ranges (1-5), steps (*/15, 1-10/2) and lists (1,15).
+// Day-of-week is 0-6 with 0 (or 7) for Sunday. As in standard cron, when both
+// day fields are restricted a day matching either one is accepted; a field
+// starting with * (including steps like */2) does not count as restricted.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Give up looking for a next run after this many years (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+function parseField(expression, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    let start = min;
+    let end = max;
+
+    if (match[1] !== '*') {
+      start = parseInt(match[2], 10);
+      end = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : start);
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parse an expression into sets of allowed values. Throws on invalid input.
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.delete(7);
+    schedule.dayOfWeek.add(0);
+  }
+
+  schedule.dayOfMonthRestricted = !parts[2].startsWith('*');
+  schedule.dayOfWeekRestricted = !parts[4].startsWith('*');
+  return schedule;
+}
+
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+// First time strictly after `after` that matches the expression, or null if none within MAX_SEARCH_YEARS
+function getNextRun(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
+
+module.exports = { parseCron, isValidCron, getNextRun };
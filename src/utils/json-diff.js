@@ -0,0 +1,54 @@
+// Structural diff of two JSON values.
+// Returns one entry per changed leaf: { path, change, before, after } where
+// change is "added", "removed" or "changed" and path looks like
+// "localizedProgramName.defaultValue.value" or "textModulesData[1].body".
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const joinPath = (base, key) => {
+  if (typeof key === 'number') {
+    return `${base}[${key}]`;
+  }
+  return base ? `${base}.${key}` : key;
+};
+
+function diffValues(before, after, path, changes) {
+  if (before === undefined && after === undefined) {
+    return changes;
+  }
+  if (before === undefined) {
+    changes.push({ path, change: 'added', before: undefined, after });
+    return changes;
+  }
+  if (after === undefined) {
+    changes.push({ path, change: 'removed', before, after: undefined });
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let index = 0; index < length; index++) {
+      diffValues(before[index], after[index], joinPath(path, index), changes);
+    }
+    return changes;
+  }
+
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    [...keys].sort().forEach(key => {
+      diffValues(before[key], after[key], joinPath(path, key), changes);
+    });
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path, change: 'changed', before, after });
+  }
+  return changes;
+}
+
+function diff(before, after) {
+  return diffValues(before, after, '', []);
+}
+
+module.exports = { diff };
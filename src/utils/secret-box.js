@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// AES-256-GCM encryption for secrets stored in the database (tenant service
+// account credentials, API key signing secrets). The key is TENANT_ENCRYPTION_KEY: 32 bytes as 64 hex
+// characters or base64. Sealed values look like "v1.<iv>.<tag>.<ciphertext>"
+// (base64url parts), so a later key or algorithm change can be told apart.
+
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+
+function getKey(rawKey = process.env.TENANT_ENCRYPTION_KEY) {
+  if (!rawKey) {
+    throw new Error('TENANT_ENCRYPTION_KEY is not set');
+  }
+
+  const key = /^[0-9a-fA-F]{64}$/.test(rawKey)
+    ? Buffer.from(rawKey, 'hex')
+    : Buffer.from(rawKey, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('TENANT_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+}
+
+function isConfigured() {
+  try {
+    getKey();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function seal(plaintext, rawKey) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(rawKey), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join('.');
+}
+
+function open(sealed, rawKey) {
+  const [version, iv, tag, ciphertext] = String(sealed).split('.');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognized encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(rawKey), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = { seal, open, isConfigured };
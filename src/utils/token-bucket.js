@@ -0,0 +1,52 @@
+// Token bucket for pacing calls to a rate-limited API.
+// Tokens refill continuously at ratePerSecond up to capacity (the burst size).
+// A rate of 0 disables pacing.
+class TokenBucket {
+  constructor({ ratePerSecond, capacity = Math.max(1, ratePerSecond), now = Date.now } = {}) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = capacity;
+    this.now = now;
+    this.tokens = capacity;
+    this.lastRefill = now();
+  }
+
+  refill() {
+    const current = this.now();
+    const elapsedSeconds = (current - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.ratePerSecond);
+    this.lastRefill = current;
+  }
+
+  // Take a token if one is available
+  tryTake() {
+    if (!this.ratePerSecond) {
+      return true;
+    }
+
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  // Milliseconds until the next token is available
+  getWaitTime() {
+    if (!this.ratePerSecond) {
+      return 0;
+    }
+
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+  }
+
+  // Wait for a token
+  async take() {
+    while (!this.tryTake()) {
+      await new Promise(resolve => setTimeout(resolve, this.getWaitTime()));
+    }
+  }
+}
+
+module.exports = TokenBucket;
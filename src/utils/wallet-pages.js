@@ -0,0 +1,67 @@
+// Cursor pagination over Wallet list calls, with filters applied here.
+// Wallet pages are read WALLET_PAGE_SIZE records at a time. The page token
+// handed to clients is opaque: it names a Wallet page token and how far into
+// that page the previous response got, so records a filter skips are neither
+// lost nor repeated. One call reads at most MAX_WALLET_PAGES Wallet pages; when
+// a filter matches few records a response can hold fewer than `limit` items
+// and still have a nextPageToken.
+
+const WALLET_PAGE_SIZE = 100;
+const MAX_WALLET_PAGES = 10;
+
+const encodeCursor = (token, offset) => Buffer.from(JSON.stringify({ t: token, o: offset })).toString('base64url');
+
+// { token, offset } of a client page token; throws if it is not one of ours
+function decodeCursor(pageToken) {
+  if (!pageToken) {
+    return { token: null, offset: 0 };
+  }
+
+  let cursor = null;
+  try {
+    cursor = JSON.parse(Buffer.from(String(pageToken), 'base64url').toString('utf8'));
+  } catch (error) {
+    // Reported below
+  }
+
+  if (!cursor || (cursor.t !== null && typeof cursor.t !== 'string') || !Number.isInteger(cursor.o) || cursor.o < 0) {
+    throw new Error('Invalid page token');
+  }
+  return { token: cursor.t, offset: cursor.o };
+}
+
+// Read up to `limit` records matching `filter`, starting at `pageToken`.
+// fetchPage(walletToken, maxResults) resolves to { resources, nextPageToken }.
+// Returns { items, nextPageToken } (null on the last page).
+async function listPage({ fetchPage, filter = () => true, limit, pageToken = null, pageSize = WALLET_PAGE_SIZE, maxPages = MAX_WALLET_PAGES }) {
+  let { token, offset } = decodeCursor(pageToken);
+  const items = [];
+
+  for (let pages = 0; pages < maxPages; pages++) {
+    const { resources, nextPageToken } = await fetchPage(token, pageSize);
+
+    for (let index = offset; index < resources.length; index++) {
+      if (!filter(resources[index])) {
+        continue;
+      }
+
+      items.push(resources[index]);
+      if (items.length === limit) {
+        if (index + 1 < resources.length) {
+          return { items, nextPageToken: encodeCursor(token, index + 1) };
+        }
+        return { items, nextPageToken: nextPageToken ? encodeCursor(nextPageToken, 0) : null };
+      }
+    }
+
+    if (!nextPageToken) {
+      return { items, nextPageToken: null };
+    }
+    token = nextPageToken;
+    offset = 0;
+  }
+
+  return { items, nextPageToken: encodeCursor(token, 0) };
+}
+
+module.exports = { listPage, decodeCursor, WALLET_PAGE_SIZE, MAX_WALLET_PAGES };
@@ -3,6 +3,8 @@
  * Common functions used across test files
  */
 
+const crypto = require('crypto');
+
 /**
  * Generate a random user ID for testing
  * @param {string} prefix - Optional prefix for the user ID
@@ -201,6 +203,54 @@ function createMockResponse() {
   return res;
 }
 
+/**
+ * Stand-in for Google's Wallet callback signing (ECv2SigningOnly): a root key
+ * list in Google's format and a signer for callback bodies
+ * @returns {Object} { rootKeys, sign(message, issuerId, options) }
+ */
+function createWalletCallbackSigner() {
+  const generateKey = () => crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const publicKeyValue = (keyPair) => keyPair.publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+  const lengthPrefixed = (...parts) => Buffer.concat(parts.flatMap(part => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(Buffer.byteLength(part));
+    return [length, Buffer.from(part)];
+  }));
+  const sign = (keyPair, data) => crypto.sign('sha256', data, keyPair.privateKey).toString('base64');
+
+  const root = generateKey();
+  const intermediate = generateKey();
+
+  return {
+    rootKeys: {
+      keys: [{ keyValue: publicKeyValue(root), protocolVersion: 'ECv2SigningOnly', keyExpiration: String(Date.now() + 86400000) }]
+    },
+
+    // Callback body for message ({ classId, objectId, eventType, nonce, ... }),
+    // signed for issuerId. options.rootKey / options.keyExpiration override the
+    // key that signs the intermediate key and the intermediate key's expiry.
+    sign(message, issuerId, options = {}) {
+      const signedMessage = JSON.stringify({ expTimeMillis: Date.now() + 60000, ...message });
+      const signedKey = JSON.stringify({
+        keyValue: publicKeyValue(intermediate),
+        keyExpiration: String(options.keyExpiration || Date.now() + 3600000)
+      });
+
+      return {
+        signature: sign(intermediate, lengthPrefixed('GooglePayPasses', issuerId, 'ECv2SigningOnly', signedMessage)),
+        intermediateSigningKey: {
+          signedKey,
+          signatures: [sign(options.rootKey || root, lengthPrefixed('GooglePayPasses', 'ECv2SigningOnly', signedKey))]
+        },
+        protocolVersion: 'ECv2SigningOnly',
+        signedMessage
+      };
+    },
+
+    generateKey
+  };
+}
+
 module.exports = {
   generateTestUserId,
   generateTestUserIds,
@@ -211,4 +261,5 @@ module.exports = {
   isValidJWTStructure,
   createMockRequest,
   createMockResponse,
+  createWalletCallbackSigner,
 };
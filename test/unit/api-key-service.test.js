@@ -0,0 +1,248 @@
+/**
+ * Unit Tests for API Key Service
+ * Scopes, expiry, IP allowlists, rate limits, rotation and request signing on
+ * the memory driver
+ */
+
+const crypto = require('crypto');
+
+process.env.TENANT_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+
+const apiKeyService = require('../../src/services/api-key-service');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+
+// A signed request as a client would build it
+const signedRequest = (keyId, signingSecret, overrides = {}) => {
+  const request = {
+    keyId: String(keyId),
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    method: 'POST',
+    path: '/users/user-1/points/earn',
+    body: '{"amount":10}',
+    ...overrides
+  };
+  return { ...request, signature: apiKeyService.sign(signingSecret, request) };
+};
+
+describe('API Key Service', () => {
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+  });
+
+  test('should match scopes, with any scope on a resource granting read', () => {
+    expect(apiKeyService.hasScope(['*'], 'classes:admin')).toBe(true);
+    expect(apiKeyService.hasScope(['points:write'], 'points:write')).toBe(true);
+    expect(apiKeyService.hasScope(['points:write'], 'points:read')).toBe(true);
+    expect(apiKeyService.hasScope(['points:read'], 'points:write')).toBe(false);
+    expect(apiKeyService.hasScope(['cards:read'], 'notifications:send')).toBe(false);
+    expect(apiKeyService.hasScope([], 'cards:read')).toBe(false);
+  });
+
+  test('should store only a hash and verify the key', async () => {
+    const issued = await apiKeyService.issueKey('default', { label: 'kiosk', scopes: ['cards:read', 'points:read'] });
+
+    expect(issued.success).toBe(true);
+    expect(issued.apiKey).toMatch(/^tk_/);
+    expect(issued.key).toMatchObject({ tenantId: 'default', label: 'kiosk', scopes: ['cards:read', 'points:read'] });
+    expect(JSON.stringify(await dbService.listTenantApiKeys())).not.toContain(issued.apiKey);
+
+    const verified = await apiKeyService.verify(issued.apiKey, '127.0.0.1');
+    expect(verified.success).toBe(true);
+    expect(verified.key.scopes).toEqual(['cards:read', 'points:read']);
+    expect((await apiKeyService.verify('tk_unknown')).error).toBe('Invalid API key');
+  });
+
+  test('should reject unknown scopes and scopes the caller does not hold', async () => {
+    expect((await apiKeyService.issueKey('default', { scopes: ['cards:delete'] })).error).toContain('Unknown scope');
+
+    const escalated = await apiKeyService.issueKey('default', { scopes: ['classes:admin'] }, {
+      callerScopes: ['keys:admin', 'cards:read']
+    });
+    expect(escalated.error).toBe('Scope not allowed');
+
+    const subset = await apiKeyService.issueKey('default', { scopes: ['cards:read'] }, {
+      callerScopes: ['keys:admin', 'cards:read']
+    });
+    expect(subset.success).toBe(true);
+
+    // Nor rotate or revoke a key more powerful than the caller
+    const callerScopes = ['keys:admin', 'cards:read'];
+    const admin = await apiKeyService.issueKey('default', { scopes: ['*'] });
+    expect((await apiKeyService.rotateKey(admin.key.id, {}, null, { callerScopes })).error).toBe('Scope not allowed');
+    expect((await apiKeyService.revokeKey(admin.key.id, null, { callerScopes })).error).toBe('Scope not allowed');
+    expect((await apiKeyService.verify(admin.apiKey, '127.0.0.1')).success).toBe(true);
+
+    expect((await apiKeyService.rotateKey(subset.key.id, {}, null, { callerScopes })).success).toBe(true);
+  });
+
+  test('should let a caller grant the read scopes its own scopes imply', async () => {
+    const callerScopes = ['keys:admin', 'points:write'];
+
+    expect((await apiKeyService.issueKey('default', { scopes: ['points:read'] }, { callerScopes })).success).toBe(true);
+    expect((await apiKeyService.issueKey('default', { scopes: ['cards:read'] }, { callerScopes })).error).toBe('Scope not allowed');
+  });
+
+  test('should refuse keys with looser limits than the caller', async () => {
+    const callerLimits = {
+      ipAllowlist: ['10.0.0.0/16', '2001:db8::/32'],
+      expiresAt: new Date(Date.now() + 3600000).toISOString(),
+      rateLimit: 60
+    };
+    const within = {
+      ipAllowlist: ['10.0.4.0/24', '10.0.9.9', '2001:db8:1::/48'],
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+      rateLimit: 30
+    };
+
+    const issued = await apiKeyService.issueKey('default', within, { callerLimits });
+    expect(issued.success).toBe(true);
+
+    const looser = [
+      [{ ...within, ipAllowlist: null }, 'ipAllowlist'],
+      [{ ...within, ipAllowlist: ['10.0.0.0/8'] }, 'ipAllowlist'],
+      [{ ...within, ipAllowlist: ['10.1.0.1'] }, 'ipAllowlist'],
+      [{ ...within, expiresAt: null }, 'expiresAt'],
+      [{ ...within, expiresAt: new Date(Date.now() + 7200000).toISOString() }, 'expiresAt'],
+      [{ ...within, rateLimit: null }, 'rateLimit'],
+      [{ ...within, rateLimit: 120 }, 'rateLimit']
+    ];
+    for (const [settings, limit] of looser) {
+      const refused = await apiKeyService.issueKey('default', settings, { callerLimits });
+      expect(refused.error).toBe('Limit not allowed');
+      expect(refused.message).toContain(limit);
+    }
+
+    // Nor hand out a fresh secret for a looser key by rotating it
+    const unrestricted = await apiKeyService.issueKey('default', { scopes: ['cards:read'] });
+    expect((await apiKeyService.rotateKey(unrestricted.key.id, {}, null, { callerLimits })).error).toBe('Limit not allowed');
+    expect((await apiKeyService.rotateKey(issued.key.id, {}, null, { callerLimits })).success).toBe(true);
+  });
+
+  test('should refuse expired keys', async () => {
+    expect((await apiKeyService.issueKey('default', { expiresAt: '2000-01-01T00:00:00Z' })).success).toBe(false);
+
+    const issued = await apiKeyService.issueKey('default', { expiresAt: new Date(Date.now() + 60000).toISOString() });
+    expect((await apiKeyService.verify(issued.apiKey)).success).toBe(true);
+
+    await dbService.retireTenantApiKey(issued.key.id, { replacedBy: null, expiresAt: new Date(Date.now() - 1000).toISOString() });
+    expect((await apiKeyService.verify(issued.apiKey)).error).toBe('API key expired');
+  });
+
+  test('should enforce IP allowlists for IPv4, mapped IPv4 and IPv6', async () => {
+    expect((await apiKeyService.issueKey('default', { ipAllowlist: ['10.0.0.0/33'] })).success).toBe(false);
+
+    const issued = await apiKeyService.issueKey('default', { ipAllowlist: ['10.0.0.0/8', '203.0.113.7', '2001:db8::/32'] });
+
+    expect((await apiKeyService.verify(issued.apiKey, '10.1.2.3')).success).toBe(true);
+    expect((await apiKeyService.verify(issued.apiKey, '::ffff:203.0.113.7')).success).toBe(true);
+    expect((await apiKeyService.verify(issued.apiKey, '2001:db8::1')).success).toBe(true);
+    expect((await apiKeyService.verify(issued.apiKey, '192.168.1.1')).error).toBe('IP address not allowed');
+    expect((await apiKeyService.verify(issued.apiKey, undefined)).error).toBe('IP address not allowed');
+  });
+
+  test('should rate limit each key separately', async () => {
+    const limited = await apiKeyService.issueKey('default', { rateLimit: 2 });
+    const other = await apiKeyService.issueKey('default', { rateLimit: 2 });
+    const { key } = await apiKeyService.verify(limited.apiKey);
+    const { key: otherKey } = await apiKeyService.verify(other.apiKey);
+
+    expect(apiKeyService.consume(key)).toBe(0);
+    expect(apiKeyService.consume(key)).toBe(0);
+    expect(apiKeyService.consume(key)).toBeGreaterThan(0);
+    expect(apiKeyService.consume(otherKey)).toBe(0);
+
+    const unlimited = await apiKeyService.issueKey('default', {});
+    const { key: unlimitedKey } = await apiKeyService.verify(unlimited.apiKey);
+    expect(apiKeyService.consume(unlimitedKey)).toBe(0);
+  });
+
+  test('should rotate keys, with or without a grace period', async () => {
+    const issued = await apiKeyService.issueKey('green-leaf', { label: 'pos', scopes: ['points:write'], rateLimit: 60 });
+
+    const rotated = await apiKeyService.rotateKey(issued.key.id);
+    expect(rotated.success).toBe(true);
+    expect(rotated.apiKey).not.toBe(issued.apiKey);
+    expect(rotated.key).toMatchObject({ tenantId: 'green-leaf', label: 'pos', scopes: ['points:write'], rateLimit: 60 });
+    expect(rotated.previousKey).toMatchObject({ replacedBy: rotated.key.id });
+    expect(rotated.previousKey.revokedAt).not.toBeNull();
+    expect((await apiKeyService.verify(issued.apiKey)).success).toBe(false);
+    expect((await apiKeyService.rotateKey(issued.key.id)).error).toBe('API key not found');
+
+    const graced = await apiKeyService.rotateKey(rotated.key.id, { graceSeconds: 300 });
+    expect(graced.previousKey.revokedAt).toBeNull();
+    expect(new Date(graced.previousKey.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect((await apiKeyService.verify(rotated.apiKey)).success).toBe(true);
+    expect((await apiKeyService.verify(graced.apiKey)).success).toBe(true);
+  });
+
+  test('should verify signed requests and refuse replays', async () => {
+    const issued = await apiKeyService.issueKey('default', { scopes: ['points:write'], signing: true });
+    expect(issued.signingSecret).toMatch(/^tks_/);
+    expect(issued.key).toMatchObject({ signed: true, requireSignature: false });
+    expect(JSON.stringify(await dbService.listTenantApiKeys())).not.toContain(issued.signingSecret);
+
+    const request = signedRequest(issued.key.id, issued.signingSecret);
+    const verified = await apiKeyService.verifySignature(request, '127.0.0.1');
+    expect(verified.success).toBe(true);
+    expect(verified.key.scopes).toEqual(['points:write']);
+
+    expect((await apiKeyService.verifySignature(request)).error).toBe('Nonce already used');
+    // The bearer key still works unless signatures are required
+    expect((await apiKeyService.verify(issued.apiKey)).success).toBe(true);
+  });
+
+  test('should refuse tampered, stale and unsigned requests', async () => {
+    const issued = await apiKeyService.issueKey('default', { requireSignature: true });
+    const { id } = issued.key;
+
+    const tampered = { ...signedRequest(id, issued.signingSecret), body: '{"amount":1000}' };
+    expect((await apiKeyService.verifySignature(tampered)).error).toBe('Invalid signature');
+
+    const otherPath = { ...signedRequest(id, issued.signingSecret), path: '/users/user-2/points/earn' };
+    expect((await apiKeyService.verifySignature(otherPath)).error).toBe('Invalid signature');
+
+    const wrongSecret = signedRequest(id, 'tks_not-the-secret');
+    expect((await apiKeyService.verifySignature(wrongSecret)).error).toBe('Invalid signature');
+
+    const stale = signedRequest(id, issued.signingSecret, { timestamp: String(Math.floor(Date.now() / 1000) - 600) });
+    expect((await apiKeyService.verifySignature(stale)).error).toBe('Request timestamp outside the allowed window');
+
+    // A refused signature does not use up the nonce
+    const retried = signedRequest(id, issued.signingSecret, { nonce: tampered.nonce });
+    expect((await apiKeyService.verifySignature(retried)).success).toBe(true);
+
+    expect((await apiKeyService.verify(issued.apiKey)).error).toBe('Signature required');
+
+    const unsigned = await apiKeyService.issueKey('default', {});
+    expect((await apiKeyService.verifySignature(signedRequest(unsigned.key.id, 'tks_x'))).error).toBe('Invalid API key');
+  });
+
+  test('should keep signing settings when rotating', async () => {
+    const issued = await apiKeyService.issueKey('default', { requireSignature: true });
+    const rotated = await apiKeyService.rotateKey(issued.key.id);
+
+    expect(rotated.signingSecret).toMatch(/^tks_/);
+    expect(rotated.signingSecret).not.toBe(issued.signingSecret);
+    expect(rotated.key).toMatchObject({ signed: true, requireSignature: true });
+    expect((await apiKeyService.verifySignature(signedRequest(rotated.key.id, rotated.signingSecret))).success).toBe(true);
+    expect((await apiKeyService.verifySignature(signedRequest(issued.key.id, issued.signingSecret))).error).toBe('Invalid API key');
+  });
+
+  test('should keep tenants to their own keys', async () => {
+    const issued = await apiKeyService.issueKey('green-leaf', {});
+
+    expect((await apiKeyService.getKey(issued.key.id, 'other-tenant')).error).toBe('API key not found');
+    expect((await apiKeyService.revokeKey(issued.key.id, 'other-tenant')).error).toBe('API key not found');
+    expect((await apiKeyService.listKeys('other-tenant')).count).toBe(0);
+
+    expect((await apiKeyService.getKey(issued.key.id, 'green-leaf')).success).toBe(true);
+    expect((await apiKeyService.revokeKey(issued.key.id)).success).toBe(true);
+    expect((await apiKeyService.revokeKey(issued.key.id)).error).toBe('API key not found');
+  });
+});
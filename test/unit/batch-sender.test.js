@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for the Batch Sender
+ * Google Wallet calls are mocked; jobs and checkpoints run on the memory driver
+ */
+
+jest.mock('../../src/services/loyalty-object', () => ({
+  addMessage: jest.fn()
+}));
+
+const loyaltyObjectService = require('../../src/services/loyalty-object');
+const notificationService = require('../../src/services/notification-service');
+const batchSender = require('../../src/services/batch-sender');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+const TokenBucket = require('../../src/utils/token-bucket');
+const { generateTestUserId } = require('../helpers/test-utils');
+
+const createCards = async (count) => {
+  const userIds = [];
+  for (let i = 0; i < count; i++) {
+    const userId = generateTestUserId();
+    await dbService.saveCard({ userId, objectId: `issuer.obj-${userId}`, points: 100 });
+    userIds.push(userId);
+  }
+  return userIds;
+};
+
+describe('Batch Sender', () => {
+  const originalBucket = notificationService.walletBucket;
+  const originalConcurrency = notificationService.batchConcurrency;
+
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    loyaltyObjectService.addMessage.mockReset();
+    loyaltyObjectService.addMessage.mockResolvedValue({ success: true, messageId: 'msg_1' });
+    notificationService.walletBucket = new TokenBucket({ ratePerSecond: 0 });
+  });
+
+  afterEach(async () => {
+    notificationService.walletBucket = originalBucket;
+    notificationService.batchConcurrency = originalConcurrency;
+    await dbService.close();
+  });
+
+  test('should send every recipient and report progress', async () => {
+    const userIds = await createCards(3);
+
+    const created = await batchSender.createJob({
+      userIds: [...userIds, 'no-card-user', userIds[0]],
+      type: 'CUSTOM',
+      data: { body: 'Hello' }
+    }, { actor: 'key-1' });
+
+    expect(created).toMatchObject({ success: true, status: 'queued', total: 4 });
+    await batchSender.processJob(created.jobId);
+
+    const { job } = await batchSender.getJob(created.jobId);
+    expect(job).toMatchObject({
+      status: 'completed',
+      total: 4,
+      processed: 4,
+      pending: 0,
+      successful: 3,
+      failed: 1,
+      percentComplete: 100,
+      failures: [{ userId: 'no-card-user', error: 'User not found' }],
+      actor: 'key-1'
+    });
+  });
+
+  test('should keep at most batchConcurrency sends in flight', async () => {
+    notificationService.batchConcurrency = 2;
+    const userIds = await createCards(6);
+
+    let inFlight = 0;
+    let maxInFlight = 0;
+    loyaltyObjectService.addMessage.mockImplementation(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return { success: true };
+    });
+
+    const created = await batchSender.createJob({ userIds, type: 'CUSTOM', data: { body: 'Hi' } });
+    await batchSender.processJob(created.jobId);
+
+    expect(loyaltyObjectService.addMessage).toHaveBeenCalledTimes(6);
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('should pace sends with the Wallet token bucket', async () => {
+    const userIds = await createCards(4);
+    notificationService.walletBucket = new TokenBucket({ ratePerSecond: 50, capacity: 1 });
+
+    const start = Date.now();
+    await notificationService.sendBatchNotification(userIds, 'CUSTOM', { body: 'Hi' });
+
+    // One token up front, then one every 20ms
+    expect(Date.now() - start).toBeGreaterThanOrEqual(50);
+  });
+
+  test('should resume an interrupted job with only the unfinished recipients', async () => {
+    const userIds = await createCards(4);
+    const job = await dbService.createBatchJob({ type: 'CUSTOM', data: { body: 'Resumed' }, userIds });
+
+    // A previous process sent the first two before stopping
+    await dbService.startBatchJob(job.id);
+    const [first, second] = await dbService.getPendingBatchRecipients(job.id);
+    await dbService.checkpointBatchRecipient(first.id, { status: 'sent' });
+    await dbService.checkpointBatchRecipient(second.id, { status: 'sent' });
+
+    await Promise.all(await batchSender.resumeJobs());
+
+    const sentTo = loyaltyObjectService.addMessage.mock.calls.map(([objectId]) => objectId);
+    expect(sentTo.sort()).toEqual([`issuer.obj-${userIds[2]}`, `issuer.obj-${userIds[3]}`].sort());
+
+    const progress = await batchSender.getJob(job.id);
+    expect(progress.job).toMatchObject({ status: 'completed', successful: 4, pending: 0 });
+  });
+
+  test('should return an error for unknown jobs', async () => {
+    expect((await batchSender.getJob(999)).error).toBe('Job not found');
+  });
+});
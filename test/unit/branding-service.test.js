@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for Branding Service
+ * Profiles and class assignments run on the memory driver
+ */
+
+const brandingService = require('../../src/services/branding-service');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+
+const classId = '3388000000012345678.green_leaf';
+
+const greenLeaf = {
+  name: 'green-leaf',
+  issuerName: 'Green Leaf Dispensary',
+  programLogoUrl: 'https://example.com/green-leaf.png',
+  hexBackgroundColor: '#2E7D32',
+  accountNameLabel: 'Member',
+  links: [{ url: 'https://greenleaf.example.com', label: 'Shop' }],
+  locations: [{ latitude: 45.5152, longitude: -122.6784 }]
+};
+
+describe('Branding Service', () => {
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+  });
+
+  test('should create, list, update and delete profiles', async () => {
+    const created = await brandingService.createProfile({ ...greenLeaf, unknownField: 'ignored' }, { actor: 'key-1' });
+    expect(created.success).toBe(true);
+    expect(created.profile).toMatchObject({ name: 'green-leaf', issuerName: 'Green Leaf Dispensary', createdBy: 'key-1' });
+    expect(created.profile).not.toHaveProperty('unknownField');
+
+    const duplicate = await brandingService.createProfile(greenLeaf);
+    expect(duplicate.error).toBe('Profile already exists');
+
+    const updated = await brandingService.updateProfile('green-leaf', { issuerName: 'Green Leaf' });
+    expect(updated.profile.issuerName).toBe('Green Leaf');
+    // PUT replaces the whole profile
+    expect(updated.profile).not.toHaveProperty('links');
+
+    expect((await brandingService.listProfiles()).count).toBe(1);
+    expect((await brandingService.deleteProfile('green-leaf')).success).toBe(true);
+    expect((await brandingService.getProfile('green-leaf')).error).toBe('Profile not found');
+  });
+
+  test('should fill class fields from the profile and let the request override them', async () => {
+    await brandingService.createProfile(greenLeaf);
+
+    const result = await brandingService.applyToClass('green-leaf', {
+      classId,
+      programName: 'Green Rewards',
+      hexBackgroundColor: '#000000',
+      heroImageUrl: undefined
+    });
+
+    expect(result.options).toEqual({
+      classId,
+      programName: 'Green Rewards',
+      issuerName: 'Green Leaf Dispensary',
+      programLogoUrl: 'https://example.com/green-leaf.png',
+      hexBackgroundColor: '#000000',
+      accountNameLabel: 'Member',
+      merchantLocations: greenLeaf.locations
+    });
+
+    expect((await brandingService.applyToClass('missing', {})).error).toBe('Profile not found');
+  });
+
+  test('should give cards the links and locations of their class profile', async () => {
+    await brandingService.createProfile(greenLeaf);
+
+    expect((await brandingService.applyToCard(classId)).options).toEqual({});
+
+    await brandingService.assignClass(classId, 'green-leaf');
+    const result = await brandingService.applyToCard(classId);
+    expect(result).toMatchObject({
+      profileName: 'green-leaf',
+      options: { links: greenLeaf.links, locations: greenLeaf.locations }
+    });
+
+    const overridden = await brandingService.applyToCard(classId, null, { links: [{ url: 'https://example.com', label: 'Mine' }] });
+    expect(overridden.options.links).toEqual([{ url: 'https://example.com', label: 'Mine' }]);
+  });
+
+  test('should not delete a profile that classes use', async () => {
+    await brandingService.createProfile(greenLeaf);
+    await brandingService.assignClass(classId, 'green-leaf');
+
+    const result = await brandingService.deleteProfile('green-leaf');
+    expect(result).toMatchObject({ success: false, error: 'Profile in use', classIds: [classId] });
+    expect((await brandingService.getProfile('green-leaf')).classIds).toEqual([classId]);
+  });
+});
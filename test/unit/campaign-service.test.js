@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for Campaign Service
+ * Google Wallet calls are mocked; campaigns and the notification log run on the memory driver
+ */
+
+jest.mock('../../src/services/loyalty-object', () => ({
+  addMessage: jest.fn()
+}));
+
+const loyaltyObjectService = require('../../src/services/loyalty-object');
+const campaignService = require('../../src/services/campaign-service');
+const tierEngine = require('../../src/services/tier-engine');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+const { generateTestUserId } = require('../helpers/test-utils');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const createCard = async (tier) => {
+  const userId = generateTestUserId();
+  await dbService.saveCard({ userId, objectId: `issuer.obj-${userId}`, points: 100, tier });
+  return userId;
+};
+
+describe('Campaign Service', () => {
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    loyaltyObjectService.addMessage.mockReset();
+    loyaltyObjectService.addMessage.mockResolvedValue({ success: true, messageId: 'msg_1' });
+  });
+
+  afterEach(async () => {
+    campaignService.stop();
+    await dbService.close();
+  });
+
+  test('should send a one-off campaign to a tier when it is due', async () => {
+    const gold = [await createCard('Gold'), await createCard('Gold')];
+    await createCard('Bronze');
+    const runAt = new Date(Date.now() + HOUR_MS);
+
+    const created = await campaignService.createCampaign({
+      name: '4/20 double points',
+      type: 'CUSTOM',
+      data: { header: '4/20', body: 'Double points today' },
+      target: { tiers: ['Gold'] },
+      runAt: runAt.toISOString()
+    }, { actor: 'key-1' });
+
+    expect(created.success).toBe(true);
+    expect(created.campaign).toMatchObject({ status: 'scheduled', nextRunAt: runAt.toISOString(), target: { tiers: ['Gold'] } });
+
+    // Not due yet
+    expect((await campaignService.runDueCampaigns(new Date())).runs).toHaveLength(0);
+
+    const result = await campaignService.runDueCampaigns(new Date(runAt.getTime() + 1000));
+    expect(result.runs).toHaveLength(1);
+    expect(result.runs[0]).toMatchObject({ status: 'completed', targeted: 2, successful: 2, failed: 0 });
+
+    const log = await dbService.getNotifications(null);
+    expect(log.map(entry => entry.user_id).sort()).toEqual(gold.sort());
+    expect(log.every(entry => entry.actor === 'key-1')).toBe(true);
+
+    const details = await campaignService.getCampaign(created.campaign.id);
+    expect(details.campaign).toMatchObject({ status: 'completed', runCount: 1, nextRunAt: null });
+    expect(details.runs).toHaveLength(1);
+
+    // Runs once only
+    expect((await campaignService.runDueCampaigns(new Date(runAt.getTime() + HOUR_MS))).runs).toHaveLength(0);
+  });
+
+  test('should reschedule recurring campaigns after each run', async () => {
+    const userId = await createCard('Bronze');
+
+    const created = await campaignService.createCampaign({
+      name: 'Weekly reminder',
+      type: 'CUSTOM',
+      data: { body: 'Check your rewards' },
+      target: { userIds: [userId] },
+      cron: '0 10 * * 1'
+    });
+    const firstRun = new Date(created.campaign.nextRunAt);
+    expect(firstRun.getUTCDay()).toBe(1);
+    expect(firstRun.getUTCHours()).toBe(10);
+
+    await campaignService.runDueCampaigns(firstRun);
+
+    const { campaign } = await campaignService.getCampaign(created.campaign.id);
+    expect(campaign.status).toBe('scheduled');
+    expect(campaign.runCount).toBe(1);
+    expect(new Date(campaign.nextRunAt).getTime() - firstRun.getTime()).toBe(7 * 24 * HOUR_MS);
+  });
+
+  test('should report failed and downgraded deliveries', async () => {
+    const userId = await createCard('Bronze');
+    const objectId = `issuer.obj-${userId}`;
+    for (let i = 0; i < 3; i++) {
+      await dbService.reserveNotificationQuota({ objectId, userId, windowStart: new Date(0).toISOString(), limit: 3 });
+    }
+
+    const created = await campaignService.createCampaign({
+      name: 'Mixed',
+      type: 'WELCOME',
+      target: { userIds: [userId, 'no-card-user'] },
+      runAt: new Date().toISOString()
+    });
+
+    const { runs } = await campaignService.runDueCampaigns(new Date(Date.now() + 1000));
+    expect(runs[0]).toMatchObject({
+      campaignId: created.campaign.id,
+      targeted: 2,
+      successful: 1,
+      failed: 1,
+      downgraded: 1,
+      failures: [{ userId: 'no-card-user', error: 'User not found' }]
+    });
+  });
+
+  test('should cancel scheduled campaigns only', async () => {
+    const userId = await createCard('Bronze');
+    const created = await campaignService.createCampaign({
+      name: 'Cancel me',
+      type: 'CUSTOM',
+      data: { body: 'Hi' },
+      target: { userIds: [userId] },
+      runAt: new Date(Date.now() + HOUR_MS).toISOString()
+    });
+
+    const cancelled = await campaignService.cancelCampaign(created.campaign.id);
+    expect(cancelled.campaign.status).toBe('cancelled');
+
+    expect((await campaignService.runDueCampaigns(new Date(Date.now() + 2 * HOUR_MS))).runs).toHaveLength(0);
+    expect((await campaignService.cancelCampaign(created.campaign.id)).error).toBe('Campaign cannot be cancelled');
+    expect((await campaignService.cancelCampaign(999)).error).toBe('Campaign not found');
+  });
+
+  test('should mark runs left over from a stopped process as interrupted', async () => {
+    const userId = await createCard('Bronze');
+    const created = await campaignService.createCampaign({
+      name: 'Interrupted',
+      type: 'CUSTOM',
+      target: { userIds: [userId] },
+      runAt: new Date().toISOString()
+    });
+    await dbService.claimCampaignRun(created.campaign.id, { scheduledFor: created.campaign.nextRunAt });
+
+    expect(await campaignService.start(60000)).toBe(true);
+
+    const details = await campaignService.getCampaign(created.campaign.id);
+    expect(details.campaign.status).toBe('failed');
+    expect(details.runs[0].status).toBe('interrupted');
+    expect(loyaltyObjectService.addMessage).not.toHaveBeenCalled();
+  });
+
+  test('should validate the schedule and target', async () => {
+    const base = { name: 'Bad', type: 'CUSTOM', target: { tiers: ['Gold'] } };
+
+    expect((await campaignService.createCampaign(base)).error).toBe('Provide either runAt or cron');
+    expect((await campaignService.createCampaign({ ...base, cron: '0 0 31 2 *' })).error).toBe('Cron expression never matches a date');
+    expect((await campaignService.createCampaign({ ...base, cron: '0 10 * * 1', target: { tiers: ['Platinum'] } })).error).toBe('Unknown tier: Platinum');
+    expect((await campaignService.createCampaign({ ...base, cron: '0 10 * * 1', target: {} })).error).toBe('Target must list tiers or userIds');
+    expect((await campaignService.createCampaign({ ...base, runAt: new Date(Date.now() - HOUR_MS).toISOString() })).error).toBe('runAt must not be in the past');
+
+    expect((await campaignService.listCampaigns()).pagination.total).toBe(0);
+  });
+
+  test('should accept tiers that only a class defines', async () => {
+    tierEngine.configure({
+      tiers: [{ name: 'Bronze', threshold: 0 }, { name: 'Gold', threshold: 2000 }],
+      classes: { '3388000000012345678.vip_class': { tiers: [{ name: 'VIP', threshold: 0 }] } }
+    });
+
+    try {
+      const vip = await campaignService.createCampaign({ name: 'VIP night', type: 'CUSTOM', target: { tiers: ['VIP', 'Gold'] }, cron: '0 10 * * 1' });
+      expect(vip.success).toBe(true);
+      expect((await campaignService.createCampaign({ name: 'Nobody', type: 'CUSTOM', target: { tiers: ['Platinum'] }, cron: '0 10 * * 1' })).error).toBe('Unknown tier: Platinum');
+    } finally {
+      tierEngine.loadConfig();
+    }
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for Card Import Service
+ * Wallet calls go to the emulator; cards and the ledger are stored on the
+ * memory driver
+ */
+
+process.env.WALLET_BACKEND = 'emulator';
+
+jest.mock('../../src/auth/google-wallet-auth', () => ({
+  getClient: jest.fn(),
+  isEmulated: () => true
+}));
+
+const googleWalletAuth = require('../../src/auth/google-wallet-auth');
+const walletEmulator = require('../../src/emulator/wallet-emulator');
+const cardImportService = require('../../src/services/card-import-service');
+const loyaltyClassService = require('../../src/services/loyalty-class');
+const loyaltyObjectService = require('../../src/services/loyalty-object');
+const tenantService = require('../../src/services/tenant-service');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+
+const classId = '3388000000012345678.import_class';
+
+describe('Card Import Service', () => {
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    walletEmulator.reset({ rateLimitPerMinute: 0 });
+    googleWalletAuth.getClient.mockResolvedValue(walletEmulator.getClient());
+
+    await walletEmulator.getClient().loyaltyclass.insert({
+      requestBody: loyaltyClassService.buildClassDefinition({ classId, programName: 'Import Rewards' })
+    });
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+  });
+
+  test('should parse CSV with quoted fields and column aliases', () => {
+    const csv = '﻿user_id,Member Name,Balance,notes\r\n' +
+      'user-1,"Doe, Jane",150,ignored\r\n' +
+      '\r\n' +
+      'user-2,"Sam ""The Man""\nSmith",,\n';
+
+    expect(cardImportService.parse(csv, 'csv')).toEqual([
+      { line: 2, record: { userId: 'user-1', memberName: 'Doe, Jane', points: '150' } },
+      { line: 4, record: { userId: 'user-2', memberName: 'Sam "The Man"\nSmith' } }
+    ]);
+
+    expect(() => cardImportService.parse('userId,points\nuser-1,5', 'csv')).toThrow('must include memberName');
+    expect(() => cardImportService.parse('userId,memberName\n"user-1,x', 'csv')).toThrow('unterminated');
+  });
+
+  test('should parse NDJSON line by line', () => {
+    const rows = cardImportService.parse('{"userId":"user-1","name":"Jane","points":5}\n\nnot json\n[1]\n', 'ndjson');
+
+    expect(rows).toEqual([
+      { line: 1, record: { userId: 'user-1', memberName: 'Jane', points: 5 } },
+      { line: 3, record: null, error: 'Invalid JSON' },
+      { line: 4, record: null, error: 'Each member must be an object' }
+    ]);
+    expect(cardImportService.detectFormat('members.jsonl')).toBe('ndjson');
+    expect(cardImportService.detectFormat('upload', 'text/csv')).toBe('csv');
+    expect(cardImportService.detectFormat('members.txt')).toBeNull();
+  });
+
+  test('should validate rows in a dry run without writing anything', async () => {
+    await dbService.saveCard({ userId: 'existing', objectId: `${classId.split('.')[0]}.member-existing`, classId, points: 10 });
+
+    const ndjson = [
+      { userId: 'new-member', memberName: 'New', points: 100 },
+      { userId: 'existing', memberName: 'Existing', tier: 'gold' },
+      { userId: 'new-member', memberName: 'Again' },
+      { userId: 'bad', memberName: 'Bad', points: 1.5, tier: 'Platinum' },
+      { userId: 'foreign', memberName: 'Foreign', classId: 'not-a-class' }
+    ].map(row => JSON.stringify(row)).join('\n');
+
+    const result = await cardImportService.importCards(ndjson, { format: 'ndjson', classId, dryRun: true });
+
+    expect(result.success).toBe(true);
+    expect(result.summary).toEqual({ total: 5, valid: 2, invalid: 3 });
+    expect(result.results[0]).toMatchObject({ line: 1, status: 'valid', action: 'create', objectId: loyaltyObjectService.generateObjectId('new-member', classId) });
+    expect(result.results[1]).toMatchObject({ status: 'valid', action: 'update' });
+    expect(result.results[2].errors).toEqual(['Duplicate userId (first on line 1)']);
+    expect(result.results[3].errors).toEqual(['points must be a non-negative integer', expect.stringContaining('tier must be one of')]);
+    expect(result.results[4].errors).toEqual(['classId must look like <issuerId>.<classSuffix>']);
+
+    expect(await dbService.getCard('new-member')).toBeNull();
+    expect(walletEmulator.objects.has(loyaltyObjectService.generateObjectId('new-member', classId))).toBe(false);
+  });
+
+  test('should create cards with a stored record, ledger entry and save URL', async () => {
+    const result = await cardImportService.importCards('userId,memberName,points\nuser-1,Jane,2600\nuser-2,Sam,0\n', { format: 'csv', classId });
+
+    expect(result.summary).toEqual({ total: 2, created: 2 });
+    expect(result.results[0]).toMatchObject({ userId: 'user-1', status: 'created', points: 2600, tier: 'Gold' });
+    expect(result.results[0].saveUrl).toMatch(/^https:\/\/pay\.google\.com\/gp\/v\/save\//);
+
+    const card = await dbService.getCard('user-1');
+    expect(card).toMatchObject({ object_id: result.results[0].objectId, class_id: classId, member_name: 'Jane', points: 2600, tier: 'Gold' });
+    expect(await dbService.getTransactionHistory('user-1')).toEqual([expect.objectContaining({ transaction_type: 'initial', points: 2600 })]);
+    expect(await dbService.getTransactionHistory('user-2')).toEqual([]);
+  });
+
+  test('should update existing members in place', async () => {
+    await cardImportService.importCards('userId,memberName,points\nuser-1,Jane,100\n', { format: 'csv', classId });
+
+    // A Wallet object from before cards were stored
+    await loyaltyObjectService.createObject('wallet-only', { classId, points: 5, memberName: 'Old Name' });
+
+    const result = await cardImportService.importCards(
+      JSON.stringify([{ userId: 'user-1', memberName: 'Jane Doe', points: 700 }, { userId: 'wallet-only', memberName: 'New Name', points: 50 }]),
+      { format: 'json', classId }
+    );
+
+    expect(result.summary).toEqual({ total: 2, updated: 2 });
+
+    // Tiers qualify on earned points (config/tiers.json); an import adjustment is not earned
+    const object = walletEmulator.objects.get(result.results[0].objectId);
+    expect(object).toMatchObject({ accountName: 'Jane Doe', loyaltyPoints: { balance: { string: '700' } }, rewardsTier: 'Bronze' });
+    expect(object.notifyPreference).toBeUndefined();
+
+    expect(await dbService.getCard('user-1')).toMatchObject({ member_name: 'Jane Doe', points: 700 });
+    const [adjustment] = await dbService.getTransactionHistory('user-1');
+    expect(adjustment).toMatchObject({ transaction_type: 'adjust', points: 600, balance_before: 100, balance_after: 700 });
+
+    expect(await dbService.getCard('wallet-only')).toMatchObject({ member_name: 'New Name', points: 50 });
+    expect(walletEmulator.objects.get(result.results[1].objectId).accountName).toBe('New Name');
+  });
+
+  test('should leave the card untouched when its ledger entry cannot be written', async () => {
+    await cardImportService.importCards('userId,memberName,points\nuser-1,Jane,100\n', { format: 'csv', classId });
+
+    const createTransaction = jest.spyOn(dbService, 'createTransaction').mockRejectedValueOnce(new Error('disk full'));
+    try {
+      const result = await cardImportService.importCards('userId,memberName,points\nuser-1,Jane Doe,700\n', { format: 'csv', classId });
+      expect(result.results[0]).toMatchObject({ status: 'failed', error: 'disk full' });
+    } finally {
+      createTransaction.mockRestore();
+    }
+
+    expect(await dbService.getCard('user-1')).toMatchObject({ member_name: 'Jane', points: 100, wallet_sync_pending: 1 });
+    expect(await dbService.getTransactionHistory('user-1')).toHaveLength(1);
+  });
+
+  test('should refuse members whose card is under another issuer', async () => {
+    const tenant = { id: 'green-leaf', issuerId: '3388000000099999999', isDefault: false };
+    const tenantClassId = '3388000000099999999.green_leaf_rewards';
+
+    await tenantService.run(tenant, async () => {
+      // A card stored for the tenant against another issuer's object
+      await dbService.saveCard({ userId: 'user-1', objectId: `${classId.split('.')[0]}.member-user-1`, classId, points: 10 });
+
+      for (const dryRun of [true, false]) {
+        const result = await cardImportService.importCards('userId,memberName,points\nuser-1,Jane,500\n', { format: 'csv', classId: tenantClassId, dryRun });
+        expect(result.results[0]).toMatchObject({ status: 'invalid', errors: ['userId has a card under another issuer'] });
+      }
+      expect(await dbService.getCard('user-1')).toMatchObject({ points: 10 });
+    });
+  });
+
+  test('should refuse unusable files and too many rows', async () => {
+    expect((await cardImportService.importCards('', { format: 'csv' })).error).toBe('The file has no members');
+    expect((await cardImportService.importCards('{}', { format: 'json' })).error).toContain('array');
+
+    const tooMany = await cardImportService.importCards('userId,memberName\na,A\nb,B\n', { format: 'csv', maxRows: 1 });
+    expect(tooMany.error).toContain('at most 1');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for the cron expression helper
+ */
+
+const { parseCron, isValidCron, getNextRun } = require('../../src/utils/cron');
+
+describe('Cron', () => {
+  test('should find the next weekly run', () => {
+    // Mondays at 10:00 UTC; 2026-04-20 is a Monday
+    expect(getNextRun('0 10 * * 1', new Date('2026-04-20T09:59:30Z')).toISOString()).toBe('2026-04-20T10:00:00.000Z');
+    expect(getNextRun('0 10 * * 1', new Date('2026-04-20T10:00:00Z')).toISOString()).toBe('2026-04-27T10:00:00.000Z');
+  });
+
+  test('should support steps, ranges and lists', () => {
+    expect(getNextRun('*/15 * * * *', new Date('2026-04-20T10:07:00Z')).toISOString()).toBe('2026-04-20T10:15:00.000Z');
+    expect(getNextRun('30 9-17/4 * * *', new Date('2026-04-20T10:00:00Z')).toISOString()).toBe('2026-04-20T13:30:00.000Z');
+    expect(getNextRun('0 0 1,15 * *', new Date('2026-04-02T00:00:00Z')).toISOString()).toBe('2026-04-15T00:00:00.000Z');
+  });
+
+  test('should cross month and year boundaries', () => {
+    expect(getNextRun('20 16 20 4 *', new Date('2026-04-21T00:00:00Z')).toISOString()).toBe('2027-04-20T16:20:00.000Z');
+    expect(getNextRun('0 0 31 * *', new Date('2026-04-01T00:00:00Z')).toISOString()).toBe('2026-05-31T00:00:00.000Z');
+  });
+
+  test('should accept either day field when both are restricted', () => {
+    // The 1st of the month or any Sunday
+    expect(getNextRun('0 12 1 * 0', new Date('2026-04-02T00:00:00Z')).toISOString()).toBe('2026-04-05T12:00:00.000Z');
+    expect(getNextRun('0 12 1 * 7', new Date('2026-04-02T00:00:00Z')).toISOString()).toBe('2026-04-05T12:00:00.000Z');
+  });
+
+  test('should require both day fields when one is a */N step', () => {
+    // Odd days that are Mondays: not the 3rd (a Friday) or the 6th (even)
+    expect(getNextRun('0 12 */2 * 1', new Date('2026-04-02T00:00:00Z')).toISOString()).toBe('2026-04-13T12:00:00.000Z');
+    // The 1st of the month, when it is a Sunday, Tuesday, Thursday or Saturday
+    expect(getNextRun('0 12 1 * */2', new Date('2026-04-02T00:00:00Z')).toISOString()).toBe('2026-08-01T12:00:00.000Z');
+  });
+
+  test('should return null for dates that never occur', () => {
+    expect(getNextRun('0 0 31 2 *', new Date('2026-01-01T00:00:00Z'))).toBeNull();
+  });
+
+  test('should reject invalid expressions', () => {
+    expect(isValidCron('0 10 * * 1')).toBe(true);
+    expect(isValidCron('0 10 * *')).toBe(false);
+    expect(isValidCron('60 10 * * 1')).toBe(false);
+    expect(isValidCron('0 10 * * MON')).toBe(false);
+    expect(isValidCron('5-1 * * * *')).toBe(false);
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid cron minute');
+  });
+});
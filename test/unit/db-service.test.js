@@ -0,0 +1,236 @@
+/**
+ * Unit Tests for Database Service
+ * Runs the same repository checks against both storage drivers
+ */
+
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+const SqliteDriver = require('../../src/database/drivers/sqlite-driver');
+const migrations = require('../../src/database/migrations');
+const tenantService = require('../../src/services/tenant-service');
+const { generateTestUserId } = require('../helpers/test-utils');
+
+const drivers = [
+  ['memory', () => new MemoryDriver()],
+  ['sqlite', () => new SqliteDriver({ filename: ':memory:' })]
+];
+
+describe.each(drivers)('Database Service (%s driver)', (name, createDriver) => {
+  beforeEach(async () => {
+    await dbService.initialize(createDriver());
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+  });
+
+  describe('cards', () => {
+    test('should save and retrieve a card', async () => {
+      const userId = generateTestUserId();
+      await dbService.saveCard({ userId, objectId: `issuer.obj-${userId}`, points: 100 });
+
+      const card = await dbService.getCard(userId);
+      expect(card.user_id).toBe(userId);
+      expect(card.points).toBe(100);
+      expect(card.tier).toBe('Bronze');
+
+      const byObject = await dbService.getCardByObjectId(`issuer.obj-${userId}`);
+      expect(byObject.user_id).toBe(userId);
+    });
+
+    test('should upsert an existing card', async () => {
+      const userId = generateTestUserId();
+      await dbService.saveCard({ userId, objectId: 'issuer.a', points: 10 });
+      await dbService.saveCard({ userId, objectId: 'issuer.a', points: 600, tier: 'Silver' });
+
+      const card = await dbService.getCard(userId);
+      expect(card.points).toBe(600);
+      expect(card.tier).toBe('Silver');
+    });
+
+    test('should keep members of different tenants apart', async () => {
+      const tenant = { id: 'green-leaf', issuerId: '3388000000099999999', isDefault: false };
+      await dbService.saveCard({ userId: 'member-1', objectId: 'issuer.default-1', points: 10 });
+      await dbService.createTransaction('member-1', 'add', 10, 'default', 0, 10);
+
+      await tenantService.run(tenant, async () => {
+        expect(await dbService.getCard('member-1')).toBeNull();
+        expect(await dbService.getTransactionHistory('member-1')).toEqual([]);
+
+        await dbService.saveCard({ userId: 'member-1', objectId: '3388000000099999999.green-1', points: 99 });
+        await dbService.createNotification({ userId: 'member-1', type: 'POINTS_EARNED' });
+        expect(await dbService.getCard('member-1')).toMatchObject({ tenant_id: 'green-leaf', points: 99 });
+        expect(await dbService.listCards()).toHaveLength(1);
+        expect(await dbService.countNotifications(null)).toBe(1);
+      });
+
+      expect(await dbService.getCard('member-1')).toMatchObject({ tenant_id: 'default', points: 10 });
+      expect(await dbService.getCardByObjectId('3388000000099999999.green-1')).toBeNull();
+      expect(await dbService.countNotifications('member-1')).toBe(0);
+    });
+
+    test('should return null for unknown user', async () => {
+      expect(await dbService.getCard('missing')).toBeNull();
+    });
+
+    test('should update points and tier', async () => {
+      const userId = generateTestUserId();
+      await dbService.saveCard({ userId, objectId: 'issuer.b' });
+
+      const card = await dbService.updateCardPoints(userId, 2500, 'Gold');
+      expect(card.points).toBe(2500);
+      expect(card.tier).toBe('Gold');
+    });
+  });
+
+  describe('transactions', () => {
+    test('should return history newest first with a limit', async () => {
+      const userId = generateTestUserId();
+      await dbService.createTransaction(userId, 'add', 10, 'first', 0, 10);
+      await dbService.createTransaction(userId, 'add', 20, 'second', 10, 30);
+      await dbService.createTransaction(userId, 'redeem', 5, 'third', 30, 25, 'friend');
+
+      const history = await dbService.getTransactionHistory(userId, 2);
+      expect(history).toHaveLength(2);
+      expect(history[0].reason).toBe('third');
+      expect(history[0].related_user_id).toBe('friend');
+      expect(history[1].reason).toBe('second');
+    });
+
+    test('should roll back a failed transaction', async () => {
+      const userId = generateTestUserId();
+      await dbService.saveCard({ userId, objectId: 'issuer.c', points: 50 });
+
+      await expect(dbService.transaction(async (db) => {
+        await db.updateCardPoints(userId, 0);
+        await db.createTransaction(userId, 'redeem', 50, 'doomed', 50, 0);
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect((await dbService.getCard(userId)).points).toBe(50);
+      expect(await dbService.getTransactionHistory(userId)).toHaveLength(0);
+    });
+
+    test('should hold driver calls from outside an open transaction until it settles', async () => {
+      const userId = generateTestUserId();
+      // Held by a repository method that started before the transaction
+      const driver = await dbService.getDriver();
+
+      let fail;
+      const open = dbService.transaction(async (db) => {
+        await db.createTransaction(userId, 'add', 5, 'doomed', 0, 5);
+        await new Promise((resolve, reject) => { fail = reject; });
+      });
+      await new Promise(resolve => setImmediate(resolve));
+
+      let written = false;
+      const outside = driver.insert('transactions', {
+        tenant_id: 'default',
+        user_id: userId,
+        transaction_type: 'add',
+        points: 7,
+        reason: 'outside',
+        balance_before: 0,
+        balance_after: 7,
+        created_at: new Date().toISOString()
+      }).then(() => { written = true; });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(written).toBe(false);
+
+      fail(new Error('boom'));
+      await expect(open).rejects.toThrow('boom');
+      await outside;
+
+      const history = await dbService.getTransactionHistory(userId);
+      expect(history.map(row => row.reason)).toEqual(['outside']);
+    });
+  });
+
+  describe('notifications', () => {
+    test('should store notification data and silent flag', async () => {
+      const userId = generateTestUserId();
+      await dbService.createNotification({
+        userId,
+        type: 'POINTS_EARNED',
+        message: 'You earned 10 points!',
+        data: { points: 10 },
+        silent: true
+      });
+
+      const [notification] = await dbService.getNotifications(userId);
+      expect(notification.notification_type).toBe('POINTS_EARNED');
+      expect(notification.data).toEqual({ points: 10 });
+      expect(notification.silent).toBe(true);
+    });
+  });
+});
+
+describe('Database Service member tenant migration', () => {
+  test('should move existing members to the tenant of their issuer', async () => {
+    const driver = new SqliteDriver({ filename: ':memory:' });
+    await driver.connect();
+    await driver.migrate(migrations.filter(migration => migration.version < 17));
+
+    const timestamps = { created_at: '2026-01-01T00:00:00.000Z', updated_at: '2026-01-01T00:00:00.000Z' };
+    await driver.insert('tenants', { id: 'green-leaf', name: 'Green Leaf', issuer_id: '3388000000099999999', class_suffix: 'c', object_suffix: 'o', ...timestamps });
+    await driver.insert('cards', { user_id: 'member-1', object_id: '3388000000099999999.member-1', ...timestamps });
+    await driver.insert('cards', { user_id: 'member-2', object_id: '3388000000012345678.member-2', ...timestamps });
+    await driver.insert('transactions', { user_id: 'member-1', transaction_type: 'add', points: 5, created_at: timestamps.created_at });
+    await driver.insert('notifications', { user_id: 'member-1', object_id: '3388000000099999999.member-1', notification_type: 'POINTS_EARNED', created_at: timestamps.created_at });
+
+    await driver.migrate(migrations);
+
+    expect(await driver.findOne('cards', { user_id: 'member-1' })).toMatchObject({ tenant_id: 'green-leaf' });
+    expect(await driver.findOne('cards', { user_id: 'member-2' })).toMatchObject({ tenant_id: 'default' });
+    expect(await driver.findOne('transactions', { user_id: 'member-1' })).toMatchObject({ tenant_id: 'green-leaf' });
+    expect(await driver.findOne('notifications', { user_id: 'member-1' })).toMatchObject({ tenant_id: 'green-leaf' });
+
+    // The same user ID can now exist once per tenant, and each issuer has one tenant
+    await driver.insert('cards', { user_id: 'member-1', object_id: '3388000000012345678.member-1', ...timestamps });
+    await expect(driver.insert('cards', { user_id: 'member-1', object_id: 'x', ...timestamps })).rejects.toThrow('UNIQUE');
+    await expect(driver.insert('tenants', { id: 'copy', name: 'Copy', issuer_id: '3388000000099999999', class_suffix: 'c', object_suffix: 'o', ...timestamps }))
+      .rejects.toThrow('UNIQUE');
+    await driver.close();
+  });
+
+  test('should move branding to the tenant of the classes using it', async () => {
+    const driver = new SqliteDriver({ filename: ':memory:' });
+    await driver.connect();
+    await driver.migrate(migrations.filter(migration => migration.version < 18));
+
+    const timestamps = { created_at: '2026-01-01T00:00:00.000Z', updated_at: '2026-01-01T00:00:00.000Z' };
+    await driver.insert('tenants', { id: 'green-leaf', name: 'Green Leaf', issuer_id: '3388000000099999999', class_suffix: 'c', object_suffix: 'o', ...timestamps });
+    await driver.insert('branding_profiles', { name: 'green', profile: '{}', ...timestamps });
+    await driver.insert('branding_profiles', { name: 'unused', profile: '{}', ...timestamps });
+    await driver.insert('class_branding', { class_id: '3388000000099999999.rewards', profile_name: 'green', updated_at: timestamps.updated_at });
+
+    await driver.migrate(migrations);
+
+    expect(await driver.findOne('branding_profiles', { name: 'green' })).toMatchObject({ tenant_id: 'green-leaf' });
+    expect(await driver.findOne('branding_profiles', { name: 'unused' })).toMatchObject({ tenant_id: 'default' });
+    expect(await driver.findOne('class_branding', { profile_name: 'green' })).toMatchObject({ tenant_id: 'green-leaf' });
+
+    // Each tenant can now have a profile of the same name
+    await driver.insert('branding_profiles', { name: 'green', profile: '{}', ...timestamps });
+    await expect(driver.insert('branding_profiles', { name: 'green', profile: '{}', ...timestamps })).rejects.toThrow('UNIQUE');
+    await driver.close();
+  });
+});
+
+describe('Database Service driver selection', () => {
+  const originalDriver = process.env.DB_DRIVER;
+
+  afterEach(() => {
+    process.env.DB_DRIVER = originalDriver;
+    if (originalDriver === undefined) delete process.env.DB_DRIVER;
+  });
+
+  test('should default to the memory driver under test', () => {
+    delete process.env.DB_DRIVER;
+    expect(dbService.createDriver().name).toBe('memory');
+  });
+
+  test('should reject unknown drivers', () => {
+    expect(() => dbService.createDriver('postgres')).toThrow('Unknown DB_DRIVER');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for Idempotency Middleware
+ * Runs a small Express app against the memory driver
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createIdempotency, fingerprintRequest } = require('../../src/middleware/idempotency');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+
+describe('Idempotency Middleware', () => {
+  let app;
+  let handler;
+
+  const buildApp = (options = {}) => {
+    const server = express();
+    server.use(express.json());
+    server.use(createIdempotency(options));
+    server.post('/earn', (req, res) => handler(req, res));
+    server.get('/balance', (req, res) => handler(req, res));
+    return server;
+  };
+
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    let calls = 0;
+    handler = jest.fn((req, res) => {
+      calls++;
+      res.status(201).json({ success: true, call: calls, points: req.body.points });
+    });
+    app = buildApp();
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+  });
+
+  test('should replay the first response for a retried request', async () => {
+    const first = await request(app).post('/earn').set('Idempotency-Key', 'order-1').send({ points: 50 });
+    const retry = await request(app).post('/earn').set('Idempotency-Key', 'order-1').send({ points: 50 });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should treat payloads with reordered keys as the same request', async () => {
+    await request(app).post('/earn').set('Idempotency-Key', 'order-2').send({ points: 50, reason: 'a' });
+    const retry = await request(app).post('/earn').set('Idempotency-Key', 'order-2').send({ reason: 'a', points: 50 });
+
+    expect(retry.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject a reused key with a different payload', async () => {
+    await request(app).post('/earn').set('Idempotency-Key', 'order-3').send({ points: 50 });
+    const reused = await request(app).post('/earn').set('Idempotency-Key', 'order-3').send({ points: 60 });
+
+    expect(reused.status).toBe(422);
+    expect(reused.body.error).toBe('Idempotency key reused');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject a duplicate while the first request is still running', async () => {
+    let release;
+    handler.mockImplementationOnce((req, res) => {
+      release = () => res.status(201).json({ success: true });
+    });
+
+    const first = request(app).post('/earn').set('Idempotency-Key', 'order-4').send({ points: 5 }).then(r => r);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const duplicate = await request(app).post('/earn').set('Idempotency-Key', 'order-4').send({ points: 5 });
+    expect(duplicate.status).toBe(409);
+
+    release();
+    expect((await first).status).toBe(201);
+  });
+
+  test('should not store server errors', async () => {
+    handler.mockImplementationOnce((req, res) => {
+      res.status(503).json({ success: false });
+    });
+
+    const failed = await request(app).post('/earn').set('Idempotency-Key', 'order-5').send({ points: 5 });
+    const retry = await request(app).post('/earn').set('Idempotency-Key', 'order-5').send({ points: 5 });
+
+    expect(failed.status).toBe(503);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('should run the request again once the key has expired', async () => {
+    app = buildApp({ ttlMs: 1 });
+
+    await request(app).post('/earn').set('Idempotency-Key', 'order-6').send({ points: 5 });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await request(app).post('/earn').set('Idempotency-Key', 'order-6').send({ points: 5 });
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should scope keys to the API key', async () => {
+    await request(app).post('/earn').set('X-API-Key', 'client-a').set('Idempotency-Key', 'shared').send({ points: 5 });
+    const other = await request(app).post('/earn').set('X-API-Key', 'client-b').set('Idempotency-Key', 'shared').send({ points: 9 });
+
+    expect(other.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should ignore requests without a key and non-POST requests', async () => {
+    await request(app).post('/earn').send({ points: 5 });
+    await request(app).post('/earn').send({ points: 5 });
+    await request(app).get('/balance').set('Idempotency-Key', 'order-7');
+    await request(app).get('/balance').set('Idempotency-Key', 'order-7');
+
+    expect(handler).toHaveBeenCalledTimes(4);
+  });
+
+  test('should fingerprint uploaded files by their content', () => {
+    const upload = (content) => ({
+      method: 'POST',
+      originalUrl: '/import/cards',
+      body: {},
+      file: { filename: 'members.csv', content }
+    });
+
+    expect(fingerprintRequest(upload('userId\n1\n'))).toBe(fingerprintRequest(upload('userId\n1\n')));
+    expect(fingerprintRequest(upload('userId\n1\n'))).not.toBe(fingerprintRequest(upload('userId\n2\n')));
+  });
+
+  test('should leave multipart requests to the route until the file is parsed', async () => {
+    handler.mockImplementationOnce((req, res) => {
+      res.status(201).json({ success: true });
+    });
+
+    const response = await request(app)
+      .post('/earn')
+      .set('Idempotency-Key', 'order-8')
+      .attach('file', Buffer.from('userId\n1\n'), 'members.csv');
+
+    const next = await request(app).post('/earn').set('Idempotency-Key', 'order-8').send({ points: 5 });
+
+    expect(response.status).toBe(201);
+    expect(next.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject malformed keys', async () => {
+    const response = await request(app).post('/earn').set('Idempotency-Key', 'has space').send({ points: 5 });
+
+    expect(response.status).toBe(400);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
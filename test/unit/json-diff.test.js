@@ -0,0 +1,47 @@
+/**
+ * Unit Tests for the JSON diff helper
+ */
+
+const { diff } = require('../../src/utils/json-diff');
+
+describe('JSON Diff', () => {
+  test('should return no changes for equal values', () => {
+    expect(diff({ a: 1, b: { c: [1, 2] } }, { b: { c: [1, 2] }, a: 1 })).toEqual([]);
+  });
+
+  test('should report added, removed and changed leaves with their paths', () => {
+    const before = {
+      programName: 'Old',
+      localizedProgramName: { defaultValue: { language: 'en-US', value: 'Old' } },
+      heroImage: { sourceUri: { uri: 'https://example.com/hero.png' } }
+    };
+    const after = {
+      programName: 'New',
+      localizedProgramName: { defaultValue: { language: 'en-US', value: 'New' } },
+      hexBackgroundColor: '#000000'
+    };
+
+    expect(diff(before, after)).toEqual([
+      { path: 'heroImage', change: 'removed', before: before.heroImage, after: undefined },
+      { path: 'hexBackgroundColor', change: 'added', before: undefined, after: '#000000' },
+      { path: 'localizedProgramName.defaultValue.value', change: 'changed', before: 'Old', after: 'New' },
+      { path: 'programName', change: 'changed', before: 'Old', after: 'New' }
+    ]);
+  });
+
+  test('should compare arrays by index', () => {
+    const before = { textModulesData: [{ id: 'a', body: 'one' }] };
+    const after = { textModulesData: [{ id: 'a', body: 'uno' }, { id: 'b', body: 'two' }] };
+
+    expect(diff(before, after)).toEqual([
+      { path: 'textModulesData[0].body', change: 'changed', before: 'one', after: 'uno' },
+      { path: 'textModulesData[1]', change: 'added', before: undefined, after: { id: 'b', body: 'two' } }
+    ]);
+  });
+
+  test('should report a type change as a changed value', () => {
+    expect(diff({ links: [] }, { links: { uris: [] } })).toEqual([
+      { path: 'links', change: 'changed', before: [], after: { uris: [] } }
+    ]);
+  });
+});
@@ -2,6 +2,10 @@
  * Unit Tests for JWT Service
  */
 
+// Sign with the Wallet emulator's throwaway service account key
+process.env.WALLET_BACKEND = 'emulator';
+
+const jwt = require('jsonwebtoken');
 const jwtService = require('../../src/services/jwt-service');
 const { generateTestUserId, isValidJWTStructure } = require('../helpers/test-utils');
 
@@ -76,6 +80,78 @@ describe('JWT Service', () => {
     });
   });
 
+  describe('buildSaveJwt', () => {
+    const loyaltyObject = () => jwtService.createLoyaltyObjectPayload(generateTestUserId(), { points: 120 });
+
+    test('should embed the full object in a fat JWT', () => {
+      const object = loyaltyObject();
+      const result = jwtService.buildSaveJwt({ loyaltyObjects: [object] });
+      const decoded = jwt.decode(result.jwt);
+
+      expect(result.success).toBe(true);
+      expect(result.mode).toBe('fat');
+      expect(result.saveUrl).toBe(`https://pay.google.com/gp/v/save/${result.jwt}`);
+      expect(decoded.payload.loyaltyObjects[0]).toEqual(object);
+    });
+
+    test('should only reference object IDs in a skinny JWT', () => {
+      const object = loyaltyObject();
+      const result = jwtService.buildSaveJwt({ loyaltyObjects: [object] }, { mode: 'skinny' });
+      const decoded = jwt.decode(result.jwt);
+
+      expect(result.success).toBe(true);
+      expect(decoded.payload.loyaltyObjects).toEqual([{ id: object.id, classId: object.classId }]);
+      expect(result.saveUrl.length).toBeLessThan(jwtService.generateSaveToWalletURL(object).saveUrl.length);
+    });
+
+    test('should accept bare object IDs for skinny JWTs', () => {
+      const result = jwtService.generateSkinnySaveURL(['3388000000012345678.object-a', '3388000000012345678.object-b']);
+      const decoded = jwt.decode(result.jwt);
+
+      expect(result.mode).toBe('skinny');
+      expect(decoded.payload.loyaltyObjects.map(object => object.id)).toEqual([
+        '3388000000012345678.object-a',
+        '3388000000012345678.object-b'
+      ]);
+    });
+
+    test('should apply the configured expiry and origins', () => {
+      const result = jwtService.buildSaveJwt(
+        { loyaltyObjects: [loyaltyObject()] },
+        { expiresIn: 600, origins: ['https://shop.example.com'] }
+      );
+
+      expect(result.payload.exp - result.payload.iat).toBe(600);
+      expect(result.payload.origins).toEqual(['https://shop.example.com']);
+      expect(new Date(result.expiresAt).getTime()).toBe(result.payload.exp * 1000);
+    });
+
+    test('should default to SAVE_URL_EXPIRY_SECONDS and ORIGINS', () => {
+      const originalExpiry = process.env.SAVE_URL_EXPIRY_SECONDS;
+      const originalOrigins = process.env.ORIGINS;
+      process.env.SAVE_URL_EXPIRY_SECONDS = '120';
+      process.env.ORIGINS = 'https://a.example.com, https://b.example.com';
+
+      try {
+        const result = jwtService.buildSaveJwt({ loyaltyObjects: [loyaltyObject()] });
+
+        expect(result.payload.exp - result.payload.iat).toBe(120);
+        expect(result.payload.origins).toEqual(['https://a.example.com', 'https://b.example.com']);
+      } finally {
+        if (originalExpiry === undefined) delete process.env.SAVE_URL_EXPIRY_SECONDS;
+        else process.env.SAVE_URL_EXPIRY_SECONDS = originalExpiry;
+        if (originalOrigins === undefined) delete process.env.ORIGINS;
+        else process.env.ORIGINS = originalOrigins;
+      }
+    });
+
+    test('should reject invalid modes, expiry and empty payloads', () => {
+      expect(jwtService.buildSaveJwt({ loyaltyObjects: [loyaltyObject()] }, { mode: 'thin' }).success).toBe(false);
+      expect(jwtService.buildSaveJwt({ loyaltyObjects: [loyaltyObject()] }, { expiresIn: -1 }).success).toBe(false);
+      expect(jwtService.buildSaveJwt({ loyaltyObjects: [] }).success).toBe(false);
+    });
+  });
+
   describe('validateJWT', () => {
     test('should validate a valid JWT', () => {
       const userId = generateTestUserId();
@@ -143,7 +219,6 @@ describe('JWT Service', () => {
       const payload = jwtService.createLoyaltyObjectPayload(userId, { points });
 
       expect(payload.loyaltyPoints.balance.string).toBe('1000');
-      expect(payload.smartTapRedemptionValue).toBe('1000');
     });
 
     test('should create payload with custom tier', () => {
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for the card layout engine
+ */
+
+// Text module IDs come from a sample loyalty object; no Wallet credentials needed
+process.env.WALLET_BACKEND = 'emulator';
+
+const layoutEngine = require('../../src/services/layout-engine');
+
+const field = (fieldPath) => ({ fields: [{ fieldPath }] });
+
+describe('Layout Engine', () => {
+  test('should compile the default layout to the original card rows', () => {
+    const { classTemplateInfo, errors } = layoutEngine.compile(layoutEngine.getDefaultLayout());
+
+    expect(errors).toEqual([]);
+    expect(classTemplateInfo).toEqual({
+      cardTemplateOverride: {
+        cardRowTemplateInfos: [
+          {
+            twoItems: {
+              startItem: { firstValue: field('object.accountName') },
+              endItem: { firstValue: field("object.textModulesData['card_tier']") }
+            }
+          },
+          {
+            twoItems: {
+              startItem: { firstValue: field("object.textModulesData['card_points']") },
+              endItem: { firstValue: field("object.textModulesData['card_next_reward']") }
+            }
+          },
+          {
+            oneItem: {
+              item: { firstValue: field('object.linksModuleData.uris[0]') }
+            }
+          }
+        ]
+      }
+    });
+  });
+
+  test('should compile three-item rows, fallbacks, two-line items, details and list', () => {
+    const { classTemplateInfo, errors } = layoutEngine.compile({
+      card: [['points', ['rewardsTier', 'card_tier'], { first: 'member_since', second: 'accountId' }]],
+      details: ['tier_benefits'],
+      list: { firstRow: 'accountName', secondRow: 'card_points' }
+    });
+
+    expect(errors).toEqual([]);
+    expect(classTemplateInfo.cardTemplateOverride.cardRowTemplateInfos[0]).toEqual({
+      threeItems: {
+        startItem: { firstValue: field('object.loyaltyPoints') },
+        middleItem: {
+          firstValue: {
+            fields: [{ fieldPath: 'object.rewardsTier' }, { fieldPath: "object.textModulesData['card_tier']" }]
+          }
+        },
+        endItem: {
+          firstValue: field("object.textModulesData['member_since']"),
+          secondValue: field('object.accountId')
+        }
+      }
+    });
+    expect(classTemplateInfo.detailsTemplateOverride).toEqual({
+      detailsItemInfos: [{ item: { firstValue: field("object.textModulesData['tier_benefits']") } }]
+    });
+    expect(classTemplateInfo.listTemplateOverride).toEqual({
+      firstRowOption: { fieldOption: field('object.accountName') },
+      secondRowOption: field("object.textModulesData['card_points']")
+    });
+  });
+
+  test('should only accept text modules that every card carries', () => {
+    const ids = layoutEngine.getTextModuleIds();
+    expect(ids).toEqual(expect.arrayContaining(['card_points', 'card_tier', 'card_next_reward', 'member_since', 'tier_benefits']));
+
+    const { classTemplateInfo, errors } = layoutEngine.compile({ card: [['card_points', 'card_expiry']] });
+    expect(classTemplateInfo).toBeNull();
+    expect(errors).toEqual(['card[0][1]: "card_expiry" is not an object field or a text module created for every card']);
+  });
+
+  test('should report every structural problem', () => {
+    const { errors } = layoutEngine.compile({
+      card: [['points'], ['a', 'b', 'c', 'd'], ['points'], ['points']],
+      details: [],
+      list: { firstRow: 'points', thirdRow: 'points' },
+      front: []
+    });
+
+    expect(errors).toEqual([
+      'unknown layout sections: front',
+      'card: must be a list of 1-3 rows',
+      'details: must be a non-empty list of items',
+      'list: must be { firstRow, secondRow }'
+    ]);
+
+    expect(layoutEngine.compile({}).errors).toEqual(['layout needs at least one of card, details, list']);
+    expect(layoutEngine.compile([]).errors).toEqual(['layout must be an object']);
+    expect(layoutEngine.compile({ card: [[{ second: 'points' }]] }).errors).toEqual([
+      'card[0][0]: items are a field name, a list of names or { first, second }'
+    ]);
+  });
+
+  test('should list the names a layout can use', () => {
+    const fields = layoutEngine.getFields();
+    expect(fields.objectFields).toContain('accountName');
+    expect(fields.textModules).toContain('card_tier');
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit Tests for Loyalty Class Service
+ * Wallet calls go to the emulator; class versions are stored on the memory driver
+ */
+
+process.env.WALLET_BACKEND = 'emulator';
+
+jest.mock('../../src/auth/google-wallet-auth', () => ({
+  getClient: jest.fn(),
+  isEmulated: () => true
+}));
+
+const googleWalletAuth = require('../../src/auth/google-wallet-auth');
+const walletEmulator = require('../../src/emulator/wallet-emulator');
+const loyaltyClassService = require('../../src/services/loyalty-class');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+
+const classId = '3388000000012345678.unit_class';
+
+describe('Loyalty Class Service', () => {
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    walletEmulator.reset({ rateLimitPerMinute: 0 });
+    googleWalletAuth.getClient.mockResolvedValue(walletEmulator.getClient());
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+  });
+
+  describe('buildClassDefinition', () => {
+    test('should fill defaults and only add optional modules that are set', () => {
+      const definition = loyaltyClassService.buildClassDefinition({
+        classId,
+        programName: 'Unit Rewards',
+        programLogoUrl: 'https://example.com/logo.png',
+        textModules: []
+      });
+
+      expect(definition).toMatchObject({
+        id: classId,
+        issuerName: 'Teiga Tech',
+        reviewStatus: 'UNDER_REVIEW',
+        localizedProgramName: { defaultValue: { language: 'en-US', value: 'Unit Rewards' } },
+        programLogo: { sourceUri: { uri: 'https://example.com/logo.png' } }
+      });
+      expect(definition.classTemplateInfo.cardTemplateOverride.cardRowTemplateInfos).toHaveLength(3);
+      expect(definition).not.toHaveProperty('textModulesData');
+      expect(definition).not.toHaveProperty('heroImage');
+    });
+  });
+
+  describe('buildClassPatch', () => {
+    test('should map friendly fields and their localized values', () => {
+      expect(loyaltyClassService.buildClassPatch({
+        accountNameLabel: 'Member',
+        heroImageUrl: 'https://example.com/hero.png',
+        merchantLocations: []
+      })).toEqual({
+        accountNameLabel: 'Member',
+        localizedAccountNameLabel: { defaultValue: { language: 'en-US', value: 'Member' } },
+        heroImage: { sourceUri: { uri: 'https://example.com/hero.png' } },
+        locations: []
+      });
+    });
+
+    test('should ignore unknown fields', () => {
+      expect(loyaltyClassService.buildClassPatch({ id: 'other', reviewStatus: 'APPROVED' })).toEqual({});
+    });
+  });
+
+  describe('Card layout', () => {
+    test('should use the stored layout when none is given', async () => {
+      expect((await loyaltyClassService.resolveLayout(classId)).source).toBe('default');
+
+      await loyaltyClassService.saveLayout(classId, { card: [['points']] });
+      const resolved = await loyaltyClassService.resolveLayout(classId);
+      expect(resolved).toMatchObject({ success: true, source: 'class', layout: { card: [['points']] } });
+
+      const invalid = await loyaltyClassService.resolveLayout(classId, { card: [['unknown_module']] });
+      expect(invalid).toMatchObject({ success: false, error: 'Invalid layout' });
+    });
+
+    test('should replace the whole template when the layout changes', async () => {
+      await loyaltyClassService.createOrUpdateClass(loyaltyClassService.buildClassDefinition({
+        classId,
+        programName: 'Unit Rewards',
+        classTemplateInfo: (await loyaltyClassService.resolveLayout(classId, {
+          card: [['points']],
+          details: ['tier_benefits']
+        })).classTemplateInfo
+      }));
+
+      const result = await loyaltyClassService.setClassLayout(classId, { card: [['accountName', 'card_tier']] });
+      expect(result.success).toBe(true);
+      expect(result.data.classTemplateInfo).not.toHaveProperty('detailsTemplateOverride');
+      expect(result.data.classTemplateInfo.cardTemplateOverride.cardRowTemplateInfos[0]).toHaveProperty('twoItems');
+
+      const versions = await loyaltyClassService.listVersions(classId);
+      expect(versions.versions[0].changeType).toBe('layout');
+      expect((await loyaltyClassService.resolveLayout(classId)).source).toBe('class');
+    });
+  });
+
+  describe('Version history', () => {
+    const createClass = () => loyaltyClassService.createOrUpdateClass(
+      loyaltyClassService.buildClassDefinition({ classId, programName: 'Unit Rewards' }),
+      { actor: 'key-1' }
+    );
+
+    test('should record a version for every change', async () => {
+      const created = await createClass();
+      const patched = await loyaltyClassService.patchClass(classId, loyaltyClassService.buildClassPatch({ programName: 'Patched' }));
+      const drafted = await loyaltyClassService.setReviewStatus(classId, 'DRAFT');
+
+      expect([created.version, patched.version, drafted.version]).toEqual([1, 2, 3]);
+
+      const history = await loyaltyClassService.listVersions(classId);
+      expect(history.versions.map(version => version.changeType)).toEqual(['review_status', 'patch', 'create']);
+      expect(history.versions[2].actor).toBe('key-1');
+      expect(history.pagination.total).toBe(3);
+    });
+
+    test('should store a baseline before changing a class created elsewhere', async () => {
+      const client = walletEmulator.getClient();
+      await client.loyaltyclass.insert({
+        requestBody: loyaltyClassService.buildClassDefinition({ classId, programName: 'Legacy' })
+      });
+
+      const patched = await loyaltyClassService.patchClass(classId, { hexBackgroundColor: '#000000' });
+      expect(patched.version).toBe(2);
+
+      const baseline = await loyaltyClassService.getVersion(classId, 1);
+      expect(baseline.version).toMatchObject({ changeType: 'baseline' });
+      expect(baseline.version.definition.programName).toBe('Legacy');
+    });
+
+    test('should diff against the previous version', async () => {
+      await createClass();
+      await loyaltyClassService.patchClass(classId, loyaltyClassService.buildClassPatch({ rewardsTierLabel: 'Level' }));
+
+      const result = await loyaltyClassService.diffVersions(classId, 2);
+      expect(result).toMatchObject({ success: true, from: 1, to: 2 });
+      expect(result.changes).toEqual([
+        { path: 'localizedRewardsTierLabel.defaultValue.value', change: 'changed', before: 'Tier', after: 'Level' },
+        { path: 'rewardsTierLabel', change: 'changed', before: 'Tier', after: 'Level' }
+      ]);
+
+      expect((await loyaltyClassService.diffVersions(classId, 1)).changes.length).toBeGreaterThan(0);
+      expect((await loyaltyClassService.diffVersions(classId, 2, 7)).error).toBe('Version not found');
+    });
+
+    test('should roll back to a stored definition and send approved classes back to review', async () => {
+      await createClass();
+      const client = walletEmulator.getClient();
+      await client.loyaltyclass.patch({ resourceId: classId, requestBody: { reviewStatus: 'APPROVED' } });
+      await loyaltyClassService.patchClass(classId, loyaltyClassService.buildClassPatch({ programName: 'Approved Rewards' }));
+      await loyaltyClassService.patchClass(classId, loyaltyClassService.buildClassPatch({ programName: 'Mistake' }));
+
+      const rollback = await loyaltyClassService.rollbackClass(classId, 2);
+      expect(rollback.success).toBe(true);
+      expect(rollback.data).toMatchObject({ programName: 'Approved Rewards', reviewStatus: 'UNDER_REVIEW' });
+
+      const stored = await loyaltyClassService.getVersion(classId, rollback.version);
+      expect(stored.version).toMatchObject({ changeType: 'rollback', rolledBackTo: 2 });
+    });
+
+    test('should reject review statuses set by Google', async () => {
+      await createClass();
+
+      const result = await loyaltyClassService.setReviewStatus(classId, 'APPROVED');
+      expect(result).toMatchObject({ success: false, error: 'Invalid review status' });
+      expect((await loyaltyClassService.listVersions(classId)).pagination.total).toBe(1);
+    });
+
+    test('should return an error for unknown versions', async () => {
+      expect((await loyaltyClassService.rollbackClass(classId, 1)).error).toBe('Version not found');
+      expect((await loyaltyClassService.getVersion(classId, 1)).error).toBe('Version not found');
+    });
+  });
+});
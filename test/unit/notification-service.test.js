@@ -0,0 +1,235 @@
+/**
+ * Unit Tests for Notification Service
+ * Google Wallet calls are mocked; the quota runs on the memory driver
+ */
+
+jest.mock('../../src/services/loyalty-object', () => ({
+  addMessage: jest.fn()
+}));
+
+const loyaltyObjectService = require('../../src/services/loyalty-object');
+const notificationService = require('../../src/services/notification-service');
+const templateEngine = require('../../src/services/template-engine');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+const { generateTestUserId } = require('../helpers/test-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Notification Service quota', () => {
+  let userId;
+  let objectId;
+
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    loyaltyObjectService.addMessage.mockResolvedValue({ success: true });
+
+    userId = generateTestUserId();
+    objectId = `issuer.obj-${userId}`;
+    await dbService.saveCard({ userId, objectId, points: 100 });
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+  });
+
+  test('should push until the daily limit and then send silently', async () => {
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await notificationService.sendNotification(userId, 'CUSTOM', { body: `Message ${i}` }));
+    }
+
+    expect(results.map(result => result.success)).toEqual([true, true, true, true]);
+    expect(results.map(result => result.remainingNotifications)).toEqual([2, 1, 0, 0]);
+    expect(results[3].downgraded).toBe(true);
+    expect(results[3].silent).toBe(true);
+
+    const messageTypes = loyaltyObjectService.addMessage.mock.calls.map(([, message]) => message.messageType);
+    expect(messageTypes).toEqual(['TEXT_AND_NOTIFY', 'TEXT_AND_NOTIFY', 'TEXT_AND_NOTIFY', 'TEXT']);
+
+    const log = await dbService.getNotifications(userId);
+    expect(log.filter(entry => entry.silent)).toHaveLength(1);
+  });
+
+  test('should not count silent updates against the quota', async () => {
+    await notificationService.sendSilentUpdate(userId, 150);
+
+    const quota = await notificationService.getQuota(objectId);
+    expect(quota.used).toBe(0);
+    expect(quota.remaining).toBe(3);
+  });
+
+  test('should give the push back when Wallet rejects the message', async () => {
+    loyaltyObjectService.addMessage.mockResolvedValueOnce({ success: false, error: 'Object not found' });
+
+    const result = await notificationService.sendNotification(userId, 'WELCOME');
+
+    expect(result.success).toBe(false);
+    expect((await notificationService.getQuota(objectId)).remaining).toBe(3);
+  });
+
+  test('should free quota as pushes leave the rolling window', async () => {
+    const driver = await dbService.getDriver();
+    const old = new Date(Date.now() - DAY_MS - 1000).toISOString();
+    const recent = new Date(Date.now() - DAY_MS / 2).toISOString();
+    for (const createdAt of [old, old, recent]) {
+      await driver.insert('notification_quota', { object_id: objectId, user_id: userId, created_at: createdAt });
+    }
+
+    const quota = await notificationService.getQuota(objectId);
+    expect(quota.used).toBe(1);
+    expect(quota.remaining).toBe(2);
+    expect(quota.resetAt).toBe(new Date(new Date(recent).getTime() + DAY_MS).toISOString());
+  });
+
+  test('should track quota per object', async () => {
+    const otherUser = generateTestUserId();
+    await dbService.saveCard({ userId: otherUser, objectId: `issuer.obj-${otherUser}` });
+
+    for (let i = 0; i < 3; i++) {
+      await notificationService.sendNotification(userId, 'CUSTOM', { body: 'Hi' });
+    }
+
+    expect((await notificationService.canSendNotification(userId)).allowed).toBe(false);
+    expect((await notificationService.canSendNotification(otherUser)).allowed).toBe(true);
+  });
+
+  test('should not over-reserve under concurrent sends', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => notificationService.sendNotification(userId, 'CUSTOM', { body: 'Hi' }))
+    );
+
+    expect(results.filter(result => result.downgraded)).toHaveLength(2);
+    expect((await notificationService.getQuota(objectId)).used).toBe(3);
+  });
+
+  test('should report quota for a user', async () => {
+    await notificationService.sendNotification(userId, 'WELCOME');
+
+    const quota = await notificationService.getUserQuota(userId);
+    expect(quota).toMatchObject({ success: true, userId, objectId, limit: 3, used: 1, remaining: 2 });
+
+    const missing = await notificationService.getUserQuota('nobody');
+    expect(missing.success).toBe(false);
+  });
+});
+
+describe('Notification Service history', () => {
+  let userId;
+
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    loyaltyObjectService.addMessage.mockResolvedValue({ success: true, objectId: 'issuer.obj' });
+
+    userId = generateTestUserId();
+    await dbService.saveCard({ userId, objectId: `issuer.obj-${userId}`, points: 100 });
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+  });
+
+  test('should record the message, Wallet response and actor', async () => {
+    const result = await notificationService.sendNotification(userId, 'CUSTOM', { header: 'Hi', body: 'Double points' }, false, { actor: 'key-1' });
+
+    const history = await notificationService.getNotificationHistory(userId);
+    expect(history.success).toBe(true);
+    expect(history.notifications).toHaveLength(1);
+    expect(history.notifications[0]).toMatchObject({
+      id: result.notificationId,
+      objectId: `issuer.obj-${userId}`,
+      type: 'CUSTOM',
+      header: 'Hi',
+      body: 'Double points',
+      silent: false,
+      status: 'sent',
+      actor: 'key-1',
+      walletResponse: { success: true, objectId: 'issuer.obj' }
+    });
+    expect(history.quota.remaining).toBe(2);
+  });
+
+  test('should record failed deliveries', async () => {
+    loyaltyObjectService.addMessage.mockResolvedValueOnce({ success: false, error: 'Object not found', message: 'Loyalty object does not exist' });
+
+    const result = await notificationService.sendNotification(userId, 'WELCOME');
+
+    const [entry] = (await notificationService.getNotificationHistory(userId)).notifications;
+    expect(entry.id).toBe(result.notificationId);
+    expect(entry.status).toBe('failed');
+    expect(entry.walletResponse.error).toBe('Object not found');
+  });
+
+  test('should record every message of a batch', async () => {
+    const otherUser = generateTestUserId();
+    await dbService.saveCard({ userId: otherUser, objectId: `issuer.obj-${otherUser}` });
+
+    await notificationService.sendBatchNotification([userId, otherUser], 'WELCOME', {}, false, { actor: 'key-2' });
+
+    const log = await notificationService.listNotifications();
+    expect(log.notifications.map(entry => entry.userId).sort()).toEqual([userId, otherUser].sort());
+    expect(log.notifications.every(entry => entry.actor === 'key-2')).toBe(true);
+  });
+
+  test('should paginate newest first and filter by date', async () => {
+    for (let i = 0; i < 5; i++) {
+      await notificationService.sendNotification(userId, 'CUSTOM', { body: `Message ${i}` }, true);
+    }
+
+    const page = await notificationService.getNotificationHistory(userId, { limit: 2, offset: 2 });
+    expect(page.notifications.map(entry => entry.body)).toEqual(['Message 2', 'Message 1']);
+    expect(page.pagination).toEqual({ limit: 2, offset: 2, total: 5, hasMore: true });
+
+    const future = await notificationService.listNotifications({ since: new Date(Date.now() + 60000).toISOString() });
+    expect(future.notifications).toHaveLength(0);
+    expect(future.pagination.total).toBe(0);
+  });
+
+  test('should return an error for users without a card', async () => {
+    const result = await notificationService.getNotificationHistory('nobody');
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('Notification Service templates', () => {
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    loyaltyObjectService.addMessage.mockReset();
+    loyaltyObjectService.addMessage.mockResolvedValue({ success: true });
+  });
+
+  afterEach(async () => {
+    templateEngine.loadConfig();
+    await dbService.close();
+  });
+
+  test('should fill placeholders from the card', async () => {
+    templateEngine.configure({
+      templates: {
+        CUSTOM: { 'en-US': { header: 'Rewards', body: '{{body}}' } },
+        GREETING: { 'en-US': { header: 'Hi {{memberName}}', body: 'You have {{balance}} points' } }
+      }
+    });
+    const userId = generateTestUserId();
+    await dbService.saveCard({ userId, objectId: `issuer.obj-${userId}`, memberName: 'Jordan', points: 100 });
+
+    await notificationService.sendNotification(userId, 'GREETING');
+    await notificationService.sendNotification(userId, 'CUSTOM', { body: 'Hi {{memberName}}' });
+
+    const [[, greeting], [, custom]] = loyaltyObjectService.addMessage.mock.calls;
+    expect(greeting).toMatchObject({ header: 'Hi Jordan', body: 'You have 100 points' });
+    // Data values are inserted as-is, not rendered again
+    expect(custom.body).toBe('Hi {{memberName}}');
+  });
+
+  test('should send every locale as translated values', async () => {
+    const userId = generateTestUserId();
+    await dbService.saveCard({ userId, objectId: `issuer.obj-${userId}` });
+
+    await notificationService.sendNotification(userId, 'TIER_UPGRADE', { newTier: 'Gold' });
+
+    const [[, upgrade]] = loyaltyObjectService.addMessage.mock.calls;
+    expect(upgrade.localizedBody.defaultValue.value).toContain('upgraded to Gold tier');
+    expect(upgrade.localizedBody.translatedValues[0]).toMatchObject({ language: 'es-US' });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for the Object ID scheme
+ */
+
+const objectIdService = require('../../src/services/object-id');
+const { assertStartupRequirements } = require('../../config/env-validation');
+
+describe('Object ID Service', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.ISSUER_ID = '3388000000012345678';
+    process.env.CLASS_SUFFIX = 'loyalty_class';
+    process.env.OBJECT_SUFFIX = 'loyalty_object';
+    delete process.env.OBJECT_SUFFIXES;
+    delete process.env.OBJECT_ID_HASH_USER_IDS;
+    delete process.env.OBJECT_ID_HASH_SECRET;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('should build IDs from the issuer, object suffix and user ID', () => {
+    expect(objectIdService.getClassId()).toBe('3388000000012345678.loyalty_class');
+    expect(objectIdService.generateObjectId('user_123')).toBe('3388000000012345678.loyalty_object-user_123');
+  });
+
+  test('should use the issuer of the given class', () => {
+    expect(objectIdService.generateObjectId('user_123', '4455000000000000001.other_class'))
+      .toBe('4455000000000000001.loyalty_object-user_123');
+  });
+
+  test('should apply per-class suffix overrides', () => {
+    process.env.OBJECT_SUFFIXES = JSON.stringify({ '3388000000012345678.vip_class': 'vip_member' });
+
+    expect(objectIdService.generateObjectId('user_123', '3388000000012345678.vip_class'))
+      .toBe('3388000000012345678.vip_member-user_123');
+    expect(objectIdService.generateObjectId('user_123', '3388000000012345678.loyalty_class'))
+      .toBe('3388000000012345678.loyalty_object-user_123');
+  });
+
+  test('should sanitize characters Wallet does not accept', () => {
+    const first = objectIdService.generateObjectId('jane@example.com');
+    const second = objectIdService.generateObjectId('jane#example.com');
+
+    expect(first).toMatch(/^3388000000012345678\.loyalty_object-jane_example\.com-[0-9a-f]{8}$/);
+    expect(second).not.toBe(first);
+  });
+
+  test('should cap long user IDs without losing uniqueness', () => {
+    const base = 'a'.repeat(100);
+    const first = objectIdService.sanitizeUserId(`${base}1`);
+    const second = objectIdService.sanitizeUserId(`${base}2`);
+
+    expect(first.length).toBeLessThanOrEqual(64);
+    expect(first).not.toBe(second);
+  });
+
+  test('should hash user IDs when enabled', () => {
+    process.env.OBJECT_ID_HASH_USER_IDS = 'true';
+    process.env.OBJECT_ID_HASH_SECRET = 'secret-a';
+
+    const hashed = objectIdService.generateObjectId('jane@example.com');
+    expect(hashed).toMatch(/^3388000000012345678\.loyalty_object-[0-9a-f]{32}$/);
+    expect(hashed).not.toContain('jane');
+    expect(objectIdService.generateObjectId('jane@example.com')).toBe(hashed);
+
+    process.env.OBJECT_ID_HASH_SECRET = 'secret-b';
+    expect(objectIdService.generateObjectId('jane@example.com')).not.toBe(hashed);
+  });
+
+  test('should refuse to hash user IDs without a secret', () => {
+    process.env.OBJECT_ID_HASH_USER_IDS = 'true';
+
+    expect(() => objectIdService.generateObjectId('jane@example.com')).toThrow('OBJECT_ID_HASH_SECRET must be set');
+    expect(() => assertStartupRequirements()).toThrow('OBJECT_ID_HASH_SECRET must be set');
+
+    process.env.OBJECT_ID_HASH_SECRET = 'secret-a';
+    expect(() => assertStartupRequirements()).not.toThrow();
+  });
+
+  test('should require a user ID', () => {
+    expect(() => objectIdService.generateObjectId('')).toThrow('User ID is required');
+    expect(() => objectIdService.generateObjectId(null)).toThrow('User ID is required');
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Unit Tests for Points Manager
+ * Google Wallet calls are mocked; the ledger runs on the memory driver
+ */
+
+jest.mock('../../src/services/loyalty-object', () => ({
+  updatePoints: jest.fn()
+}));
+
+const loyaltyObjectService = require('../../src/services/loyalty-object');
+const pointsManager = require('../../src/services/points-manager');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+const { generateTestUserId } = require('../helpers/test-utils');
+
+describe('Points Manager', () => {
+  let userId;
+
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    loyaltyObjectService.updatePoints.mockResolvedValue({ success: true });
+
+    userId = generateTestUserId();
+    await dbService.saveCard({ userId, objectId: `issuer.obj-${userId}`, points: 400 });
+    await dbService.createTransaction(userId, 'initial', 400, 'Initial balance', 0, 400);
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+  });
+
+  test('should add points and record the transaction', async () => {
+    const result = await pointsManager.addPoints(userId, 150, 'Purchase');
+
+    expect(result.success).toBe(true);
+    expect(result.newBalance).toBe(550);
+    expect(result.newTier).toBe('Silver');
+    expect(loyaltyObjectService.updatePoints).toHaveBeenCalledWith(userId, 550, 'Silver');
+
+    const [txn] = await pointsManager.getTransactionHistory(userId);
+    expect(txn.transaction_type).toBe('add');
+    expect(txn.balance_before).toBe(400);
+    expect(txn.balance_after).toBe(550);
+  });
+
+  test('should reject redeeming more than the balance', async () => {
+    const result = await pointsManager.redeemPoints(userId, 500);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Insufficient points');
+    expect(loyaltyObjectService.updatePoints).not.toHaveBeenCalled();
+  });
+
+  test('should keep the points and flag the card when the wallet update fails', async () => {
+    loyaltyObjectService.updatePoints.mockResolvedValue({ success: false, error: 'Object not found' });
+
+    const result = await pointsManager.addPoints(userId, 10);
+
+    expect(result.success).toBe(true);
+    expect(result.walletSynced).toBe(false);
+    expect(await dbService.getCard(userId)).toMatchObject({ points: 410, wallet_sync_pending: 1 });
+    expect(await pointsManager.getTransactionHistory(userId)).toHaveLength(2);
+  });
+
+  test('should not lose concurrent earns, redeems and transfers', async () => {
+    const friendId = generateTestUserId();
+    await dbService.saveCard({ userId: friendId, objectId: `issuer.obj-${friendId}`, points: 0 });
+    // Wallet answers slowly, so every call reads the balance before any has written
+    loyaltyObjectService.updatePoints.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve({ success: true }), 5)));
+
+    const results = await Promise.all([
+      pointsManager.addPoints(userId, 10),
+      pointsManager.addPoints(userId, 20),
+      pointsManager.redeemPoints(userId, 30),
+      pointsManager.transferPoints(userId, friendId, 40),
+      pointsManager.addPoints(userId, 50)
+    ]);
+
+    expect(results.every(result => result.success)).toBe(true);
+    const card = await dbService.getCard(userId);
+    expect(card.points).toBe(410);
+    expect(card.wallet_sync_pending).toBe(0);
+
+    // Each ledger row starts from the balance the previous one left
+    const ledger = (await pointsManager.getTransactionHistory(userId)).reverse();
+    ledger.slice(1).forEach((txn, index) => {
+      expect(txn.balance_before).toBe(ledger[index].balance_after);
+    });
+    expect(ledger[ledger.length - 1].balance_after).toBe(410);
+  });
+
+  test('should keep the tier earned when redeeming below its threshold', async () => {
+    await pointsManager.addPoints(userId, 200);
+    const result = await pointsManager.redeemPoints(userId, 500);
+
+    expect(result.success).toBe(true);
+    expect(result.newBalance).toBe(100);
+    expect(result.newTier).toBe('Silver');
+  });
+
+  test('should fail for users without a card', async () => {
+    const result = await pointsManager.addPoints('unknown_user', 10);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('User card not found');
+  });
+
+  test('should summarize transaction stats', async () => {
+    await pointsManager.addPoints(userId, 100);
+    await pointsManager.redeemPoints(userId, 50);
+
+    const result = await pointsManager.getTransactionStats(userId);
+
+    expect(result.success).toBe(true);
+    expect(result.stats.totalEarned).toBe(500);
+    expect(result.stats.totalRedeemed).toBe(50);
+    expect(result.stats.netGain).toBe(450);
+  });
+});
+
+describe('Points Manager transfers', () => {
+  let fromUserId;
+  let toUserId;
+
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    loyaltyObjectService.updatePoints.mockReset();
+    loyaltyObjectService.updatePoints.mockResolvedValue({ success: true });
+
+    fromUserId = generateTestUserId();
+    toUserId = generateTestUserId();
+    await dbService.saveCard({ userId: fromUserId, objectId: `issuer.obj-${fromUserId}`, points: 300 });
+    await dbService.saveCard({ userId: toUserId, objectId: `issuer.obj-${toUserId}`, points: 50 });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await dbService.close();
+  });
+
+  test('should record a linked transfer_out/transfer_in pair', async () => {
+    const result = await pointsManager.transferPoints(fromUserId, toUserId, 100, 'Gift');
+
+    expect(result.success).toBe(true);
+    expect(result.walletSynced).toBe(true);
+    expect(result.senderNewBalance).toBe(200);
+    expect(result.recipientNewBalance).toBe(150);
+
+    const [out, into] = await dbService.getTransfer(result.transferId);
+    expect(out).toMatchObject({ user_id: fromUserId, transaction_type: 'transfer_out', points: 100, related_user_id: toUserId });
+    expect(into).toMatchObject({ user_id: toUserId, transaction_type: 'transfer_in', points: 100, related_user_id: fromUserId });
+    expect(loyaltyObjectService.updatePoints).toHaveBeenCalledWith(fromUserId, 200, 'Bronze');
+    expect(loyaltyObjectService.updatePoints).toHaveBeenCalledWith(toUserId, 150, 'Bronze');
+  });
+
+  test('should not write anything when the sender is short of points', async () => {
+    const result = await pointsManager.transferPoints(fromUserId, toUserId, 500);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Insufficient points');
+    expect(await dbService.getTransactionHistory(fromUserId)).toHaveLength(0);
+    expect(loyaltyObjectService.updatePoints).not.toHaveBeenCalled();
+  });
+
+  test('should roll back both balances when a ledger write fails', async () => {
+    const createTransaction = dbService.createTransaction.bind(dbService);
+    jest.spyOn(dbService, 'createTransaction').mockImplementation((userId, type, ...rest) => {
+      if (type === 'transfer_in') {
+        throw new Error('disk full');
+      }
+      return createTransaction(userId, type, ...rest);
+    });
+
+    const result = await pointsManager.transferPoints(fromUserId, toUserId, 100);
+
+    expect(result.success).toBe(false);
+    expect((await dbService.getCard(fromUserId)).points).toBe(300);
+    expect((await dbService.getCard(toUserId)).points).toBe(50);
+    expect(await dbService.getTransactionHistory(fromUserId)).toHaveLength(0);
+    expect(loyaltyObjectService.updatePoints).not.toHaveBeenCalled();
+  });
+
+  test('should keep the transfer and flag the card when a Wallet patch fails', async () => {
+    loyaltyObjectService.updatePoints.mockImplementation(async (userId) => (
+      userId === toUserId ? { success: false, error: 'Service unavailable' } : { success: true }
+    ));
+
+    const result = await pointsManager.transferPoints(fromUserId, toUserId, 100);
+
+    expect(result.success).toBe(true);
+    expect(result.walletSynced).toBe(false);
+    expect((await dbService.getCard(toUserId)).points).toBe(150);
+    expect((await dbService.getCard(toUserId)).wallet_sync_pending).toBe(1);
+    expect((await dbService.getCard(fromUserId)).wallet_sync_pending).toBe(0);
+
+    loyaltyObjectService.updatePoints.mockResolvedValue({ success: true });
+    const reconciled = await pointsManager.reconcileWallets();
+
+    expect(reconciled.checked).toBe(1);
+    expect(reconciled.synced).toBe(1);
+    expect(loyaltyObjectService.updatePoints).toHaveBeenLastCalledWith(toUserId, 150, 'Bronze');
+    expect((await dbService.getCard(toUserId)).wallet_sync_pending).toBe(0);
+  });
+
+  test('should count transfers in the stats', async () => {
+    await pointsManager.transferPoints(fromUserId, toUserId, 100);
+
+    const { stats } = await pointsManager.getTransactionStats(toUserId);
+    expect(stats.totalTransferredIn).toBe(100);
+    expect(stats.transactionsByType.transfer_in).toBe(1);
+    expect(stats.netGain).toBe(100);
+  });
+});
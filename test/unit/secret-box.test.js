@@ -0,0 +1,53 @@
+/**
+ * Unit Tests for the Secret Box (encryption of stored credentials)
+ */
+
+const crypto = require('crypto');
+const secretBox = require('../../src/utils/secret-box');
+
+const hexKey = crypto.randomBytes(32).toString('hex');
+
+describe('Secret Box', () => {
+  test('should round-trip values with hex and base64 keys', () => {
+    const sealed = secretBox.seal('{"private_key":"secret"}', hexKey);
+
+    expect(sealed).toMatch(/^v1\.[\w-]+\.[\w-]+\.[\w-]+$/);
+    expect(sealed).not.toContain('secret');
+    expect(secretBox.open(sealed, hexKey)).toBe('{"private_key":"secret"}');
+
+    const base64Key = Buffer.from(hexKey, 'hex').toString('base64');
+    expect(secretBox.open(sealed, base64Key)).toBe('{"private_key":"secret"}');
+  });
+
+  test('should use a fresh IV for every value', () => {
+    expect(secretBox.seal('same', hexKey)).not.toBe(secretBox.seal('same', hexKey));
+  });
+
+  test('should reject tampered values and wrong keys', () => {
+    const sealed = secretBox.seal('value', hexKey);
+    const [version, iv, tag, ciphertext] = sealed.split('.');
+    const tampered = [version, iv, tag, Buffer.from('other').toString('base64url')].join('.');
+
+    expect(() => secretBox.open(tampered, hexKey)).toThrow();
+    expect(() => secretBox.open(sealed, crypto.randomBytes(32).toString('hex'))).toThrow();
+    expect(() => secretBox.open(`v2.${iv}.${tag}.${ciphertext}`, hexKey)).toThrow('Unrecognized encrypted value');
+  });
+
+  test('should require a 32-byte key', () => {
+    const original = process.env.TENANT_ENCRYPTION_KEY;
+    delete process.env.TENANT_ENCRYPTION_KEY;
+
+    expect(secretBox.isConfigured()).toBe(false);
+    expect(() => secretBox.seal('value')).toThrow('TENANT_ENCRYPTION_KEY is not set');
+    expect(() => secretBox.seal('value', 'c2hvcnQ=')).toThrow('must be 32 bytes');
+
+    process.env.TENANT_ENCRYPTION_KEY = hexKey;
+    expect(secretBox.isConfigured()).toBe(true);
+
+    if (original === undefined) {
+      delete process.env.TENANT_ENCRYPTION_KEY;
+    } else {
+      process.env.TENANT_ENCRYPTION_KEY = original;
+    }
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for Template Engine
+ */
+
+const templateEngine = require('../../src/services/template-engine');
+
+const customTemplates = {
+  defaultLocale: 'en-US',
+  templates: {
+    CUSTOM: {
+      'en-US': { header: '{{header|Rewards}}', body: '{{body}}' }
+    },
+    POINTS_EARNED: {
+      'en-US': { header: 'Nice, {{memberName|friend}}!', body: '+{{points}} points' },
+      'fr-CA': { header: 'Bravo, {{memberName|ami}}!', body: '+{{points}} points' }
+    }
+  },
+  classes: {
+    '3388000000012345678.vip_class': {
+      templates: {
+        POINTS_EARNED: {
+          'en-US': { header: 'VIP bonus', body: '{{points}} points added, {{memberName}}' }
+        },
+        HAPPY_HOUR: {
+          'en-US': { header: 'Happy hour', body: 'Double points until {{until}}' }
+        }
+      }
+    }
+  }
+};
+
+describe('Template Engine', () => {
+  afterEach(() => {
+    templateEngine.loadConfig();
+  });
+
+  describe('default templates', () => {
+    test('should fill placeholders and fallbacks', () => {
+      const earned = templateEngine.render('POINTS_EARNED', { points: 50 });
+      expect(earned.header).toBe('Points Earned! 🎉');
+      expect(earned.body).toBe('You earned 50 points! Thank you for your loyalty.');
+
+      const downgrade = templateEngine.render('TIER_DOWNGRADE', { newTier: 'Silver', oldTier: 'Gold', pointsNeeded: 120 });
+      expect(downgrade.body).toBe('Your membership tier is now Silver. Earn 120 points to get back to Gold!');
+    });
+
+    test('should map every locale to Wallet translatedValues', () => {
+      const upgrade = templateEngine.render('TIER_UPGRADE', { newTier: 'Gold' });
+
+      expect(upgrade.localizedHeader.defaultValue).toEqual({ language: 'en-US', value: 'Tier Upgrade! 🏆' });
+      expect(upgrade.localizedBody.translatedValues).toEqual([
+        { language: 'es-US', value: '¡Felicidades! Ahora eres nivel Gold. ¡Disfruta tus nuevos beneficios!' }
+      ]);
+    });
+
+    test('should render the requested locale for header and body', () => {
+      const welcome = templateEngine.render('WELCOME', {}, { locale: 'es-US' });
+      expect(welcome.locale).toBe('es-US');
+      expect(welcome.header).toBe('¡Bienvenido! 👋');
+
+      // Unknown locales fall back to the default
+      expect(templateEngine.render('WELCOME', {}, { locale: 'de-DE' }).locale).toBe('en-US');
+    });
+
+    test('should report placeholders without a value', () => {
+      const result = templateEngine.render('BALANCE_UPDATE', {});
+      expect(result.missing).toEqual(['newBalance']);
+      expect(result.body).toBe('Your points balance has been updated. New balance: points');
+    });
+
+    test('should use CUSTOM for unknown types and list the known ones', () => {
+      expect(templateEngine.render('NOT_A_TYPE', { body: 'Hi' }).type).toBe('CUSTOM');
+      expect(templateEngine.getTypes()).toEqual(expect.arrayContaining(['POINTS_EARNED', 'TIER_UPGRADE', 'CUSTOM', 'BALANCE_UPDATE']));
+      expect(templateEngine.hasTemplate('NOT_A_TYPE')).toBe(false);
+    });
+
+    test('should preview with sample values', () => {
+      const preview = templateEngine.preview('POINTS_EARNED', { reason: 'Thanks for visiting.' });
+      expect(preview.body).toBe('You earned 50 points! Thanks for visiting.');
+      expect(preview.missing).toEqual([]);
+    });
+  });
+
+  describe('custom configuration', () => {
+    beforeEach(() => {
+      templateEngine.configure(customTemplates);
+    });
+
+    test('should use class overrides and class-only types', () => {
+      const classId = '3388000000012345678.vip_class';
+
+      expect(templateEngine.render('POINTS_EARNED', { points: 5, memberName: 'Sam' }, { classId })).toMatchObject({
+        source: 'class',
+        header: 'VIP bonus',
+        body: '5 points added, Sam'
+      });
+      expect(templateEngine.render('POINTS_EARNED', { points: 5 }).header).toBe('Nice, friend!');
+      expect(templateEngine.hasTemplate('HAPPY_HOUR')).toBe(true);
+      expect(templateEngine.listTemplates(classId).find(entry => entry.type === 'POINTS_EARNED'))
+        .toEqual({ type: 'POINTS_EARNED', source: 'class', locales: ['en-US'] });
+    });
+
+    test('should reject invalid template files', () => {
+      expect(() => templateEngine.configure({ templates: {} })).toThrow('at least one type');
+      expect(() => templateEngine.configure({
+        templates: { CUSTOM: { 'fr-CA': { header: 'Salut', body: 'Bonjour' } } }
+      })).toThrow('missing the default locale en-US');
+      expect(() => templateEngine.configure({
+        templates: { CUSTOM: { 'en-US': { header: 'Hi' } } }
+      })).toThrow('header and body must be strings');
+      expect(() => templateEngine.configure({
+        templates: { 'points-earned': { 'en-US': { header: 'Hi', body: 'There' } } }
+      })).toThrow('UPPER_SNAKE_CASE');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for Tier Engine
+ */
+
+const tierEngine = require('../../src/services/tier-engine');
+
+const fourTierProgram = {
+  milestoneStep: 500,
+  tiers: [
+    { name: 'Seed', threshold: 0, benefits: 'Member pricing' },
+    { name: 'Sprout', threshold: 250, benefits: '5% off' },
+    { name: 'Bloom', threshold: 1000, benefits: '10% off', color: '#8E24AA' },
+    { name: 'Harvest', threshold: 3000, benefits: '15% off + early access' }
+  ],
+  classes: {
+    'issuer.vip_class': {
+      tiers: [
+        { name: 'VIP', threshold: 0, benefits: 'Everything' }
+      ]
+    }
+  }
+};
+
+describe('Tier Engine', () => {
+  afterEach(() => {
+    tierEngine.loadConfig();
+  });
+
+  describe('default configuration', () => {
+    test('should match the Bronze/Silver/Gold thresholds', () => {
+      tierEngine.loadConfig();
+
+      expect(tierEngine.calculateTier(0)).toBe('Bronze');
+      expect(tierEngine.calculateTier(499)).toBe('Bronze');
+      expect(tierEngine.calculateTier(500)).toBe('Silver');
+      expect(tierEngine.calculateTier(2000)).toBe('Gold');
+    });
+
+    test('should compute next reward targets', () => {
+      tierEngine.loadConfig();
+
+      expect(tierEngine.getNextReward(100, 'Bronze')).toBe(500);
+      expect(tierEngine.getNextReward(700, 'Silver')).toBe(2000);
+      expect(tierEngine.getNextReward(2300, 'Gold')).toBe(3000);
+      expect(tierEngine.getNextReward(3000, 'Gold')).toBe(4000);
+    });
+
+    test('should fall back to the lowest tier benefits for unknown tiers', () => {
+      tierEngine.loadConfig();
+
+      expect(tierEngine.getBenefits('Platinum')).toBe(tierEngine.getBenefits('Bronze'));
+    });
+  });
+
+  describe('custom configuration', () => {
+    beforeEach(() => {
+      tierEngine.configure(fourTierProgram);
+    });
+
+    test('should support a four-tier program', () => {
+      expect(tierEngine.getTiers()).toHaveLength(4);
+      expect(tierEngine.calculateTier(1200)).toBe('Bloom');
+      expect(tierEngine.getNextTier('Bloom').name).toBe('Harvest');
+      expect(tierEngine.getNextTier('Harvest')).toBeNull();
+      expect(tierEngine.getColor('bloom')).toBe('#8E24AA');
+    });
+
+    test('should honor the tier name when it is ahead of the balance', () => {
+      expect(tierEngine.getNextReward(100, 'Bloom')).toBe(3000);
+    });
+
+    test('should apply per-class overrides', () => {
+      expect(tierEngine.calculateTier(5000, 'issuer.vip_class')).toBe('VIP');
+      expect(tierEngine.calculateTier(5000, 'issuer.other_class')).toBe('Harvest');
+    });
+  });
+
+  describe('validation', () => {
+    test('should require the lowest tier to start at zero', () => {
+      expect(() => tierEngine.configure({
+        tiers: [{ name: 'Silver', threshold: 500 }]
+      })).toThrow('lowest tier must start at 0');
+    });
+
+    test('should reject duplicate tier names', () => {
+      expect(() => tierEngine.configure({
+        tiers: [{ name: 'Gold', threshold: 0 }, { name: 'gold', threshold: 10 }]
+      })).toThrow('duplicate tier');
+    });
+
+    test('should reject shared thresholds', () => {
+      expect(() => tierEngine.configure({
+        tiers: [{ name: 'A', threshold: 0 }, { name: 'B', threshold: 0 }]
+      })).toThrow('share a threshold');
+    });
+  });
+});
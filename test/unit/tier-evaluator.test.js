@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for Tier Evaluator
+ * Wallet and notification calls are mocked; the ledger runs on the memory driver
+ */
+
+jest.mock('../../src/services/loyalty-object', () => ({
+  updateTier: jest.fn()
+}));
+
+jest.mock('../../src/services/notification-service', () => ({
+  sendTierUpgradeNotification: jest.fn(),
+  sendTierDowngradeNotification: jest.fn()
+}));
+
+const loyaltyObjectService = require('../../src/services/loyalty-object');
+const notificationService = require('../../src/services/notification-service');
+const tierEvaluator = require('../../src/services/tier-evaluator');
+const tierEngine = require('../../src/services/tier-engine');
+const tenantService = require('../../src/services/tenant-service');
+const webhookService = require('../../src/services/webhook-service');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+const { generateTestUserId } = require('../helpers/test-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const program = (qualification) => ({
+  qualification,
+  tiers: [
+    { name: 'Bronze', threshold: 0 },
+    { name: 'Silver', threshold: 500 },
+    { name: 'Gold', threshold: 2000 }
+  ]
+});
+
+describe('Tier Evaluator', () => {
+  let userId;
+
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+    loyaltyObjectService.updateTier.mockResolvedValue({ success: true });
+    notificationService.sendTierUpgradeNotification.mockResolvedValue({ success: true });
+    notificationService.sendTierDowngradeNotification.mockResolvedValue({ success: true });
+
+    userId = generateTestUserId();
+    await dbService.saveCard({ userId, objectId: `issuer.obj-${userId}`, points: 100, tier: 'Gold' });
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+    tierEngine.loadConfig();
+  });
+
+  test('should qualify on points earned inside the rolling window only', async () => {
+    tierEngine.configure(program({ basis: 'rolling', windowDays: 365, gracePeriodDays: 0 }));
+    await dbService.createTransaction(userId, 'add', 2500, 'Big purchase', 0, 2500);
+    await dbService.createTransaction(userId, 'redeem', 2400, 'Reward', 2500, 100);
+
+    const card = await dbService.getCard(userId);
+    const now = new Date();
+
+    expect((await tierEvaluator.evaluate(card, { now })).tier).toBe('Gold');
+
+    const nextYear = new Date(now.getTime() + 400 * DAY_MS);
+    const evaluation = await tierEvaluator.evaluate(card, { now: nextYear });
+    expect(evaluation.qualifyingPoints).toBe(0);
+    expect(evaluation.change).toBe('downgrade');
+    expect(evaluation.tier).toBe('Bronze');
+  });
+
+  test('should demote on balance basis without a grace period', async () => {
+    tierEngine.configure(program({ basis: 'balance', gracePeriodDays: 0 }));
+    const card = await dbService.getCard(userId);
+
+    const evaluation = await tierEvaluator.evaluate(card);
+    expect(evaluation.change).toBe('downgrade');
+    expect(evaluation.tier).toBe('Bronze');
+  });
+
+  test('should hold the tier during the grace period, then demote', async () => {
+    tierEngine.configure(program({ basis: 'lifetime', gracePeriodDays: 30 }));
+    const now = new Date();
+
+    const first = await tierEvaluator.reevaluateUser(userId, { now });
+    expect(first.change).toBe('grace_started');
+    expect(first.tier).toBe('Gold');
+    expect(loyaltyObjectService.updateTier).not.toHaveBeenCalled();
+
+    const stillGrace = await tierEvaluator.reevaluateUser(userId, { now: new Date(now.getTime() + 10 * DAY_MS) });
+    expect(stillGrace.change).toBe('in_grace');
+
+    const expired = await tierEvaluator.reevaluateUser(userId, { now: new Date(now.getTime() + 31 * DAY_MS) });
+    expect(expired.change).toBe('downgrade');
+    expect(expired.tier).toBe('Bronze');
+    expect(loyaltyObjectService.updateTier).toHaveBeenCalledWith(userId, 'Bronze');
+    expect(notificationService.sendTierDowngradeNotification).toHaveBeenCalledWith(userId, 'Bronze', 'Gold', 2000);
+
+    const card = await dbService.getCard(userId);
+    expect(card.tier).toBe('Bronze');
+    expect(card.tier_grace_until).toBeNull();
+  });
+
+  test('should clear the grace period when the member requalifies', async () => {
+    tierEngine.configure(program({ basis: 'lifetime', gracePeriodDays: 30 }));
+    await tierEvaluator.reevaluateUser(userId);
+    await dbService.createTransaction(userId, 'add', 2000, 'Purchase', 100, 2100);
+
+    const result = await tierEvaluator.reevaluateUser(userId);
+    expect(result.change).toBe('none');
+    expect((await dbService.getCard(userId)).tier_grace_until).toBeNull();
+  });
+
+  test('should upgrade and notify', async () => {
+    tierEngine.configure(program({ basis: 'lifetime', gracePeriodDays: 30 }));
+    await dbService.updateTierStatus(userId, { tier: 'Bronze' });
+    await dbService.createTransaction(userId, 'add', 600, 'Purchase', 0, 600);
+
+    const result = await tierEvaluator.reevaluateUser(userId);
+    expect(result.change).toBe('upgrade');
+    expect(result.tier).toBe('Silver');
+    expect(notificationService.sendTierUpgradeNotification).toHaveBeenCalledWith(userId, 'Silver', 'Bronze');
+  });
+
+  test('should keep the old tier when the wallet update fails', async () => {
+    tierEngine.configure(program({ basis: 'balance', gracePeriodDays: 0 }));
+    loyaltyObjectService.updateTier.mockResolvedValue({ success: false, error: 'Object not found' });
+
+    const result = await tierEvaluator.reevaluateUser(userId);
+    expect(result.success).toBe(false);
+    expect((await dbService.getCard(userId)).tier).toBe('Gold');
+  });
+
+  test('should summarize a full re-evaluation run', async () => {
+    tierEngine.configure(program({ basis: 'balance', gracePeriodDays: 0 }));
+    await dbService.saveCard({ userId: generateTestUserId(), objectId: 'issuer.other', points: 700, tier: 'Bronze' });
+
+    const summary = await tierEvaluator.reevaluateAll({ pageSize: 1 });
+    expect(summary.success).toBe(true);
+    expect(summary.evaluated).toBe(2);
+    expect(summary.upgraded).toBe(1);
+    expect(summary.downgraded).toBe(1);
+  });
+
+  test('should run scheduled re-evaluations as each card\'s tenant', async () => {
+    tierEngine.configure(program({ basis: 'balance', gracePeriodDays: 0 }));
+    const row = await dbService.createTenant({
+      id: 'green-leaf',
+      name: 'Green Leaf',
+      issuerId: '3388000000099999999',
+      classSuffix: 'green_leaf_rewards',
+      objectSuffix: 'green_leaf_member'
+    });
+    const tenantUserId = generateTestUserId();
+    await tenantService.run(tenantService.toTenant(row), () => dbService.saveCard({
+      userId: tenantUserId,
+      objectId: `3388000000099999999.obj-${tenantUserId}`,
+      points: 700,
+      tier: 'Bronze'
+    }));
+
+    const emitted = [];
+    const emit = jest.spyOn(webhookService, 'emit').mockImplementation(async (type, data) => {
+      emitted.push({ tenantId: tenantService.getTenantId(), userId: data.userId });
+      return [];
+    });
+
+    try {
+      const result = await tierEvaluator.reevaluateTenants();
+      expect(result.success).toBe(true);
+      expect(result.tenants.default.evaluated).toBe(1);
+      expect(result.tenants['green-leaf']).toMatchObject({ evaluated: 1, upgraded: 1 });
+      expect(emitted).toEqual(expect.arrayContaining([
+        { tenantId: 'default', userId },
+        { tenantId: 'green-leaf', userId: tenantUserId }
+      ]));
+    } finally {
+      emit.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit Tests for the Token Bucket
+ */
+
+const TokenBucket = require('../../src/utils/token-bucket');
+
+describe('Token Bucket', () => {
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = 0;
+  });
+
+  test('should allow a burst up to capacity', () => {
+    const bucket = new TokenBucket({ ratePerSecond: 2, capacity: 3, now });
+
+    expect([bucket.tryTake(), bucket.tryTake(), bucket.tryTake(), bucket.tryTake()]).toEqual([true, true, true, false]);
+  });
+
+  test('should refill at the configured rate', () => {
+    const bucket = new TokenBucket({ ratePerSecond: 2, capacity: 2, now });
+    bucket.tryTake();
+    bucket.tryTake();
+
+    expect(bucket.getWaitTime()).toBe(500);
+    clock = 499;
+    expect(bucket.tryTake()).toBe(false);
+    clock = 500;
+    expect(bucket.tryTake()).toBe(true);
+
+    // Never beyond capacity
+    clock = 60000;
+    expect([bucket.tryTake(), bucket.tryTake(), bucket.tryTake()]).toEqual([true, true, false]);
+  });
+
+  test('should wait for a token', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 50, capacity: 1 });
+    await bucket.take();
+
+    const start = Date.now();
+    await bucket.take();
+    expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+  });
+
+  test('should not pace when the rate is 0', () => {
+    const bucket = new TokenBucket({ ratePerSecond: 0, now });
+
+    for (let i = 0; i < 100; i++) {
+      expect(bucket.tryTake()).toBe(true);
+    }
+    expect(bucket.getWaitTime()).toBe(0);
+  });
+});
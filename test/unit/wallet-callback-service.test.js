@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for Wallet Callback Service
+ * Signature checks against a local root key file and save/delete events on
+ * the memory driver
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.ISSUER_ID = '3388000000012345678';
+
+const walletCallbackService = require('../../src/services/wallet-callback-service');
+const tenantService = require('../../src/services/tenant-service');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+const { createWalletCallbackSigner } = require('../helpers/test-utils');
+
+const issuerId = process.env.ISSUER_ID;
+const classId = `${issuerId}.rewards`;
+const objectId = `${issuerId}.member-user-1`;
+
+describe('Wallet Callback Service', () => {
+  const signer = createWalletCallbackSigner();
+  const keysFile = path.join(os.tmpdir(), `wallet-root-keys-${process.pid}.json`);
+  let nonce = 0;
+
+  const callback = (eventType, overrides = {}, options = {}) => signer.sign(
+    { classId, objectId, eventType, nonce: `nonce-${++nonce}`, ...overrides },
+    options.issuerId || issuerId,
+    options
+  );
+
+  beforeAll(() => {
+    fs.writeFileSync(keysFile, JSON.stringify(signer.rootKeys));
+    process.env.WALLET_CALLBACK_KEYS_FILE = keysFile;
+  });
+
+  afterAll(() => {
+    delete process.env.WALLET_CALLBACK_KEYS_FILE;
+    fs.unlinkSync(keysFile);
+  });
+
+  beforeEach(async () => {
+    await dbService.initialize(new MemoryDriver());
+  });
+
+  afterEach(async () => {
+    await dbService.close();
+  });
+
+  test('should record saves and deletes per object', async () => {
+    expect(await walletCallbackService.getSaveStatus(objectId)).toEqual({ hasUsers: false, savedAt: null, deletedAt: null });
+
+    const saved = await walletCallbackService.handleCallback(callback('save'));
+    expect(saved).toMatchObject({ success: true, objectId, eventType: 'save', duplicate: false });
+
+    const afterSave = await walletCallbackService.getSaveStatus(objectId);
+    expect(afterSave.hasUsers).toBe(true);
+    expect(afterSave.savedAt).not.toBeNull();
+    expect(afterSave.deletedAt).toBeNull();
+
+    expect((await walletCallbackService.handleCallback(callback('del'))).eventType).toBe('delete');
+    const afterDelete = await walletCallbackService.getSaveStatus(objectId);
+    expect(afterDelete.hasUsers).toBe(false);
+    expect(afterDelete.deletedAt).not.toBeNull();
+  });
+
+  test('should store a redelivered callback once', async () => {
+    const body = callback('save');
+
+    expect((await walletCallbackService.handleCallback(body)).duplicate).toBe(false);
+    expect((await walletCallbackService.handleCallback(body)).duplicate).toBe(true);
+  });
+
+  test('should refuse callbacks that fail signature checks', async () => {
+    const tampered = callback('save');
+    tampered.signedMessage = tampered.signedMessage.replace('"save"', '"del"');
+    expect((await walletCallbackService.handleCallback(tampered)).message).toBe('Invalid message signature');
+
+    const untrustedRoot = callback('save', {}, { rootKey: signer.generateKey() });
+    expect((await walletCallbackService.handleCallback(untrustedRoot)).message).toContain('not signed by a Google root key');
+
+    const expiredKey = callback('save', {}, { keyExpiration: Date.now() - 1000 });
+    expect((await walletCallbackService.handleCallback(expiredKey)).message).toContain('invalid or expired');
+
+    // Signed for another recipient than the class issuer
+    const otherRecipient = callback('save', {}, { issuerId: '1111111111111111111' });
+    expect((await walletCallbackService.handleCallback(otherRecipient)).message).toBe('Invalid message signature');
+
+    expect((await walletCallbackService.handleCallback({ ...callback('save'), protocolVersion: 'ECv2' })).error).toBe('Invalid callback');
+    expect(await walletCallbackService.getSaveStatus(objectId)).toMatchObject({ hasUsers: false });
+  });
+
+  test('should refuse expired, unknown and foreign callbacks', async () => {
+    const expired = callback('save', { expTimeMillis: Date.now() - 1000 });
+    expect((await walletCallbackService.handleCallback(expired)).message).toBe('Callback message expired');
+
+    expect((await walletCallbackService.handleCallback(callback('update'))).message).toBe('Unknown eventType update');
+
+    const foreign = callback('save', { classId: '1111111111111111111.rewards', objectId: '1111111111111111111.member' }, {
+      issuerId: '1111111111111111111'
+    });
+    expect((await walletCallbackService.handleCallback(foreign)).message).toContain('is not served here');
+
+    const mismatched = callback('save', { objectId: '1111111111111111111.member' });
+    expect((await walletCallbackService.handleCallback(mismatched)).message).toContain('does not belong');
+  });
+
+  test('should accept callbacks for active tenant issuers', async () => {
+    await tenantService.createTenant({
+      id: 'green-leaf',
+      name: 'Green Leaf',
+      issuerId: '3388000000099999999',
+      classSuffix: 'green_leaf_rewards',
+      objectSuffix: 'green_leaf_member'
+    });
+
+    const tenantCallback = callback('save', {
+      classId: '3388000000099999999.green_leaf_rewards',
+      objectId: '3388000000099999999.green_leaf_member-user-1'
+    }, { issuerId: '3388000000099999999' });
+    expect((await walletCallbackService.handleCallback(tenantCallback)).success).toBe(true);
+
+    await tenantService.updateTenant('green-leaf', { status: 'disabled' });
+    const disabled = callback('save', {
+      classId: '3388000000099999999.green_leaf_rewards',
+      objectId: '3388000000099999999.green_leaf_member-user-1'
+    }, { issuerId: '3388000000099999999' });
+    expect((await walletCallbackService.handleCallback(disabled)).success).toBe(false);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for the Google Wallet API Emulator
+ */
+
+const walletEmulator = require('../../src/emulator/wallet-emulator');
+
+const ISSUER = '3388000000012345678';
+const classId = `${ISSUER}.emulator_class`;
+
+const loyaltyClass = (overrides = {}) => ({
+  id: classId,
+  issuerName: 'Teiga Tech',
+  programName: 'Emulator Rewards',
+  reviewStatus: 'UNDER_REVIEW',
+  ...overrides
+});
+
+const loyaltyObject = (suffix, overrides = {}) => ({
+  id: `${ISSUER}.object-${suffix}`,
+  classId,
+  state: 'ACTIVE',
+  loyaltyPoints: { label: 'Points', balance: { string: '100' } },
+  textModulesData: [{ id: 'card_points', header: 'Points', body: '100' }],
+  ...overrides
+});
+
+describe('Wallet Emulator', () => {
+  let client;
+
+  beforeEach(async () => {
+    walletEmulator.reset({ rateLimitPerMinute: 0 });
+    client = walletEmulator.getClient();
+    await client.loyaltyclass.insert({ requestBody: loyaltyClass() });
+  });
+
+  test('should insert and get resources like the googleapis client', async () => {
+    const inserted = await client.loyaltyobject.insert({ requestBody: loyaltyObject('a') });
+    const fetched = await client.loyaltyobject.get({ resourceId: inserted.data.id });
+
+    expect(fetched.status).toBe(200);
+    expect(fetched.data.loyaltyPoints.balance.string).toBe('100');
+  });
+
+  test('should return 409 for duplicate inserts and 404 for unknown IDs', async () => {
+    await expect(client.loyaltyclass.insert({ requestBody: loyaltyClass() }))
+      .rejects.toMatchObject({ code: 409 });
+    await expect(client.loyaltyobject.get({ resourceId: `${ISSUER}.missing` }))
+      .rejects.toMatchObject({ code: 404 });
+    await expect(client.loyaltyobject.insert({ requestBody: loyaltyObject('b', { classId: `${ISSUER}.other` }) }))
+      .rejects.toMatchObject({ code: 404 });
+  });
+
+  test('should validate required fields', async () => {
+    await expect(client.loyaltyclass.insert({ requestBody: loyaltyClass({ id: `${ISSUER}.second`, reviewStatus: undefined }) }))
+      .rejects.toMatchObject({ code: 400 });
+    await expect(client.loyaltyobject.insert({ requestBody: loyaltyObject('c', { state: 'SLEEPING' }) }))
+      .rejects.toMatchObject({ code: 400 });
+    await expect(client.loyaltyobject.insert({ requestBody: loyaltyObject('d', { id: 'no-issuer' }) }))
+      .rejects.toMatchObject({ code: 400 });
+  });
+
+  test('should merge PATCH bodies and replace on update', async () => {
+    const { data } = await client.loyaltyobject.insert({ requestBody: loyaltyObject('e') });
+
+    const patched = await client.loyaltyobject.patch({
+      resourceId: data.id,
+      requestBody: { loyaltyPoints: { balance: { string: '250' } }, rewardsTier: 'Silver' }
+    });
+    expect(patched.data.loyaltyPoints.label).toBe('Points');
+    expect(patched.data.loyaltyPoints.balance.string).toBe('250');
+    expect(patched.data.textModulesData).toHaveLength(1);
+
+    const updated = await client.loyaltyobject.update({
+      resourceId: data.id,
+      requestBody: { classId, state: 'INACTIVE' }
+    });
+    expect(updated.data.rewardsTier).toBeUndefined();
+    expect(updated.data.id).toBe(data.id);
+  });
+
+  test('should reject multiple balance types', async () => {
+    const { data } = await client.loyaltyobject.insert({ requestBody: loyaltyObject('f') });
+
+    await expect(client.loyaltyobject.patch({
+      resourceId: data.id,
+      requestBody: { loyaltyPoints: { balance: { int: 250 } } }
+    })).rejects.toMatchObject({ code: 400, message: 'Loyalty object has multiple balance types' });
+
+    await expect(client.loyaltyobject.patch({
+      resourceId: data.id,
+      requestBody: { loyaltyPoints: { balance: { string: '5' } }, smartTapRedemptionValue: '5' }
+    })).rejects.toMatchObject({ code: 400 });
+  });
+
+  test('should page through list results', async () => {
+    for (const suffix of ['g', 'h', 'i']) {
+      await client.loyaltyobject.insert({ requestBody: loyaltyObject(suffix) });
+    }
+
+    const first = await client.loyaltyobject.list({ classId, maxResults: 2 });
+    expect(first.data.resources).toHaveLength(2);
+
+    const second = await client.loyaltyobject.list({ classId, maxResults: 2, token: first.data.pagination.nextPageToken });
+    expect(second.data.resources).toHaveLength(1);
+    expect(second.data.pagination.nextPageToken).toBeUndefined();
+
+    await expect(client.loyaltyobject.list({})).rejects.toMatchObject({ code: 400 });
+  });
+
+  test('should append messages with addmessage', async () => {
+    const { data } = await client.loyaltyobject.insert({ requestBody: loyaltyObject('j') });
+
+    const result = await client.loyaltyobject.addmessage({
+      resourceId: data.id,
+      requestBody: { message: { header: 'Hi', body: 'Welcome', messageType: 'TEXT_AND_NOTIFY' } }
+    });
+
+    expect(result.data.resource.messages).toHaveLength(1);
+    expect(result.data.resource.messages[0].id).toBeDefined();
+
+    await expect(client.loyaltyobject.addmessage({ resourceId: data.id, requestBody: { message: { header: 'Hi' } } }))
+      .rejects.toMatchObject({ code: 400 });
+  });
+
+  test('should fail injected calls and enforce the rate limit', async () => {
+    walletEmulator.injectFailure('loyaltyclass.get', 503);
+    await expect(client.loyaltyclass.get({ resourceId: classId })).rejects.toMatchObject({ code: 503 });
+    await expect(client.loyaltyclass.get({ resourceId: classId })).resolves.toMatchObject({ status: 200 });
+
+    walletEmulator.reset({ rateLimitPerMinute: 1 });
+    await client.loyaltyclass.list({ issuerId: ISSUER });
+    await expect(client.loyaltyclass.list({ issuerId: ISSUER })).rejects.toMatchObject({ code: 429 });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for the Wallet list pager
+ */
+
+const { listPage, decodeCursor } = require('../../src/utils/wallet-pages');
+
+// A Wallet list call over `records`, paged like the API (numeric offset tokens)
+const walletList = (records) => {
+  const calls = [];
+  const fetchPage = async (token, maxResults) => {
+    calls.push(token);
+    const offset = token ? parseInt(token, 10) : 0;
+    const next = offset + maxResults;
+    return {
+      resources: records.slice(offset, next),
+      nextPageToken: next < records.length ? String(next) : null
+    };
+  };
+  return { fetchPage, calls };
+};
+
+const records = Array.from({ length: 10 }, (_, index) => ({ id: index, even: index % 2 === 0 }));
+
+// Follow nextPageToken to the end and collect every page's IDs
+const readAll = async (options) => {
+  const pages = [];
+  let pageToken = null;
+  do {
+    const page = await listPage({ ...options, pageToken });
+    pages.push(page.items.map(record => record.id));
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return pages;
+};
+
+describe('Wallet Pages', () => {
+  test('should page through every record once, across Wallet pages', async () => {
+    const { fetchPage } = walletList(records);
+
+    expect(await readAll({ fetchPage, limit: 4, pageSize: 3 })).toEqual([[0, 1, 2, 3], [4, 5, 6, 7], [8, 9]]);
+  });
+
+  test('should filter without losing or repeating records', async () => {
+    const { fetchPage } = walletList(records);
+
+    expect(await readAll({ fetchPage, limit: 2, pageSize: 3, filter: record => record.even })).toEqual([[0, 2], [4, 6], [8]]);
+  });
+
+  test('should stop after maxPages and continue from the next Wallet page', async () => {
+    const { fetchPage, calls } = walletList(records);
+
+    const first = await listPage({ fetchPage, limit: 5, pageSize: 2, maxPages: 2, filter: record => record.id >= 7 });
+    expect(first.items).toEqual([]);
+    expect(calls).toEqual([null, '2']);
+    expect(decodeCursor(first.nextPageToken)).toEqual({ token: '4', offset: 0 });
+
+    const second = await listPage({ fetchPage, limit: 5, pageSize: 2, maxPages: 5, filter: record => record.id >= 7, pageToken: first.nextPageToken });
+    expect(second.items.map(record => record.id)).toEqual([7, 8, 9]);
+    expect(second.nextPageToken).toBeNull();
+  });
+
+  test('should end on an exact fit and with no records', async () => {
+    expect((await listPage({ fetchPage: walletList(records).fetchPage, limit: 10, pageSize: 10 })).nextPageToken).toBeNull();
+    expect(await listPage({ fetchPage: walletList([]).fetchPage, limit: 5 })).toEqual({ items: [], nextPageToken: null });
+  });
+
+  test('should reject page tokens it did not issue', () => {
+    expect(decodeCursor(null)).toEqual({ token: null, offset: 0 });
+    expect(() => decodeCursor('not-a-token')).toThrow('Invalid page token');
+    expect(() => decodeCursor(Buffer.from('{"t":"x","o":-1}').toString('base64url'))).toThrow('Invalid page token');
+  });
+});
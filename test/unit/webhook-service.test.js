@@ -0,0 +1,229 @@
+/**
+ * Unit Tests for Webhook Service
+ * Subscriptions, signed deliveries, retries, dead letters and redelivery
+ * against a local HTTP endpoint on the memory driver
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+
+process.env.TENANT_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_DELAY_MS = '10';
+// The test endpoint listens on 127.0.0.1
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+const webhookService = require('../../src/services/webhook-service');
+const tenantService = require('../../src/services/tenant-service');
+const dbService = require('../../src/database/db-service');
+const MemoryDriver = require('../../src/database/drivers/memory-driver');
+
+describe('Webhook Service', () => {
+  let server;
+  let url;
+  let received;
+  // Status codes the endpoint answers with, in order (then 200)
+  let statuses;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    statuses = [];
+    await dbService.initialize(new MemoryDriver());
+  });
+
+  afterEach(async () => {
+    await webhookService.whenIdle();
+    await dbService.close();
+  });
+
+  test('should send signed events to matching subscriptions', async () => {
+    const created = await webhookService.createSubscription({ url, events: ['points.changed'] });
+    expect(created.success).toBe(true);
+    expect(created.secret).toMatch(/^whsec_/);
+    expect(created.webhook).toMatchObject({ url, events: ['points.changed'], status: 'active' });
+    expect(created.webhook).not.toHaveProperty('secret');
+    expect(JSON.stringify(await dbService.getWebhookSubscription(created.webhook.id))).not.toContain(created.secret);
+
+    await webhookService.emit('tier.changed', { userId: 'user-1' });
+    const [deliveryId] = await webhookService.emit('points.changed', { userId: 'user-1', newBalance: 150 });
+    await webhookService.whenIdle();
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    const event = JSON.parse(body);
+    expect(event).toMatchObject({ type: 'points.changed', tenantId: 'default', data: { userId: 'user-1', newBalance: 150 } });
+    expect(headers['x-webhook-event']).toBe('points.changed');
+    expect(headers['x-webhook-id']).toBe(event.id);
+
+    const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const expected = crypto.createHmac('sha256', created.secret).update(`${timestamp}.${body}`).digest('hex');
+    expect(signature).toBe(expected);
+
+    expect(await webhookService.findDelivery(deliveryId)).toMatchObject({ status: 'delivered', attempts: 1, response_status: 200 });
+  });
+
+  test('should retry server errors and deliver', async () => {
+    const { webhook } = await webhookService.createSubscription({ url, events: ['*'] });
+    statuses = [503, 500];
+
+    const [deliveryId] = await webhookService.emit('card.created', { userId: 'user-1' });
+    await webhookService.whenIdle();
+
+    expect(received).toHaveLength(3);
+    expect(new Set(received.map(request => request.headers['x-webhook-id'])).size).toBe(1);
+
+    const { deliveries } = await webhookService.listDeliveries(webhook.id);
+    expect(deliveries[0]).toMatchObject({ id: deliveryId, status: 'delivered', attempts: 3, lastError: null });
+  });
+
+  test('should dead-letter refused deliveries and redeliver them', async () => {
+    await webhookService.createSubscription({ url, events: ['pass.saved'] });
+    statuses = [410];
+
+    const [deliveryId] = await webhookService.emit('pass.saved', { objectId: 'obj-1' });
+    await webhookService.whenIdle();
+
+    // Client errors are not retried
+    expect(received).toHaveLength(1);
+    const deadLetters = await webhookService.listDeadLetters();
+    expect(deadLetters.count).toBe(1);
+    expect(deadLetters.deliveries[0]).toMatchObject({ id: deliveryId, status: 'failed', responseStatus: 410 });
+    expect(deadLetters.deliveries[0].lastError).toContain('410');
+
+    const redelivered = await webhookService.redeliver(deliveryId);
+    expect(redelivered.success).toBe(true);
+    expect((await webhookService.redeliver(deliveryId)).error).toBe('Delivery in progress');
+    await webhookService.whenIdle();
+
+    expect(received).toHaveLength(2);
+    expect((await webhookService.listDeadLetters()).count).toBe(0);
+    expect(await webhookService.findDelivery(deliveryId)).toMatchObject({ status: 'delivered', attempts: 2 });
+    expect((await webhookService.redeliver(9999)).error).toBe('Delivery not found');
+  });
+
+  test('should give up after the last attempt', async () => {
+    await webhookService.createSubscription({ url, events: ['*'] });
+    statuses = [503, 503, 503];
+
+    const [deliveryId] = await webhookService.emit('points.changed', { userId: 'user-1' });
+    await webhookService.whenIdle();
+
+    expect(received).toHaveLength(3);
+    expect(await webhookService.findDelivery(deliveryId)).toMatchObject({ status: 'failed', attempts: 3, response_status: 503 });
+  });
+
+  test('should refuse private, loopback and link-local addresses by default', async () => {
+    const created = await webhookService.createSubscription({ url, events: ['*'] });
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+    try {
+      for (const privateUrl of [
+        url,
+        'http://localhost/hooks',
+        'http://169.254.169.254/latest/meta-data',
+        'http://10.0.0.5/hooks',
+        'http://192.168.1.10/hooks',
+        'http://[::1]/hooks',
+        'http://[::ffff:172.16.0.1]/hooks',
+        'http://[64:ff9b::a9fe:a9fe]/hooks'
+      ]) {
+        const refused = await webhookService.createSubscription({ url: privateUrl, events: ['*'] });
+        expect(refused.error).toBe('url must not point to a private, loopback or link-local address');
+      }
+      expect((await webhookService.updateSubscription(created.webhook.id, { url: 'http://127.0.0.2/hooks' })).success).toBe(false);
+      await expect(webhookService.validateUrl('https://203.0.113.10/hooks')).resolves.toBe('https://203.0.113.10/hooks');
+
+      // Subscriptions are checked again before every send
+      const [deliveryId] = await webhookService.emit('points.changed', { userId: 'user-1' });
+      await webhookService.whenIdle();
+      expect(received).toHaveLength(0);
+      expect(await webhookService.findDelivery(deliveryId)).toMatchObject({
+        status: 'failed',
+        last_error: 'url must not point to a private, loopback or link-local address'
+      });
+    } finally {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    }
+  });
+
+  test('should refuse to connect to a host that resolves to a private address at send time', async () => {
+    const created = await webhookService.createSubscription({ url: url.replace('127.0.0.1', 'localhost'), events: ['*'] });
+    expect(created.success).toBe(true);
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    // The name checks out as public, then resolves to 127.0.0.1 when dialled
+    const lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '203.0.113.10', family: 4 }]);
+
+    try {
+      const [deliveryId] = await webhookService.emit('points.changed', { userId: 'user-1' });
+      await webhookService.whenIdle();
+
+      expect(received).toHaveLength(0);
+      const delivery = await webhookService.findDelivery(deliveryId);
+      expect(delivery).toMatchObject({ status: 'failed', attempts: 1 });
+      expect(delivery.last_error).toContain('localhost resolves to a private, loopback or link-local address');
+    } finally {
+      lookup.mockRestore();
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    }
+  });
+
+  test('should validate, update and disable subscriptions', async () => {
+    expect((await webhookService.createSubscription({ url, events: ['points.spent'] })).error).toContain('Unknown event type');
+    expect((await webhookService.createSubscription({ url: 'ftp://example.com', events: ['*'] })).success).toBe(false);
+
+    const created = await webhookService.createSubscription({ url, events: ['points.changed'] });
+    const rotated = await webhookService.updateSubscription(created.webhook.id, { rotateSecret: true, description: 'POS sync' });
+    expect(rotated.secret).toMatch(/^whsec_/);
+    expect(rotated.secret).not.toBe(created.secret);
+    expect(rotated.webhook).toMatchObject({ description: 'POS sync', events: ['points.changed'] });
+
+    await webhookService.updateSubscription(created.webhook.id, { status: 'disabled' });
+    expect(await webhookService.emit('points.changed', { userId: 'user-1' })).toEqual([]);
+
+    expect((await webhookService.deleteSubscription(created.webhook.id)).success).toBe(true);
+    expect((await webhookService.getSubscription(created.webhook.id)).error).toBe('Webhook not found');
+  });
+
+  test('should keep tenants to their own subscriptions and events', async () => {
+    await tenantService.createTenant({
+      id: 'green-leaf',
+      name: 'Green Leaf',
+      issuerId: '3388000000099999999',
+      classSuffix: 'green_leaf_rewards',
+      objectSuffix: 'green_leaf_member'
+    });
+
+    const created = await tenantService.runAs('green-leaf', () =>
+      webhookService.createSubscription({ url, events: ['*'] })
+    );
+
+    expect(await webhookService.emit('points.changed', { userId: 'user-1' })).toEqual([]);
+    expect((await webhookService.getSubscription(created.webhook.id)).error).toBe('Webhook not found');
+    expect((await webhookService.listSubscriptions()).count).toBe(0);
+
+    const [deliveryId] = await webhookService.emit('points.changed', { userId: 'user-1' }, { tenantId: 'green-leaf' });
+    await webhookService.whenIdle();
+    expect(JSON.parse(received[0].body).tenantId).toBe('green-leaf');
+    expect((await webhookService.redeliver(deliveryId)).error).toBe('Delivery not found');
+  });
+});